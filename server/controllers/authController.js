@@ -0,0 +1,165 @@
+// controllers/authController.js
+
+const logger = require('../logger');
+const tokenService = require('../services/tokenService');
+const emailTokenService = require('../services/emailTokenService');
+
+const handleEmailTokenError = (res, error, context, fallbackMessage) => {
+  if (error instanceof emailTokenService.EmailTokenError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`❌ Error in ${context}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+const refreshTokens = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required.' });
+    }
+
+    const tokens = await tokenService.rotateRefreshToken(refreshToken, { ip: req.ip });
+    res.status(200).json({ token: tokens.accessToken, ...tokens });
+  } catch (error) {
+    if (error instanceof tokenService.TokenError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('❌ Error in refreshTokens:', error);
+    res.status(500).json({ error: 'Failed to refresh token.' });
+  }
+};
+
+/**
+ * Log out of the current session
+ * POST /api/auth/logout
+ */
+const logout = async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.user.sid, req.user.userId);
+    res.status(200).json({ message: 'Logged out successfully!' });
+  } catch (error) {
+    logger.error('❌ Error in logout:', error);
+    res.status(500).json({ error: 'Failed to log out.' });
+  }
+};
+
+/**
+ * Log out of every session of the current user
+ * POST /api/auth/logout-all
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeAllSessions(req.user.userId);
+    res.status(200).json({ message: 'All sessions logged out.', revoked });
+  } catch (error) {
+    logger.error('❌ Error in logoutAll:', error);
+    res.status(500).json({ error: 'Failed to log out of all sessions.' });
+  }
+};
+
+/**
+ * List the current user's active sessions
+ * GET /api/auth/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user.userId);
+    res.status(200).json({
+      sessions: sessions.map((session) => ({ ...session, current: session.id === req.user.sid })),
+    });
+  } catch (error) {
+    logger.error('❌ Error in getSessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions.' });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * DELETE /api/auth/sessions/:id
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeSession(req.params.id, req.user.userId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+    res.status(200).json({ message: 'Session revoked successfully!' });
+  } catch (error) {
+    logger.error('❌ Error in revokeSession:', error);
+    res.status(500).json({ error: 'Failed to revoke session.' });
+  }
+};
+
+/**
+ * Confirm an email address with the token from the verification email
+ * POST /api/auth/verify-email
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { userId, email } = await emailTokenService.verifyEmail(req.body.token);
+    res.status(200).json({ message: 'Email verified successfully!', userId, email });
+  } catch (error) {
+    handleEmailTokenError(res, error, 'verifyEmail', 'Failed to verify email.');
+  }
+};
+
+/**
+ * Send a new verification email to the current user
+ * POST /api/auth/verify-email/resend
+ */
+const resendVerificationEmail = async (req, res) => {
+  try {
+    await emailTokenService.resendVerificationEmail(req.user.userId);
+    res.status(202).json({ message: 'Verification email sent.' });
+  } catch (error) {
+    handleEmailTokenError(res, error, 'resendVerificationEmail', 'Failed to send verification email.');
+  }
+};
+
+/**
+ * Email a password reset link. Answers the same whether or not the address
+ * has an account, and before the email is sent so timing gives nothing away.
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ error: 'Email is required.' });
+  }
+
+  res.status(202).json({ message: 'If an account uses this email, a password reset link has been sent.' });
+  emailTokenService.requestPasswordReset(email.trim()).catch((error) => {
+    logger.error('❌ Error in forgotPassword:', error);
+  });
+};
+
+/**
+ * Set a new password with the token from the reset email; signs out every session
+ * POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const { sessionsRevoked } = await emailTokenService.resetPassword(token, password);
+    res.status(200).json({ message: 'Password reset successfully! Please log in again.', sessionsRevoked });
+  } catch (error) {
+    handleEmailTokenError(res, error, 'resetPassword', 'Failed to reset password.');
+  }
+};
+
+module.exports = {
+  refreshTokens,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+};
@@ -1,10 +1,18 @@
+const crypto = require('crypto');
 const db = require('../db');
+const { disconnectOverlays } = require('../socket');
+const { APPROVAL_STAGES } = require('../services/ttsRequestService');
+const ttsPricing = require('../services/ttsPricingService');
+
+// The overlay key authenticates the public overlay; it is only shown to the creator
+const generateOverlayKey = () => crypto.randomBytes(24).toString('hex');
+const withoutSecrets = ({ overlay_key, ...creator }) => creator;
 
 // Get all creators
 const getCreators = async (req, res) => {
   try {
     const [creators] = await db.query('SELECT * FROM creators');
-    res.status(200).json(creators);
+    res.status(200).json(creators.map(withoutSecrets));
   } catch (error) {
     console.error('❌ Error fetching creators:', error);
     res.status(500).json({ error: 'Failed to fetch creators.' });
@@ -21,7 +29,7 @@ const getCreatorById = async (req, res) => {
       return res.status(404).json({ error: 'Creator not found.' });
     }
 
-    res.status(200).json(creator[0]);
+    res.status(200).json(withoutSecrets(creator[0]));
   } catch (error) {
     console.error('❌ Error fetching creator by ID:', error);
     res.status(500).json({ error: 'Failed to fetch creator.' });
@@ -31,15 +39,25 @@ const getCreatorById = async (req, res) => {
 // Create a new creator
 const createCreator = async (req, res) => {
   try {
-    const { user_id, display_name, overlay_url, bio, payment_info, revenue_share } = req.body;
+    const { display_name, overlay_url, bio, payment_info } = req.body;
+
+    // Creators always create a profile for themselves; only admins may act for another user or set the revenue share
+    const isAdmin = req.user.role === 'admin';
+    const user_id = isAdmin && req.body.user_id ? req.body.user_id : req.user.userId;
+    const revenue_share = isAdmin ? req.body.revenue_share : undefined;
+
+    if (!display_name) {
+      return res.status(400).json({ error: 'Display name is required.' });
+    }
 
-    if (!user_id || !display_name) {
-      return res.status(400).json({ error: 'User ID and display name are required.' });
+    const [existing] = await db.query('SELECT id FROM creators WHERE user_id = ?', [user_id]);
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'This user already has a creator profile.' });
     }
 
     const [result] = await db.query(
-      'INSERT INTO creators (user_id, display_name, overlay_url, bio, payment_info, revenue_share) VALUES (?, ?, ?, ?, ?, ?)',
-      [user_id, display_name, overlay_url || null, bio || null, JSON.stringify(payment_info) || null, revenue_share || 70.0]
+      'INSERT INTO creators (user_id, display_name, overlay_url, bio, payment_info, revenue_share, overlay_key) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [user_id, display_name, overlay_url || null, bio || null, JSON.stringify(payment_info) || null, revenue_share || 70.0, generateOverlayKey()]
     );
 
     res.status(201).json({ message: 'Creator added successfully!', creatorId: result.insertId });
@@ -53,7 +71,10 @@ const createCreator = async (req, res) => {
 const updateCreator = async (req, res) => {
   try {
     const { id } = req.params;
-    const { display_name, overlay_url, bio, payment_info, revenue_share } = req.body;
+    const { display_name, overlay_url, bio, payment_info } = req.body;
+
+    // Only admins may change the revenue share; creators keep their current one
+    const revenue_share = req.user.role === 'admin' ? req.body.revenue_share : req.targetCreator.revenue_share;
 
     const [result] = await db.query(
       'UPDATE creators SET display_name = ?, overlay_url = ?, bio = ?, payment_info = ?, revenue_share = ? WHERE id = ?',
@@ -89,6 +110,40 @@ const deleteCreator = async (req, res) => {
   }
 };
 
+// Get the overlay key of a creator (owner or admin), generating one for older profiles
+const getOverlayKey = async (req, res) => {
+  try {
+    const creator = req.targetCreator;
+    let overlayKey = creator.overlay_key;
+
+    if (!overlayKey) {
+      overlayKey = generateOverlayKey();
+      await db.query('UPDATE creators SET overlay_key = ? WHERE id = ?', [overlayKey, creator.id]);
+    }
+
+    res.status(200).json({ creatorId: creator.id, overlayKey });
+  } catch (error) {
+    console.error('❌ Error fetching overlay key:', error);
+    res.status(500).json({ error: 'Failed to fetch overlay key.' });
+  }
+};
+
+// Rotate the overlay key; overlays using the old key are disconnected
+const rotateOverlayKey = async (req, res) => {
+  try {
+    const creatorId = req.targetCreator.id;
+    const overlayKey = generateOverlayKey();
+
+    await db.query('UPDATE creators SET overlay_key = ? WHERE id = ?', [overlayKey, creatorId]);
+    disconnectOverlays(creatorId);
+
+    res.status(200).json({ message: 'Overlay key rotated successfully!', creatorId, overlayKey });
+  } catch (error) {
+    console.error('❌ Error rotating overlay key:', error);
+    res.status(500).json({ error: 'Failed to rotate overlay key.' });
+  }
+};
+
 // Get TTS requests for a specific creator
 const getTTSRequestsForCreator = async (req, res) => {
     try {
@@ -105,11 +160,98 @@ const getTTSRequestsForCreator = async (req, res) => {
     }
   };
 
+// Get a creator's TTS approval mode (owner or admin)
+const getTTSApprovalSettings = async (req, res) => {
+  const creator = req.targetCreator;
+  res.status(200).json({
+    creatorId: creator.id,
+    requireApproval: Boolean(creator.require_tts_approval),
+    stage: creator.tts_approval_stage || 'before_synthesis',
+    stages: APPROVAL_STAGES,
+  });
+};
+
+// Turn TTS approval on or off and choose whether review happens before or after synthesis.
+// Applies to new requests only; requests already in flight keep the stage they were created with.
+const updateTTSApprovalSettings = async (req, res) => {
+  try {
+    const creator = req.targetCreator;
+    const requireApproval = req.body.requireApproval ?? Boolean(creator.require_tts_approval);
+    const stage = req.body.stage ?? (creator.tts_approval_stage || 'before_synthesis');
+
+    if (typeof requireApproval !== 'boolean') {
+      return res.status(400).json({ error: 'requireApproval must be a boolean.' });
+    }
+    if (!APPROVAL_STAGES.includes(stage)) {
+      return res.status(400).json({ error: `stage must be one of: ${APPROVAL_STAGES.join(', ')}.` });
+    }
+
+    await db.query('UPDATE creators SET require_tts_approval = ?, tts_approval_stage = ? WHERE id = ?', [
+      requireApproval,
+      stage,
+      creator.id,
+    ]);
+
+    res.status(200).json({ message: 'TTS approval settings updated successfully!', requireApproval, stage });
+  } catch (error) {
+    console.error('❌ Error updating TTS approval settings:', error);
+    res.status(500).json({ error: 'Failed to update TTS approval settings.' });
+  }
+};
+
+// Set how often a single user may send TTS to this creator (0 disables the cooldown)
+const updateTTSCooldown = async (req, res) => {
+  try {
+    const seconds = req.body.seconds;
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > 3600) {
+      return res.status(400).json({ error: 'seconds must be an integer between 0 and 3600.' });
+    }
+
+    await db.query('UPDATE creators SET tts_cooldown_seconds = ? WHERE id = ?', [seconds, req.targetCreator.id]);
+    res.status(200).json({ message: 'TTS cooldown updated successfully!', seconds });
+  } catch (error) {
+    console.error('❌ Error updating TTS cooldown:', error);
+    res.status(500).json({ error: 'Failed to update TTS cooldown.' });
+  }
+};
+
+// Paid TTS: minimum tip for a TTS message, price per character and what happens when paid TTS fails
+const getTTSPricing = async (req, res) => {
+  try {
+    const pricing = await ttsPricing.getPricing(req.targetCreator.id);
+    res.status(200).json({ creatorId: req.targetCreator.id, ...pricing, failureRemedies: ttsPricing.FAILURE_REMEDIES });
+  } catch (error) {
+    console.error('❌ Error fetching TTS pricing:', error);
+    res.status(500).json({ error: 'Failed to fetch TTS pricing.' });
+  }
+};
+
+const updateTTSPricing = async (req, res) => {
+  try {
+    const { minTip, pricePerCharacter, failureRemedy } = req.body;
+    const pricing = await ttsPricing.updatePricing(req.targetCreator.id, { minTip, pricePerCharacter, failureRemedy });
+    res.status(200).json({ message: 'TTS pricing updated successfully!', ...pricing });
+  } catch (error) {
+    if (error instanceof ttsPricing.TTSPricingError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('❌ Error updating TTS pricing:', error);
+    res.status(500).json({ error: 'Failed to update TTS pricing.' });
+  }
+};
+
 module.exports = {
   getCreators,
   getCreatorById,
   createCreator,
   updateCreator,
   deleteCreator,
+  getOverlayKey,
+  rotateOverlayKey,
   getTTSRequestsForCreator,
+  getTTSApprovalSettings,
+  updateTTSApprovalSettings,
+  updateTTSCooldown,
+  getTTSPricing,
+  updateTTSPricing,
 };
@@ -0,0 +1,87 @@
+// controllers/goalsController.js
+
+const logger = require('../logger');
+const goalService = require('../services/goalService');
+
+const handleGoalError = (res, error, context, fallbackMessage) => {
+  if (error instanceof goalService.GoalError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`❌ Error in ${context}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * List a creator's goals (archived ones with ?includeArchived=true)
+ * GET /api/creators/:id/goals
+ */
+const listGoals = async (req, res) => {
+  try {
+    const goals = await goalService.listGoals(req.targetCreator.id, { includeArchived: req.query.includeArchived === 'true' });
+    res.status(200).json({ goals });
+  } catch (error) {
+    handleGoalError(res, error, 'listGoals', 'Failed to fetch goals.');
+  }
+};
+
+/**
+ * Create a goal; pass activate: true to make it the active goal right away
+ * POST /api/creators/:id/goals
+ */
+const createGoal = async (req, res) => {
+  try {
+    const { title, description, targetAmount, deadline, activate } = req.body;
+    const goal = await goalService.createGoal(req.targetCreator.id, { title, description, targetAmount, deadline, activate });
+    res.status(201).json({ message: 'Goal created successfully.', goal });
+  } catch (error) {
+    handleGoalError(res, error, 'createGoal', 'Failed to create goal.');
+  }
+};
+
+/**
+ * Edit a goal's title, description, target or deadline
+ * PATCH /api/creators/:id/goals/:goalId
+ */
+const updateGoal = async (req, res) => {
+  try {
+    const { title, description, targetAmount, deadline } = req.body;
+    const goal = await goalService.updateGoal(req.targetCreator.id, req.params.goalId, { title, description, targetAmount, deadline });
+    res.status(200).json({ message: 'Goal updated successfully.', goal });
+  } catch (error) {
+    handleGoalError(res, error, 'updateGoal', 'Failed to update goal.');
+  }
+};
+
+/**
+ * Make a goal the active one (the previous active goal becomes inactive)
+ * POST /api/creators/:id/goals/:goalId/activate
+ */
+const activateGoal = async (req, res) => {
+  try {
+    const goal = await goalService.activateGoal(req.targetCreator.id, req.params.goalId);
+    res.status(200).json({ message: 'Goal activated successfully.', goal });
+  } catch (error) {
+    handleGoalError(res, error, 'activateGoal', 'Failed to activate goal.');
+  }
+};
+
+/**
+ * Archive a goal
+ * POST /api/creators/:id/goals/:goalId/archive
+ */
+const archiveGoal = async (req, res) => {
+  try {
+    const goal = await goalService.archiveGoal(req.targetCreator.id, req.params.goalId);
+    res.status(200).json({ message: 'Goal archived successfully.', goal });
+  } catch (error) {
+    handleGoalError(res, error, 'archiveGoal', 'Failed to archive goal.');
+  }
+};
+
+module.exports = {
+  listGoals,
+  createGoal,
+  updateGoal,
+  activateGoal,
+  archiveGoal,
+};
@@ -0,0 +1,33 @@
+// controllers/healthController.js
+
+const logger = require('../logger');
+const { getReadiness } = require('../services/healthService');
+
+/**
+ * Liveness: the process is up and its event loop is responding. Does not
+ * touch dependencies, so a database outage never gets the API restarted.
+ * GET /healthz
+ */
+const getLiveness = (req, res) => {
+  res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+};
+
+/**
+ * Readiness: MySQL, Redis (Bull) and storage are reachable and the process
+ * is not shutting down. 503 tells the load balancer to stop routing here.
+ * GET /readyz
+ */
+const getReadinessStatus = async (req, res) => {
+  try {
+    const { ready, shuttingDown, checks } = await getReadiness();
+    if (!ready) {
+      logger.warn('Readiness check failed:', { shuttingDown, checks });
+    }
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', shuttingDown, checks });
+  } catch (error) {
+    logger.error('❌ Error in getReadinessStatus:', error);
+    res.status(503).json({ status: 'unavailable', error: 'Readiness check failed.' });
+  }
+};
+
+module.exports = { getLiveness, getReadinessStatus };
@@ -0,0 +1,71 @@
+// controllers/ledgerController.js
+
+const logger = require('../logger');
+const ledgerService = require('../services/ledgerService');
+
+/**
+ * Get the logged-in user's total tipped amount
+ * GET /api/ledger/balance
+ */
+const getMyBalance = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const spentCents = await ledgerService.getBalanceCents('user', userId, ledgerService.ACCOUNT_KINDS.TIPPER_SPEND);
+
+    res.status(200).json({ userId, totalTipped: ledgerService.fromCents(spentCents) });
+  } catch (error) {
+    logger.error('❌ Error in getMyBalance:', error);
+    res.status(500).json({ error: 'Failed to fetch balance.' });
+  }
+};
+
+/**
+ * Get a creator's earnings balance (creator's own account or admin)
+ * GET /api/creators/:id/balance
+ */
+const getCreatorBalance = async (req, res) => {
+  try {
+    // Ownership is enforced by requireCreatorOwnership on the route
+    const { id } = req.targetCreator;
+    const balanceCents = await ledgerService.getBalanceCents('creator', id, ledgerService.ACCOUNT_KINDS.CREATOR_EARNINGS);
+
+    res.status(200).json({ creatorId: id, balance: ledgerService.fromCents(balanceCents) });
+  } catch (error) {
+    logger.error('❌ Error in getCreatorBalance:', error);
+    res.status(500).json({ error: 'Failed to fetch creator balance.' });
+  }
+};
+
+/**
+ * Verify that every ledger transaction balances (admin)
+ * GET /api/ledger/audit
+ */
+const auditLedger = async (req, res) => {
+  try {
+    const unbalanced = await ledgerService.findUnbalancedTransactions();
+    if (unbalanced.length > 0) {
+      logger.error(`❌ Ledger audit found ${unbalanced.length} unbalanced transactions`, { unbalanced });
+    }
+
+    const platformRevenueCents = await ledgerService.getBalanceCents(
+      'platform',
+      ledgerService.PLATFORM_OWNER_ID,
+      ledgerService.ACCOUNT_KINDS.PLATFORM_REVENUE
+    );
+
+    res.status(200).json({
+      balanced: unbalanced.length === 0,
+      unbalancedTransactions: unbalanced,
+      platformRevenue: ledgerService.fromCents(platformRevenueCents),
+    });
+  } catch (error) {
+    logger.error('❌ Error in auditLedger:', error);
+    res.status(500).json({ error: 'Failed to audit ledger.' });
+  }
+};
+
+module.exports = {
+  getMyBalance,
+  getCreatorBalance,
+  auditLedger,
+};
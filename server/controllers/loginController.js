@@ -1,7 +1,8 @@
 const bcrypt = require('bcryptjs');
 
-const jwt = require('jsonwebtoken');
 const db = require('../db'); // Updated to use the index.js
+const { createSession } = require('../services/tokenService');
+const { recordLoginFailure, clearLoginFailures } = require('../middlewares/rateLimit');
 
 
 // User Login
@@ -16,44 +17,43 @@ exports.loginUser = async (req, res) => {
     // Check if the email exists
     const [user] = await db.query('SELECT * FROM users WHERE email = ?', [email]);
     if (user.length === 0) {
+      await recordLoginFailure(email, req.ip);
       return res.status(400).json({ error: 'Invalid credentials.' });
     }
 
     // Compare the password
     const isMatch = await bcrypt.compare(password, user[0].password);
     if (!isMatch) {
+      await recordLoginFailure(email, req.ip);
       return res.status(400).json({ error: 'Invalid credentials.' });
     }
+    await clearLoginFailures(email);
 
-    // Check if the user is a creator
-    let creatorInfo = null;
-    if (user[0].is_creator) {
-      const [creator] = await db.query(
-        'SELECT * FROM creators WHERE user_id = ?',
-        [user[0].id]
-      );
-      creatorInfo = creator.length > 0 ? creator[0] : null;
-    }
+    // A user is a creator if they own a creator profile
+    const [creator] = await db.query('SELECT id FROM creators WHERE user_id = ?', [user[0].id]);
+    const creatorInfo = creator.length > 0 ? creator[0] : null;
 
-    // Generate a JWT token
-    const token = jwt.sign(
-      { userId: user[0].id, email: user[0].email, role: user[0].role },
-      process.env.ACCESS_TOKEN_SECRET,
-      { expiresIn: '1h' }
-    );
+    // Start a session: short-lived access token plus a rotating refresh token
+    const { accessToken, refreshToken, expiresIn } = await createSession(user[0], {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+    });
 
-    // Prepare response data
+    // Prepare response data (never echo the password hash)
+    const { password: _password, ...userData } = user[0];
     const responseData = {
       message: 'Logged in successfully!',
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
       user: {
-        ...user[0],
+        ...userData,
         creatorId: creatorInfo ? creatorInfo.id : null,
       },
     };
 
     // Log the response data
-    console.log('Login Response:', responseData);
+    console.log('Login Response:', { userId: userData.id, creatorId: responseData.user.creatorId });
 
     // Send the response
     res.status(200).json(responseData);
@@ -0,0 +1,103 @@
+// controllers/moderationController.js
+
+const logger = require('../logger');
+const moderationService = require('../services/moderationService');
+
+const handleModerationError = (res, error, context, fallbackMessage) => {
+  if (error instanceof moderationService.ModerationError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`❌ Error in ${context}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Get a creator's moderation settings and rules (owner, moderator or admin)
+ * GET /api/creators/:id/moderation
+ */
+const getModeration = async (req, res) => {
+  try {
+    const creatorId = req.targetCreator.id;
+    const [settings, rules] = await Promise.all([
+      moderationService.getSettings(creatorId),
+      moderationService.listRules(creatorId),
+    ]);
+    res.status(200).json({ creatorId, settings, rules });
+  } catch (error) {
+    handleModerationError(res, error, 'getModeration', 'Failed to fetch moderation settings.');
+  }
+};
+
+/**
+ * Update a creator's moderation settings
+ * PUT /api/creators/:id/moderation
+ */
+const updateModerationSettings = async (req, res) => {
+  try {
+    const { maxLength, stripLinks, stripPhoneNumbers, collapseRepeats } = req.body;
+    const input = Object.fromEntries(
+      Object.entries({ maxLength, stripLinks, stripPhoneNumbers, collapseRepeats }).filter(([, value]) => value !== undefined)
+    );
+
+    const settings = await moderationService.updateSettings(req.targetCreator.id, input);
+    logger.info(`Moderation settings updated for creator ${req.targetCreator.id} by user ${req.user.userId}`);
+    res.status(200).json({ message: 'Moderation settings updated successfully!', settings });
+  } catch (error) {
+    handleModerationError(res, error, 'updateModerationSettings', 'Failed to update moderation settings.');
+  }
+};
+
+/**
+ * Add a banned word or regex
+ * POST /api/creators/:id/moderation/rules   { type: 'word'|'regex', pattern, action: 'redact'|'reject' }
+ */
+const addModerationRule = async (req, res) => {
+  try {
+    const rule = await moderationService.addRule(req.targetCreator.id, req.body);
+    logger.info(`Moderation rule ${rule.id} added for creator ${req.targetCreator.id} by user ${req.user.userId}`);
+    res.status(201).json({ message: 'Moderation rule added successfully!', rule });
+  } catch (error) {
+    handleModerationError(res, error, 'addModerationRule', 'Failed to add moderation rule.');
+  }
+};
+
+/**
+ * Remove a banned word or regex
+ * DELETE /api/creators/:id/moderation/rules/:ruleId
+ */
+const deleteModerationRule = async (req, res) => {
+  try {
+    const deleted = await moderationService.deleteRule(req.targetCreator.id, req.params.ruleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Moderation rule not found.' });
+    }
+    res.status(200).json({ message: 'Moderation rule deleted successfully!' });
+  } catch (error) {
+    handleModerationError(res, error, 'deleteModerationRule', 'Failed to delete moderation rule.');
+  }
+};
+
+/**
+ * Dry-run a message through the creator's moderation pipeline
+ * POST /api/creators/:id/moderation/preview   { message }
+ */
+const previewModeration = async (req, res) => {
+  try {
+    const { message } = req.body;
+    if (!message) {
+      return res.status(400).json({ error: 'message is required.' });
+    }
+    const result = await moderationService.moderateMessage(message, { creatorId: req.targetCreator.id });
+    res.status(200).json(result);
+  } catch (error) {
+    handleModerationError(res, error, 'previewModeration', 'Failed to preview moderation.');
+  }
+};
+
+module.exports = {
+  getModeration,
+  updateModerationSettings,
+  addModerationRule,
+  deleteModerationRule,
+  previewModeration,
+};
@@ -0,0 +1,110 @@
+// controllers/overlayController.js
+
+const db = require('../db');
+const logger = require('../logger');
+const overlayConfigService = require('../services/overlayConfigService');
+const goalService = require('../services/goalService');
+const { emitToCreator } = require('../socket');
+
+/**
+ * Get a creator's overlay configuration (owner or admin)
+ * GET /api/creators/:id/overlay
+ */
+const getOverlayConfig = async (req, res) => {
+  try {
+    const config = await overlayConfigService.getConfig(req.targetCreator.id);
+    res.status(200).json({ creatorId: req.targetCreator.id, placeholders: overlayConfigService.PLACEHOLDERS, config });
+  } catch (error) {
+    logger.error('❌ Error in getOverlayConfig:', error);
+    res.status(500).json({ error: 'Failed to fetch overlay configuration.' });
+  }
+};
+
+/**
+ * Replace a creator's overlay configuration and push it to connected overlays
+ * PUT /api/creators/:id/overlay
+ */
+const updateOverlayConfig = async (req, res) => {
+  try {
+    const creatorId = req.targetCreator.id;
+    const config = await overlayConfigService.saveConfig(creatorId, req.body);
+
+    emitToCreator(creatorId, 'overlay-config-updated', { creatorId, config });
+    logger.info(`Overlay configuration updated for creator ${creatorId}`);
+
+    res.status(200).json({ message: 'Overlay configuration updated successfully!', config });
+  } catch (error) {
+    if (error instanceof overlayConfigService.OverlayConfigError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('❌ Error in updateOverlayConfig:', error);
+    res.status(500).json({ error: 'Failed to update overlay configuration.' });
+  }
+};
+
+/**
+ * Resolves the creator of an overlay token (X-Overlay-Token header or ?token=),
+ * or responds 401/403 and returns null.
+ */
+const findOverlayCreator = async (req, res) => {
+  const token = req.headers['x-overlay-token'] || req.query.token;
+  if (!token) {
+    res.status(401).json({ error: 'Overlay token is required.' });
+    return null;
+  }
+
+  const [creators] = await db.query('SELECT id, display_name FROM creators WHERE overlay_key = ?', [token]);
+  if (creators.length === 0) {
+    res.status(403).json({ error: 'Invalid overlay token.' });
+    return null;
+  }
+  return creators[0];
+};
+
+/**
+ * Read-only configuration for the OBS browser source, authenticated by the overlay token
+ * GET /api/overlay/config?token=<overlay key>   (or X-Overlay-Token header)
+ */
+const getPublicOverlayConfig = async (req, res) => {
+  try {
+    const creator = await findOverlayCreator(req, res);
+    if (!creator) return;
+
+    const config = await overlayConfigService.getConfig(creator.id);
+    res.status(200).json({
+      creatorId: creator.id,
+      displayName: creator.display_name,
+      config,
+      // Connect with io('/overlay', { auth: { overlayKey: token } }) to receive live events
+      socket: { namespace: '/overlay' },
+    });
+  } catch (error) {
+    logger.error('❌ Error in getPublicOverlayConfig:', error);
+    res.status(500).json({ error: 'Failed to fetch overlay configuration.' });
+  }
+};
+
+/**
+ * The creator's active tip goal for the goal widget, authenticated by the overlay token.
+ * Live updates arrive as goal-progress, goal-reached and goal-updated on the overlay socket.
+ * GET /api/overlay/goal?token=<overlay key>   (or X-Overlay-Token header)
+ */
+const getPublicGoal = async (req, res) => {
+  try {
+    const creator = await findOverlayCreator(req, res);
+    if (!creator) return;
+
+    const goal = await goalService.getActiveGoal(creator.id);
+    res.status(200).json({ creatorId: creator.id, goal });
+  } catch (error) {
+    logger.error('❌ Error in getPublicGoal:', error);
+    res.status(500).json({ error: 'Failed to fetch goal.' });
+  }
+};
+
+module.exports = {
+  getOverlayConfig,
+  updateOverlayConfig,
+  getPublicOverlayConfig,
+  getPublicGoal,
+};
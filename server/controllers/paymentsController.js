@@ -0,0 +1,47 @@
+// controllers/paymentsController.js
+
+const logger = require('../logger');
+const paymentService = require('../services/paymentService');
+const { WebhookSignatureError, PaymentProviderError } = require('../services/paymentProviders');
+
+/**
+ * Receive a payment provider webhook
+ * POST /api/payments/webhooks/:provider
+ */
+const handleProviderWebhook = async (req, res) => {
+  const { provider } = req.params;
+  try {
+    const result = await paymentService.handleWebhook(provider, req.rawBody, req.headers);
+    res.status(200).json({ received: true, ...result });
+  } catch (error) {
+    if (error instanceof WebhookSignatureError || error instanceof PaymentProviderError) {
+      logger.warn(`Rejected ${provider} webhook: ${error.message}`);
+      return res.status(400).json({ error: error.message });
+    }
+    // A 5xx makes the provider redeliver the event later
+    logger.error(`❌ Error handling ${provider} webhook:`, error);
+    res.status(500).json({ error: 'Failed to process webhook.' });
+  }
+};
+
+/**
+ * Poll a payment intent created by the logged-in user
+ * GET /api/payments/intents/:id
+ */
+const getPaymentIntent = async (req, res) => {
+  try {
+    const intent = await paymentService.getIntentForTipper(req.params.id, req.user.userId);
+    if (!intent) {
+      return res.status(404).json({ error: 'Payment intent not found.' });
+    }
+    res.status(200).json(intent);
+  } catch (error) {
+    logger.error('❌ Error in getPaymentIntent:', error);
+    res.status(500).json({ error: 'Failed to fetch payment intent.' });
+  }
+};
+
+module.exports = {
+  handleProviderWebhook,
+  getPaymentIntent,
+};
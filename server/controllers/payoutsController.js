@@ -0,0 +1,115 @@
+// controllers/payoutsController.js
+
+const logger = require('../logger');
+const payoutService = require('../services/payoutService');
+
+const MAX_PAGE_SIZE = 100;
+
+// Payouts are created 'pending'; admins may only move them on from there
+const UPDATABLE_STATUSES = payoutService.PAYOUT_STATUSES.filter((status) => status !== 'pending');
+
+/**
+ * List a creator's payouts
+ * GET /api/creators/:id/payouts
+ */
+const listPayouts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: 'page must be a positive integer.' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+    }
+
+    const payouts = await payoutService.listCreatorPayouts(id, { limit, offset: (page - 1) * limit });
+
+    res.status(200).json({ page, limit, payouts });
+  } catch (error) {
+    logger.error('❌ Error in listPayouts:', error);
+    res.status(500).json({ error: 'Failed to fetch payouts.' });
+  }
+};
+
+/**
+ * Get a single payout
+ * GET /api/creators/:id/payouts/:payoutId
+ */
+const getPayout = async (req, res) => {
+  try {
+    const { id, payoutId } = req.params;
+    const payout = await payoutService.getCreatorPayout(id, payoutId);
+    if (!payout) {
+      return res.status(404).json({ error: 'Payout not found.' });
+    }
+
+    res.status(200).json(payout);
+  } catch (error) {
+    logger.error('❌ Error in getPayout:', error);
+    res.status(500).json({ error: 'Failed to fetch payout.' });
+  }
+};
+
+/**
+ * Pay out a creator's current balance now (admin)
+ * POST /api/creators/:id/payouts
+ */
+const triggerPayout = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await payoutService.runPayouts({
+      creatorIds: [Number(id)],
+      triggeredBy: `admin:${req.user.userId}`,
+    });
+
+    if (result.unverifiedCreatorIds.includes(Number(id))) {
+      return res.status(409).json({ error: 'The creator must verify their email before receiving payouts.', ...result });
+    }
+    if (!result.batchId) {
+      return res.status(200).json({ message: 'Creator balance is below the payout threshold.', ...result });
+    }
+
+    res.status(201).json({ message: 'Payout batch created.', ...result });
+  } catch (error) {
+    logger.error('❌ Error in triggerPayout:', error);
+    res.status(500).json({ error: 'Failed to create payout.' });
+  }
+};
+
+/**
+ * Update a payout's status, e.g. mark a returned transfer as reversed (admin)
+ * PATCH /api/creators/:id/payouts/:payoutId
+ */
+const updatePayoutStatus = async (req, res) => {
+  try {
+    const { id, payoutId } = req.params;
+    const { status, providerReference, failureReason } = req.body;
+
+    if (!UPDATABLE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status provided. Use one of: ${UPDATABLE_STATUSES.join(', ')}.` });
+    }
+
+    const existing = await payoutService.getCreatorPayout(id, payoutId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Payout not found.' });
+    }
+
+    const payout = await payoutService.updatePayoutStatus(payoutId, status, { providerReference, failureReason });
+    res.status(200).json({ message: `Payout status updated to: ${status}`, payout });
+  } catch (error) {
+    if (error instanceof payoutService.PayoutError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('❌ Error in updatePayoutStatus:', error);
+    res.status(500).json({ error: 'Failed to update payout status.' });
+  }
+};
+
+module.exports = {
+  listPayouts,
+  getPayout,
+  triggerPayout,
+  updatePayoutStatus,
+};
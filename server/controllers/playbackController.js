@@ -0,0 +1,87 @@
+// controllers/playbackController.js
+
+const logger = require('../logger');
+const playbackQueue = require('../services/playbackQueueService');
+
+const handlePlaybackError = (res, error, context, fallbackMessage) => {
+  if (error instanceof playbackQueue.PlaybackError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`❌ Error in ${context}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Current item, queued items and recent history of a creator's overlay
+ * GET /api/creators/:id/playback
+ */
+const getPlaybackState = async (req, res) => {
+  try {
+    const state = await playbackQueue.getState(req.targetCreator.id);
+    res.status(200).json(state);
+  } catch (error) {
+    handlePlaybackError(res, error, 'getPlaybackState', 'Failed to fetch playback queue.');
+  }
+};
+
+/**
+ * Skip the playing item, or remove a queued one
+ * POST /api/creators/:id/playback/skip   { playbackId? }
+ */
+const skipPlayback = async (req, res) => {
+  try {
+    const playbackId = await playbackQueue.skip(req.targetCreator.id, req.body.playbackId || null);
+    logger.info(`User ${req.user.userId} skipped playback item ${playbackId} for creator ${req.targetCreator.id}`);
+    res.status(200).json({ message: 'Playback item skipped.', playbackId });
+  } catch (error) {
+    handlePlaybackError(res, error, 'skipPlayback', 'Failed to skip playback item.');
+  }
+};
+
+/**
+ * Play a finished item again, next in line
+ * POST /api/creators/:id/playback/replay   { playbackId }
+ */
+const replayPlayback = async (req, res) => {
+  try {
+    const { playbackId } = req.body;
+    if (!playbackId) {
+      return res.status(400).json({ error: 'playbackId is required.' });
+    }
+    const replayId = await playbackQueue.replay(req.targetCreator.id, playbackId);
+    res.status(201).json({ message: 'Playback item queued for replay.', playbackId: replayId });
+  } catch (error) {
+    handlePlaybackError(res, error, 'replayPlayback', 'Failed to replay playback item.');
+  }
+};
+
+/**
+ * Pause or resume delivery to the overlay
+ * POST /api/creators/:id/playback/pause
+ * POST /api/creators/:id/playback/resume
+ */
+const pausePlayback = async (req, res) => {
+  try {
+    await playbackQueue.pause(req.targetCreator.id);
+    res.status(200).json({ message: 'Playback paused.' });
+  } catch (error) {
+    handlePlaybackError(res, error, 'pausePlayback', 'Failed to pause playback.');
+  }
+};
+
+const resumePlayback = async (req, res) => {
+  try {
+    await playbackQueue.resume(req.targetCreator.id);
+    res.status(200).json({ message: 'Playback resumed.' });
+  } catch (error) {
+    handlePlaybackError(res, error, 'resumePlayback', 'Failed to resume playback.');
+  }
+};
+
+module.exports = {
+  getPlaybackState,
+  skipPlayback,
+  replayPlayback,
+  pausePlayback,
+  resumePlayback,
+};
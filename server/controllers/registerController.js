@@ -1,7 +1,10 @@
 const bcrypt = require('bcryptjs');
 
-const jwt = require('jsonwebtoken'); // Add this line to import jwt
 const db = require('../db'); // Updated to use the index.js
+const logger = require('../logger');
+const { createSession } = require('../services/tokenService');
+const { sendVerificationEmail } = require('../services/emailTokenService');
+const { SELF_ASSIGNABLE_ROLES } = require('../middlewares/authorize');
 
 // User Registration
 exports.registerUser = async (req, res) => {
@@ -21,27 +24,46 @@ exports.registerUser = async (req, res) => {
     // Hash the password
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Use 'tipper' as the default role if not provided
+    // Use 'tipper' as the default role if not provided; staff roles cannot be self-assigned
     const userRole = role || 'tipper';
+    if (!SELF_ASSIGNABLE_ROLES.includes(userRole)) {
+      return res.status(400).json({ error: `Role must be one of: ${SELF_ASSIGNABLE_ROLES.join(', ')}.` });
+    }
 
     // Insert the new user
-    await db.query('INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)', [
+    const [result] = await db.query('INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)', [
       username,
       email,
       hashedPassword,
       userRole,
     ]);
 
-    // Generate a JWT token
-    const token = jwt.sign({ email, username, role: userRole }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    // Start a session with the same token service used by login
+    const user = { id: result.insertId, username, email, role: userRole };
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+    });
+
+    // A mail outage must not fail the signup; the user can ask for a new link later
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      verificationEmailSent = false;
+      logger.error('❌ Failed to send verification email after registration:', error);
+    }
 
     res.status(201).json({
-      message: 'User registered successfully!',
-      token,
-      user: { username, email, role: userRole },
+      message: 'User registered successfully! Check your inbox to verify your email.',
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      user: { ...user, emailVerified: false },
+      verificationEmailSent,
     });
   } catch (error) {
-    console.error('❌ Error in Register Controller - registerUser:', error);
+    logger.error('❌ Error in Register Controller - registerUser:', error);
     res.status(500).json({ error: 'Server Error' });
   }
 };
\ No newline at end of file
@@ -1,30 +1,109 @@
-const db = require('../db'); // Updated to use the index.js
-const socket = require('../socket');
+const db = require('../db');
+const logger = require('../logger');
+const { createTipIntent } = require('../services/paymentService');
+const { TipValidationError } = require('../services/tipService');
+const { reverseTip } = require('../services/tipReversalService');
+const { PaymentProviderError } = require('../services/paymentProviders');
+const { canActOnCreator } = require('../middlewares/authorize');
 
 // 1. Send a Tip
+// Creates a payment intent; the tip is only recorded (and shown on stream)
+// once the payment provider confirms it via webhook.
 exports.sendTip = async (req, res) => {
   try {
-    const { streamerId, tipAmount, message } = req.body;
+    const { streamerId, tipAmount, message, ttsMessage, ttsVoice } = req.body;
 
     if (!streamerId || !tipAmount) {
       return res.status(400).json({ error: 'Streamer ID and tip amount are required.' });
     }
 
-    // Broadcast the tip to the streamer using Socket.IO
-    const io = socket.getIO();
-    if (io) {
-      io.to(streamerId).emit('receive-tip', { tipAmount, message });
+    const intent = await createTipIntent({
+      creatorId: streamerId,
+      tipperId: req.user.userId,
+      amount: tipAmount,
+      message,
+      tts: ttsMessage ? { message: ttsMessage, voice: ttsVoice || 'default' } : null,
+    });
+
+    res.status(201).json({ message: 'Payment intent created. Complete payment to send the tip.', ...intent });
+  } catch (error) {
+    if (error instanceof TipValidationError) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    if (error instanceof PaymentProviderError) {
+      // A provider that answered with a client error refused this payment; anything else is an outage
+      logger.error(`❌ Payment provider error in Tips Controller - sendTip: ${error.message}`);
+      if (error.statusCode && error.statusCode < 500) {
+        return res.status(502).json({ error: `Payment provider refused the payment: ${error.message}` });
+      }
+      return res.status(503).json({ error: 'Payment provider unavailable. Please try again later.' });
+    }
+    logger.error('❌ Error in Tips Controller - sendTip:', error);
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
 
-    // Save the tip to the database
-    await db.query(
-      'INSERT INTO tips (creator_id, tipper_id, amount, message, platform_fee) VALUES (?, ?, ?, ?, ?)',
-      [streamerId, req.user.userId, tipAmount, message, tipAmount * 0.1]
+// 2. Refund a Tip (receiving creator or admin)
+exports.refundTip = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, flagTipper } = req.body;
+
+    const [tips] = await db.query(
+      'SELECT t.id, c.user_id FROM tips t JOIN creators c ON c.id = t.creator_id WHERE t.id = ?',
+      [id]
     );
+    if (tips.length === 0) {
+      return res.status(404).json({ error: 'Tip not found.' });
+    }
+    if (!canActOnCreator(req.user, tips[0])) {
+      return res.status(403).json({ error: 'You do not have permission to refund this tip.' });
+    }
+
+    const reversal = await reverseTip(id, {
+      kind: 'refund',
+      reason: reason || null,
+      flagTipper: Boolean(flagTipper),
+      refundWithProvider: true,
+      initiatedBy: `${req.user.role}:${req.user.userId}`,
+    });
+
+    if (reversal.alreadyReversed) {
+      return res.status(409).json({ error: 'Tip has already been reversed.', ...reversal });
+    }
 
-    res.status(200).json({ message: 'Tip sent successfully!' });
+    res.status(200).json({ message: 'Tip refunded successfully!', ...reversal });
   } catch (error) {
-    console.error('❌ Error in Tips Controller - sendTip:', error);
+    if (error instanceof TipValidationError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error instanceof PaymentProviderError) {
+      return res.status(502).json({ error: `Payment provider refused the refund: ${error.message}` });
+    }
+    logger.error('❌ Error in Tips Controller - refundTip:', error);
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+// 3. Record a Chargeback reported outside the provider webhook (admin)
+exports.chargeBackTip = async (req, res) => {
+  try {
+    const reversal = await reverseTip(req.params.id, {
+      kind: 'chargeback',
+      reason: req.body.reason || null,
+      initiatedBy: `admin:${req.user.userId}`,
+    });
+
+    if (reversal.alreadyReversed) {
+      return res.status(409).json({ error: 'Tip has already been reversed.', ...reversal });
+    }
+
+    res.status(200).json({ message: 'Chargeback recorded successfully!', ...reversal });
+  } catch (error) {
+    if (error instanceof TipValidationError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('❌ Error in Tips Controller - chargeBackTip:', error);
     res.status(500).json({ error: 'Server Error' });
   }
 };
@@ -1,9 +1,39 @@
 // controllers/ttsController.js
 
+const path = require('path');
 const db = require('../db'); // Import the database connection
 const logger = require('../logger'); // For logging
-const ttsQueue = require('../queues/ttsQueue');
-const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  createTTSRequest,
+  listAwaitingApproval,
+  approveTTSRequests,
+  rejectTTSRequests,
+} = require('../services/ttsRequestService');
+const { resolveUrl } = require('../services/storage');
+const { createSignedDownloadUrl, verifyDownloadSignature } = require('../services/signedUrlService');
+const { emitToCreator } = require('../socket');
+const playbackQueue = require('../services/playbackQueueService');
+const voiceCatalog = require('../services/voiceCatalogService');
+const ttsPricing = require('../services/ttsPricingService');
+const moderationService = require('../services/moderationService');
+const { toCents } = require('../services/ledgerService');
+
+// Synthesized audio exists in these statuses: held for the creator's review, approved by them, or played
+const AUDIO_READY_STATUSES = ['awaiting_approval', 'approved', 'completed'];
+
+// Audio held for approval may only be previewed by the receiving creator and admins, not its requester
+const canPreviewAudio = (user, creatorUserId) => Boolean(user) && (user.userId === creatorUserId || user.role === 'admin');
+
+// Audio is only handed out as a signed download link, never as its storage URL
+const toDownloadUrl = (ttsRequestId, status, audioUrl, { preview = false } = {}) =>
+  AUDIO_READY_STATUSES.includes(status) && (preview || status !== 'awaiting_approval') && audioUrl
+    ? createSignedDownloadUrl(ttsRequestId)
+    : null;
+
+const withDownloadUrl = ({ audioUrl, ...ttsRequest }, options) => ({
+  ...ttsRequest,
+  downloadUrl: toDownloadUrl(ttsRequest.ttsRequestId, ttsRequest.status, audioUrl, options),
+});
 
 /**
  * Submit a TTS Request
@@ -11,25 +41,19 @@ const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
  */
 const submitTTSRequest = async (req, res) => {
   try {
-    const { message, voice, userId, creatorId } = req.body;
+    const { message, voice, creatorId } = req.body;
+    const userId = req.user.userId; // Identity always comes from the access token
 
     logger.info('Received TTS Request:', { message, voice, userId, creatorId });
 
     // Validate input fields
-    if (!userId || !message || !voice || !creatorId) {
+    if (!message || !voice || !creatorId) {
       logger.warn('Missing required fields in TTS Request:', { message, voice, userId, creatorId });
       return res.status(400).json({
-        error: 'All fields (userId, message, voice, creatorId) are required.',
+        error: 'All fields (message, voice, creatorId) are required.',
       });
     }
 
-    // Check if the user exists
-    const [userExists] = await db.query('SELECT id FROM users WHERE id = ?', [userId]);
-    if (userExists.length === 0) {
-      logger.warn(`Invalid user ID: ${userId}`);
-      return res.status(400).json({ error: 'Invalid user ID.' });
-    }
-
     // Check if the creator exists
     const [creatorExists] = await db.query('SELECT id FROM creators WHERE id = ?', [creatorId]);
     if (creatorExists.length === 0) {
@@ -37,47 +61,44 @@ const submitTTSRequest = async (req, res) => {
       return res.status(400).json({ error: 'Invalid creator ID.' });
     }
 
-    // Insert the TTS request into the database with 'pending' status
-    const [result] = await db.query(
-      'INSERT INTO tts_requests (user_id, creator_id, message, status, voice) VALUES (?, ?, ?, ?, ?)',
-      [userId, creatorId, message, 'pending', voice]
-    );
+    // Only voices the creator offers are accepted; stored as "<provider>:<providerVoiceId>"
+    let resolvedVoice;
+    try {
+      resolvedVoice = await voiceCatalog.resolveCreatorVoice(creatorId, voice);
+    } catch (error) {
+      if (error instanceof voiceCatalog.VoiceError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      throw error;
+    }
 
-    const ttsRequestId = result.insertId;
-    logger.info(`TTS Request Created with ID: ${ttsRequestId}`);
+    // Creators who charge for TTS only accept it bundled with a tip (POST /api/tips). Credit is
+    // only spent with a tip, so it is left out here: it must not make a priced message free.
+    const quote = await ttsPricing.quoteCents({ creatorId, userId: null, text: message, voice: resolvedVoice.key });
+    if (quote.requiresPayment) {
+      return res.status(402).json({
+        error: 'This creator charges for TTS messages. Send the message with a tip.',
+        quote: ttsPricing.formatQuote(quote),
+      });
+    }
 
-    // Update the status to 'processing'
-    await db.query('UPDATE tts_requests SET status = "processing" WHERE id = ?', [ttsRequestId]);
+    const { ttsRequestId, status, moderation } = await createTTSRequest({ userId, creatorId, message, voice: resolvedVoice.key });
 
-    // Emit a socket event for 'processing' status
-    if (req.app.io) {
-      const eventData = {
+    if (moderation.outcome === 'reject') {
+      return res.status(422).json({
+        error: 'Message was rejected by moderation.',
         ttsRequestId,
-        message,
-        voice,
-        userId,
-        creatorId,
-        status: 'processing',
-      };
-      req.app.io.to(`creator-room-${creatorId}`).emit('tts-request', eventData);
-      logger.info(
-        `Socket event emitted to creator-room-${creatorId} for TTS Request ID ${ttsRequestId}:`,
-        eventData
-      );
+        reasons: moderation.reasons,
+      });
     }
 
-    // Add the TTS processing job to the queue
-    await ttsQueue.add(
-      { ttsRequestId, message, voice, useS3: true },
-      { attempts: 3, backoff: { type: 'exponential', delay: 5000 } }
-    );
-    logger.info(`TTS Request ID ${ttsRequestId} added to the processing queue.`);
-
     // Send response
     if (!res.headersSent) {
       return res.status(201).json({
         message: 'TTS request submitted successfully!',
         ttsRequestId,
+        status,
+        moderation: { outcome: moderation.outcome, message: moderation.text, reasons: moderation.reasons },
       });
     }
   } catch (error) {
@@ -88,79 +109,165 @@ const submitTTSRequest = async (req, res) => {
   }
 };
 
+/**
+ * Quote a TTS Message
+ * POST /api/tts/quote
+ *
+ * Moderates the message and prices it for the creator: the tip it needs, the
+ * breakdown, and whether the tier for `amount` (or the required tip) allows it.
+ */
+const quoteTTSRequest = async (req, res) => {
+  try {
+    const { message, voice, creatorId, amount } = req.body;
+    if (!message || !creatorId) {
+      return res.status(400).json({ error: 'message and creatorId are required.' });
+    }
+
+    let amountCents = null;
+    if (amount !== undefined && amount !== null) {
+      amountCents = toCents(amount);
+      if (!Number.isInteger(amountCents) || amountCents < 0) {
+        return res.status(400).json({ error: 'amount must be a non-negative number.' });
+      }
+    }
+
+    const moderation = await moderationService.moderateMessage(message, { creatorId });
+    if (moderation.outcome === moderationService.OUTCOMES.REJECT) {
+      return res.status(422).json({ error: 'Message was rejected by moderation.', reasons: moderation.reasons });
+    }
+
+    const quote = await ttsPricing.quoteCents({
+      creatorId,
+      userId: req.user?.userId,
+      text: moderation.text,
+      voice,
+      amountCents,
+    });
+    return res.status(200).json({
+      creatorId: Number(creatorId),
+      message: moderation.text,
+      ...ttsPricing.formatQuote(quote, amountCents),
+    });
+  } catch (error) {
+    if (error instanceof voiceCatalog.VoiceError || error instanceof ttsPricing.TTSPricingError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('❌ Error in quoteTTSRequest:', error);
+    return res.status(500).json({ error: 'Failed to quote TTS request.' });
+  }
+};
+
 /**
  * Download TTS Audio
  * GET /api/tts/download/:id
+ *
+ * Authorized either by a signed link (?expires=&signature=) generated by the API,
+ * or by a bearer token belonging to the requester or the receiving creator.
+ * Audio awaiting approval is not served to the requester's token.
+ * Supports HTTP Range requests so players can seek and stream.
  */
 const downloadTTSAudio = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.query.userId;
+    const { expires, signature } = req.query;
 
-    logger.info(`Received download request for TTS ID: ${id}, User ID: ${userId}`);
-
-    if (!userId) {
-      logger.warn('User ID is missing in download request.');
-      return res.status(400).json({ error: 'User ID is required.' });
-    }
+    logger.info(`Received download request for TTS ID: ${id}, User ID: ${req.user?.userId}`);
 
     const [ttsRequests] = await db.query(
-      'SELECT audio_url, status FROM tts_requests WHERE id = ? AND user_id = ?',
-      [id, userId]
+      `SELECT tr.audio_url, tr.status, tr.user_id, c.user_id AS creator_user_id
+       FROM tts_requests tr
+       JOIN creators c ON tr.creator_id = c.id
+       WHERE tr.id = ?`,
+      [id]
     );
 
-    if (ttsRequests.length === 0) {
-      logger.warn(`TTS request not found or not associated with user ID: ${userId} for TTS ID: ${id}`);
+    if (signature) {
+      if (!verifyDownloadSignature(id, expires, signature)) {
+        logger.warn(`Invalid or expired download signature for TTS ID: ${id}`);
+        return res.status(403).json({ error: 'Download link is invalid or has expired.' });
+      }
+    } else if (!req.user) {
+      logger.warn(`Unauthenticated download request without signature for TTS ID: ${id}`);
+      return res.status(401).json({ error: 'Authentication or a signed link is required.' });
+    }
+
+    // Token holders may only fetch their own requests, requests sent to them as a creator,
+    // or anything if they are staff. Others get a 404 so ids of other users' requests are not disclosed.
+    const isAccessible =
+      ttsRequests.length > 0 &&
+      (signature ||
+        ttsRequests[0].user_id === req.user.userId ||
+        ttsRequests[0].creator_user_id === req.user.userId ||
+        ['admin', 'moderator'].includes(req.user.role));
+
+    if (!isAccessible) {
+      logger.warn(`TTS request not found or not accessible for TTS ID: ${id}`);
       return res.status(404).json({ error: 'TTS request not found or not associated with this user.' });
     }
 
     const { audio_url: audioUrl, status } = ttsRequests[0];
     logger.info(`TTS request found: ID: ${id}, Status: ${status}, Audio URL: ${audioUrl}`);
 
-    if (status !== 'completed') {
+    // Signed links to held audio are only issued to the creator (see listAwaitingApproval)
+    if (status === 'awaiting_approval' && !signature && !canPreviewAudio(req.user, ttsRequests[0].creator_user_id)) {
+      logger.warn(`User ${req.user.userId} may not preview TTS request ID ${id} before it is approved.`);
+      return res.status(403).json({ error: "Audio is awaiting the creator's approval." });
+    }
+
+    // Requests approved before synthesis are 'approved' while the audio is still being generated
+    if (!AUDIO_READY_STATUSES.includes(status) || !audioUrl) {
       logger.info(`TTS request ID ${id} is still being processed.`);
       return res.status(202).set('Retry-After', '5').json({
         message: 'Audio file is still being processed. Please retry after 5 seconds.',
       });
     }
 
-    if (!audioUrl) {
-      logger.warn(`Audio URL is not available for TTS request ID: ${id}`);
-      return res.status(400).json({ error: 'Audio file URL not available.' });
+    const resolved = resolveUrl(audioUrl);
+    if (!resolved) {
+      logger.error(`No storage backend recognizes audio URL for TTS request ID ${id}: ${audioUrl}`);
+      return res.status(500).json({ error: 'Audio file location is not recognized.' });
     }
 
-    const s3Url = new URL(audioUrl);
-    const bucketName = s3Url.host.split('.')[0];
-    const key = decodeURIComponent(s3Url.pathname.slice(1));
+    const { storage, key } = resolved;
+    logger.info(`Preparing to download audio from ${storage.name} storage. Key: ${key}`);
 
-    logger.info(`Preparing to download audio from S3. Bucket: ${bucketName}, Key: ${key}`);
+    const objectInfo = await storage.stat(key);
+    if (!objectInfo) {
+      logger.warn(`Audio object missing from ${storage.name} storage for TTS request ID ${id}: ${key}`);
+      return res.status(404).json({ error: 'Audio file not found.' });
+    }
 
-    const command = new GetObjectCommand({
-      Bucket: bucketName,
-      Key: key,
-    });
+    const totalLength = objectInfo.contentLength;
+    const ranges = req.headers.range ? req.range(totalLength, { combine: true }) : null;
 
-    const s3Client = new S3Client({
-      region: process.env.AWS_REGION,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      },
-    });
+    if (ranges === -1) {
+      return res.status(416).set('Content-Range', `bytes */${totalLength}`).end();
+    }
+
+    // Malformed or multi-part ranges fall back to sending the whole file
+    const range = Array.isArray(ranges) && ranges.length === 1 ? ranges[0] : null;
+    const { stream, contentType } = await storage.getStream(key, range);
 
-    const s3Response = await s3Client.send(command);
+    res.setHeader('Content-Type', contentType || objectInfo.contentType || 'audio/mpeg');
+    res.setHeader('Content-Disposition', `attachment; filename="audio-${id}${path.extname(key) || '.mp3'}"`);
+    res.setHeader('Accept-Ranges', 'bytes');
 
-    res.setHeader('Content-Type', 'audio/mpeg');
-    res.setHeader('Content-Disposition', `attachment; filename="audio-${id}.mp3"`);
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${totalLength}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', totalLength);
+    }
 
-    s3Response.Body.pipe(res).on('error', (err) => {
+    stream.pipe(res).on('error', (err) => {
       logger.error('Error streaming audio file:', err);
       if (!res.headersSent) {
         res.status(500).json({ error: 'Error streaming audio file.' });
       }
     });
 
-    logger.info(`Audio file streaming initiated for TTS request ID: ${id}`);
+    logger.info(`Audio file streaming initiated for TTS request ID: ${id}${range ? ` (bytes ${range.start}-${range.end})` : ''}`);
   } catch (error) {
     logger.error('Error in downloadTTSAudio:', error);
     if (!res.headersSent) {
@@ -171,26 +278,24 @@ const downloadTTSAudio = async (req, res) => {
 
 /**
  * Get Available Voices
- * GET /api/tts/voices
+ * GET /api/tts/voices?creatorId=
+ *
+ * With creatorId: the voices that creator offers, with prices.
+ * Without: every enabled voice in the catalog.
  */
 const getAvailableVoicesController = async (req, res) => {
   try {
-    const voices = [
-      { id: '2auXDq7PlBLK7DMRBihn', name: 'Toss Pot' },
-      { id: 'e2HVoFYmKNmDxY49SwxX', name: 'Bubblegum' },
-      { id: '5OkdfFcTx8GPEM1HJilp', name: 'GGG' },
-      { id: 'P7JLNjmKIOM2sSzz616k', name: 'Becky' },
-      { id: 'sDSBbBr0YrSbCDpcIuFZ', name: 'Joey C' },
-      { id: 'fDcUY6KGYmGCzhp8Ozg4', name: 'Quadfather' },
-      { id: '1RcwTpiWrRYrRDK2Tkeu', name: 'Sam Hyde' },
-      { id: 's2wvuS7SwITYg8dqsJdn', name: 'Old Italian Man' },
-      { id: '3DxWrjC62YRLoXiYBGB0', name: 'Evil Orc' },
-      { id: '2xnESBHcLHCxcxvOM2bJ', name: 'Middle-Aged British Man' },
-      { id: 'rl410D8bMOfIkD4QyPae', name: 'Midwestern American Man' },
-      { id: 'pqHfZKP75CvOlQylNhV4', name: 'Bill' },
-      { id: '21m00Tcm4TlvDq8ikWAM', name: 'Rachel' },
-    ];
-    res.status(200).json({ voices });
+    const { creatorId } = req.query;
+    if (!creatorId) {
+      return res.status(200).json({ voices: await voiceCatalog.listCatalog() });
+    }
+
+    const [creators] = await db.query('SELECT id FROM creators WHERE id = ?', [creatorId]);
+    if (creators.length === 0) {
+      return res.status(404).json({ error: 'Creator not found.' });
+    }
+    const { voices } = await voiceCatalog.getCreatorVoices(creatorId);
+    res.status(200).json({ creatorId: Number(creatorId), voices });
   } catch (error) {
     logger.error('❌ Error in getAvailableVoicesController:', error);
     res.status(500).json({ error: 'Failed to fetch available voices.' });
@@ -208,7 +313,7 @@ const updateTTSRequestStatus = async (req, res) => {
 
     logger.info(`Received request to update TTS Request ID ${id} with status: ${status}, audioUrl: ${audioUrl}`);
 
-    const validStatuses = ['pending', 'processing', 'completed', 'failed'];
+    const validStatuses = ['pending', 'processing', 'awaiting_approval', 'approved', 'completed', 'failed', 'rejected'];
     if (!validStatuses.includes(status)) {
       logger.warn(`Invalid status provided: ${status} for TTS Request ID ${id}`);
       return res.status(400).json({ error: 'Invalid status provided.' });
@@ -229,26 +334,32 @@ const updateTTSRequestStatus = async (req, res) => {
     await db.query(updateQuery, updateValues);
     logger.info(`TTS Request ID ${id} successfully updated to status: ${status}, audioUrl: ${audioUrl || 'null'}`);
 
-    if (req.app.io) {
-      const eventData = {
-        ttsRequestId: id,
-        status,
-        audioUrl: audioUrl || null,
-        message: ttsRequest.message,
-        voice: ttsRequest.voice,
-        creatorId: ttsRequest.creator_id,
-        userId: ttsRequest.user_id,
-      };
-
-      req.app.io.to(`creator-room-${ttsRequest.creator_id}`).emit('tts-request', eventData);
-      logger.info(
-        `Socket event emitted to creator-room-${ttsRequest.creator_id} for TTS Request ID ${id}: ${JSON.stringify(
-          eventData
-        )}`
-      );
+    const eventData = {
+      ttsRequestId: id,
+      status,
+      audioUrl: audioUrl ? createSignedDownloadUrl(id) : null,
+      message: ttsRequest.message,
+      voice: ttsRequest.voice,
+      creatorId: ttsRequest.creator_id,
+      userId: ttsRequest.user_id,
+    };
+
+    // Only playable (completed) requests go to the overlay, through its playback queue
+    if (status === 'completed' && audioUrl) {
+      await playbackQueue.announce(ttsRequest.creator_id, {
+        kind: 'tts',
+        sourceId: id,
+        event: 'tts-request',
+        payload: eventData,
+      });
     } else {
-      logger.error('Socket.IO instance is not available. Event emission skipped.');
+      emitToCreator(ttsRequest.creator_id, 'tts-request', eventData, { overlay: false });
     }
+    logger.info(
+      `Socket event emitted to creator-room-${ttsRequest.creator_id} for TTS Request ID ${id}: ${JSON.stringify(
+        eventData
+      )}`
+    );
 
     return res.status(200).json({
       message: `TTS request status updated successfully to: ${status}`,
@@ -267,7 +378,7 @@ const updateTTSRequestStatus = async (req, res) => {
  */
 const getTTSRequests = async (req, res) => {
   try {
-    const userId = req.user.id; // Derived from authentication middleware
+    const userId = req.user.userId; // Derived from authentication middleware
 
     logger.info(`User ID: ${userId} is fetching their TTS requests.`);
 
@@ -293,7 +404,7 @@ const getTTSRequests = async (req, res) => {
          tr.audio_url AS audioUrl, 
          tr.voice,
          tr.message,
-         c.name AS creatorName
+         c.display_name AS creatorName
        FROM tts_requests tr
        JOIN creators c ON tr.creator_id = c.id
        WHERE tr.user_id = ?
@@ -307,7 +418,7 @@ const getTTSRequests = async (req, res) => {
       limit,
       total,
       totalPages,
-      ttsRequests,
+      ttsRequests: ttsRequests.map((ttsRequest) => withDownloadUrl(ttsRequest)),
     });
   } catch (error) {
     logger.error('❌ Error in getTTSRequests:', error);
@@ -321,15 +432,11 @@ const getTTSRequests = async (req, res) => {
  */
 const getTTSRequestsByCreator = async (req, res) => {
   try {
-    const { userId, creatorId, role, page = 1, limit = 50 } = req.query;
-
-    logger.info(`User ID: ${userId}, Role: ${role}, Creator ID: ${creatorId} requested TTS data`);
+    const { page = 1, limit = 50, status } = req.query;
+    // Resolved and ownership-checked by requireCreatorOwnership
+    const creatorId = req.targetCreator.id;
 
-    // Validate creatorId
-    if (!creatorId) {
-      logger.warn('Creator ID is missing in request.');
-      return res.status(400).json({ error: 'Creator ID is required.' });
-    }
+    logger.info(`User ID: ${req.user.userId}, Role: ${req.user.role}, Creator ID: ${creatorId} requested TTS data`);
 
     // Pagination
     const parsedPage = parseInt(page, 10) || 1;
@@ -337,9 +444,13 @@ const getTTSRequestsByCreator = async (req, res) => {
     const offset = (parsedPage - 1) * parsedLimit;
 
     // Fetch total count for pagination
+    // Optional status filter, e.g. ?status=awaiting_approval for the review queue
+    const statusFilter = status ? ' AND tr.status = ?' : '';
+    const filterParams = status ? [creatorId, status] : [creatorId];
+
     const [countResult] = await db.query(
-      'SELECT COUNT(*) AS total FROM tts_requests WHERE creator_id = ?',
-      [creatorId]
+      `SELECT COUNT(*) AS total FROM tts_requests tr WHERE tr.creator_id = ?${statusFilter}`,
+      filterParams
     );
     const total = countResult[0]?.total || 0;
     const totalPages = Math.ceil(total / parsedLimit);
@@ -354,13 +465,16 @@ const getTTSRequestsByCreator = async (req, res) => {
          tr.processed_at, 
          tr.audio_url AS audioUrl, 
          tr.voice,
+         tr.moderation_outcome AS moderationOutcome,
+         tr.moderation_reason AS moderationReason,
+         tr.original_message AS originalMessage,
          u.username AS userName
        FROM tts_requests tr
        JOIN users u ON tr.user_id = u.id
-       WHERE tr.creator_id = ?
+       WHERE tr.creator_id = ?${statusFilter}
        ORDER BY tr.processed_at DESC
        LIMIT ? OFFSET ?`,
-      [creatorId, parsedLimit, offset]
+      [...filterParams, parsedLimit, offset]
     );
 
     res.status(200).json({
@@ -368,7 +482,7 @@ const getTTSRequestsByCreator = async (req, res) => {
       limit: parsedLimit,
       total,
       totalPages,
-      ttsRequests,
+      ttsRequests: ttsRequests.map((ttsRequest) => withDownloadUrl(ttsRequest, { preview: true })),
     });
   } catch (error) {
     logger.error('❌ Error in getTTSRequestsByCreator:', error);
@@ -387,31 +501,118 @@ const getTTSRequestStatus = async (req, res) => {
     logger.info(`Fetching status for TTS Request ID: ${ttsRequestId}`);
 
     const [ttsRequests] = await db.query(
-      'SELECT status, audio_url AS audioUrl FROM tts_requests WHERE id = ?',
+      `SELECT tr.status, tr.audio_url AS audioUrl, tr.moderation_outcome, tr.moderation_reason,
+         tr.user_id, c.user_id AS creator_user_id
+       FROM tts_requests tr
+       JOIN creators c ON tr.creator_id = c.id
+       WHERE tr.id = ?`,
       [ttsRequestId]
     );
 
-    if (ttsRequests.length === 0) {
-      logger.warn(`TTS Request not found for ID: ${ttsRequestId}`);
+    // Only the requester, the receiving creator and staff may poll a request
+    const { userId, role } = req.user;
+    const isAccessible =
+      ttsRequests.length > 0 &&
+      (ttsRequests[0].user_id === userId ||
+        ttsRequests[0].creator_user_id === userId ||
+        ['admin', 'moderator'].includes(role));
+
+    if (!isAccessible) {
+      logger.warn(`TTS Request not found or not accessible for ID: ${ttsRequestId}`);
       return res.status(404).json({ error: 'TTS request not found.' });
     }
 
-    const { status, audioUrl } = ttsRequests[0];
+    const { status, audioUrl, moderation_outcome: moderationOutcome, moderation_reason: moderationReason } = ttsRequests[0];
+    const downloadUrl = toDownloadUrl(ttsRequestId, status, audioUrl, {
+      preview: canPreviewAudio(req.user, ttsRequests[0].creator_user_id),
+    });
 
-    res.status(200).json({ status, audioUrl });
+    res.status(200).json({ status, downloadUrl, moderationOutcome, moderationReason });
   } catch (error) {
     logger.error(`❌ Error in getTTSRequestStatus:`, error);
     res.status(500).json({ error: 'Failed to fetch TTS request status.' });
   }
 };
 
+/**
+ * List TTS requests waiting for the creator's approval
+ * GET /api/creators/:id/tts/approvals
+ */
+const getPendingApprovals = async (req, res) => {
+  try {
+    const ttsRequests = await listAwaitingApproval(req.targetCreator.id);
+    res.status(200).json({ total: ttsRequests.length, ttsRequests });
+  } catch (error) {
+    logger.error('❌ Error in getPendingApprovals:', error);
+    res.status(500).json({ error: 'Failed to fetch TTS requests awaiting approval.' });
+  }
+};
+
+// Accepts a single id from the route or a list of ids from the body
+const parseRequestIds = (req) => {
+  const ids = req.params.ttsRequestId ? [req.params.ttsRequestId] : req.body.ttsRequestIds;
+  if (!Array.isArray(ids) || ids.length === 0) return null;
+  const parsed = ids.map((id) => parseInt(id, 10));
+  return parsed.every((id) => Number.isInteger(id) && id > 0) ? [...new Set(parsed)] : null;
+};
+
+/**
+ * Approve one or many held TTS requests
+ * POST /api/creators/:id/tts/:ttsRequestId/approve
+ * POST /api/creators/:id/tts/approve   { ttsRequestIds: [...] }  (bulk)
+ */
+const approveTTS = async (req, res) => {
+  try {
+    const ids = parseRequestIds(req);
+    if (!ids) {
+      return res.status(400).json({ error: 'ttsRequestIds must be a non-empty array of ids.' });
+    }
+
+    const result = await approveTTSRequests(req.targetCreator.id, ids, req.user.userId);
+    if (req.params.ttsRequestId && result.approved.length === 0) {
+      return res.status(409).json({ error: 'TTS request is not awaiting approval.' });
+    }
+    res.status(200).json({ message: 'TTS requests approved.', ...result });
+  } catch (error) {
+    logger.error('❌ Error in approveTTS:', error);
+    res.status(500).json({ error: 'Failed to approve TTS requests.' });
+  }
+};
+
+/**
+ * Reject one or many held TTS requests
+ * POST /api/creators/:id/tts/:ttsRequestId/reject   { reason? }
+ * POST /api/creators/:id/tts/reject   { ttsRequestIds: [...], reason? }  (bulk)
+ */
+const rejectTTS = async (req, res) => {
+  try {
+    const ids = parseRequestIds(req);
+    if (!ids) {
+      return res.status(400).json({ error: 'ttsRequestIds must be a non-empty array of ids.' });
+    }
+
+    const result = await rejectTTSRequests(req.targetCreator.id, ids, req.user.userId, req.body.reason || null);
+    if (req.params.ttsRequestId && result.rejected.length === 0) {
+      return res.status(409).json({ error: 'TTS request is not awaiting approval.' });
+    }
+    res.status(200).json({ message: 'TTS requests rejected.', ...result });
+  } catch (error) {
+    logger.error('❌ Error in rejectTTS:', error);
+    res.status(500).json({ error: 'Failed to reject TTS requests.' });
+  }
+};
+
 // Export controller functions
 module.exports = {
   submitTTSRequest,
+  quoteTTSRequest,
   downloadTTSAudio,
   getAvailableVoices: getAvailableVoicesController,
   updateTTSRequestStatus,
   getTTSRequests,
   getTTSRequestsByCreator,
   getTTSRequestStatus, // Export the new polling function
+  getPendingApprovals,
+  approveTTS,
+  rejectTTS,
 };
@@ -0,0 +1,88 @@
+// controllers/voicesController.js
+
+const logger = require('../logger');
+const voiceCatalog = require('../services/voiceCatalogService');
+
+const handleVoiceError = (res, error, context, fallbackMessage) => {
+  if (error instanceof voiceCatalog.VoiceError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`❌ Error in ${context}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * List the whole voice catalog, including disabled voices (admin)
+ * GET /api/voices
+ */
+const listVoiceCatalog = async (req, res) => {
+  try {
+    const voices = await voiceCatalog.listCatalog({ includeDisabled: true });
+    res.status(200).json({ voices });
+  } catch (error) {
+    handleVoiceError(res, error, 'listVoiceCatalog', 'Failed to fetch voice catalog.');
+  }
+};
+
+/**
+ * Rename, enable or disable a catalog voice (admin)
+ * PATCH /api/voices/:voiceId
+ */
+const updateCatalogVoice = async (req, res) => {
+  try {
+    const { name, language, previewUrl, isEnabled } = req.body;
+    const voice = await voiceCatalog.updateCatalogVoice(req.params.voiceId, { name, language, previewUrl, isEnabled });
+    res.status(200).json({ message: 'Voice updated successfully.', voice });
+  } catch (error) {
+    handleVoiceError(res, error, 'updateCatalogVoice', 'Failed to update voice.');
+  }
+};
+
+/**
+ * Import a provider's voices into the catalog (admin)
+ * POST /api/voices/sync  { provider? }
+ */
+const syncVoiceCatalog = async (req, res) => {
+  try {
+    const result = await voiceCatalog.syncVoices(req.body.provider);
+    res.status(200).json({ message: 'Voice catalog synced. New voices are disabled until enabled.', ...result });
+  } catch (error) {
+    handleVoiceError(res, error, 'syncVoiceCatalog', 'Failed to sync voices from the provider.');
+  }
+};
+
+/**
+ * Get the voices a creator offers, with prices
+ * GET /api/creators/:id/voices
+ */
+const getCreatorVoices = async (req, res) => {
+  try {
+    const creatorId = req.targetCreator.id;
+    const result = await voiceCatalog.getCreatorVoices(creatorId);
+    res.status(200).json({ creatorId, ...result });
+  } catch (error) {
+    handleVoiceError(res, error, 'getCreatorVoices', 'Failed to fetch creator voices.');
+  }
+};
+
+/**
+ * Choose which voices viewers may use and what each costs
+ * PUT /api/creators/:id/voices  { voices: [{ voiceId, price, isDefault }] }
+ */
+const updateCreatorVoices = async (req, res) => {
+  try {
+    const creatorId = req.targetCreator.id;
+    const result = await voiceCatalog.setCreatorVoices(creatorId, req.body.voices);
+    res.status(200).json({ message: 'Creator voices updated successfully.', creatorId, ...result });
+  } catch (error) {
+    handleVoiceError(res, error, 'updateCreatorVoices', 'Failed to update creator voices.');
+  }
+};
+
+module.exports = {
+  listVoiceCatalog,
+  updateCatalogVoice,
+  syncVoiceCatalog,
+  getCreatorVoices,
+  updateCreatorVoices,
+};
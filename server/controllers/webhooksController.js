@@ -0,0 +1,131 @@
+// controllers/webhooksController.js
+
+const logger = require('../logger');
+const webhookService = require('../services/webhookService');
+
+const handleWebhookError = (res, error, context, fallbackMessage) => {
+  if (error instanceof webhookService.WebhookError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`❌ Error in ${context}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * List a creator's webhooks (secrets are not included)
+ * GET /api/creators/:id/webhooks
+ */
+const listWebhooks = async (req, res) => {
+  try {
+    const webhooks = await webhookService.listSubscriptions(req.targetCreator.id);
+    res.status(200).json({ eventTypes: webhookService.EVENT_TYPES, webhooks });
+  } catch (error) {
+    handleWebhookError(res, error, 'listWebhooks', 'Failed to fetch webhooks.');
+  }
+};
+
+/**
+ * Subscribe a URL to events. The signing secret is only returned here and on rotation.
+ * POST /api/creators/:id/webhooks
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { url, eventTypes } = req.body;
+    const webhook = await webhookService.createSubscription(req.targetCreator.id, { url, eventTypes });
+    res.status(201).json({ message: 'Webhook created successfully.', webhook });
+  } catch (error) {
+    handleWebhookError(res, error, 'createWebhook', 'Failed to create webhook.');
+  }
+};
+
+/**
+ * Update a webhook's url, event types or active state
+ * PATCH /api/creators/:id/webhooks/:webhookId
+ */
+const updateWebhook = async (req, res) => {
+  try {
+    const { url, eventTypes, isActive } = req.body;
+    const webhook = await webhookService.updateSubscription(req.targetCreator.id, req.params.webhookId, { url, eventTypes, isActive });
+    res.status(200).json({ message: 'Webhook updated successfully.', webhook });
+  } catch (error) {
+    handleWebhookError(res, error, 'updateWebhook', 'Failed to update webhook.');
+  }
+};
+
+/**
+ * Delete a webhook and its delivery log
+ * DELETE /api/creators/:id/webhooks/:webhookId
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    await webhookService.deleteSubscription(req.targetCreator.id, req.params.webhookId);
+    res.status(200).json({ message: 'Webhook deleted successfully.' });
+  } catch (error) {
+    handleWebhookError(res, error, 'deleteWebhook', 'Failed to delete webhook.');
+  }
+};
+
+/**
+ * Replace a webhook's signing secret
+ * POST /api/creators/:id/webhooks/:webhookId/rotate-secret
+ */
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const webhook = await webhookService.rotateSecret(req.targetCreator.id, req.params.webhookId);
+    res.status(200).json({ message: 'Webhook secret rotated. The previous secret no longer signs deliveries.', webhook });
+  } catch (error) {
+    handleWebhookError(res, error, 'rotateWebhookSecret', 'Failed to rotate webhook secret.');
+  }
+};
+
+/**
+ * List a webhook's deliveries, newest first
+ * GET /api/creators/:id/webhooks/:webhookId/deliveries?page=&limit=
+ */
+const listWebhookDeliveries = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const result = await webhookService.listDeliveries(req.targetCreator.id, req.params.webhookId, { page, limit });
+    res.status(200).json(result);
+  } catch (error) {
+    handleWebhookError(res, error, 'listWebhookDeliveries', 'Failed to fetch webhook deliveries.');
+  }
+};
+
+/**
+ * Send a 'ping' event to a webhook
+ * POST /api/creators/:id/webhooks/:webhookId/test
+ */
+const testWebhook = async (req, res) => {
+  try {
+    const deliveryId = await webhookService.sendTestEvent(req.targetCreator.id, req.params.webhookId);
+    res.status(202).json({ message: 'Test event queued.', deliveryId });
+  } catch (error) {
+    handleWebhookError(res, error, 'testWebhook', 'Failed to send test event.');
+  }
+};
+
+/**
+ * Queue a new delivery of an earlier delivery's event
+ * POST /api/creators/:id/webhooks/deliveries/:deliveryId/redeliver
+ */
+const redeliverWebhook = async (req, res) => {
+  try {
+    const deliveryId = await webhookService.redeliver(req.targetCreator.id, req.params.deliveryId);
+    res.status(202).json({ message: 'Redelivery queued.', deliveryId });
+  } catch (error) {
+    handleWebhookError(res, error, 'redeliverWebhook', 'Failed to redeliver webhook.');
+  }
+};
+
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  listWebhookDeliveries,
+  testWebhook,
+  redeliverWebhook,
+};
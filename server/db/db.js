@@ -30,20 +30,6 @@ const db = mysql.createPool({
     ssl: sslCert ? { ca: sslCert } : undefined,
 });
 
-
-// Function to test the connection (optional, for debugging)
-const testConnection = async () => {
-    console.log('[MySQL Connection Test] Starting...');
-    try {
-        const connection = await db.getConnection();
-        console.log('[MySQL Connection Test] Connection established successfully.');
-        connection.release();
-    } catch (err) {
-        console.error('[MySQL Connection Test Error] Failed to connect to the database:', err.message);
-    }
-};
-
-// Test the connection (optional, remove in production)
-testConnection();
+// Connectivity is checked by GET /readyz (services/healthService.js) rather than at import
 
 module.exports = db;
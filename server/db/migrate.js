@@ -0,0 +1,161 @@
+// server/db/migrate.js
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+/*
+ * Versioned schema migrations.
+ *
+ * Each file in db/migrations is named NNN_description.js and exports
+ *   up(connection)   - applies the change
+ *   down(connection) - reverts it
+ * Applied migrations are recorded in schema_migrations. MySQL commits DDL
+ * implicitly, so a migration that fails halfway is not rolled back: keep each
+ * one small and create tables with IF NOT EXISTS so a retry can get past them.
+ *
+ * Usage:
+ *   node db/migrate.js up            apply all pending migrations
+ *   node db/migrate.js down [steps]  revert the last `steps` migrations (default 1)
+ *   node db/migrate.js status        list applied and pending migrations
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'schema_migrations_lock';
+
+/*********************************************
+ * Helpers
+ ********************************************/
+const loadMigrations = () =>
+  fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d{3}_[\w-]+\.js$/.test(file))
+    .sort()
+    .map((file) => ({ name: path.basename(file, '.js'), ...require(path.join(MIGRATIONS_DIR, file)) }));
+
+const ensureMigrationsTable = (connection) =>
+  connection.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       name VARCHAR(255) NOT NULL PRIMARY KEY,
+       applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+
+const getApplied = async (connection) => {
+  const [rows] = await connection.query('SELECT name, applied_at FROM schema_migrations ORDER BY name');
+  return rows;
+};
+
+/**
+ * Runs `work` on a dedicated connection holding a named lock, so two deploys
+ * never migrate the same database at once.
+ */
+const withMigrationLock = async (work) => {
+  const connection = await db.getConnection();
+  try {
+    const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, 30) AS acquired', [LOCK_NAME]);
+    if (acquired !== 1) {
+      throw new Error('Another migration is running (could not acquire lock).');
+    }
+    try {
+      await ensureMigrationsTable(connection);
+      return await work(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+/*********************************************
+ * Commands
+ ********************************************/
+/**
+ * Applies every pending migration in order.
+ * @returns {Promise<string[]>} Names of the migrations applied.
+ */
+const migrateUp = () =>
+  withMigrationLock(async (connection) => {
+    const applied = new Set((await getApplied(connection)).map((row) => row.name));
+    const pending = loadMigrations().filter((migration) => !applied.has(migration.name));
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${migration.name}...`);
+      await migration.up(connection);
+      await connection.query('INSERT INTO schema_migrations (name) VALUES (?)', [migration.name]);
+    }
+    return pending.map((migration) => migration.name);
+  });
+
+/**
+ * Reverts the most recently applied migrations.
+ * @param {number} [steps=1]
+ * @returns {Promise<string[]>} Names of the migrations reverted.
+ */
+const migrateDown = (steps = 1) =>
+  withMigrationLock(async (connection) => {
+    const migrations = new Map(loadMigrations().map((migration) => [migration.name, migration]));
+    const toRevert = (await getApplied(connection)).reverse().slice(0, steps);
+
+    for (const { name } of toRevert) {
+      const migration = migrations.get(name);
+      if (!migration) {
+        throw new Error(`Migration file for ${name} is missing; cannot roll it back.`);
+      }
+      console.log(`⬇️  Reverting ${name}...`);
+      await migration.down(connection);
+      await connection.query('DELETE FROM schema_migrations WHERE name = ?', [name]);
+    }
+    return toRevert.map((row) => row.name);
+  });
+
+/**
+ * Lists every migration with the time it was applied (null if pending).
+ * @returns {Promise<Array<{ name: string, appliedAt: Date|null }>>}
+ */
+const migrationStatus = () =>
+  withMigrationLock(async (connection) => {
+    const applied = new Map((await getApplied(connection)).map((row) => [row.name, row.applied_at]));
+    const known = loadMigrations().map((migration) => ({ name: migration.name, appliedAt: applied.get(migration.name) || null }));
+    // Applied migrations whose files were removed still show up, flagged as missing
+    const missing = [...applied.keys()]
+      .filter((name) => !known.some((migration) => migration.name === name))
+      .map((name) => ({ name, appliedAt: applied.get(name), missing: true }));
+    return [...known, ...missing];
+  });
+
+/*********************************************
+ * CLI
+ ********************************************/
+const run = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'up') {
+    const applied = await migrateUp();
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s).` : '✅ Database is up to date.');
+  } else if (command === 'down') {
+    const steps = parseInt(arg, 10) || 1;
+    const reverted = await migrateDown(steps);
+    console.log(`✅ Reverted ${reverted.length} migration(s).`);
+  } else if (command === 'status') {
+    for (const migration of await migrationStatus()) {
+      const state = migration.missing ? 'MISSING FILE' : migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+      console.log(`${migration.name.padEnd(40)} ${state}`);
+    }
+  } else {
+    throw new Error(`Unknown command '${command}'. Use up, down [steps] or status.`);
+  }
+};
+
+if (require.main === module) {
+  run()
+    .then(() => db.end())
+    .catch(async (error) => {
+      console.error('❌ Migration failed:', error.message);
+      await db.end();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
@@ -0,0 +1,78 @@
+// server/db/migrations/001_baseline.js
+
+/*
+ * Baseline: the tables the app was originally built on. Uses IF NOT EXISTS so
+ * an existing database can adopt migrations by simply running them.
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        username VARCHAR(50) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'tipper',
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_users_username (username),
+        UNIQUE KEY uq_users_email (email)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS creators (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT UNSIGNED NOT NULL,
+        display_name VARCHAR(100) NOT NULL,
+        overlay_url VARCHAR(1024) NULL,
+        bio TEXT NULL,
+        payment_info JSON NULL,
+        revenue_share DECIMAL(5,2) NOT NULL DEFAULT 70.00,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_creators_user (user_id),
+        CONSTRAINT fk_creators_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS tips (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        creator_id INT UNSIGNED NOT NULL,
+        tipper_id INT UNSIGNED NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        message TEXT NULL,
+        platform_fee DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_tips_creator (creator_id, created_at),
+        KEY idx_tips_tipper (tipper_id),
+        CONSTRAINT fk_tips_creator FOREIGN KEY (creator_id) REFERENCES creators (id),
+        CONSTRAINT fk_tips_tipper FOREIGN KEY (tipper_id) REFERENCES users (id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS tts_requests (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT UNSIGNED NOT NULL,
+        creator_id INT UNSIGNED NOT NULL,
+        message TEXT NOT NULL,
+        voice VARCHAR(100) NOT NULL,
+        status VARCHAR(32) NOT NULL DEFAULT 'pending',
+        audio_url VARCHAR(1024) NULL,
+        processed_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_tts_requests_user (user_id, created_at),
+        KEY idx_tts_requests_creator (creator_id, status),
+        CONSTRAINT fk_tts_requests_user FOREIGN KEY (user_id) REFERENCES users (id),
+        CONSTRAINT fk_tts_requests_creator FOREIGN KEY (creator_id) REFERENCES creators (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS tts_requests');
+    await connection.query('DROP TABLE IF EXISTS tips');
+    await connection.query('DROP TABLE IF EXISTS creators');
+    await connection.query('DROP TABLE IF EXISTS users');
+  },
+};
@@ -0,0 +1,51 @@
+// server/db/migrations/002_ledger.js
+
+/*
+ * Double-entry ledger (see services/ledgerService.js). Amounts are integer cents.
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ledger_accounts (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        owner_type VARCHAR(20) NOT NULL,
+        owner_id INT UNSIGNED NOT NULL,
+        kind VARCHAR(40) NOT NULL,
+        normal_balance ENUM('debit', 'credit') NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_ledger_accounts_owner_kind (owner_type, owner_id, kind)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ledger_transactions (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        type VARCHAR(40) NOT NULL,
+        reference_type VARCHAR(40) NULL,
+        reference_id INT UNSIGNED NULL,
+        description VARCHAR(255) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_ledger_transactions_reference (reference_type, reference_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        transaction_id INT UNSIGNED NOT NULL,
+        account_id INT UNSIGNED NOT NULL,
+        direction ENUM('debit', 'credit') NOT NULL,
+        amount_cents BIGINT UNSIGNED NOT NULL,
+        KEY idx_ledger_entries_account (account_id),
+        CONSTRAINT fk_ledger_entries_transaction FOREIGN KEY (transaction_id) REFERENCES ledger_transactions (id),
+        CONSTRAINT fk_ledger_entries_account FOREIGN KEY (account_id) REFERENCES ledger_accounts (id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS ledger_entries');
+    await connection.query('DROP TABLE IF EXISTS ledger_transactions');
+    await connection.query('DROP TABLE IF EXISTS ledger_accounts');
+  },
+};
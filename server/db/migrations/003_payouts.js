@@ -0,0 +1,46 @@
+// server/db/migrations/003_payouts.js
+
+/*
+ * Scheduled creator payouts, grouped in batches (see services/payoutService.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payout_batches (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        total_cents BIGINT UNSIGNED NOT NULL DEFAULT 0,
+        item_count INT UNSIGNED NOT NULL DEFAULT 0,
+        currency CHAR(3) NOT NULL,
+        triggered_by VARCHAR(100) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        processed_at DATETIME NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payouts (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        batch_id INT UNSIGNED NOT NULL,
+        creator_id INT UNSIGNED NOT NULL,
+        amount_cents BIGINT UNSIGNED NOT NULL,
+        currency CHAR(3) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        provider VARCHAR(40) NOT NULL,
+        provider_reference VARCHAR(255) NULL,
+        failure_reason VARCHAR(255) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_payouts_creator (creator_id, created_at),
+        KEY idx_payouts_batch_status (batch_id, status),
+        CONSTRAINT fk_payouts_batch FOREIGN KEY (batch_id) REFERENCES payout_batches (id),
+        CONSTRAINT fk_payouts_creator FOREIGN KEY (creator_id) REFERENCES creators (id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS payouts');
+    await connection.query('DROP TABLE IF EXISTS payout_batches');
+  },
+};
@@ -0,0 +1,53 @@
+// server/db/migrations/004_payments.js
+
+/*
+ * Payment intents and received provider webhooks (see services/paymentService.js).
+ * The unique keys make intent confirmation and webhook processing idempotent.
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payment_intents (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        provider VARCHAR(40) NOT NULL,
+        provider_intent_id VARCHAR(255) NOT NULL,
+        tipper_id INT UNSIGNED NOT NULL,
+        creator_id INT UNSIGNED NOT NULL,
+        amount_cents BIGINT UNSIGNED NOT NULL,
+        currency CHAR(3) NOT NULL,
+        message TEXT NULL,
+        tts_message TEXT NULL,
+        tts_voice VARCHAR(100) NULL,
+        status VARCHAR(32) NOT NULL,
+        tip_id INT UNSIGNED NULL,
+        tts_request_id INT UNSIGNED NULL,
+        failure_reason VARCHAR(255) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_payment_intents_provider (provider, provider_intent_id),
+        KEY idx_payment_intents_tipper (tipper_id),
+        KEY idx_payment_intents_tip (tip_id),
+        CONSTRAINT fk_payment_intents_tipper FOREIGN KEY (tipper_id) REFERENCES users (id),
+        CONSTRAINT fk_payment_intents_creator FOREIGN KEY (creator_id) REFERENCES creators (id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payment_webhook_events (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        provider VARCHAR(40) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        type VARCHAR(100) NOT NULL,
+        payload MEDIUMTEXT NOT NULL,
+        received_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        processed_at DATETIME NULL,
+        UNIQUE KEY uq_payment_webhook_events_event (provider, event_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS payment_webhook_events');
+    await connection.query('DROP TABLE IF EXISTS payment_intents');
+  },
+};
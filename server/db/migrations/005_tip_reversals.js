@@ -0,0 +1,31 @@
+// server/db/migrations/005_tip_reversals.js
+
+/*
+ * Refunds and chargebacks: reversal state on tips and abuse flags on users
+ * (see services/tipReversalService.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE tips
+        ADD COLUMN status ENUM('completed', 'refunded', 'charged_back') NOT NULL DEFAULT 'completed',
+        ADD COLUMN reversed_at DATETIME NULL,
+        ADD COLUMN reversal_reason VARCHAR(255) NULL,
+        ADD COLUMN reversal_reference VARCHAR(255) NULL
+    `);
+
+    await connection.query(`
+      ALTER TABLE users
+        ADD COLUMN is_flagged TINYINT(1) NOT NULL DEFAULT 0,
+        ADD COLUMN flag_reason VARCHAR(255) NULL,
+        ADD COLUMN flagged_at DATETIME NULL
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('ALTER TABLE users DROP COLUMN is_flagged, DROP COLUMN flag_reason, DROP COLUMN flagged_at');
+    await connection.query(
+      'ALTER TABLE tips DROP COLUMN status, DROP COLUMN reversed_at, DROP COLUMN reversal_reason, DROP COLUMN reversal_reference'
+    );
+  },
+};
@@ -0,0 +1,43 @@
+// server/db/migrations/006_sessions.js
+
+/*
+ * Login sessions and rotating refresh tokens (see services/tokenService.js).
+ * Refresh tokens are stored as SHA-256 hashes only.
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id CHAR(36) NOT NULL PRIMARY KEY,
+        user_id INT UNSIGNED NOT NULL,
+        user_agent VARCHAR(255) NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        KEY idx_user_sessions_user (user_id, revoked_at),
+        CONSTRAINT fk_user_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        token_hash CHAR(64) NOT NULL,
+        session_id CHAR(36) NOT NULL,
+        user_id INT UNSIGNED NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+        KEY idx_refresh_tokens_session (session_id),
+        CONSTRAINT fk_refresh_tokens_session FOREIGN KEY (session_id) REFERENCES user_sessions (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS refresh_tokens');
+    await connection.query('DROP TABLE IF EXISTS user_sessions');
+  },
+};
@@ -0,0 +1,18 @@
+// server/db/migrations/007_overlay_keys.js
+
+/*
+ * Per-creator secret that authenticates the public OBS overlay socket.
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE creators
+        ADD COLUMN overlay_key CHAR(48) NULL,
+        ADD UNIQUE KEY uq_creators_overlay_key (overlay_key)
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('ALTER TABLE creators DROP INDEX uq_creators_overlay_key, DROP COLUMN overlay_key');
+  },
+};
@@ -0,0 +1,23 @@
+// server/db/migrations/008_overlay_configs.js
+
+/*
+ * Overlay alert templates and amount tiers, one JSON document per creator
+ * (see services/overlayConfigService.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS overlay_configs (
+        creator_id INT UNSIGNED NOT NULL PRIMARY KEY,
+        config JSON NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_overlay_configs_creator FOREIGN KEY (creator_id) REFERENCES creators (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS overlay_configs');
+  },
+};
@@ -0,0 +1,48 @@
+// server/db/migrations/009_moderation.js
+
+/*
+ * Message moderation: creator rules and settings, and the moderation outcome
+ * stored on each TTS request (see services/moderationService.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS moderation_settings (
+        creator_id INT UNSIGNED NOT NULL PRIMARY KEY,
+        max_length SMALLINT UNSIGNED NOT NULL DEFAULT 300,
+        strip_links TINYINT(1) NOT NULL DEFAULT 1,
+        strip_phone_numbers TINYINT(1) NOT NULL DEFAULT 1,
+        collapse_repeats TINYINT(1) NOT NULL DEFAULT 1,
+        CONSTRAINT fk_moderation_settings_creator FOREIGN KEY (creator_id) REFERENCES creators (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS moderation_rules (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        creator_id INT UNSIGNED NOT NULL,
+        type ENUM('word', 'regex') NOT NULL,
+        pattern VARCHAR(200) NOT NULL,
+        action ENUM('redact', 'reject') NOT NULL DEFAULT 'redact',
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_moderation_rules_creator (creator_id),
+        CONSTRAINT fk_moderation_rules_creator FOREIGN KEY (creator_id) REFERENCES creators (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      ALTER TABLE tts_requests
+        ADD COLUMN original_message TEXT NULL AFTER message,
+        ADD COLUMN moderation_outcome ENUM('allow', 'redact', 'reject') NULL,
+        ADD COLUMN moderation_reason VARCHAR(255) NULL
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query(
+      'ALTER TABLE tts_requests DROP COLUMN original_message, DROP COLUMN moderation_outcome, DROP COLUMN moderation_reason'
+    );
+    await connection.query('DROP TABLE IF EXISTS moderation_rules');
+    await connection.query('DROP TABLE IF EXISTS moderation_settings');
+  },
+};
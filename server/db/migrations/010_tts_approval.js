@@ -0,0 +1,29 @@
+// server/db/migrations/010_tts_approval.js
+
+/*
+ * Creator approval queue for TTS (see services/ttsRequestService.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE creators
+        ADD COLUMN require_tts_approval TINYINT(1) NOT NULL DEFAULT 0,
+        ADD COLUMN tts_approval_stage ENUM('before_synthesis', 'after_synthesis') NOT NULL DEFAULT 'before_synthesis'
+    `);
+
+    await connection.query(`
+      ALTER TABLE tts_requests
+        ADD COLUMN approval_stage ENUM('before_synthesis', 'after_synthesis') NULL,
+        ADD COLUMN reviewed_by INT UNSIGNED NULL,
+        ADD COLUMN reviewed_at DATETIME NULL,
+        ADD COLUMN review_reason VARCHAR(255) NULL
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query(
+      'ALTER TABLE tts_requests DROP COLUMN approval_stage, DROP COLUMN reviewed_by, DROP COLUMN reviewed_at, DROP COLUMN review_reason'
+    );
+    await connection.query('ALTER TABLE creators DROP COLUMN require_tts_approval, DROP COLUMN tts_approval_stage');
+  },
+};
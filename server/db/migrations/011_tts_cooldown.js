@@ -0,0 +1,14 @@
+// server/db/migrations/011_tts_cooldown.js
+
+/*
+ * Per-creator cooldown between TTS messages from the same user (see middlewares/rateLimit.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query('ALTER TABLE creators ADD COLUMN tts_cooldown_seconds SMALLINT UNSIGNED NOT NULL DEFAULT 0');
+  },
+
+  down: async (connection) => {
+    await connection.query('ALTER TABLE creators DROP COLUMN tts_cooldown_seconds');
+  },
+};
@@ -0,0 +1,28 @@
+// server/db/migrations/012_idempotency_keys.js
+
+/*
+ * Stored responses for Idempotency-Key requests (see middlewares/idempotency.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT UNSIGNED NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+        response_status SMALLINT UNSIGNED NULL,
+        response_body MEDIUMTEXT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        UNIQUE KEY uq_idempotency_keys_user_key (user_id, idempotency_key),
+        KEY idx_idempotency_keys_expires (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS idempotency_keys');
+  },
+};
@@ -0,0 +1,50 @@
+// server/db/migrations/013_webhooks.js
+
+/*
+ * Creator webhook subscriptions and their delivery log (see services/webhookService.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        creator_id INT UNSIGNED NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        secret VARCHAR(64) NOT NULL,
+        event_types JSON NOT NULL,
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        failure_count INT UNSIGNED NOT NULL DEFAULT 0,
+        disabled_at DATETIME NULL,
+        disabled_reason VARCHAR(255) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_webhook_subscriptions_creator (creator_id, is_active)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        subscription_id INT UNSIGNED NOT NULL,
+        event_id CHAR(36) NOT NULL,
+        event_type VARCHAR(64) NOT NULL,
+        payload JSON NOT NULL,
+        status ENUM('pending', 'succeeded', 'failed') NOT NULL DEFAULT 'pending',
+        attempts INT UNSIGNED NOT NULL DEFAULT 0,
+        response_status SMALLINT UNSIGNED NULL,
+        response_body TEXT NULL,
+        error VARCHAR(1024) NULL,
+        redelivery_of INT UNSIGNED NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at DATETIME NULL,
+        delivered_at DATETIME NULL,
+        KEY idx_webhook_deliveries_subscription (subscription_id, id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS webhook_deliveries');
+    await connection.query('DROP TABLE IF EXISTS webhook_subscriptions');
+  },
+};
@@ -0,0 +1,39 @@
+// server/db/migrations/014_tts_audio_cache.js
+
+/*
+ * Content-addressed TTS audio cache (see services/ttsAudioCache.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS tts_audio_cache (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        content_hash CHAR(64) NOT NULL,
+        storage_driver VARCHAR(32) NOT NULL,
+        storage_key VARCHAR(255) NOT NULL,
+        audio_url VARCHAR(1024) NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        byte_size INT UNSIGNED NOT NULL,
+        provider VARCHAR(32) NOT NULL,
+        voice VARCHAR(255) NOT NULL,
+        ref_count INT UNSIGNED NOT NULL DEFAULT 0,
+        hit_count INT UNSIGNED NOT NULL DEFAULT 0,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME(3) NOT NULL,
+        UNIQUE KEY uq_tts_audio_cache_hash (content_hash, storage_driver),
+        KEY idx_tts_audio_cache_last_used (last_used_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      ALTER TABLE tts_requests
+        ADD COLUMN audio_cache_id INT UNSIGNED NULL AFTER audio_url,
+        ADD KEY idx_tts_requests_audio_cache (audio_cache_id)
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('ALTER TABLE tts_requests DROP KEY idx_tts_requests_audio_cache, DROP COLUMN audio_cache_id');
+    await connection.query('DROP TABLE IF EXISTS tts_audio_cache');
+  },
+};
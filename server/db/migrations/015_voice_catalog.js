@@ -0,0 +1,64 @@
+// server/db/migrations/015_voice_catalog.js
+
+/*
+ * Managed TTS voice catalog and per-creator voice selection and pricing
+ * (see services/voiceCatalogService.js). Seeded with the voices the API
+ * used to hardcode so existing clients keep working.
+ */
+const SEEDED_ELEVENLABS_VOICES = [
+  ['2auXDq7PlBLK7DMRBihn', 'Toss Pot'],
+  ['e2HVoFYmKNmDxY49SwxX', 'Bubblegum'],
+  ['5OkdfFcTx8GPEM1HJilp', 'GGG'],
+  ['P7JLNjmKIOM2sSzz616k', 'Becky'],
+  ['sDSBbBr0YrSbCDpcIuFZ', 'Joey C'],
+  ['fDcUY6KGYmGCzhp8Ozg4', 'Quadfather'],
+  ['1RcwTpiWrRYrRDK2Tkeu', 'Sam Hyde'],
+  ['s2wvuS7SwITYg8dqsJdn', 'Old Italian Man'],
+  ['3DxWrjC62YRLoXiYBGB0', 'Evil Orc'],
+  ['2xnESBHcLHCxcxvOM2bJ', 'Middle-Aged British Man'],
+  ['rl410D8bMOfIkD4QyPae', 'Midwestern American Man'],
+  ['pqHfZKP75CvOlQylNhV4', 'Bill'],
+  ['21m00Tcm4TlvDq8ikWAM', 'Rachel'],
+];
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS voices (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        provider VARCHAR(32) NOT NULL,
+        provider_voice_id VARCHAR(255) NOT NULL,
+        display_name VARCHAR(255) NOT NULL,
+        language VARCHAR(32) NULL,
+        preview_url VARCHAR(1024) NULL,
+        is_enabled TINYINT(1) NOT NULL DEFAULT 1,
+        synced_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_voices_provider_voice (provider, provider_voice_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS creator_voices (
+        creator_id INT UNSIGNED NOT NULL,
+        voice_id INT UNSIGNED NOT NULL,
+        price_cents INT UNSIGNED NOT NULL DEFAULT 0,
+        is_default TINYINT(1) NOT NULL DEFAULT 0,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (creator_id, voice_id),
+        KEY idx_creator_voices_voice (voice_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(
+      'INSERT IGNORE INTO voices (provider, provider_voice_id, display_name) VALUES ?',
+      [SEEDED_ELEVENLABS_VOICES.map(([voiceId, name]) => ['elevenlabs', voiceId, name])]
+    );
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS creator_voices');
+    await connection.query('DROP TABLE IF EXISTS voices');
+  },
+};
@@ -0,0 +1,57 @@
+// server/db/migrations/016_paid_tts.js
+
+/*
+ * Paid TTS (see services/ttsPricingService.js): creator pricing, the price a
+ * TTS request was sold for and the tip that paid it, remedies for paid TTS
+ * that failed, and per-creator TTS credit balances.
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE creators
+        ADD COLUMN tts_min_tip_cents INT UNSIGNED NOT NULL DEFAULT 0,
+        ADD COLUMN tts_character_price_cents DECIMAL(8,3) NOT NULL DEFAULT 0,
+        ADD COLUMN tts_failure_remedy ENUM('refund', 'credit') NOT NULL DEFAULT 'credit'
+    `);
+
+    await connection.query(`
+      ALTER TABLE tts_requests
+        ADD COLUMN tip_id INT UNSIGNED NULL,
+        ADD COLUMN price_cents INT UNSIGNED NOT NULL DEFAULT 0,
+        ADD KEY idx_tts_requests_tip (tip_id)
+    `);
+
+    await connection.query(`
+      ALTER TABLE payment_intents
+        ADD COLUMN tts_price_cents INT UNSIGNED NOT NULL DEFAULT 0,
+        ADD COLUMN tts_credit_cents INT UNSIGNED NOT NULL DEFAULT 0
+    `);
+
+    await connection.query(`
+      ALTER TABLE tips
+        ADD COLUMN tts_remedy ENUM('refund', 'credit') NULL,
+        ADD COLUMN tts_remedy_status ENUM('pending', 'completed', 'failed') NULL,
+        ADD COLUMN tts_remedy_cents INT UNSIGNED NULL
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS tts_credits (
+        user_id INT UNSIGNED NOT NULL,
+        creator_id INT UNSIGNED NOT NULL,
+        balance_cents INT UNSIGNED NOT NULL DEFAULT 0,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, creator_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS tts_credits');
+    await connection.query('ALTER TABLE tips DROP COLUMN tts_remedy, DROP COLUMN tts_remedy_status, DROP COLUMN tts_remedy_cents');
+    await connection.query('ALTER TABLE payment_intents DROP COLUMN tts_price_cents, DROP COLUMN tts_credit_cents');
+    await connection.query('ALTER TABLE tts_requests DROP KEY idx_tts_requests_tip, DROP COLUMN tip_id, DROP COLUMN price_cents');
+    await connection.query(
+      'ALTER TABLE creators DROP COLUMN tts_min_tip_cents, DROP COLUMN tts_character_price_cents, DROP COLUMN tts_failure_remedy'
+    );
+  },
+};
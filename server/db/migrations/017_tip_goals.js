@@ -0,0 +1,43 @@
+// server/db/migrations/017_tip_goals.js
+
+/*
+ * Creator tip goals and the tips counted towards them (see services/goalService.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS tip_goals (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        creator_id INT UNSIGNED NOT NULL,
+        title VARCHAR(100) NOT NULL,
+        description VARCHAR(500) NULL,
+        target_cents INT UNSIGNED NOT NULL,
+        current_cents INT UNSIGNED NOT NULL DEFAULT 0,
+        status ENUM('inactive', 'active', 'archived') NOT NULL DEFAULT 'inactive',
+        deadline_at DATETIME NULL,
+        activated_at DATETIME NULL,
+        reached_at DATETIME NULL,
+        archived_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_tip_goals_creator (creator_id, status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS tip_goal_contributions (
+        goal_id INT UNSIGNED NOT NULL,
+        tip_id INT UNSIGNED NOT NULL,
+        amount_cents INT UNSIGNED NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (goal_id, tip_id),
+        KEY idx_tip_goal_contributions_tip (tip_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS tip_goal_contributions');
+    await connection.query('DROP TABLE IF EXISTS tip_goals');
+  },
+};
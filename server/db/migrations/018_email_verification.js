@@ -0,0 +1,31 @@
+// server/db/migrations/018_email_verification.js
+
+/*
+ * Email verification and password reset (see services/emailTokenService.js).
+ * Tokens are stored as SHA-256 hashes and are single-use.
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query('ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL');
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_email_tokens (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT UNSIGNED NOT NULL,
+        purpose ENUM('verify_email', 'reset_password') NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_user_email_tokens_hash (token_hash),
+        KEY idx_user_email_tokens_user (user_id, purpose)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS user_email_tokens');
+    await connection.query('ALTER TABLE users DROP COLUMN email_verified_at');
+  },
+};
@@ -0,0 +1,18 @@
+// server/db/migrations/019_payment_intent_side_effects.js
+
+/*
+ * Tracks whether a confirmed payment intent's tip has been announced, so a
+ * webhook redelivered after a failed announcement resumes it (see
+ * services/paymentService.js). Intents confirmed before this migration are
+ * treated as announced.
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query('ALTER TABLE payment_intents ADD COLUMN announced_at DATETIME NULL');
+    await connection.query("UPDATE payment_intents SET announced_at = updated_at WHERE status = 'succeeded'");
+  },
+
+  down: async (connection) => {
+    await connection.query('ALTER TABLE payment_intents DROP COLUMN announced_at');
+  },
+};
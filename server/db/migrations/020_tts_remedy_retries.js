@@ -0,0 +1,30 @@
+// server/db/migrations/020_tts_remedy_retries.js
+
+/*
+ * Retries for paid TTS remedies (see services/ttsPricingService.js): the
+ * reason is kept so a retry can report it, and attempts are counted so a
+ * remedy that keeps failing is eventually left for an admin.
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE tips
+        ADD COLUMN tts_remedy_reason VARCHAR(255) NULL,
+        ADD COLUMN tts_remedy_attempts INT UNSIGNED NOT NULL DEFAULT 0,
+        ADD COLUMN tts_remedy_attempted_at DATETIME NULL,
+        ADD KEY idx_tips_tts_remedy_status (tts_remedy_status)
+    `);
+    // Remedies recorded before this migration were attempted once
+    await connection.query('UPDATE tips SET tts_remedy_attempts = 1, tts_remedy_attempted_at = NOW() WHERE tts_remedy IS NOT NULL');
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE tips
+        DROP KEY idx_tips_tts_remedy_status,
+        DROP COLUMN tts_remedy_reason,
+        DROP COLUMN tts_remedy_attempts,
+        DROP COLUMN tts_remedy_attempted_at
+    `);
+  },
+};
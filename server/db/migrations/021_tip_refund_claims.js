@@ -0,0 +1,23 @@
+// server/db/migrations/021_tip_refund_claims.js
+
+/*
+ * Refund claims (see services/tipReversalService.js): a tip is moved to
+ * 'refunding' before the provider is asked for the refund, so only one
+ * request can refund it.
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE tips
+        MODIFY COLUMN status ENUM('completed', 'refunding', 'refunded', 'charged_back') NOT NULL DEFAULT 'completed'
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("UPDATE tips SET status = 'completed' WHERE status = 'refunding'");
+    await connection.query(`
+      ALTER TABLE tips
+        MODIFY COLUMN status ENUM('completed', 'refunded', 'charged_back') NOT NULL DEFAULT 'completed'
+    `);
+  },
+};
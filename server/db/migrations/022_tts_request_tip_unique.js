@@ -0,0 +1,24 @@
+// server/db/migrations/022_tts_request_tip_unique.js
+
+/*
+ * A tip pays for at most one TTS request: concurrent deliveries of the same
+ * payment webhook cannot both request its bundled TTS (see
+ * services/paymentService.js).
+ */
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE tts_requests
+        DROP KEY idx_tts_requests_tip,
+        ADD UNIQUE KEY uq_tts_requests_tip (tip_id)
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE tts_requests
+        DROP KEY uq_tts_requests_tip,
+        ADD KEY idx_tts_requests_tip (tip_id)
+    `);
+  },
+};
@@ -0,0 +1,41 @@
+// server/db/seed.js
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+/*
+ * Runs every seed in db/seeds (in file name order) against the configured
+ * database. Seeds are for local development only: they refuse to run when
+ * NODE_ENV=production unless --force is given, and each seed is expected to
+ * skip itself if its data is already present.
+ *
+ * Usage: node db/seed.js [--force]
+ */
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+const run = async () => {
+  if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+    throw new Error('Refusing to seed a production database (pass --force to override).');
+  }
+
+  const files = fs.readdirSync(SEEDS_DIR).filter((file) => file.endsWith('.js')).sort();
+  for (const file of files) {
+    console.log(`🌱 Running seed ${file}...`);
+    await require(path.join(SEEDS_DIR, file)).run(db);
+  }
+  console.log(`✅ Ran ${files.length} seed(s).`);
+};
+
+if (require.main === module) {
+  run()
+    .then(() => db.end())
+    .catch(async (error) => {
+      console.error('❌ Seeding failed:', error.message);
+      await db.end();
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,153 @@
+// server/db/seeds/001_demo.js
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { withTransaction } = require('../transaction');
+const tipService = require('../../services/tipService');
+
+/*
+ * Demo data for local development: an admin, a moderator, two creators and
+ * three tippers (all with the password below), tips posted through the ledger
+ * so balances add up, a TTS history covering every status, and the offline
+ * local provider's voices in the catalog (Pixel Panda charges for one of them).
+ */
+
+const DEMO_PASSWORD = 'password123';
+
+const USERS = [
+  { username: 'demo_admin', email: 'admin@demo.local', role: 'admin' },
+  { username: 'demo_moderator', email: 'moderator@demo.local', role: 'moderator' },
+  { username: 'pixelpanda', email: 'pixelpanda@demo.local', role: 'creator' },
+  { username: 'speedrunsam', email: 'speedrunsam@demo.local', role: 'creator' },
+  { username: 'tipper_tom', email: 'tom@demo.local', role: 'tipper' },
+  { username: 'generous_gina', email: 'gina@demo.local', role: 'tipper' },
+  { username: 'lurker_lee', email: 'lee@demo.local', role: 'tipper' },
+];
+
+const CREATORS = [
+  { username: 'pixelpanda', display_name: 'Pixel Panda', bio: 'Cozy pixel art streams.', revenue_share: 70.0 },
+  { username: 'speedrunsam', display_name: 'Speedrun Sam', bio: 'Any% or bust.', revenue_share: 80.0 },
+];
+
+const TIPS = [
+  { from: 'tipper_tom', to: 'pixelpanda', amountCents: 500, message: 'Love the art!' },
+  { from: 'generous_gina', to: 'pixelpanda', amountCents: 2500, message: 'Keep it up!' },
+  { from: 'generous_gina', to: 'speedrunsam', amountCents: 10000, message: 'World record incoming' },
+  { from: 'lurker_lee', to: 'speedrunsam', amountCents: 300, message: null },
+  { from: 'tipper_tom', to: 'speedrunsam', amountCents: 1200, message: 'GG' },
+];
+
+const LOCAL_VOICES = [
+  { id: 'tone-low', name: 'Local Tone (Low)' },
+  { id: 'tone-mid', name: 'Local Tone (Mid)' },
+  { id: 'tone-high', name: 'Local Tone (High)' },
+];
+
+const TTS_REQUESTS = [
+  { from: 'tipper_tom', to: 'pixelpanda', message: 'Hello from the chat!', voice: 'local:tone-mid', status: 'completed' },
+  { from: 'generous_gina', to: 'pixelpanda', message: 'Draw a cat next please', voice: 'local:tone-high', status: 'completed' },
+  { from: 'lurker_lee', to: 'speedrunsam', message: 'What category is this?', voice: 'local:tone-low', status: 'processing' },
+  { from: 'tipper_tom', to: 'speedrunsam', message: 'That skip was insane', voice: 'local:tone-mid', status: 'failed' },
+  {
+    from: 'generous_gina',
+    to: 'speedrunsam',
+    message: 'visit now',
+    originalMessage: 'visit www.spam.example.com now',
+    voice: 'local:tone-mid',
+    status: 'completed',
+    moderationOutcome: 'redact',
+    moderationReason: 'link_removed',
+  },
+  {
+    from: 'lurker_lee',
+    to: 'pixelpanda',
+    message: '',
+    originalMessage: 'http://spam.example.com',
+    voice: 'local:tone-mid',
+    status: 'rejected',
+    moderationOutcome: 'reject',
+    moderationReason: 'link_removed,empty_after_moderation',
+  },
+];
+
+const run = async (db) => {
+  const [existing] = await db.query('SELECT id FROM users WHERE email = ?', [USERS[0].email]);
+  if (existing.length > 0) {
+    console.log('Demo data already present. Skipping.');
+    return;
+  }
+
+  const hashedPassword = await bcrypt.hash(DEMO_PASSWORD, 10);
+  const userIds = {};
+  for (const user of USERS) {
+    // Demo accounts use placeholder addresses, so they start out verified
+    const [result] = await db.query('INSERT INTO users (username, email, password, role, email_verified_at) VALUES (?, ?, ?, ?, NOW())', [
+      user.username,
+      user.email,
+      hashedPassword,
+      user.role,
+    ]);
+    userIds[user.username] = result.insertId;
+  }
+
+  const creatorIds = {};
+  for (const creator of CREATORS) {
+    const [result] = await db.query(
+      'INSERT INTO creators (user_id, display_name, bio, revenue_share, overlay_key) VALUES (?, ?, ?, ?, ?)',
+      [userIds[creator.username], creator.display_name, creator.bio, creator.revenue_share, crypto.randomBytes(24).toString('hex')]
+    );
+    creatorIds[creator.username] = result.insertId;
+  }
+
+  const voiceIds = {};
+  for (const voice of LOCAL_VOICES) {
+    // LAST_INSERT_ID(id) makes insertId the existing row's id when the voice is already there
+    const [result] = await db.query(
+      `INSERT INTO voices (provider, provider_voice_id, display_name) VALUES ('local', ?, ?)
+       ON DUPLICATE KEY UPDATE is_enabled = 1, id = LAST_INSERT_ID(id)`,
+      [voice.id, voice.name]
+    );
+    voiceIds[voice.id] = result.insertId;
+  }
+  await db.query('INSERT INTO creator_voices (creator_id, voice_id, price_cents, is_default) VALUES ?', [
+    [
+      [creatorIds.pixelpanda, voiceIds['tone-mid'], 0, true],
+      [creatorIds.pixelpanda, voiceIds['tone-high'], 100, false],
+    ],
+  ]);
+
+  // Through insertTip so every tip has balanced ledger postings
+  for (const tip of TIPS) {
+    await withTransaction((connection) =>
+      tipService.insertTip(connection, {
+        creatorId: creatorIds[tip.to],
+        tipperId: userIds[tip.from],
+        amountCents: tip.amountCents,
+        message: tip.message,
+      })
+    );
+  }
+
+  for (const request of TTS_REQUESTS) {
+    await db.query(
+      `INSERT INTO tts_requests
+         (user_id, creator_id, message, original_message, voice, status, moderation_outcome, moderation_reason, processed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userIds[request.from],
+        creatorIds[request.to],
+        request.message,
+        request.originalMessage || request.message,
+        request.voice,
+        request.status,
+        request.moderationOutcome || 'allow',
+        request.moderationReason || null,
+        ['completed', 'failed'].includes(request.status) ? new Date() : null,
+      ]
+    );
+  }
+
+  console.log(`Seeded ${USERS.length} users (password: ${DEMO_PASSWORD}), ${CREATORS.length} creators, ${TIPS.length} tips and ${TTS_REQUESTS.length} TTS requests.`);
+};
+
+module.exports = { run };
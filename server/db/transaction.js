@@ -0,0 +1,27 @@
+// server/db/transaction.js
+
+const db = require('./db');
+
+/**
+ * Runs `work` inside a MySQL transaction on a dedicated pool connection.
+ * Commits when `work` resolves, rolls back when it throws, and always
+ * releases the connection.
+ * @param {(connection: import('mysql2/promise').PoolConnection) => Promise<*>} work
+ * @returns {Promise<*>} Whatever `work` resolves with.
+ */
+const withTransaction = async (work) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,75 @@
+// lifecycle.js
+
+const logger = require('./logger');
+
+/*
+ * Graceful shutdown, shared by the API and the worker processes.
+ *
+ * Each process registers cleanup steps with onShutdown. On SIGTERM or SIGINT
+ * the steps run one after another in registration order (a failing step is
+ * logged and skipped), then the process exits with code 0. If the steps take
+ * longer than SHUTDOWN_TIMEOUT_MS the process exits with code 1 regardless.
+ */
+
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000;
+
+const steps = [];
+let shuttingDown = false;
+
+/**
+ * Registers a cleanup step.
+ * @param {string} name - Used in logs.
+ * @param {() => Promise<void>|void} fn
+ */
+const onShutdown = (name, fn) => {
+  steps.push({ name, fn });
+};
+
+/**
+ * True once shutdown has begun, e.g. to fail readiness checks or to stop
+ * restarting child processes.
+ */
+const isShuttingDown = () => shuttingDown;
+
+/**
+ * Runs the registered steps and exits. Calling it again while it runs is a no-op.
+ * @param {string} reason - e.g. the signal name.
+ */
+const shutdown = async (reason) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info(`Shutting down (${reason})...`);
+
+  // unref so a clean shutdown is not held open by this timer
+  setTimeout(() => {
+    logger.error(`❌ Shutdown did not finish within ${SHUTDOWN_TIMEOUT_MS}ms. Forcing exit.`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  for (const { name, fn } of steps) {
+    try {
+      await fn();
+      logger.info(`Shutdown step '${name}' done.`);
+    } catch (error) {
+      logger.error(`❌ Shutdown step '${name}' failed: ${error.message}`);
+    }
+  }
+
+  logger.info('✅ Shutdown complete.');
+  process.exit(0);
+};
+
+/**
+ * Starts a graceful shutdown on SIGTERM and SIGINT.
+ */
+const handleSignals = () => {
+  ['SIGTERM', 'SIGINT'].forEach((signal) => process.on(signal, () => shutdown(signal)));
+};
+
+module.exports = {
+  SHUTDOWN_TIMEOUT_MS,
+  onShutdown,
+  isShuttingDown,
+  shutdown,
+  handleSignals,
+};
@@ -0,0 +1,356 @@
+// metrics.js
+
+const http = require('http');
+const client = require('prom-client');
+const logger = require('./logger');
+
+/*
+ * Prometheus metrics.
+ *
+ * Every process (API and forked workers) records into its own registry,
+ * labelled with process="<name>". The API serves GET /metrics: it asks each
+ * forked worker for its metrics over the fork IPC channel and merges them
+ * with its own, so a single scrape target covers the whole service.
+ * A worker started on its own (npm run worker) serves /metrics on
+ * WORKER_METRICS_PORT instead.
+ */
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const WORKER_SCRAPE_TIMEOUT_MS = 2000;
+const QUEUE_STATES = ['waiting', 'active', 'delayed', 'failed', 'completed'];
+
+// Sources read at scrape time, registered by the process that owns them
+const trackedQueues = new Map(); // name -> Bull queue
+let socketSource = null;
+let dbPool = null;
+
+/*********************************************
+ * Metric Definitions
+ ********************************************/
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by route pattern and status code.',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by route pattern and status code.',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const ttsSynthesisDuration = new client.Histogram({
+  name: 'tts_synthesis_duration_seconds',
+  help: 'Time spent waiting for the TTS provider, by provider, voice and outcome.',
+  labelNames: ['provider', 'voice', 'outcome'],
+  buckets: [0.25, 0.5, 1, 2, 4, 8, 16, 30, 60],
+  registers: [register],
+});
+
+const ttsCharactersTotal = new client.Counter({
+  name: 'tts_synthesis_characters_total',
+  help: 'Characters sent to the TTS provider for successful syntheses, by provider and voice.',
+  labelNames: ['provider', 'voice'],
+  registers: [register],
+});
+
+const audioCacheLookups = new client.Counter({
+  name: 'tts_audio_cache_lookups_total',
+  help: 'TTS audio cache lookups, by result (hit, miss).',
+  labelNames: ['result'],
+  registers: [register],
+});
+
+const storageUploadDuration = new client.Histogram({
+  name: 'storage_upload_duration_seconds',
+  help: 'Time to store generated audio, by storage driver (s3, local) and outcome.',
+  labelNames: ['driver', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+new client.Gauge({
+  name: 'bull_queue_jobs',
+  help: 'Jobs in each Bull queue, by state.',
+  labelNames: ['queue', 'state'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    for (const [name, queue] of trackedQueues) {
+      try {
+        const counts = await queue.getJobCounts();
+        QUEUE_STATES.forEach((state) => this.set({ queue: name, state }, counts[state] || 0));
+      } catch (error) {
+        logger.error(`❌ Failed to read job counts for queue ${name}: ${error.message}`);
+      }
+    }
+  },
+});
+
+new client.Gauge({
+  name: 'socketio_connections',
+  help: 'Connected Socket.IO clients, by namespace.',
+  labelNames: ['namespace'],
+  registers: [register],
+  collect() {
+    this.reset();
+    if (!socketSource) return;
+    Object.entries(socketSource()).forEach(([namespace, count]) => this.set({ namespace }, count));
+  },
+});
+
+new client.Gauge({
+  name: 'mysql_pool_connections',
+  help: 'MySQL pool connections: total open, free, in use, and requests queued for a connection.',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    this.reset();
+    // mysql2/promise wraps the callback pool, which keeps the counts we need
+    const pool = dbPool?.pool;
+    if (!pool) return;
+    const total = pool._allConnections.length;
+    const free = pool._freeConnections.length;
+    this.set({ state: 'total' }, total);
+    this.set({ state: 'free' }, free);
+    this.set({ state: 'in_use' }, total - free);
+    this.set({ state: 'queued' }, pool._connectionQueue.length);
+    this.set({ state: 'limit' }, pool.config.connectionLimit);
+  },
+});
+
+/*********************************************
+ * Sources
+ ********************************************/
+/**
+ * Names this process in every metric (process="api", "tts-worker", ...).
+ * @param {string} name
+ */
+const setProcessName = (name) => register.setDefaultLabels({ process: name });
+
+/**
+ * Reports a Bull queue's job counts on every scrape.
+ * @param {string} name
+ * @param {import('bull').Queue} queue
+ */
+const trackQueue = (name, queue) => trackedQueues.set(name, queue);
+
+/**
+ * @param {() => Object<string, number>} getCounts - Connected clients by namespace.
+ */
+const trackSockets = (getCounts) => {
+  socketSource = getCounts;
+};
+
+/**
+ * @param {import('mysql2/promise').Pool} pool
+ */
+const trackDbPool = (pool) => {
+  dbPool = pool;
+};
+
+/*********************************************
+ * Instrumentation Helpers
+ ********************************************/
+/**
+ * req.baseUrl is the concrete path the routers were mounted at, e.g.
+ * /api/creators/42/goals for router.use('/:id/goals'). Segments holding a
+ * route param value become that param's name, and any other numeric segment
+ * becomes :id, giving back the mount pattern.
+ */
+const baseUrlPattern = (req) => {
+  const paramNames = new Map(Object.entries(req.params || {}).map(([name, value]) => [String(value), name]));
+  return (req.baseUrl || '')
+    .split('/')
+    .map((segment) => {
+      if (segment && paramNames.has(segment)) return `:${paramNames.get(segment)}`;
+      return /^\d+$/.test(segment) ? ':id' : segment;
+    })
+    .join('/');
+};
+
+/**
+ * Records count and latency of every request, labelled with the matched route
+ * pattern (e.g. /api/creators/:id/tips) so ids do not explode cardinality.
+ */
+const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const route = req.route ? `${baseUrlPattern(req)}${req.route.path}` : baseUrlPattern(req) || 'unmatched';
+    const labels = { method: req.method, route, status: res.statusCode };
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+  next();
+};
+
+/**
+ * Times a TTS provider call and counts the characters it synthesized.
+ * @param {string} voice
+ * @param {string} text
+ * @param {() => Promise<{ provider: string }>} synthesize
+ */
+const observeSynthesis = async (voice, text, synthesize) => {
+  const endTimer = ttsSynthesisDuration.startTimer({ voice });
+  try {
+    const result = await synthesize();
+    endTimer({ provider: result.provider, outcome: 'success' });
+    ttsCharactersTotal.inc({ provider: result.provider, voice }, text.length);
+    return result;
+  } catch (error) {
+    endTimer({ provider: error.provider || 'unknown', outcome: 'error' });
+    throw error;
+  }
+};
+
+/**
+ * Counts a TTS audio cache lookup.
+ * @param {boolean} hit
+ */
+const recordAudioCacheLookup = (hit) => audioCacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+
+/**
+ * Times an upload to a storage backend.
+ * @param {string} driver
+ * @param {() => Promise<*>} upload
+ */
+const observeUpload = async (driver, upload) => {
+  const endTimer = storageUploadDuration.startTimer({ driver });
+  try {
+    const result = await upload();
+    endTimer({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    endTimer({ outcome: 'error' });
+    throw error;
+  }
+};
+
+/*********************************************
+ * Worker Forwarding
+ ********************************************/
+const forkedWorkers = new Map(); // name -> ChildProcess
+let nextRequestId = 1;
+
+/**
+ * Makes a worker's metrics available: over IPC when forked by the API,
+ * otherwise on WORKER_METRICS_PORT (if set).
+ * @param {string} name - e.g. 'tts-worker'
+ */
+const exposeWorkerMetrics = (name) => {
+  setProcessName(name);
+
+  if (process.send) {
+    process.on('message', async (message) => {
+      if (message?.type !== 'metrics:request') return;
+      try {
+        process.send({ type: 'metrics:response', requestId: message.requestId, metrics: await register.getMetricsAsJSON() });
+      } catch (error) {
+        logger.error(`❌ Failed to send metrics to the API process: ${error.message}`);
+      }
+    });
+    return;
+  }
+
+  const port = parseInt(process.env.WORKER_METRICS_PORT, 10);
+  if (!port) return;
+  http
+    .createServer(async (req, res) => {
+      if (req.url !== '/metrics') {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': register.contentType });
+      res.end(await register.metrics());
+    })
+    .listen(port, () => logger.info(`${name} metrics available on port ${port}`));
+};
+
+/**
+ * Includes a forked worker in the API's /metrics output.
+ * @param {string} name
+ * @param {import('child_process').ChildProcess} child
+ */
+const attachWorker = (name, child) => {
+  forkedWorkers.set(name, child);
+  child.on('exit', () => {
+    if (forkedWorkers.get(name) === child) forkedWorkers.delete(name);
+  });
+};
+
+const isMetricsMessage = (message) => message?.type === 'metrics:response';
+
+const requestWorkerMetrics = (name, child) =>
+  new Promise((resolve) => {
+    const requestId = nextRequestId++;
+    const onMessage = (message) => {
+      if (!isMetricsMessage(message) || message.requestId !== requestId) return;
+      clearTimeout(timer);
+      child.off('message', onMessage);
+      resolve(message.metrics);
+    };
+    // A busy or restarting worker must not hold up the whole scrape
+    const timer = setTimeout(() => {
+      child.off('message', onMessage);
+      logger.warn(`Metrics from ${name} worker timed out.`);
+      resolve(null);
+    }, WORKER_SCRAPE_TIMEOUT_MS);
+
+    child.on('message', onMessage);
+    try {
+      child.send({ type: 'metrics:request', requestId });
+    } catch (error) {
+      child.off('message', onMessage);
+      clearTimeout(timer);
+      resolve(null);
+    }
+  });
+
+/*********************************************
+ * Endpoint
+ ********************************************/
+/**
+ * GET /metrics. When METRICS_TOKEN is set, scrapers must send it as a bearer token.
+ */
+const metricsHandler = async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const workerMetrics = await Promise.all(
+      [...forkedWorkers].map(([name, child]) => requestWorkerMetrics(name, child))
+    );
+    const merged = client.AggregatorRegistry.aggregate([
+      await register.getMetricsAsJSON(),
+      ...workerMetrics.filter(Boolean),
+    ]);
+    res.set('Content-Type', merged.contentType);
+    res.send(await merged.metrics());
+  } catch (error) {
+    logger.error('❌ Error in metricsHandler:', error);
+    res.status(500).json({ error: 'Failed to collect metrics.' });
+  }
+};
+
+module.exports = {
+  register,
+  setProcessName,
+  trackQueue,
+  trackSockets,
+  trackDbPool,
+  httpMetrics,
+  observeSynthesis,
+  observeUpload,
+  recordAudioCacheLookup,
+  exposeWorkerMetrics,
+  attachWorker,
+  isMetricsMessage,
+  metricsHandler,
+};
@@ -1,18 +1,30 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/tokenService');
 
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const token = req.headers['authorization']?.split(' ')[1]; // Bearer token
   if (!token) {
     return res.status(401).json({ error: 'No token provided.' });
   }
 
-  jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, (err, user) => {
-    if (err) {
+  try {
+    // Checks signature, expiry and that the token's session has not been revoked
+    const user = await verifyAccessToken(token);
+    if (!user) {
       return res.status(403).json({ error: 'Invalid token.' });
     }
     req.user = user; // Attach the user data to the request object
     next();
-  });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Same as authenticateToken, but lets requests without a token through (req.user stays undefined)
+const optionalAuthenticateToken = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+module.exports = { authenticateToken, optionalAuthenticateToken };
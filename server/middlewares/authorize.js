@@ -0,0 +1,123 @@
+// middlewares/authorize.js
+
+const db = require('../db');
+const logger = require('../logger');
+
+/*
+ * Authorization layer on top of authenticateToken. Roles come from the
+ * `role` claim of the access token (users.role):
+ *   admin     - everything
+ *   moderator - read and moderate any creator's content, no money operations
+ *   creator   - manage their own creator profile and its content
+ *   tipper    - send tips and TTS, read their own history
+ */
+const ROLES = ['admin', 'moderator', 'creator', 'tipper'];
+
+// Roles that may register themselves; staff roles are granted by an admin
+const SELF_ASSIGNABLE_ROLES = ['tipper', 'creator'];
+
+// Role policies for actions that are not tied to owning a specific creator
+const POLICIES = {
+  'creators:create': ['admin', 'creator'],
+  'tts:update-status': ['admin'],
+  'tips:chargeback': ['admin'],
+  'payouts:manage': ['admin'],
+  'ledger:audit': ['admin'],
+  'voices:manage': ['admin'],
+};
+
+const forbidden = (res) => res.status(403).json({ error: 'You do not have permission to perform this action.' });
+
+// Restrict a route to users whose token carries one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return forbidden(res);
+  }
+  next();
+};
+
+// Restrict a route to the roles allowed by a named policy
+const requirePermission = (action) => {
+  const roles = POLICIES[action];
+  if (!roles) {
+    throw new Error(`Unknown authorization policy: ${action}`);
+  }
+  return requireRole(...roles);
+};
+
+/**
+ * Whether a user may act on a creator: they own it (creators.user_id) or hold
+ * one of the privileged roles.
+ * @param {Object} user - req.user
+ * @param {{ user_id: number }} creator - creators row
+ * @param {string[]} [privilegedRoles=['admin']]
+ * @returns {boolean}
+ */
+const canActOnCreator = (user, creator, privilegedRoles = ['admin']) =>
+  Boolean(user && creator && (creator.user_id === user.userId || privilegedRoles.includes(user.role)));
+
+/**
+ * Resolves the creator profile linked to the authenticated user.
+ * @param {number} userId
+ * @returns {Promise<Object|null>} creators row or null
+ */
+const findCreatorForUser = async (userId) => {
+  const [creators] = await db.query('SELECT * FROM creators WHERE user_id = ?', [userId]);
+  return creators.length > 0 ? creators[0] : null;
+};
+
+// Attaches the JWT user's own creator profile (or null) as req.creator
+const loadCreatorForUser = async (req, res, next) => {
+  try {
+    req.creator = await findCreatorForUser(req.user.userId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Guards routes that act on a specific creator. The creator id is read from
+ * req.params[param] by default, or from `getCreatorId(req)`. The resolved
+ * creators row is attached as req.targetCreator.
+ * @param {Object} [options]
+ * @param {string} [options.param='id']
+ * @param {(req) => *} [options.getCreatorId]
+ * @param {string[]} [options.privilegedRoles=['admin']] - Roles that bypass ownership.
+ */
+const requireCreatorOwnership = ({ param = 'id', getCreatorId, privilegedRoles = ['admin'] } = {}) =>
+  async (req, res, next) => {
+    try {
+      const creatorId = getCreatorId ? getCreatorId(req) : req.params[param];
+      if (!creatorId) {
+        return res.status(400).json({ error: 'Creator ID is required.' });
+      }
+
+      const [creators] = await db.query('SELECT * FROM creators WHERE id = ?', [creatorId]);
+      if (creators.length === 0) {
+        return res.status(404).json({ error: 'Creator not found.' });
+      }
+
+      if (!canActOnCreator(req.user, creators[0], privilegedRoles)) {
+        logger.warn(`User ${req.user?.userId} denied access to creator ${creatorId} (${req.method} ${req.originalUrl})`);
+        return forbidden(res);
+      }
+
+      req.targetCreator = creators[0];
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+module.exports = {
+  ROLES,
+  SELF_ASSIGNABLE_ROLES,
+  POLICIES,
+  requireRole,
+  requirePermission,
+  canActOnCreator,
+  findCreatorForUser,
+  loadCreatorForUser,
+  requireCreatorOwnership,
+};
@@ -0,0 +1,134 @@
+// middlewares/idempotency.js
+
+const crypto = require('crypto');
+const db = require('../db');
+const logger = require('../logger');
+
+/*
+ * Idempotency-Key support for endpoints that create money-moving or paid
+ * work (tips, TTS). A client that retries with the same key gets the stored
+ * response instead of a second tip or TTS job.
+ *
+ * The key is scoped to the authenticated user and stored with a fingerprint
+ * of the request (method, path and body):
+ *   - first request:        runs normally; the response is stored
+ *   - replay, same request: the stored response is returned (Idempotent-Replayed: true)
+ *   - replay, still running: 409, retry shortly
+ *   - same key, other body: 422
+ * 5xx and 429 responses are not stored, so those requests can be retried
+ * with the same key. Keys expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24).
+ * Must run after authenticateToken.
+ */
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+// A key still 'processing' after this long belongs to a crashed request and may be taken over
+const PROCESSING_TIMEOUT_SECONDS = 60;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys, so {a,b} and {b,a} fingerprint the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const fingerprint = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+/**
+ * Claims the key for this request. Returns null when the request should run,
+ * or the existing row when it was already seen.
+ */
+const claimKey = async (userId, key, requestHash) => {
+  // Expired keys are purged a batch at a time. This key is cleared if it expired (the batch may
+  // not have reached it) or is an abandoned claim, so either counts as never seen.
+  await db.query('DELETE FROM idempotency_keys WHERE expires_at < NOW() LIMIT 100');
+  await db.query(
+    `DELETE FROM idempotency_keys
+     WHERE user_id = ? AND idempotency_key = ?
+       AND (expires_at < NOW() OR (status = 'processing' AND created_at < NOW() - INTERVAL ? SECOND))`,
+    [userId, key, PROCESSING_TIMEOUT_SECONDS]
+  );
+
+  const [result] = await db.query(
+    `INSERT IGNORE INTO idempotency_keys (user_id, idempotency_key, request_hash, status, expires_at)
+     VALUES (?, ?, ?, 'processing', NOW() + INTERVAL ? HOUR)`,
+    [userId, key, requestHash, KEY_TTL_HOURS]
+  );
+  if (result.affectedRows === 1) return null;
+
+  const [rows] = await db.query('SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key]);
+  return rows[0] || null;
+};
+
+const storeResponse = (userId, key, statusCode, body) =>
+  db.query(
+    `UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ?
+     WHERE user_id = ? AND idempotency_key = ?`,
+    [statusCode, JSON.stringify(body ?? null), userId, key]
+  );
+
+const releaseKey = (userId, key) =>
+  db.query('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key]);
+
+/**
+ * Express middleware honouring the Idempotency-Key header. Requests without
+ * the header are unaffected.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key may be at most ${MAX_KEY_LENGTH} characters.` });
+  }
+
+  const { userId } = req.user;
+  const requestHash = fingerprint(req);
+
+  try {
+    const existing = await claimKey(userId, key, requestHash);
+
+    if (existing) {
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used with a different request.' });
+      }
+      if (existing.status === 'processing') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed.' });
+      }
+      logger.info(`Replaying stored response for Idempotency-Key ${key} (user ${userId})`);
+      res.set('Idempotent-Replayed', 'true');
+      const body = typeof existing.response_body === 'string' ? JSON.parse(existing.response_body) : existing.response_body;
+      return res.status(existing.response_status).json(body);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Capture the JSON body so it can be stored once the response is sent
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  res.on('finish', () => {
+    const retryable = res.statusCode >= 500 || res.statusCode === 429;
+    const settle = retryable ? releaseKey(userId, key) : storeResponse(userId, key, res.statusCode, responseBody);
+    settle.catch((error) => logger.error(`❌ Failed to settle Idempotency-Key ${key}: ${error.message}`));
+  });
+
+  next();
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,221 @@
+// middlewares/rateLimit.js
+
+const db = require('../db');
+const logger = require('../logger');
+const { getStore } = require('../services/rateLimitStore');
+
+/*
+ * Rate limiting, login lockout and per-creator TTS cooldowns.
+ *
+ * Limits are sliding windows counted separately per key source (IP, user,
+ * creator, email); a request must fit in every bucket of its policy. Responses
+ * carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset for the most
+ * constrained bucket, and 429s carry Retry-After (seconds).
+ *
+ * If the store is unreachable requests are let through and the error is
+ * logged: an outage of Redis must not take the API down with it.
+ */
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const MINUTE = 60 * 1000;
+
+// Per-route policies. max can be overridden with RATE_LIMIT_<NAME>_<KEY>_MAX, e.g. RATE_LIMIT_TTS_USER_MAX=20.
+const POLICIES = {
+  login: { windowMs: 15 * MINUTE, limits: { ip: 30, email: 10 } },
+  register: { windowMs: 60 * MINUTE, limits: { ip: 5 } },
+  tts: { windowMs: MINUTE, limits: { user: 10, ip: 30, creator: 120 } },
+  tips: { windowMs: MINUTE, limits: { user: 20, ip: 60 } },
+  quote: { windowMs: MINUTE, limits: { user: 60, ip: 120 } },
+  passwordReset: { windowMs: 60 * MINUTE, limits: { ip: 10, email: 3 } },
+  verificationEmail: { windowMs: 60 * MINUTE, limits: { user: 5 } },
+  emailToken: { windowMs: 15 * MINUTE, limits: { ip: 30 } },
+};
+
+const LOGIN_MAX_FAILURES = envInt('LOGIN_MAX_FAILURES', 5);
+const LOGIN_FAILURE_WINDOW_MS = envInt('LOGIN_FAILURE_WINDOW_MS', 15 * MINUTE);
+const LOGIN_LOCKOUT_MS = envInt('LOGIN_LOCKOUT_MS', 15 * MINUTE);
+
+/*********************************************
+ * Helpers
+ ********************************************/
+const KEY_SOURCES = {
+  ip: (req) => req.ip,
+  user: (req) => req.user?.userId,
+  creator: (req) => req.body?.creatorId || req.params.id,
+  email: (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+};
+
+const toSeconds = (ms) => Math.ceil(ms / 1000);
+
+const tooManyRequests = (res, retryAfterMs, error) => {
+  res.set('Retry-After', String(toSeconds(retryAfterMs)));
+  return res.status(429).json({ error, retryAfter: toSeconds(retryAfterMs) });
+};
+
+/*********************************************
+ * Rate Limit Middleware
+ ********************************************/
+/**
+ * Builds a middleware enforcing a named policy from POLICIES.
+ * Key sources a request does not have (e.g. 'user' before authentication) are skipped.
+ * @param {string} name
+ * @returns {import('express').RequestHandler}
+ */
+const rateLimit = (name) => {
+  const { windowMs, limits } = POLICIES[name];
+
+  return async (req, res, next) => {
+    try {
+      const store = getStore();
+      let tightest = null;
+
+      for (const [source, defaultMax] of Object.entries(limits)) {
+        const value = KEY_SOURCES[source](req);
+        if (value === undefined || value === null || value === '') continue;
+
+        const max = envInt(`RATE_LIMIT_${name.toUpperCase()}_${source.toUpperCase()}_MAX`, defaultMax);
+        const result = await store.hit(`${name}:${source}:${value}`, windowMs, max);
+        const remaining = Math.max(max - result.count, 0);
+
+        if (!tightest || !result.allowed || remaining < tightest.remaining) {
+          tightest = { max, remaining, resetMs: result.resetMs, allowed: result.allowed, source };
+        }
+        if (!result.allowed) break;
+      }
+
+      if (tightest) {
+        res.set({
+          'RateLimit-Limit': String(tightest.max),
+          'RateLimit-Remaining': String(tightest.remaining),
+          'RateLimit-Reset': String(toSeconds(tightest.resetMs)),
+        });
+        if (!tightest.allowed) {
+          logger.warn(`Rate limit '${name}' exceeded by ${tightest.source} (${req.method} ${req.originalUrl}, IP ${req.ip})`);
+          return tooManyRequests(res, tightest.resetMs, 'Too many requests. Please slow down.');
+        }
+      }
+      next();
+    } catch (error) {
+      logger.error(`❌ Rate limit '${name}' unavailable, allowing request: ${error.message}`);
+      next();
+    }
+  };
+};
+
+/*********************************************
+ * Login Lockout
+ ********************************************/
+const lockKey = (email) => `login-lock:${email}`;
+const failureKey = (email) => `login-fail:${email}`;
+
+/**
+ * Rejects logins for an email that is locked out after repeated failures.
+ */
+const loginLockout = async (req, res, next) => {
+  const email = KEY_SOURCES.email(req);
+  if (!email) return next();
+
+  try {
+    const remainingMs = await getStore().ttl(lockKey(email));
+    if (remainingMs > 0) {
+      return tooManyRequests(res, remainingMs, 'Too many failed login attempts. Try again later.');
+    }
+    next();
+  } catch (error) {
+    logger.error(`❌ Login lockout check unavailable, allowing request: ${error.message}`);
+    next();
+  }
+};
+
+/**
+ * Counts a failed login and locks the email once LOGIN_MAX_FAILURES is reached.
+ * @param {string} email
+ * @param {string} ip
+ */
+const recordLoginFailure = async (email, ip) => {
+  const key = String(email).trim().toLowerCase();
+  try {
+    const store = getStore();
+    const failures = await store.increment(failureKey(key), LOGIN_FAILURE_WINDOW_MS);
+    if (failures >= LOGIN_MAX_FAILURES) {
+      await store.block(lockKey(key), LOGIN_LOCKOUT_MS);
+      await store.reset(failureKey(key));
+      logger.warn(`Login locked for ${key} after ${failures} failed attempts (last from IP ${ip})`);
+    }
+  } catch (error) {
+    logger.error(`❌ Failed to record login failure: ${error.message}`);
+  }
+};
+
+/**
+ * Clears the failure count after a successful login.
+ * @param {string} email
+ */
+const clearLoginFailures = async (email) => {
+  try {
+    await getStore().reset(failureKey(String(email).trim().toLowerCase()));
+  } catch (error) {
+    logger.error(`❌ Failed to clear login failures: ${error.message}`);
+  }
+};
+
+/*********************************************
+ * TTS Cooldown
+ ********************************************/
+/**
+ * Takes the TTS cooldown of a creator for the requesting user, answering 429
+ * while it runs (see ttsCooldown).
+ */
+const applyTTSCooldown = async (creatorId, req, res, next) => {
+  if (!creatorId) return next();
+
+  try {
+    const [creators] = await db.query('SELECT tts_cooldown_seconds FROM creators WHERE id = ?', [creatorId]);
+    const cooldownSeconds = creators[0]?.tts_cooldown_seconds || 0;
+    if (cooldownSeconds <= 0) return next();
+
+    const store = getStore();
+    const key = `tts-cooldown:${creatorId}:${req.user.userId}`;
+    const remainingMs = await store.acquire(key, cooldownSeconds * 1000);
+    if (remainingMs > 0) {
+      return tooManyRequests(res, remainingMs, `This creator allows one TTS message every ${cooldownSeconds} seconds.`);
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode < 400) return;
+      store.reset(key).catch((error) => logger.error(`❌ Failed to release TTS cooldown ${key}: ${error.message}`));
+    });
+    next();
+  } catch (error) {
+    logger.error(`❌ TTS cooldown check unavailable, allowing request: ${error.message}`);
+    next();
+  }
+};
+
+/**
+ * Enforces the creator's TTS cooldown (creators.tts_cooldown_seconds): each
+ * user may send one TTS message to that creator per cooldown period.
+ * The cooldown is taken before the handler runs, so concurrent requests
+ * cannot both get through, and given back if the request is not accepted
+ * (any 4xx or 5xx response), so a typo does not cost the user their turn.
+ * Must run after authenticateToken.
+ */
+const ttsCooldown = (req, res, next) => applyTTSCooldown(req.body.creatorId, req, res, next);
+
+/**
+ * The same cooldown for tips that carry a TTS message (POST /api/tips), which
+ * share it with standalone TTS. Tips without one are not affected.
+ */
+const tipTTSCooldown = (req, res, next) =>
+  req.body.ttsMessage ? applyTTSCooldown(req.body.streamerId, req, res, next) : next();
+
+module.exports = {
+  POLICIES,
+  rateLimit,
+  loginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  ttsCooldown,
+  tipTTSCooldown,
+};
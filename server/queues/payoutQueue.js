@@ -0,0 +1,11 @@
+// queues/payoutQueue.js
+
+const Bull = require('bull');
+const redisConfig = require('./redisConfig');
+
+// Queue for scheduled and on-demand creator payout batches
+const payoutQueue = new Bull('payoutQueue', {
+  redis: redisConfig,
+});
+
+module.exports = payoutQueue;
@@ -0,0 +1,32 @@
+// queues/redisClient.js
+
+const Redis = require('ioredis');
+const redisConfig = require('./redisConfig');
+const logger = require('../logger');
+
+/*
+ * Shared ioredis connection for state that lives outside Bull (playback
+ * queues, rate limits). Created on first use so scripts that never touch
+ * Redis do not open a connection.
+ */
+let client;
+
+const getRedis = () => {
+  if (!client) {
+    client = new Redis(redisConfig);
+    client.on('error', (error) => logger.error(`❌ Redis client error: ${error.message}`));
+  }
+  return client;
+};
+
+/**
+ * Closes the shared connection if one was opened.
+ */
+const closeRedis = async () => {
+  if (client) {
+    await client.quit();
+    client = null;
+  }
+};
+
+module.exports = { getRedis, closeRedis };
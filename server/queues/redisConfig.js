@@ -0,0 +1,18 @@
+// queues/redisConfig.js
+
+const logger = require('../logger');
+
+// Shared Redis connection options for every Bull queue
+const redisConfig = {
+  host: process.env.REDIS_HOST,
+  port: parseInt(process.env.REDIS_PORT, 10),
+  password: process.env.REDIS_PASSWORD,
+  tls: {}, // Required for secure connections to Redis providers like Azure Redis
+  retryStrategy: (attempts) => {
+    const delay = Math.min(attempts * 50, 2000); // Exponential backoff up to 2 seconds
+    logger.warn(`Redis connection retry in ${delay}ms. Attempt: ${attempts}`);
+    return delay;
+  },
+};
+
+module.exports = redisConfig;
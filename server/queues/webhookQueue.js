@@ -0,0 +1,11 @@
+// queues/webhookQueue.js
+
+const Bull = require('bull');
+const redisConfig = require('./redisConfig');
+
+// Queue for outgoing creator webhook deliveries
+const webhookQueue = new Bull('webhookQueue', {
+  redis: redisConfig,
+});
+
+module.exports = webhookQueue;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  refreshTokens,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+} = require('../controllers/authController');
+const { authenticateToken } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+
+// Token and session management
+router.post('/refresh', refreshTokens); // POST a refresh token for a new token pair
+router.post('/logout', authenticateToken, logout); // POST to revoke the current session
+router.post('/logout-all', authenticateToken, logoutAll); // POST to revoke every session
+router.get('/sessions', authenticateToken, getSessions); // GET active sessions
+router.delete('/sessions/:id', authenticateToken, revokeSession); // DELETE (revoke) a session
+
+// Email verification and password reset
+router.post('/verify-email', rateLimit('emailToken'), verifyEmail); // POST the token from a verification email
+router.post('/verify-email/resend', authenticateToken, rateLimit('verificationEmail'), resendVerificationEmail); // POST to email a new verification link
+router.post('/forgot-password', rateLimit('passwordReset'), forgotPassword); // POST an email address to receive a reset link
+router.post('/reset-password', rateLimit('emailToken'), resetPassword); // POST the reset token and a new password
+
+module.exports = router;
@@ -6,14 +6,75 @@ const {
   createCreator,
   updateCreator,
   deleteCreator,
+  getOverlayKey,
+  rotateOverlayKey,
+  getTTSApprovalSettings,
+  updateTTSApprovalSettings,
+  updateTTSCooldown,
+  getTTSPricing,
+  updateTTSPricing,
 } = require('../controllers/creatorController'); // Import creator controller
+const { getCreatorBalance } = require('../controllers/ledgerController');
+const { getOverlayConfig, updateOverlayConfig } = require('../controllers/overlayController');
+const { getPendingApprovals, approveTTS, rejectTTS } = require('../controllers/ttsController');
+const {
+  getModeration,
+  updateModerationSettings,
+  addModerationRule,
+  deleteModerationRule,
+  previewModeration,
+} = require('../controllers/moderationController');
+const {
+  getPlaybackState,
+  skipPlayback,
+  replayPlayback,
+  pausePlayback,
+  resumePlayback,
+} = require('../controllers/playbackController');
+const { getCreatorVoices, updateCreatorVoices } = require('../controllers/voicesController');
+const payoutRoutes = require('./payouts');
+const webhookRoutes = require('./webhooks');
+const goalRoutes = require('./goals');
 const { authenticateToken } = require('../middlewares/auth.js'); // Import authenticateToken middleware
+const { requirePermission, requireCreatorOwnership } = require('../middlewares/authorize');
 
 // Routes for creators
 router.get('/', authenticateToken, getCreators); // GET all creators
 router.get('/:id', authenticateToken, getCreatorById); // GET a specific creator by ID
-router.post('/', authenticateToken, createCreator); // POST to create a new creator
-router.put('/:id', authenticateToken, updateCreator); // PUT to update a specific creator
-router.delete('/:id', authenticateToken, deleteCreator); // DELETE a creator
+router.post('/', authenticateToken, requirePermission('creators:create'), createCreator); // POST to create a new creator
+router.put('/:id', authenticateToken, requireCreatorOwnership(), updateCreator); // PUT to update own creator (or admin)
+router.delete('/:id', authenticateToken, requireCreatorOwnership(), deleteCreator); // DELETE own creator (or admin)
+router.get('/:id/balance', authenticateToken, requireCreatorOwnership(), getCreatorBalance); // GET a creator's unpaid earnings
+router.get('/:id/overlay', authenticateToken, requireCreatorOwnership(), getOverlayConfig); // GET overlay alert templates and tiers
+router.put('/:id/overlay', authenticateToken, requireCreatorOwnership(), updateOverlayConfig); // PUT overlay alert templates and tiers
+router.get('/:id/overlay/token', authenticateToken, requireCreatorOwnership(), getOverlayKey); // GET the public overlay token
+router.post('/:id/overlay/token/rotate', authenticateToken, requireCreatorOwnership(), rotateOverlayKey); // POST to rotate the overlay token
+// Moderators help creators curate their lists and review queue, so they get the same access as the owner
+const moderationAccess = requireCreatorOwnership({ privilegedRoles: ['admin', 'moderator'] });
+router.get('/:id/moderation', authenticateToken, moderationAccess, getModeration); // GET moderation settings and rules
+router.put('/:id/moderation', authenticateToken, moderationAccess, updateModerationSettings); // PUT moderation settings
+router.post('/:id/moderation/rules', authenticateToken, moderationAccess, addModerationRule); // POST a banned word or regex
+router.delete('/:id/moderation/rules/:ruleId', authenticateToken, moderationAccess, deleteModerationRule); // DELETE a rule
+router.post('/:id/moderation/preview', authenticateToken, moderationAccess, previewModeration); // POST to dry-run a message
+router.get('/:id/tts/approval-settings', authenticateToken, requireCreatorOwnership(), getTTSApprovalSettings); // GET TTS approval mode
+router.put('/:id/tts/approval-settings', authenticateToken, requireCreatorOwnership(), updateTTSApprovalSettings); // PUT TTS approval mode
+router.put('/:id/tts/cooldown', authenticateToken, requireCreatorOwnership(), updateTTSCooldown); // PUT per-user TTS cooldown
+router.get('/:id/tts/pricing', authenticateToken, requireCreatorOwnership(), getTTSPricing); // GET paid TTS pricing
+router.put('/:id/tts/pricing', authenticateToken, requireCreatorOwnership(), updateTTSPricing); // PUT paid TTS pricing
+router.get('/:id/voices', authenticateToken, requireCreatorOwnership(), getCreatorVoices); // GET offered TTS voices and prices
+router.put('/:id/voices', authenticateToken, requireCreatorOwnership(), updateCreatorVoices); // PUT offered TTS voices and prices
+router.get('/:id/tts/approvals', authenticateToken, moderationAccess, getPendingApprovals); // GET TTS requests awaiting approval
+router.post('/:id/tts/approve', authenticateToken, moderationAccess, approveTTS); // POST to bulk-approve TTS requests
+router.post('/:id/tts/reject', authenticateToken, moderationAccess, rejectTTS); // POST to bulk-reject TTS requests
+router.post('/:id/tts/:ttsRequestId/approve', authenticateToken, moderationAccess, approveTTS); // POST to approve one TTS request
+router.post('/:id/tts/:ttsRequestId/reject', authenticateToken, moderationAccess, rejectTTS); // POST to reject one TTS request
+router.get('/:id/playback', authenticateToken, moderationAccess, getPlaybackState); // GET the overlay playback queue
+router.post('/:id/playback/skip', authenticateToken, moderationAccess, skipPlayback); // POST to skip the playing or a queued alert
+router.post('/:id/playback/replay', authenticateToken, moderationAccess, replayPlayback); // POST to replay a finished alert
+router.post('/:id/playback/pause', authenticateToken, moderationAccess, pausePlayback); // POST to pause overlay playback
+router.post('/:id/playback/resume', authenticateToken, moderationAccess, resumePlayback); // POST to resume overlay playback
+router.use('/:id/payouts', payoutRoutes); // Creator payouts
+router.use('/:id/webhooks', webhookRoutes); // Creator webhooks
+router.use('/:id/goals', goalRoutes); // Creator tip goals
 
 module.exports = router;
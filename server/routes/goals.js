@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Access :id from the parent creators router
+const { listGoals, createGoal, updateGoal, activateGoal, archiveGoal } = require('../controllers/goalsController');
+const { authenticateToken } = require('../middlewares/auth');
+const { requireCreatorOwnership } = require('../middlewares/authorize');
+
+// Routes for creator tip goals (mounted at /api/creators/:id/goals)
+router.get('/', authenticateToken, requireCreatorOwnership(), listGoals); // GET the creator's goals
+router.post('/', authenticateToken, requireCreatorOwnership(), createGoal); // POST to create a goal
+router.patch('/:goalId', authenticateToken, requireCreatorOwnership(), updateGoal); // PATCH title, description, target or deadline
+router.post('/:goalId/activate', authenticateToken, requireCreatorOwnership(), activateGoal); // POST to make the goal the active one
+router.post('/:goalId/archive', authenticateToken, requireCreatorOwnership(), archiveGoal); // POST to archive the goal
+
+module.exports = router;
@@ -2,16 +2,26 @@ const express = require('express');
 const router = express.Router();
 const registerRoutes = require('./register');
 const loginRoutes = require('./login');
+const authRoutes = require('./auth');
 const tipRoutes = require('./tips');
 const ttsRoutes = require('./tts'); // Import TTS routes
 const creatorRoutes = require('./creators');
+const ledgerRoutes = require('./ledger');
+const paymentRoutes = require('./payments');
+const overlayRoutes = require('./overlay');
+const voiceRoutes = require('./voices');
 
 // Attach routes
 router.use('/register', registerRoutes);
 router.use('/login', loginRoutes);
+router.use('/auth', authRoutes); // Token refresh, logout and sessions
 router.use('/tips', tipRoutes);
 router.use('/tts', ttsRoutes); // Add TTS routes
 router.use('/creators', creatorRoutes); // Add creator routes
+router.use('/ledger', ledgerRoutes); // Add ledger routes
+router.use('/payments', paymentRoutes); // Add payment intent and webhook routes
+router.use('/overlay', overlayRoutes); // Add public overlay routes
+router.use('/voices', voiceRoutes); // Add voice catalog admin routes
 
 
 // test route
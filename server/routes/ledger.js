@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getMyBalance, auditLedger } = require('../controllers/ledgerController');
+const { authenticateToken } = require('../middlewares/auth');
+const { requirePermission } = require('../middlewares/authorize');
+
+// Routes for ledger balances
+router.get('/balance', authenticateToken, getMyBalance); // GET the logged-in user's tip total
+router.get('/audit', authenticateToken, requirePermission('ledger:audit'), auditLedger); // GET ledger invariant check
+
+module.exports = router;
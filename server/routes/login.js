@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { loginUser } = require('../controllers/loginController');
+const { rateLimit, loginLockout } = require('../middlewares/rateLimit');
 
-// Route to handle user login
-router.post('/', loginUser);
+// Route to handle user login (throttled per IP and email, locked after repeated failures)
+router.post('/', rateLimit('login'), loginLockout, loginUser);
 
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getPublicOverlayConfig, getPublicGoal } = require('../controllers/overlayController');
+
+// Public, token-authenticated routes used by the OBS browser source
+router.get('/config', getPublicOverlayConfig); // GET overlay configuration by overlay token
+router.get('/goal', getPublicGoal); // GET the active tip goal by overlay token
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { handleProviderWebhook, getPaymentIntent } = require('../controllers/paymentsController');
+const { authenticateToken } = require('../middlewares/auth');
+
+// Provider webhooks are authenticated by their signature, not a user token
+router.post('/webhooks/:provider', handleProviderWebhook);
+router.get('/intents/:id', authenticateToken, getPaymentIntent); // GET a payment intent's status
+
+module.exports = router;
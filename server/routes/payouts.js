@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Access :id from the parent creators router
+const {
+  listPayouts,
+  getPayout,
+  triggerPayout,
+  updatePayoutStatus,
+} = require('../controllers/payoutsController');
+const { authenticateToken } = require('../middlewares/auth');
+const { requirePermission, requireCreatorOwnership } = require('../middlewares/authorize');
+
+// Routes for creator payouts (mounted at /api/creators/:id/payouts)
+router.get('/', authenticateToken, requireCreatorOwnership(), listPayouts); // GET the creator's payouts
+router.get('/:payoutId', authenticateToken, requireCreatorOwnership(), getPayout); // GET a specific payout
+router.post('/', authenticateToken, requirePermission('payouts:manage'), triggerPayout); // POST to pay out the creator now
+router.patch('/:payoutId', authenticateToken, requirePermission('payouts:manage'), updatePayoutStatus); // PATCH a payout's status
+
+module.exports = router;
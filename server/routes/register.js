@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { registerUser } = require('../controllers/registerController');
+const { rateLimit } = require('../middlewares/rateLimit');
 
-// Route to handle user registration
-router.post('/', registerUser);
+// Route to handle user registration (throttled per IP)
+router.post('/', rateLimit('register'), registerUser);
 
 module.exports = router;
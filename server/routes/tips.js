@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middlewares/auth');
-const { sendTip } = require('../controllers/tipsController');
+const { requirePermission } = require('../middlewares/authorize');
+const { rateLimit, tipTTSCooldown } = require('../middlewares/rateLimit');
+const { idempotency } = require('../middlewares/idempotency');
+const { sendTip, refundTip, chargeBackTip } = require('../controllers/tipsController');
 
-// Route to send a tip
-router.post('/', authenticateToken, sendTip);
+// Route to send a tip (retries with the same Idempotency-Key return the original response).
+// Tips carrying a TTS message are held to the creator's TTS cooldown like POST /api/tts.
+router.post('/', authenticateToken, idempotency, rateLimit('tips'), tipTTSCooldown, sendTip);
+
+// Routes to reverse a tip
+router.post('/:id/refund', authenticateToken, refundTip); // Receiving creator or admin
+router.post('/:id/chargeback', authenticateToken, requirePermission('tips:chargeback'), chargeBackTip);
 
 module.exports = router;
@@ -4,6 +4,7 @@ const express = require('express');
 const router = express.Router();
 const {
   submitTTSRequest,
+  quoteTTSRequest,
   getTTSRequests,
   updateTTSRequestStatus,
   getAvailableVoices,
@@ -11,24 +12,33 @@ const {
   getTTSRequestsByCreator, // Import the new controller
   getTTSRequestStatus, // Import the new controller for polling
 } = require('../controllers/ttsController'); // Ensure correct path
-const { authenticateToken } = require('../middlewares/auth'); // Import the authentication middleware
+const { authenticateToken, optionalAuthenticateToken } = require('../middlewares/auth'); // Import the authentication middleware
+const { requirePermission, requireCreatorOwnership } = require('../middlewares/authorize');
+const { rateLimit, ttsCooldown } = require('../middlewares/rateLimit');
+const { idempotency } = require('../middlewares/idempotency');
 
 // Define routes
 
 // Public Route
 router.get('/voices', getAvailableVoices); // GET route to fetch available voices (public if no auth is required)
+router.post('/quote', optionalAuthenticateToken, rateLimit('quote'), quoteTTSRequest); // POST route to price a TTS message (applies the user's TTS credit when signed in)
 // If voices are specific to authenticated users, keep authenticateToken
 // router.get('/voices', authenticateToken, getAvailableVoices);
 
-// Protected Routes
-router.post('/', submitTTSRequest); // POST route to submit TTS request
-router.get('/', getTTSRequests); // GET route to fetch TTS requests for logged-in user
-router.put('/:id/status', updateTTSRequestStatus); // PUT route to update TTS request status
-router.get('/download/:id', downloadTTSAudio); // GET route to download TTS audio
+// Protected Routes (the user is always taken from the access token)
+router.post('/', authenticateToken, idempotency, rateLimit('tts'), ttsCooldown, submitTTSRequest); // POST route to submit TTS request (idempotent, rate limited, per-creator cooldown)
+router.get('/', authenticateToken, getTTSRequests); // GET route to fetch TTS requests for logged-in user
+router.put('/:id/status', authenticateToken, requirePermission('tts:update-status'), updateTTSRequestStatus); // PUT route to update TTS request status
+router.get('/download/:id', optionalAuthenticateToken, downloadTTSAudio); // GET route to download TTS audio (owner/creator token or signed link)
 
 // New routes for fetching TTS requests by creator and polling status
-router.get('/creator', getTTSRequestsByCreator); // GET route to fetch TTS requests by creator
-router.get('/request-status/:ttsRequestId', getTTSRequestStatus); // GET route to poll TTS request status
+router.get(
+  '/creator',
+  authenticateToken,
+  requireCreatorOwnership({ getCreatorId: (req) => req.query.creatorId, privilegedRoles: ['admin', 'moderator'] }),
+  getTTSRequestsByCreator
+); // GET route to fetch TTS requests by creator
+router.get('/request-status/:ttsRequestId', authenticateToken, getTTSRequestStatus); // GET route to poll TTS request status
 
 // Export the router
 module.exports = router;
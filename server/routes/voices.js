@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { listVoiceCatalog, updateCatalogVoice, syncVoiceCatalog } = require('../controllers/voicesController');
+const { authenticateToken } = require('../middlewares/auth');
+const { requirePermission } = require('../middlewares/authorize');
+
+// Voice catalog management (admin). Viewers list voices via GET /api/tts/voices.
+router.get('/', authenticateToken, requirePermission('voices:manage'), listVoiceCatalog); // GET every voice, including disabled ones
+router.post('/sync', authenticateToken, requirePermission('voices:manage'), syncVoiceCatalog); // POST to import voices from a provider
+router.patch('/:voiceId', authenticateToken, requirePermission('voices:manage'), updateCatalogVoice); // PATCH a voice's name or enabled flag
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Access :id from the parent creators router
+const {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  listWebhookDeliveries,
+  testWebhook,
+  redeliverWebhook,
+} = require('../controllers/webhooksController');
+const { authenticateToken } = require('../middlewares/auth');
+const { requireCreatorOwnership } = require('../middlewares/authorize');
+
+// Routes for creator webhooks (mounted at /api/creators/:id/webhooks)
+router.get('/', authenticateToken, requireCreatorOwnership(), listWebhooks); // GET the creator's webhooks
+router.post('/', authenticateToken, requireCreatorOwnership(), createWebhook); // POST to subscribe a URL to events
+router.post('/deliveries/:deliveryId/redeliver', authenticateToken, requireCreatorOwnership(), redeliverWebhook); // POST to resend a delivery
+router.patch('/:webhookId', authenticateToken, requireCreatorOwnership(), updateWebhook); // PATCH url, event types or active state
+router.delete('/:webhookId', authenticateToken, requireCreatorOwnership(), deleteWebhook); // DELETE a webhook and its delivery log
+router.post('/:webhookId/rotate-secret', authenticateToken, requireCreatorOwnership(), rotateWebhookSecret); // POST to rotate the signing secret
+router.get('/:webhookId/deliveries', authenticateToken, requireCreatorOwnership(), listWebhookDeliveries); // GET the delivery log
+router.post('/:webhookId/test', authenticateToken, requireCreatorOwnership(), testWebhook); // POST a ping event
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// scripts/replayWebhook.js
+//
+// Delivers a signed mock payment webhook to a running API, e.g.
+//   node scripts/replayWebhook.js payment_intent.succeeded mock_pi_abc123 500
+//   node scripts/replayWebhook.js payment_intent.succeeded mock_pi_abc123 500 --event-id evt_1   (replay the same event)
+//
+// Fixtures live in services/paymentProviders/fixtures/mock; the event id,
+// intent id and amount in the fixture are replaced by the arguments.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { signPayload, signatureHeader } = require('../services/paymentProviders/mockPaymentProvider');
+
+const [fixtureName, providerIntentId, amountCents, ...rest] = process.argv.slice(2);
+
+const option = (name) => {
+  const index = rest.indexOf(`--${name}`);
+  return index >= 0 ? rest[index + 1] : undefined;
+};
+
+if (!fixtureName || !providerIntentId || !amountCents) {
+  console.error('Usage: node scripts/replayWebhook.js <fixture> <providerIntentId> <amountCents> [--event-id <id>] [--url <webhookUrl>]');
+  process.exit(1);
+}
+
+const fixturePath = path.join(__dirname, '..', 'services', 'paymentProviders', 'fixtures', 'mock', `${fixtureName}.json`);
+const eventId = option('event-id') || `evt_${crypto.randomBytes(8).toString('hex')}`;
+const url = option('url') || `http://localhost:${process.env.PORT || 5000}/api/payments/webhooks/mock`;
+
+const event = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+event.id = eventId;
+// Refund and dispute objects reference the intent instead of being the intent
+if (event.data.object.payment_intent) {
+  event.data.object.payment_intent = providerIntentId;
+} else {
+  event.data.object.id = providerIntentId;
+}
+event.data.object.amount = parseInt(amountCents, 10);
+const body = JSON.stringify(event);
+
+axios
+  .post(url, body, {
+    headers: { 'Content-Type': 'application/json', [signatureHeader]: signPayload(body) },
+    validateStatus: () => true,
+  })
+  .then((response) => {
+    console.log(`Delivered ${eventId} (${fixtureName}) -> ${response.status}`, response.data);
+  })
+  .catch((error) => {
+    console.error('Failed to deliver webhook:', error.message);
+    process.exit(1);
+  });
@@ -10,28 +10,66 @@ const { fork } = require('child_process'); // For starting the worker as a child
 const routes = require('./routes'); // Import all routes
 const socket = require('./socket'); // Shared Socket.IO instance
 const ttsQueue = require('./queues/ttsQueue'); // Import the TTS queue
+const webhookQueue = require('./queues/webhookQueue');
 const db = require('./db'); // Now correctly requires server/db/index.js
 const logger = require('./logger'); // Import the Winston logger
+const { handleSynthesisCompleted } = require('./services/ttsRequestService');
+const webhookService = require('./services/webhookService');
+const { announceRequestRemedy } = require('./services/ttsPricingService');
+const { getPaymentProvider } = require('./services/paymentProviders');
+const metrics = require('./metrics'); // Prometheus metrics
+const lifecycle = require('./lifecycle'); // Graceful shutdown
+const { closeRedis } = require('./queues/redisClient');
+const { closeTransports } = require('./services/mailer');
+const { getLiveness, getReadinessStatus } = require('./controllers/healthController');
+const { getReadiness } = require('./services/healthService');
 
 /*********************************************
  *  LOAD ENVIRONMENT VARIABLES
  ********************************************/
 dotenv.config();
 
+// Refuse to start with a payment provider that is missing its secrets or not allowed here
+try {
+  getPaymentProvider();
+} catch (error) {
+  logger.error(`❌ Payment provider misconfigured: ${error.message}`);
+  process.exit(1);
+}
+
 /*********************************************
  *  INITIALIZE EXPRESS
  ********************************************/
 const app = express();
 
+// Behind a load balancer req.ip must come from X-Forwarded-For, or every client shares one rate limit
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // CORS Configuration
 app.use(cors({
   origin: '*', // Adjust as needed for security in production
   methods: 'GET,POST,PUT,DELETE',
-  allowedHeaders: 'Content-Type, Authorization',
+  allowedHeaders: 'Content-Type, Authorization, Range, Idempotency-Key',
+  exposedHeaders: 'Content-Range, Accept-Ranges, Content-Length, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, Idempotent-Replayed',
+}));
+
+// Middleware to parse JSON bodies (the raw bytes are kept for webhook signature checks)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
 }));
 
-// Middleware to parse JSON bodies
-app.use(express.json());
+/*********************************************
+ *  METRICS
+ ********************************************/
+metrics.setProcessName('api');
+metrics.trackQueue('ttsQueue', ttsQueue);
+metrics.trackDbPool(db);
+metrics.trackSockets(socket.getConnectionCounts);
+app.use(metrics.httpMetrics);
 
 /*********************************************
  *  REQUEST LOGGING MIDDLEWARE
@@ -46,49 +84,13 @@ app.use((req, res, next) => {
   next();
 });
 
-/*********************************************
- *  SERVE STATIC TTS AUDIO FILES
- ********************************************/
-// Serve the 'tts_audios' directory for accessing generated audio files
-app.use('/tts_audios', express.static(path.join(__dirname, 'public', 'tts_audios')));
-
 /*********************************************
  *  SOCKET.IO
  ********************************************/
 const server = http.createServer(app);
-const io = socket.init(server); // Initialize Socket.IO and export
-
-// Attach Socket.IO to the app so it can be accessed in controllers
-app.io = io;
-
-// Handle Socket.IO connections
-io.on('connection', (socket) => {
-  logger.info(`✅ User connected: ${socket.id}`);
-
-  // Join a specific streamer room
-  socket.on('join-streamer-room', (roomId) => {
-    socket.join(roomId);
-    logger.info(`User ${socket.id} joined room: ${roomId}`);
-  });
-
-  // Debugging event to confirm room joining
-  socket.on('debug-room-check', (roomId) => {
-    const rooms = Array.from(socket.rooms);
-    logger.debug(`Rooms for socket ${socket.id}:`, rooms);
-  });
+socket.init(server); // Initialize Socket.IO (namespaces: /dashboard, /overlay)
 
-  // Handle sending tips
-  socket.on('send-tip', (data) => {
-    const { streamerId, tipAmount, message } = data;
-    io.to(streamerId).emit('receive-tip', { tipAmount, message });
-    logger.info(`Tip sent to streamer ${streamerId}: $${tipAmount}`);
-  });
-
-  // Handle disconnections
-  socket.on('disconnect', () => {
-    logger.info(`❌ User disconnected: ${socket.id}`);
-  });
-});
+// Connection handling, authentication and room authorization live in socket.js
 
 /*********************************************
  *  API ROUTES
@@ -98,6 +100,13 @@ app.get('/', (req, res) => {
   res.send('Tip System Backend is running. (MySQL & Protected Routes Enabled)');
 });
 
+// Probes: liveness never checks dependencies, readiness checks MySQL, Redis and storage
+app.get('/healthz', getLiveness);
+app.get('/readyz', getReadinessStatus);
+
+// Prometheus scrape endpoint (API and forked workers)
+app.get('/metrics', metrics.metricsHandler);
+
 // Use separated route files with a prefix
 app.use('/api', routes);
 
@@ -111,73 +120,69 @@ app.use((err, req, res, next) => {
 });
 
 /*********************************************
- *  START WORKER AS CHILD PROCESS
+ *  START WORKERS AS CHILD PROCESSES
  ********************************************/
-const workerPath = path.join(__dirname, 'workers/ttsWorker.js');
+const workerPaths = {
+  tts: path.join(__dirname, 'workers/ttsWorker.js'),
+  payout: path.join(__dirname, 'workers/payoutWorker.js'),
+  webhook: path.join(__dirname, 'workers/webhookWorker.js'),
+};
 
-const startWorker = () => {
-  const worker = fork(workerPath);
+const workers = {}; // name -> running child process
 
-  // Log messages from the worker
-  worker.on('message', (msg) => logger.info(`[Worker Message]: ${msg}`));
+const startWorker = (name) => {
+  const worker = fork(workerPaths[name]);
+  workers[name] = worker;
+
+  // Log messages from the worker (metrics replies are handled in metrics.js)
+  worker.on('message', (msg) => {
+    if (!metrics.isMetricsMessage(msg)) logger.info(`[${name} Worker Message]: ${msg}`);
+  });
+  metrics.attachWorker(name, worker);
 
   // Handle worker errors
-  worker.on('error', (err) => logger.error(`[Worker Error]: ${err.message}`, { stack: err.stack }));
+  worker.on('error', (err) => logger.error(`[${name} Worker Error]: ${err.message}`, { stack: err.stack }));
 
-  // Restart worker if it exits unexpectedly
+  // Restart worker if it exits unexpectedly (but not while the API itself is shutting down)
   worker.on('exit', (code, signal) => {
-    if (code !== 0) {
-      logger.error(`[Worker] exited with code ${code} and signal ${signal}. Restarting...`);
-      startWorker();
+    if (workers[name] === worker) delete workers[name];
+    if (lifecycle.isShuttingDown()) {
+      logger.info(`[${name} Worker] stopped with code ${code} during shutdown.`);
+    } else if (code !== 0) {
+      logger.error(`[${name} Worker] exited with code ${code} and signal ${signal}. Restarting...`);
+      startWorker(name);
     } else {
-      logger.info(`[Worker] exited gracefully with code ${code}.`);
+      logger.info(`[${name} Worker] exited gracefully with code ${code}.`);
     }
   });
 };
 
-// Start the worker
-startWorker();
+// Start the workers
+startWorker('tts');
+startWorker('payout');
+startWorker('webhook');
 
 /*********************************************
  *  TTS QUEUE EVENT HANDLERS
  ********************************************/
+// Jobs run in the forked worker, so completions are observed through Bull's
+// global (Redis pub/sub) events rather than the local ones, which only fire
+// in the process that ran the job.
 
 /**
  * Handle Completed TTS Jobs
  */
-ttsQueue.on('completed', async (job, result) => {
-  const { ttsRequestId, message, voice } = job.data;
-  const audioUrl = result;
-
+ttsQueue.on('global:completed', async (jobId) => {
   try {
-    // Fetch creator_id based on ttsRequestId
-    const [rows] = await db.query(
-      'SELECT creator_id FROM tts_requests WHERE id = ?',
-      [ttsRequestId]
-    );
-
-    if (rows.length === 0) {
-      logger.error('❌ No TTS request found with ID:', ttsRequestId);
+    const job = await ttsQueue.getJob(jobId);
+    if (!job) {
+      logger.warn(`Completed TTS job ${jobId} is no longer in the queue.`);
       return;
     }
+    const { ttsRequestId } = job.data;
 
-    const creatorId = rows[0].creator_id;
-
-    // Emit the 'tts-request' event to the specific creator's room
-    logger.info(`Emitting tts-request to room: creator-room-${creatorId}`);
-    logger.debug('Event Data:', {
-      ttsRequestId,
-      message,
-      voice,
-      audioUrl,
-    });
-    io.to(`creator-room-${creatorId}`).emit('tts-request', {
-      ttsRequestId,
-      message,
-      voice,
-      audioUrl,
-    });
-
+    // Plays on the overlay, or goes to the dashboard if the creator reviews audio first
+    await handleSynthesisCompleted(ttsRequestId);
     logger.info(`✅ TTS Request ${job.id} completed for TTS Request ID ${ttsRequestId}`);
   } catch (err) {
     logger.error('❌ Error handling completed TTS job:', err);
@@ -187,10 +192,17 @@ ttsQueue.on('completed', async (job, result) => {
 /**
  * Handle Failed TTS Jobs
  */
-ttsQueue.on('failed', async (job, err) => {
-  const { ttsRequestId, message, voice } = job.data;
+ttsQueue.on('global:failed', async (jobId, failedReason) => {
+  const err = new Error(failedReason);
 
   try {
+    const job = await ttsQueue.getJob(jobId);
+    if (!job) {
+      logger.warn(`Failed TTS job ${jobId} is no longer in the queue.`);
+      return;
+    }
+    const { ttsRequestId, message, voice } = job.data;
+
     // Fetch creator_id based on ttsRequestId
     const [rows] = await db.query(
       'SELECT creator_id FROM tts_requests WHERE id = ?',
@@ -212,12 +224,19 @@ ttsQueue.on('failed', async (job, err) => {
       voice,
       error: err.message,
     });
-    io.to(`creator-room-${creatorId}`).emit('tts-request-failed', {
+    socket.emitToCreator(creatorId, 'tts-request-failed', {
       ttsRequestId,
       message,
       voice,
       error: err.message,
-    });
+    }, { overlay: false });
+
+    // Bull reports every failed attempt; webhooks only fire on the final one. The worker has
+    // already remedied paid TTS by then, so the creator is told about it here.
+    if (await job.isFailed()) {
+      await webhookService.publishEvent(creatorId, 'tts.failed', { ttsRequestId, message, voice, error: err.message });
+      await announceRequestRemedy(ttsRequestId);
+    }
 
     logger.error(`❌ TTS Request ${job.id} failed for TTS Request ID ${ttsRequestId}: ${err.message}`, { error: err });
   } catch (error) {
@@ -233,8 +252,45 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, '0.0.0.0', () => {
   logger.info(`✅ Server is running on http://localhost:${PORT}`);
   logger.debug(`Environment PORT: ${process.env.PORT}`);
+
+  // Startup report only; /readyz is what load balancers should poll
+  getReadiness().then(({ checks }) => {
+    Object.entries(checks).forEach(([name, check]) => {
+      if (check.status === 'ok') logger.info(`✅ ${name} reachable (${check.latencyMs}ms)`);
+      else logger.error(`❌ ${name} unreachable: ${check.error}`);
+    });
+  });
 });
 
+/*********************************************
+ *  GRACEFUL SHUTDOWN
+ ********************************************/
+// Lets the load balancer see /readyz fail before we stop accepting connections
+const SHUTDOWN_DRAIN_DELAY_MS = parseInt(process.env.SHUTDOWN_DRAIN_DELAY_MS, 10) || 0;
+
+const stopWorker = (name, worker) =>
+  new Promise((resolve) => {
+    if (worker.exitCode !== null || worker.signalCode !== null) return resolve();
+    worker.once('exit', resolve);
+    logger.info(`Stopping ${name} worker...`);
+    worker.kill('SIGTERM'); // The worker finishes its active job, then exits
+  });
+
+lifecycle.onShutdown('drain delay', () => new Promise((resolve) => setTimeout(resolve, SHUTDOWN_DRAIN_DELAY_MS)));
+lifecycle.onShutdown('http and sockets', () =>
+  new Promise((resolve) => {
+    server.close(() => resolve()); // Stops accepting; resolves once open connections have ended
+    server.closeIdleConnections();
+    socket.disconnectAll();
+  })
+);
+lifecycle.onShutdown('workers', () => Promise.all(Object.entries(workers).map(([name, worker]) => stopWorker(name, worker))));
+lifecycle.onShutdown('queues', () => Promise.all([ttsQueue.close(), webhookQueue.close()]));
+lifecycle.onShutdown('mailer', closeTransports);
+lifecycle.onShutdown('redis', closeRedis);
+lifecycle.onShutdown('mysql pool', () => db.end());
+lifecycle.handleSignals();
+
 /*********************************************
  *  PROCESS LEVEL ERROR HANDLING
  ********************************************/
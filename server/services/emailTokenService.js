@@ -0,0 +1,202 @@
+// services/emailTokenService.js
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const logger = require('../logger');
+const mailer = require('./mailer');
+const { revokeAllSessions } = require('./tokenService');
+
+/*
+ * Email verification and password reset.
+ *
+ * Both flows email the user a link carrying a random token. Only its SHA-256
+ * hash is stored (user_email_tokens), together with the address it was sent
+ * to: a token stops working once used, once it expires, when a newer token
+ * for the same purpose is issued, or when the user's email has changed since.
+ * Links point at the web app (APP_URL), which posts the token back to
+ * /api/auth/verify-email or /api/auth/reset-password.
+ */
+
+const PURPOSES = {
+  VERIFY_EMAIL: 'verify_email',
+  RESET_PASSWORD: 'reset_password',
+};
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Error for tokens that cannot be used and requests that must be rejected.
+ * Controllers map it to its statusCode.
+ */
+class EmailTokenError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'EmailTokenError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/*********************************************
+ * Tokens
+ ********************************************/
+/**
+ * Issues a new token, replacing the user's unused tokens for the same purpose.
+ * @returns {Promise<string>} The raw token (only ever sent by email).
+ */
+const issueToken = async (user, purpose, ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query('DELETE FROM user_email_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL', [user.id, purpose]);
+  await db.query(
+    `INSERT INTO user_email_tokens (user_id, purpose, token_hash, email, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [user.id, purpose, hashToken(token), user.email, ttlMinutes]
+  );
+  return token;
+};
+
+/**
+ * Marks a token used and returns it with its user.
+ * @throws {EmailTokenError} When the token is unknown, used, expired or for an old address.
+ */
+const consumeToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) {
+    throw new EmailTokenError('Token is required.');
+  }
+
+  const [tokens] = await db.query(
+    `SELECT t.id, t.user_id, t.email, t.used_at, t.expires_at < NOW() AS expired, u.email AS current_email
+     FROM user_email_tokens t
+     JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = ? AND t.purpose = ?`,
+    [hashToken(token), purpose]
+  );
+  const stored = tokens[0];
+  if (!stored || stored.used_at || stored.email !== stored.current_email) {
+    throw new EmailTokenError('Invalid or already used token.');
+  }
+  if (stored.expired) {
+    throw new EmailTokenError('Token has expired. Please request a new one.', 410);
+  }
+
+  // Claimed atomically so two concurrent requests cannot both use the token
+  const [claim] = await db.query('UPDATE user_email_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [stored.id]);
+  if (claim.affectedRows === 0) {
+    throw new EmailTokenError('Invalid or already used token.');
+  }
+  return stored;
+};
+
+/*********************************************
+ * Email Verification
+ ********************************************/
+/**
+ * Emails a verification link to the user's current address.
+ * @param {{ id: number, username: string, email: string, email_verified_at?: Date }} user
+ */
+const sendVerificationEmail = async (user) => {
+  if (user.email_verified_at) {
+    throw new EmailTokenError('Email is already verified.', 409);
+  }
+  const token = await issueToken(user, PURPOSES.VERIFY_EMAIL, VERIFICATION_TTL_HOURS * 60);
+  await mailer.sendTemplate(user.email, 'verify-email', {
+    username: user.username,
+    url: `${APP_URL}/verify-email?token=${token}`,
+    expiresInHours: VERIFICATION_TTL_HOURS,
+  });
+};
+
+/**
+ * Sends a new verification email to a signed-in user.
+ * @param {number} userId
+ */
+const resendVerificationEmail = async (userId) => {
+  const [users] = await db.query('SELECT id, username, email, email_verified_at FROM users WHERE id = ?', [userId]);
+  if (users.length === 0) {
+    throw new EmailTokenError('User not found.', 404);
+  }
+  await sendVerificationEmail(users[0]);
+};
+
+/**
+ * @param {string} token
+ * @returns {Promise<{ userId: number, email: string }>}
+ */
+const verifyEmail = async (token) => {
+  const stored = await consumeToken(token, PURPOSES.VERIFY_EMAIL);
+  await db.query('UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?', [stored.user_id]);
+  logger.info(`✅ Email verified for user ${stored.user_id}`);
+  return { userId: stored.user_id, email: stored.email };
+};
+
+const isEmailVerified = async (userId) => {
+  const [users] = await db.query('SELECT email_verified_at FROM users WHERE id = ?', [userId]);
+  return Boolean(users[0]?.email_verified_at);
+};
+
+/*********************************************
+ * Password Reset
+ ********************************************/
+/**
+ * Emails a reset link if an account uses this address. Callers must answer the
+ * same way whether or not it does, so accounts cannot be enumerated.
+ * @param {string} email
+ */
+const requestPasswordReset = async (email) => {
+  const [users] = await db.query('SELECT id, username, email FROM users WHERE email = ?', [email]);
+  if (users.length === 0) {
+    logger.info('Password reset requested for an unknown email address.');
+    return;
+  }
+
+  const token = await issueToken(users[0], PURPOSES.RESET_PASSWORD, PASSWORD_RESET_TTL_MINUTES);
+  await mailer.sendTemplate(users[0].email, 'reset-password', {
+    username: users[0].username,
+    url: `${APP_URL}/reset-password?token=${token}`,
+    expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+  });
+};
+
+/**
+ * Sets a new password with a reset token and signs the user out everywhere.
+ * Following the link also proves the user owns the address, so it is marked verified.
+ * @param {string} token
+ * @param {string} password
+ * @returns {Promise<{ userId: number, sessionsRevoked: number }>}
+ */
+const resetPassword = async (token, password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new EmailTokenError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+  }
+
+  const stored = await consumeToken(token, PURPOSES.RESET_PASSWORD);
+  const hashedPassword = await bcrypt.hash(password, 10);
+  await db.query('UPDATE users SET password = ?, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?', [
+    hashedPassword,
+    stored.user_id,
+  ]);
+  await db.query('DELETE FROM user_email_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL', [
+    stored.user_id,
+    PURPOSES.RESET_PASSWORD,
+  ]);
+
+  const sessionsRevoked = await revokeAllSessions(stored.user_id);
+  logger.info(`✅ Password reset for user ${stored.user_id}`);
+  return { userId: stored.user_id, sessionsRevoked };
+};
+
+module.exports = {
+  PURPOSES,
+  EmailTokenError,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  isEmailVerified,
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,337 @@
+// services/goalService.js
+
+const db = require('../db');
+const logger = require('../logger');
+const socket = require('../socket');
+const { withTransaction } = require('../db/transaction');
+const { toCents, fromCents } = require('./ledgerService');
+
+/*
+ * Tip goals ("$500 for a new mic").
+ *
+ * A creator may have any number of goals but at most one is active; activating
+ * a goal makes the previous one inactive (its progress is kept). Every tip
+ * recorded while a goal is active and before its deadline counts towards it
+ * (tip_goal_contributions, written in the tip's own transaction), and a
+ * reversed tip is taken back out. A goal keeps counting after it is reached,
+ * so overlays can show overflow, until it is archived or replaced.
+ *
+ * Events to the creator's dashboard and overlay:
+ *   goal-progress - a tip or reversal changed the active goal's amount
+ *   goal-reached  - the active goal reached its target for the first time
+ *   goal-updated  - the active goal was edited, replaced or archived ({ goal: null } when none)
+ */
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TARGET_CENTS = 100000000;
+
+/**
+ * Error for invalid goal input and goal state changes that are not allowed.
+ */
+class GoalError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'GoalError';
+    this.statusCode = statusCode;
+  }
+}
+
+/*********************************************
+ * Helpers
+ ********************************************/
+const isExpired = (row) => Boolean(row.deadline_at) && new Date(row.deadline_at) <= new Date();
+
+const formatGoal = (row) => ({
+  id: row.id,
+  creatorId: row.creator_id,
+  title: row.title,
+  description: row.description,
+  target: fromCents(row.target_cents),
+  current: fromCents(row.current_cents),
+  percent: Math.min(100, Math.floor((row.current_cents / row.target_cents) * 100)),
+  status: row.status,
+  reached: Boolean(row.reached_at),
+  expired: isExpired(row),
+  deadline: row.deadline_at,
+  activatedAt: row.activated_at,
+  reachedAt: row.reached_at,
+  archivedAt: row.archived_at,
+  createdAt: row.created_at,
+});
+
+const validateTitle = (title) => {
+  if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+    throw new GoalError(`title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters.`);
+  }
+  return title.trim();
+};
+
+const validateDescription = (description) => {
+  if (description === null || description === '') return null;
+  if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new GoalError(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters.`);
+  }
+  return description;
+};
+
+const validateTarget = (targetAmount) => {
+  const cents = toCents(targetAmount);
+  if (!Number.isInteger(cents) || cents <= 0 || cents > MAX_TARGET_CENTS) {
+    throw new GoalError(`targetAmount must be greater than 0 and at most ${fromCents(MAX_TARGET_CENTS)}.`);
+  }
+  return cents;
+};
+
+const validateDeadline = (deadline) => {
+  if (deadline === null || deadline === '') return null;
+  const date = new Date(deadline);
+  if (Number.isNaN(date.getTime())) {
+    throw new GoalError('deadline must be an ISO 8601 date.');
+  }
+  if (date <= new Date()) {
+    throw new GoalError('deadline must be in the future.');
+  }
+  return date;
+};
+
+const findGoal = async (creatorId, goalId, connection = db) => {
+  const [rows] = await connection.query('SELECT * FROM tip_goals WHERE id = ? AND creator_id = ?', [goalId, creatorId]);
+  if (rows.length === 0) {
+    throw new GoalError('Goal not found.', 404);
+  }
+  return rows[0];
+};
+
+/*********************************************
+ * Queries
+ ********************************************/
+/**
+ * @param {number} creatorId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false]
+ */
+const listGoals = async (creatorId, { includeArchived = false } = {}) => {
+  const [rows] = await db.query(
+    `SELECT * FROM tip_goals WHERE creator_id = ? ${includeArchived ? '' : "AND status <> 'archived'"}
+     ORDER BY status = 'active' DESC, created_at DESC`,
+    [creatorId]
+  );
+  return rows.map(formatGoal);
+};
+
+const getGoal = async (creatorId, goalId) => formatGoal(await findGoal(creatorId, goalId));
+
+/**
+ * The creator's active goal, or null.
+ * @param {number} creatorId
+ */
+const getActiveGoal = async (creatorId) => {
+  const [rows] = await db.query("SELECT * FROM tip_goals WHERE creator_id = ? AND status = 'active'", [creatorId]);
+  return rows.length > 0 ? formatGoal(rows[0]) : null;
+};
+
+const announceActiveGoal = async (creatorId) => {
+  socket.emitToCreator(creatorId, 'goal-updated', { creatorId, goal: await getActiveGoal(creatorId) });
+};
+
+/*********************************************
+ * Manage Goals
+ ********************************************/
+/**
+ * Creates a goal, inactive unless `activate` is set.
+ * @param {number} creatorId
+ * @param {{ title: string, description?: string, targetAmount: number, deadline?: string, activate?: boolean }} input
+ */
+const createGoal = async (creatorId, { title, description = null, targetAmount, deadline = null, activate = false }) => {
+  const [result] = await db.query(
+    'INSERT INTO tip_goals (creator_id, title, description, target_cents, deadline_at) VALUES (?, ?, ?, ?, ?)',
+    [creatorId, validateTitle(title), validateDescription(description), validateTarget(targetAmount), validateDeadline(deadline)]
+  );
+  logger.info(`Goal ${result.insertId} created for creator ${creatorId}`);
+
+  if (activate === true) {
+    return activateGoal(creatorId, result.insertId);
+  }
+  return getGoal(creatorId, result.insertId);
+};
+
+/**
+ * Edits a goal's title, description, target or deadline. Changing the target
+ * re-evaluates whether the goal is reached.
+ */
+const updateGoal = async (creatorId, goalId, { title, description, targetAmount, deadline }) => {
+  const current = await findGoal(creatorId, goalId);
+  if (current.status === 'archived') {
+    throw new GoalError('Archived goals cannot be edited.', 409);
+  }
+
+  const targetCents = targetAmount !== undefined ? validateTarget(targetAmount) : current.target_cents;
+  const wasReached = Boolean(current.reached_at);
+  await db.query(
+    `UPDATE tip_goals
+     SET title = ?, description = ?, target_cents = ?, deadline_at = ?,
+         reached_at = IF(current_cents >= ?, COALESCE(reached_at, NOW()), NULL), updated_at = NOW()
+     WHERE id = ?`,
+    [
+      title !== undefined ? validateTitle(title) : current.title,
+      description !== undefined ? validateDescription(description) : current.description,
+      targetCents,
+      deadline !== undefined ? validateDeadline(deadline) : current.deadline_at,
+      targetCents,
+      goalId,
+    ]
+  );
+
+  const goal = await getGoal(creatorId, goalId);
+  if (goal.status === 'active') {
+    await announceActiveGoal(creatorId);
+    if (goal.reached && !wasReached) {
+      socket.emitToCreator(creatorId, 'goal-reached', { creatorId, goal });
+    }
+  }
+  return goal;
+};
+
+/**
+ * Makes a goal the creator's active goal; the previously active goal becomes inactive.
+ */
+const activateGoal = async (creatorId, goalId) => {
+  await withTransaction(async (connection) => {
+    const goal = await findGoal(creatorId, goalId, connection);
+    if (goal.status === 'archived') {
+      throw new GoalError('Archived goals cannot be activated.', 409);
+    }
+    if (isExpired(goal)) {
+      throw new GoalError('The goal deadline has passed.', 409);
+    }
+    await connection.query(
+      "UPDATE tip_goals SET status = 'inactive', updated_at = NOW() WHERE creator_id = ? AND status = 'active' AND id <> ?",
+      [creatorId, goalId]
+    );
+    await connection.query(
+      "UPDATE tip_goals SET status = 'active', activated_at = NOW(), updated_at = NOW() WHERE id = ?",
+      [goalId]
+    );
+  });
+
+  logger.info(`Goal ${goalId} activated for creator ${creatorId}`);
+  await announceActiveGoal(creatorId);
+  return getGoal(creatorId, goalId);
+};
+
+/**
+ * Archives a goal. An archived goal stops counting tips and cannot be changed.
+ */
+const archiveGoal = async (creatorId, goalId) => {
+  const goal = await findGoal(creatorId, goalId);
+  if (goal.status === 'archived') {
+    throw new GoalError('Goal is already archived.', 409);
+  }
+  await db.query("UPDATE tip_goals SET status = 'archived', archived_at = NOW(), updated_at = NOW() WHERE id = ?", [goalId]);
+
+  logger.info(`Goal ${goalId} archived for creator ${creatorId}`);
+  if (goal.status === 'active') {
+    await announceActiveGoal(creatorId);
+  }
+  return getGoal(creatorId, goalId);
+};
+
+/*********************************************
+ * Progress
+ ********************************************/
+/**
+ * Counts a tip towards the creator's active goal, using the connection of the
+ * transaction that inserts the tip.
+ * @param {import('mysql2/promise').PoolConnection} connection
+ * @param {{ tipId: number, creatorId: number, amountCents: number }} tip
+ * @returns {Promise<{ goalId: number, reachedNow: boolean } | null>} Pass to announceProgress after commit.
+ */
+const applyTip = async (connection, { tipId, creatorId, amountCents }) => {
+  const [goals] = await connection.query(
+    `SELECT id, reached_at FROM tip_goals
+     WHERE creator_id = ? AND status = 'active' AND (deadline_at IS NULL OR deadline_at > NOW())
+     FOR UPDATE`,
+    [creatorId]
+  );
+  if (goals.length === 0) return null;
+
+  const goal = goals[0];
+  const [inserted] = await connection.query(
+    'INSERT IGNORE INTO tip_goal_contributions (goal_id, tip_id, amount_cents) VALUES (?, ?, ?)',
+    [goal.id, tipId, amountCents]
+  );
+  if (inserted.affectedRows === 0) return null;
+
+  // MySQL applies SET assignments left to right, so reached_at sees the new current_cents
+  await connection.query(
+    `UPDATE tip_goals
+     SET current_cents = current_cents + ?,
+         reached_at = IF(reached_at IS NULL AND current_cents >= target_cents, NOW(), reached_at),
+         updated_at = NOW()
+     WHERE id = ?`,
+    [amountCents, goal.id]
+  );
+  const [updated] = await connection.query('SELECT reached_at FROM tip_goals WHERE id = ?', [goal.id]);
+  return { goalId: goal.id, tipId, reachedNow: !goal.reached_at && Boolean(updated[0].reached_at) };
+};
+
+/**
+ * Takes a reversed tip back out of the goal it counted towards, using the
+ * connection of the reversal's transaction. A reached goal stays reached.
+ * @param {import('mysql2/promise').PoolConnection} connection
+ * @param {number} tipId
+ * @returns {Promise<{ goalId: number, reachedNow: boolean } | null>}
+ */
+const revertTip = async (connection, tipId) => {
+  const [contributions] = await connection.query(
+    'SELECT goal_id, amount_cents FROM tip_goal_contributions WHERE tip_id = ? FOR UPDATE',
+    [tipId]
+  );
+  if (contributions.length === 0) return null;
+
+  const { goal_id: goalId, amount_cents: amountCents } = contributions[0];
+  await connection.query('DELETE FROM tip_goal_contributions WHERE goal_id = ? AND tip_id = ?', [goalId, tipId]);
+  await connection.query(
+    'UPDATE tip_goals SET current_cents = GREATEST(current_cents, ?) - ?, updated_at = NOW() WHERE id = ?',
+    [amountCents, amountCents, goalId]
+  );
+  return { goalId, tipId, reachedNow: false };
+};
+
+/**
+ * Emits goal-progress (and goal-reached) for a change returned by applyTip or
+ * revertTip. Call after the transaction has committed. Never throws: a goal
+ * event must not fail the tip.
+ * @param {{ goalId: number, tipId: number, reachedNow: boolean } | null} change
+ */
+const announceProgress = async (change) => {
+  if (!change) return;
+  try {
+    const [rows] = await db.query('SELECT * FROM tip_goals WHERE id = ?', [change.goalId]);
+    if (rows.length === 0) return;
+
+    const goal = formatGoal(rows[0]);
+    socket.emitToCreator(goal.creatorId, 'goal-progress', { creatorId: goal.creatorId, tipId: change.tipId, goal });
+    if (change.reachedNow) {
+      logger.info(`🎯 Goal ${goal.id} of creator ${goal.creatorId} reached (${goal.current}/${goal.target})`);
+      socket.emitToCreator(goal.creatorId, 'goal-reached', { creatorId: goal.creatorId, tipId: change.tipId, goal });
+    }
+  } catch (error) {
+    logger.error(`❌ Failed to announce progress of goal ${change.goalId}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  GoalError,
+  listGoals,
+  getGoal,
+  getActiveGoal,
+  createGoal,
+  updateGoal,
+  activateGoal,
+  archiveGoal,
+  applyTip,
+  revertTip,
+  announceProgress,
+};
@@ -0,0 +1,70 @@
+// services/healthService.js
+
+const db = require('../db');
+const ttsQueue = require('../queues/ttsQueue');
+const { getStorage } = require('./storage');
+const { isShuttingDown } = require('../lifecycle');
+
+/*
+ * Readiness checks for the API process. Each dependency check resolves to
+ * { status: 'ok' | 'error', latencyMs, error? } and gives up after
+ * HEALTH_CHECK_TIMEOUT_MS, so a hung dependency cannot hang the probe.
+ */
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+
+// Looked up (not expected to exist) to prove the storage backend is reachable and credentials work
+const STORAGE_PROBE_KEY = 'healthcheck/probe';
+
+/*********************************************
+ * Helpers
+ ********************************************/
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const runCheck = async (check) => {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(check(), CHECK_TIMEOUT_MS);
+    return { status: 'ok', latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'error', latencyMs: Date.now() - startedAt, error: error.message };
+  }
+};
+
+/*********************************************
+ * Checks
+ ********************************************/
+const CHECKS = {
+  database: () => db.query('SELECT 1'),
+  // Bull's own client, so this also covers the queues the API enqueues to
+  redis: async () => {
+    await ttsQueue.isReady();
+    await ttsQueue.client.ping();
+  },
+  storage: () => getStorage().stat(STORAGE_PROBE_KEY),
+};
+
+/**
+ * Runs every dependency check in parallel.
+ * @returns {Promise<{ ready: boolean, shuttingDown: boolean, checks: Object }>}
+ */
+const getReadiness = async () => {
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map((name) => runCheck(CHECKS[name])));
+  const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+  const shuttingDown = isShuttingDown();
+
+  return {
+    ready: !shuttingDown && results.every((result) => result.status === 'ok'),
+    shuttingDown,
+    checks,
+  };
+};
+
+module.exports = { getReadiness };
@@ -0,0 +1,287 @@
+// services/ledgerService.js
+
+const db = require('../db');
+const logger = require('../logger');
+
+/*
+ * Double-entry ledger. Every money movement is a ledger transaction made of
+ * entries that debit or credit accounts; the debits of a transaction must
+ * always equal its credits. Amounts are stored as integer cents.
+ *
+ * Accounts are identified by (owner_type, owner_id, kind):
+ *   user     / <user id>    / tipper_spend      - normal debit: what a tipper has paid
+ *   creator  / <creator id> / creator_earnings  - normal credit: what we owe a creator
+ *   platform / 0            / platform_revenue  - normal credit: fees we have earned
+ *   creator  / <creator id> / payout_in_transit - normal credit: payouts created but not yet sent
+ *   platform / 0            / payouts_disbursed - normal credit: payouts that left the platform
+ */
+
+const ACCOUNT_KINDS = {
+  TIPPER_SPEND: 'tipper_spend',
+  CREATOR_EARNINGS: 'creator_earnings',
+  PLATFORM_REVENUE: 'platform_revenue',
+  PAYOUT_IN_TRANSIT: 'payout_in_transit',
+  PAYOUTS_DISBURSED: 'payouts_disbursed',
+};
+
+const NORMAL_BALANCES = {
+  [ACCOUNT_KINDS.TIPPER_SPEND]: 'debit',
+  [ACCOUNT_KINDS.CREATOR_EARNINGS]: 'credit',
+  [ACCOUNT_KINDS.PLATFORM_REVENUE]: 'credit',
+  [ACCOUNT_KINDS.PAYOUT_IN_TRANSIT]: 'credit',
+  [ACCOUNT_KINDS.PAYOUTS_DISBURSED]: 'credit',
+};
+
+const PLATFORM_OWNER_ID = 0;
+
+/*********************************************
+ * Amount Helpers
+ ********************************************/
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => Number((cents / 100).toFixed(2));
+
+/**
+ * Splits a gross tip into the creator's net and the platform fee.
+ * `revenueShare` is the creator's percentage (creators.revenue_share).
+ * Rounding always favours the creator by at most half a cent, and the two
+ * parts always add back up to the gross.
+ * @param {number} grossCents
+ * @param {number} revenueShare
+ * @returns {{ creatorNetCents: number, platformFeeCents: number }}
+ */
+const splitTip = (grossCents, revenueShare) => {
+  const share = Math.min(Math.max(Number(revenueShare), 0), 100);
+  const creatorNetCents = Math.round((grossCents * share) / 100);
+  return { creatorNetCents, platformFeeCents: grossCents - creatorNetCents };
+};
+
+/*********************************************
+ * Accounts
+ ********************************************/
+/**
+ * Returns the id of an account, creating it on first use.
+ * @param {import('mysql2/promise').PoolConnection} connection
+ * @param {string} ownerType - 'user', 'creator' or 'platform'.
+ * @param {number} ownerId
+ * @param {string} kind - One of ACCOUNT_KINDS.
+ * @returns {Promise<number>}
+ */
+const getOrCreateAccount = async (connection, ownerType, ownerId, kind) => {
+  await connection.query(
+    'INSERT IGNORE INTO ledger_accounts (owner_type, owner_id, kind, normal_balance) VALUES (?, ?, ?, ?)',
+    [ownerType, ownerId, kind, NORMAL_BALANCES[kind]]
+  );
+  const [accounts] = await connection.query(
+    'SELECT id FROM ledger_accounts WHERE owner_type = ? AND owner_id = ? AND kind = ?',
+    [ownerType, ownerId, kind]
+  );
+  return accounts[0].id;
+};
+
+/*********************************************
+ * Postings
+ ********************************************/
+/**
+ * Writes a balanced ledger transaction. Must be called with a connection
+ * that is already inside a database transaction (see db/transaction.js).
+ * @param {import('mysql2/promise').PoolConnection} connection
+ * @param {Object} posting
+ * @param {string} posting.type - e.g. 'tip'.
+ * @param {string} [posting.referenceType] - e.g. 'tip'.
+ * @param {number} [posting.referenceId]
+ * @param {string} [posting.description]
+ * @param {Array<{ accountId: number, direction: 'debit'|'credit', amountCents: number }>} posting.entries
+ * @returns {Promise<number>} The ledger transaction id.
+ */
+const postTransaction = async (connection, { type, referenceType = null, referenceId = null, description = null, entries }) => {
+  const totals = { debit: 0, credit: 0 };
+  for (const entry of entries) {
+    if (!Number.isInteger(entry.amountCents) || entry.amountCents < 0 || !(entry.direction in totals)) {
+      throw new Error(`Invalid ledger entry: ${JSON.stringify(entry)}`);
+    }
+    totals[entry.direction] += entry.amountCents;
+  }
+  if (totals.debit !== totals.credit || totals.debit === 0) {
+    throw new Error(`Unbalanced ledger transaction (${type}): debits ${totals.debit} != credits ${totals.credit}`);
+  }
+
+  const [result] = await connection.query(
+    'INSERT INTO ledger_transactions (type, reference_type, reference_id, description) VALUES (?, ?, ?, ?)',
+    [type, referenceType, referenceId, description]
+  );
+  const transactionId = result.insertId;
+
+  // Zero-amount legs (e.g. a 100% revenue share leaves no fee) are not worth storing
+  const rows = entries
+    .filter((entry) => entry.amountCents > 0)
+    .map((entry) => [transactionId, entry.accountId, entry.direction, entry.amountCents]);
+  await connection.query(
+    'INSERT INTO ledger_entries (transaction_id, account_id, direction, amount_cents) VALUES ?',
+    [rows]
+  );
+
+  logger.debug(`Ledger transaction ${transactionId} (${type}) posted with ${rows.length} entries.`);
+  return transactionId;
+};
+
+/**
+ * Posts the ledger entries for a tip: the tipper is debited the gross amount,
+ * the creator is credited their net and the platform is credited the fee.
+ * @param {import('mysql2/promise').PoolConnection} connection
+ * @param {Object} tip
+ * @returns {Promise<number>} The ledger transaction id.
+ */
+const postTip = async (connection, { tipId, tipperId, creatorId, grossCents, creatorNetCents, platformFeeCents }) => {
+  const tipperAccount = await getOrCreateAccount(connection, 'user', tipperId, ACCOUNT_KINDS.TIPPER_SPEND);
+  const creatorAccount = await getOrCreateAccount(connection, 'creator', creatorId, ACCOUNT_KINDS.CREATOR_EARNINGS);
+  const platformAccount = await getOrCreateAccount(connection, 'platform', PLATFORM_OWNER_ID, ACCOUNT_KINDS.PLATFORM_REVENUE);
+
+  return postTransaction(connection, {
+    type: 'tip',
+    referenceType: 'tip',
+    referenceId: tipId,
+    description: `Tip ${tipId} from user ${tipperId} to creator ${creatorId}`,
+    entries: [
+      { accountId: tipperAccount, direction: 'debit', amountCents: grossCents },
+      { accountId: creatorAccount, direction: 'credit', amountCents: creatorNetCents },
+      { accountId: platformAccount, direction: 'credit', amountCents: platformFeeCents },
+    ],
+  });
+};
+
+/**
+ * Posts compensating entries that undo a tip: the tipper is credited back the
+ * gross amount and the creator's net and platform fee are debited back.
+ * Debiting the creator claws the money back from their unpaid earnings; if it
+ * was already paid out the balance goes negative and is netted off future tips
+ * before the next payout can reach the threshold.
+ * @param {import('mysql2/promise').PoolConnection} connection
+ * @param {Object} reversal
+ * @param {'refund'|'chargeback'} reversal.kind
+ * @returns {Promise<number>} The ledger transaction id.
+ */
+const postTipReversal = async (
+  connection,
+  { tipId, tipperId, creatorId, grossCents, creatorNetCents, platformFeeCents, kind }
+) => {
+  const tipperAccount = await getOrCreateAccount(connection, 'user', tipperId, ACCOUNT_KINDS.TIPPER_SPEND);
+  const creatorAccount = await getOrCreateAccount(connection, 'creator', creatorId, ACCOUNT_KINDS.CREATOR_EARNINGS);
+  const platformAccount = await getOrCreateAccount(connection, 'platform', PLATFORM_OWNER_ID, ACCOUNT_KINDS.PLATFORM_REVENUE);
+
+  return postTransaction(connection, {
+    type: `tip_${kind}`,
+    referenceType: 'tip',
+    referenceId: tipId,
+    description: `Tip ${tipId} ${kind}: reversing tip from user ${tipperId} to creator ${creatorId}`,
+    entries: [
+      { accountId: tipperAccount, direction: 'credit', amountCents: grossCents },
+      { accountId: creatorAccount, direction: 'debit', amountCents: creatorNetCents },
+      { accountId: platformAccount, direction: 'debit', amountCents: platformFeeCents },
+    ],
+  });
+};
+
+// Which accounts each payout lifecycle step moves money between
+const PAYOUT_POSTINGS = {
+  created: { from: ['creator', ACCOUNT_KINDS.CREATOR_EARNINGS], to: ['creator', ACCOUNT_KINDS.PAYOUT_IN_TRANSIT] },
+  sent: { from: ['creator', ACCOUNT_KINDS.PAYOUT_IN_TRANSIT], to: ['platform', ACCOUNT_KINDS.PAYOUTS_DISBURSED] },
+  failed: { from: ['creator', ACCOUNT_KINDS.PAYOUT_IN_TRANSIT], to: ['creator', ACCOUNT_KINDS.CREATOR_EARNINGS] },
+  reversed: { from: ['platform', ACCOUNT_KINDS.PAYOUTS_DISBURSED], to: ['creator', ACCOUNT_KINDS.CREATOR_EARNINGS] },
+};
+
+/**
+ * Posts the ledger entries for one step of a payout's lifecycle.
+ * Creating a payout moves the creator's earnings into transit; sending it
+ * disburses them; failing or reversing it returns them to the creator.
+ * @param {import('mysql2/promise').PoolConnection} connection
+ * @param {Object} payout
+ * @param {'created'|'sent'|'failed'|'reversed'} payout.stage
+ * @returns {Promise<number>} The ledger transaction id.
+ */
+const postPayout = async (connection, { payoutId, creatorId, amountCents, stage }) => {
+  const posting = PAYOUT_POSTINGS[stage];
+  if (!posting) {
+    throw new Error(`Unknown payout ledger stage: ${stage}`);
+  }
+
+  const ownerId = (ownerType) => (ownerType === 'platform' ? PLATFORM_OWNER_ID : creatorId);
+  const fromAccount = await getOrCreateAccount(connection, posting.from[0], ownerId(posting.from[0]), posting.from[1]);
+  const toAccount = await getOrCreateAccount(connection, posting.to[0], ownerId(posting.to[0]), posting.to[1]);
+
+  // Debiting a normal-credit account reduces it; crediting increases it
+  return postTransaction(connection, {
+    type: `payout_${stage}`,
+    referenceType: 'payout',
+    referenceId: payoutId,
+    description: `Payout ${payoutId} ${stage} for creator ${creatorId}`,
+    entries: [
+      { accountId: fromAccount, direction: 'debit', amountCents },
+      { accountId: toAccount, direction: 'credit', amountCents },
+    ],
+  });
+};
+
+/*********************************************
+ * Balances
+ ********************************************/
+/**
+ * Returns an account's balance in cents, signed by its normal side
+ * (a creator's positive balance is money owed to them).
+ * @param {string} ownerType
+ * @param {number} ownerId
+ * @param {string} kind
+ * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} [connection=db]
+ * @returns {Promise<number>}
+ */
+const getBalanceCents = async (ownerType, ownerId, kind, connection = db) => {
+  const [rows] = await connection.query(
+    `SELECT
+       COALESCE(SUM(CASE WHEN le.direction = 'debit' THEN le.amount_cents ELSE 0 END), 0) AS debits,
+       COALESCE(SUM(CASE WHEN le.direction = 'credit' THEN le.amount_cents ELSE 0 END), 0) AS credits
+     FROM ledger_accounts la
+     LEFT JOIN ledger_entries le ON le.account_id = la.id
+     WHERE la.owner_type = ? AND la.owner_id = ? AND la.kind = ?`,
+    [ownerType, ownerId, kind]
+  );
+  const debits = Number(rows[0].debits);
+  const credits = Number(rows[0].credits);
+  return NORMAL_BALANCES[kind] === 'debit' ? debits - credits : credits - debits;
+};
+
+/*********************************************
+ * Invariants
+ ********************************************/
+/**
+ * Lists every ledger transaction whose debits and credits do not match.
+ * An empty array means the ledger is consistent.
+ * @returns {Promise<Array<{ transactionId: number, type: string, debits: number, credits: number }>>}
+ */
+const findUnbalancedTransactions = async () => {
+  const [rows] = await db.query(
+    `SELECT
+       lt.id AS transactionId,
+       lt.type,
+       COALESCE(SUM(CASE WHEN le.direction = 'debit' THEN le.amount_cents ELSE 0 END), 0) AS debits,
+       COALESCE(SUM(CASE WHEN le.direction = 'credit' THEN le.amount_cents ELSE 0 END), 0) AS credits
+     FROM ledger_transactions lt
+     LEFT JOIN ledger_entries le ON le.transaction_id = lt.id
+     GROUP BY lt.id, lt.type
+     HAVING debits <> credits OR debits = 0`
+  );
+  return rows.map((row) => ({ ...row, debits: Number(row.debits), credits: Number(row.credits) }));
+};
+
+module.exports = {
+  ACCOUNT_KINDS,
+  PLATFORM_OWNER_ID,
+  toCents,
+  fromCents,
+  splitTip,
+  getOrCreateAccount,
+  postTransaction,
+  postTip,
+  postTipReversal,
+  postPayout,
+  getBalanceCents,
+  findUnbalancedTransactions,
+};
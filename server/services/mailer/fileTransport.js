@@ -0,0 +1,29 @@
+// services/mailer/fileTransport.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../logger');
+
+/*
+ * Development transport: nothing is sent, each message is written as JSON to
+ * MAIL_OUTBOX_DIR (server/outbox by default) so links can be copied from it.
+ */
+
+const MAIL_OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox'));
+
+const send = async (message) => {
+  const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const filePath = path.join(MAIL_OUTBOX_DIR, `${messageId}.json`);
+
+  await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+  await fs.promises.writeFile(filePath, JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2));
+  logger.info(`[File Mailer] "${message.subject}" to ${message.to} written to ${filePath}`);
+  return { messageId };
+};
+
+module.exports = {
+  name: 'file',
+  send,
+  close: async () => {},
+};
@@ -0,0 +1,50 @@
+// services/mailer/index.js
+
+const logger = require('../../logger');
+const smtpTransport = require('./smtpTransport');
+const fileTransport = require('./fileTransport');
+const memoryTransport = require('./memoryTransport');
+const { renderTemplate } = require('./templates');
+
+/*
+ * Mail transports expose:
+ *   name
+ *   send({ from, to, subject, text, html }) - resolves { messageId }
+ *   close()
+ * MAIL_TRANSPORT picks one (smtp, file, memory); without it, SMTP is used
+ * when SMTP_HOST is set and the file outbox otherwise.
+ */
+const transports = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+  [memoryTransport.name]: memoryTransport,
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Simply <no-reply@localhost>';
+
+const getTransport = (name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? smtpTransport.name : fileTransport.name)) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+/**
+ * Renders a template and sends it.
+ * @param {string} to
+ * @param {string} template - See ./templates.
+ * @param {Object} values
+ * @returns {Promise<{ messageId: string }>}
+ */
+const sendTemplate = async (to, template, values) => {
+  const transport = getTransport();
+  const { subject, text, html } = renderTemplate(template, values);
+  const result = await transport.send({ from: MAIL_FROM, to, subject, text, html });
+  logger.info(`Email '${template}' sent to ${to} via ${transport.name} (${result.messageId})`);
+  return result;
+};
+
+const closeTransports = () => Promise.all(Object.values(transports).map((transport) => transport.close()));
+
+module.exports = { getTransport, sendTemplate, closeTransports };
@@ -0,0 +1,30 @@
+// services/mailer/memoryTransport.js
+
+const crypto = require('crypto');
+
+/*
+ * In-memory transport for local testing: messages are kept in `outbox`
+ * (newest last) for the lifetime of the process.
+ */
+
+const MAX_MESSAGES = 100;
+const outbox = [];
+
+const send = async (message) => {
+  const messageId = crypto.randomUUID();
+  outbox.push({ messageId, date: new Date(), ...message });
+  if (outbox.length > MAX_MESSAGES) outbox.shift();
+  return { messageId };
+};
+
+const clear = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  name: 'memory',
+  send,
+  close: async () => {},
+  outbox,
+  clear,
+};
@@ -0,0 +1,45 @@
+// services/mailer/smtpTransport.js
+
+const nodemailer = require('nodemailer');
+
+/*
+ * SMTP transport (nodemailer). Configured with SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE ("true" for implicit TLS, usually port 465), SMTP_USER and
+ * SMTP_PASSWORD. The connection pool is created on first use.
+ */
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST must be set to send email over SMTP.');
+    }
+    transporter = nodemailer.createTransport({
+      pool: true,
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    });
+  }
+  return transporter;
+};
+
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId };
+};
+
+const close = async () => {
+  if (transporter) {
+    transporter.close();
+    transporter = null;
+  }
+};
+
+module.exports = {
+  name: 'smtp',
+  send,
+  close,
+};
@@ -0,0 +1,70 @@
+// services/mailer/templates.js
+
+/*
+ * Email templates. Each takes the values to fill in and returns
+ * { subject, text, html }; values are escaped before going into the HTML.
+ */
+
+const APP_NAME = process.env.APP_NAME || 'Simply';
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const layout = (title, paragraphs, action) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2>${escapeHtml(title)}</h2>
+    ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 18px; background: #6c47ff; color: #fff; text-decoration: none; border-radius: 4px;">${escapeHtml(action.label)}</a></p>
+    <p style="font-size: 12px; color: #666;">If the button does not work, copy this link into your browser:<br>${escapeHtml(action.url)}</p>
+  </body>
+</html>`;
+
+const TEMPLATES = {
+  /**
+   * @param {{ username: string, url: string, expiresInHours: number }} values
+   */
+  'verify-email': ({ username, url, expiresInHours }) => {
+    const paragraphs = [
+      `Hi ${username},`,
+      `Please confirm your email address for ${APP_NAME}. The link expires in ${expiresInHours} hours.`,
+      'If you did not create an account, you can ignore this email.',
+    ];
+    return {
+      subject: `Confirm your email for ${APP_NAME}`,
+      text: `${paragraphs.join('\n\n')}\n\n${url}\n`,
+      html: layout('Confirm your email', paragraphs, { url, label: 'Confirm email' }),
+    };
+  },
+
+  /**
+   * @param {{ username: string, url: string, expiresInMinutes: number }} values
+   */
+  'reset-password': ({ username, url, expiresInMinutes }) => {
+    const paragraphs = [
+      `Hi ${username},`,
+      `Someone asked to reset the password of your ${APP_NAME} account. The link expires in ${expiresInMinutes} minutes and can be used once.`,
+      'If this was not you, ignore this email; your password stays the same.',
+    ];
+    return {
+      subject: `Reset your ${APP_NAME} password`,
+      text: `${paragraphs.join('\n\n')}\n\n${url}\n`,
+      html: layout('Reset your password', paragraphs, { url, label: 'Choose a new password' }),
+    };
+  },
+};
+
+/**
+ * @param {string} name
+ * @param {Object} values
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+const renderTemplate = (name, values) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(values);
+};
+
+module.exports = { TEMPLATES, renderTemplate };
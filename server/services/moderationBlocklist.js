@@ -0,0 +1,24 @@
+// services/moderationBlocklist.js
+
+// Platform-wide terms that are never read out on any stream, regardless of
+// creator settings. Matched case-insensitively on word boundaries after
+// leetspeak normalization. Extend per deployment with MODERATION_GLOBAL_BLOCKLIST
+// (comma-separated).
+const GLOBAL_BLOCKLIST = [
+  'kys',
+  'kill yourself',
+  'nigger',
+  'faggot',
+  'retard',
+  'tranny',
+  'chink',
+  'spic',
+  'kike',
+];
+
+const fromEnv = (process.env.MODERATION_GLOBAL_BLOCKLIST || '')
+  .split(',')
+  .map((term) => term.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = [...GLOBAL_BLOCKLIST, ...fromEnv];
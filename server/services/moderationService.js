@@ -0,0 +1,322 @@
+// services/moderationService.js
+
+const vm = require('vm');
+const db = require('../db');
+const logger = require('../logger');
+const globalBlocklist = require('./moderationBlocklist');
+
+/*
+ * Message moderation for TTS and tip messages. Every message passes through:
+ *   1. whitespace normalization and repeated-character collapsing
+ *   2. link and phone-number stripping
+ *   3. the global blocklist (always rejects)
+ *   4. the creator's own banned words / regexes (redact or reject per rule)
+ *   5. the creator's maximum length
+ * and comes out with an outcome of 'allow', 'redact' (text was changed) or
+ * 'reject' (must not be synthesized or shown), plus the reasons.
+ */
+
+const OUTCOMES = { ALLOW: 'allow', REDACT: 'redact', REJECT: 'reject' };
+const RULE_TYPES = ['word', 'regex'];
+const RULE_ACTIONS = ['redact', 'reject'];
+
+const DEFAULT_SETTINGS = {
+  maxLength: parseInt(process.env.MODERATION_MAX_LENGTH, 10) || 300,
+  stripLinks: true,
+  stripPhoneNumbers: true,
+  collapseRepeats: true,
+};
+
+const MAX_RULE_PATTERN_LENGTH = 200;
+const MAX_RULES_PER_CREATOR = 500;
+// Creator regexes run with a time limit; one that takes longer rejects the message
+const REGEX_TIMEOUT_MS = 50;
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|gg|tv|co|xyz|ly|me|app|dev|link|info|ru|cn)\b(?:\/\S*)?/gi;
+const PHONE_PATTERN = /(?:\+?\d[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{3,4}[\s.-]?\d{3,4}(?:[\s.-]?\d{2,4})?/g;
+// A run of 4+ identical characters is collapsed to 3 ("noooooo" -> "nooo")
+const REPEAT_PATTERN = /(.)\1{3,}/gu;
+
+/**
+ * Error for invalid moderation rules or settings.
+ */
+class ModerationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ModerationError';
+    this.statusCode = statusCode;
+  }
+}
+
+/*********************************************
+ * Helpers
+ ********************************************/
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Undo common character substitutions so "k1ll y0urs3lf" still matches
+const normalizeLeetspeak = (text) =>
+  text.toLowerCase().replace(/[0134578@$]/g, (c) => ({ 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's' })[c]);
+
+// Words are normalized like the text they are matched against, so a "b00bs" rule matches "boobs" and "b0obs"
+const wordPattern = (word) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(normalizeLeetspeak(word))}(?![\\p{L}\\p{N}])`, 'giu');
+
+// Whether the quantifier at `index` can repeat what precedes it more than once
+const repeatsAt = (pattern, index) => {
+  if (pattern[index] === '*' || pattern[index] === '+') return true;
+  const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+  if (!bounds) return false;
+  const max = bounds[2] ? bounds[3] : bounds[1];
+  return max === '' || Number(max) > 1;
+};
+
+/**
+ * Finds the shapes that make a backtracking regex engine take exponential
+ * time: a repeated group that itself contains a quantifier or an alternation
+ * ("(a+)+", "(a|aa)+$", "(a|a?)+"), and backreferences.
+ * @param {string} pattern
+ * @returns {string|null} What is wrong, or null.
+ */
+const findBacktrackingRisk = (pattern) => {
+  const groups = []; // Per open group: whether its body can match in more than one way
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences';
+      i += 1;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+      // Skip the group modifier so its "?" is not read as a quantifier
+      const modifier = /^\?(?:[:=!]|<[=!]|<[^>]*>)/.exec(pattern.slice(i + 1));
+      if (modifier) i += modifier[0].length;
+    } else if (char === ')') {
+      const ambiguous = groups.pop();
+      if (ambiguous && repeatsAt(pattern, i + 1)) return 'nested quantifiers';
+      if (ambiguous && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (groups.length > 0 && (char === '|' || char === '?' || repeatsAt(pattern, i))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+};
+
+/**
+ * Rejects regexes that are invalid, too long, or shaped for catastrophic
+ * backtracking. Slow patterns that get past this are still cut off by
+ * REGEX_TIMEOUT_MS when they run.
+ * @param {string} pattern
+ */
+const assertSafeRegex = (pattern) => {
+  if (pattern.length > MAX_RULE_PATTERN_LENGTH) {
+    throw new ModerationError(`Patterns may be at most ${MAX_RULE_PATTERN_LENGTH} characters.`);
+  }
+  try {
+    new RegExp(pattern, 'iu');
+  } catch (error) {
+    throw new ModerationError(`Invalid regular expression: ${error.message}`);
+  }
+  const risk = findBacktrackingRisk(pattern);
+  if (risk) {
+    throw new ModerationError(`Patterns with ${risk} are not allowed.`);
+  }
+};
+
+// Regex rules run in their own context so the time limit can interrupt them
+const regexContext = vm.createContext({});
+const regexMatcher = new vm.Script("Array.from(haystack.matchAll(new RegExp(pattern, 'giu')), (m) => ({ index: m.index, text: m[0] }))");
+
+/**
+ * Finds a rule's matches in a message. Word rules match the leetspeak-normalized text.
+ * @returns {Array<{ start: number, length: number }>} In code points, for redacting Array.from(text).
+ * @throws {Error} code ERR_SCRIPT_EXECUTION_TIMEOUT when a regex rule takes too long.
+ */
+const findRuleMatches = (rule, text) => {
+  let haystack = text;
+  let matches;
+  if (rule.type === 'word') {
+    haystack = normalizeLeetspeak(text);
+    matches = Array.from(haystack.matchAll(wordPattern(rule.pattern)), (m) => ({ index: m.index, text: m[0] }));
+  } else {
+    Object.assign(regexContext, { haystack, pattern: rule.pattern });
+    matches = regexMatcher.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS });
+  }
+  // Empty matches (e.g. "x*") have nothing to redact
+  return matches
+    .filter((match) => match.text.length > 0)
+    .map((match) => ({ start: Array.from(haystack.slice(0, match.index)).length, length: Array.from(match.text).length }));
+};
+
+/*********************************************
+ * Creator Settings and Rules
+ ********************************************/
+const getSettings = async (creatorId) => {
+  const [rows] = await db.query('SELECT * FROM moderation_settings WHERE creator_id = ?', [creatorId]);
+  if (rows.length === 0) return { ...DEFAULT_SETTINGS };
+  return {
+    maxLength: rows[0].max_length,
+    stripLinks: Boolean(rows[0].strip_links),
+    stripPhoneNumbers: Boolean(rows[0].strip_phone_numbers),
+    collapseRepeats: Boolean(rows[0].collapse_repeats),
+  };
+};
+
+const updateSettings = async (creatorId, input) => {
+  const settings = { ...(await getSettings(creatorId)), ...input };
+  if (!Number.isInteger(settings.maxLength) || settings.maxLength < 1 || settings.maxLength > 1000) {
+    throw new ModerationError('maxLength must be an integer between 1 and 1000.');
+  }
+
+  await db.query(
+    `INSERT INTO moderation_settings (creator_id, max_length, strip_links, strip_phone_numbers, collapse_repeats)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE max_length = VALUES(max_length), strip_links = VALUES(strip_links),
+       strip_phone_numbers = VALUES(strip_phone_numbers), collapse_repeats = VALUES(collapse_repeats)`,
+    [creatorId, settings.maxLength, Boolean(settings.stripLinks), Boolean(settings.stripPhoneNumbers), Boolean(settings.collapseRepeats)]
+  );
+  return getSettings(creatorId);
+};
+
+const listRules = async (creatorId) => {
+  const [rows] = await db.query(
+    'SELECT id, type, pattern, action, created_at AS createdAt FROM moderation_rules WHERE creator_id = ? ORDER BY id',
+    [creatorId]
+  );
+  return rows;
+};
+
+const addRule = async (creatorId, { type = 'word', pattern, action = 'redact' }) => {
+  if (!RULE_TYPES.includes(type)) {
+    throw new ModerationError(`type must be one of: ${RULE_TYPES.join(', ')}.`);
+  }
+  if (!RULE_ACTIONS.includes(action)) {
+    throw new ModerationError(`action must be one of: ${RULE_ACTIONS.join(', ')}.`);
+  }
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    throw new ModerationError('pattern is required.');
+  }
+
+  const normalizedPattern = type === 'word' ? pattern.trim().toLowerCase() : pattern;
+  if (type === 'regex') {
+    assertSafeRegex(normalizedPattern);
+  } else if (normalizedPattern.length > MAX_RULE_PATTERN_LENGTH) {
+    throw new ModerationError(`Words may be at most ${MAX_RULE_PATTERN_LENGTH} characters.`);
+  }
+
+  const [[{ total }]] = await db.query('SELECT COUNT(*) AS total FROM moderation_rules WHERE creator_id = ?', [creatorId]);
+  if (total >= MAX_RULES_PER_CREATOR) {
+    throw new ModerationError(`A creator may have at most ${MAX_RULES_PER_CREATOR} rules.`);
+  }
+
+  const [result] = await db.query(
+    'INSERT INTO moderation_rules (creator_id, type, pattern, action) VALUES (?, ?, ?, ?)',
+    [creatorId, type, normalizedPattern, action]
+  );
+  return { id: result.insertId, type, pattern: normalizedPattern, action };
+};
+
+const deleteRule = async (creatorId, ruleId) => {
+  const [result] = await db.query('DELETE FROM moderation_rules WHERE id = ? AND creator_id = ?', [ruleId, creatorId]);
+  return result.affectedRows > 0;
+};
+
+/*********************************************
+ * Moderate Message
+ ********************************************/
+/**
+ * Runs a message through the moderation pipeline for a creator.
+ * @param {string} message
+ * @param {Object} options
+ * @param {number} options.creatorId
+ * @returns {Promise<{ outcome: 'allow'|'redact'|'reject', text: string, reasons: string[] }>}
+ */
+const moderateMessage = async (message, { creatorId }) => {
+  const [settings, rules] = await Promise.all([getSettings(creatorId), listRules(creatorId)]);
+  const reasons = [];
+  let redacted = false;
+
+  let text = String(message || '').replace(/\s+/g, ' ').trim();
+
+  if (settings.collapseRepeats) {
+    text = text.replace(REPEAT_PATTERN, '$1$1$1');
+  }
+
+  if (settings.stripLinks) {
+    const stripped = text.replace(LINK_PATTERN, '');
+    if (stripped !== text) {
+      text = stripped.replace(/\s+/g, ' ').trim();
+      reasons.push('link_removed');
+      redacted = true;
+    }
+  }
+
+  if (settings.stripPhoneNumbers) {
+    // Only digit runs that look like phone numbers (7+ digits), not amounts like "500"
+    const stripped = text.replace(PHONE_PATTERN, (match) => (match.replace(/\D/g, '').length >= 7 ? '' : match));
+    if (stripped !== text) {
+      text = stripped.replace(/\s+/g, ' ').trim();
+      reasons.push('phone_number_removed');
+      redacted = true;
+    }
+  }
+
+  const normalized = normalizeLeetspeak(text);
+  const blockedTerm = globalBlocklist.find((term) => wordPattern(term).test(normalized));
+  if (blockedTerm) {
+    return { outcome: OUTCOMES.REJECT, text, reasons: [...reasons, 'global_blocklist'] };
+  }
+
+  for (const rule of rules) {
+    let matches;
+    try {
+      matches = findRuleMatches(rule, text);
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+      // Fail closed: a message that makes a rule this slow is not read out
+      logger.warn(`Moderation rule ${rule.id} of creator ${creatorId} timed out after ${REGEX_TIMEOUT_MS}ms.`);
+      return { outcome: OUTCOMES.REJECT, text, reasons: [...reasons, `creator_rule_timeout:${rule.id}`] };
+    }
+    if (matches.length === 0) continue;
+
+    if (rule.action === 'reject') {
+      return { outcome: OUTCOMES.REJECT, text, reasons: [...reasons, `creator_rule:${rule.id}`] };
+    }
+    // Word rules are matched on the normalized text, so redact on it by position
+    const chars = Array.from(text);
+    for (const { start, length } of matches) {
+      chars.splice(start, length, ...'*'.repeat(length));
+    }
+    text = chars.join('');
+    reasons.push(`creator_rule:${rule.id}`);
+    redacted = true;
+  }
+
+  if (!text) {
+    return { outcome: OUTCOMES.REJECT, text, reasons: [...reasons, 'empty_after_moderation'] };
+  }
+  if (Array.from(text).length > settings.maxLength) {
+    return { outcome: OUTCOMES.REJECT, text, reasons: [...reasons, 'too_long'] };
+  }
+
+  const outcome = redacted ? OUTCOMES.REDACT : OUTCOMES.ALLOW;
+  if (outcome !== OUTCOMES.ALLOW) {
+    logger.info(`Moderation ${outcome} for creator ${creatorId}: ${reasons.join(', ')}`);
+  }
+  return { outcome, text, reasons };
+};
+
+module.exports = {
+  OUTCOMES,
+  DEFAULT_SETTINGS,
+  ModerationError,
+  getSettings,
+  updateSettings,
+  listRules,
+  addRule,
+  deleteRule,
+  moderateMessage,
+};
@@ -0,0 +1,194 @@
+// services/overlayConfigService.js
+
+const db = require('../db');
+
+/*
+ * Per-creator overlay configuration: alert templates and amount tiers.
+ *
+ * Stored as one JSON document per creator (overlay_configs.config):
+ * {
+ *   "tipTemplate": "{username} tipped {amount}!",
+ *   "ttsTemplate": "{username} says: {message}",
+ *   "tiers": [
+ *     { "minAmount": 0,  "sound": "chime.mp3", "animation": "fade", "minDurationMs": 4000, "ttsEnabled": true },
+ *     { "minAmount": 50, "sound": "airhorn.mp3", "animation": "confetti", "minDurationMs": 10000,
+ *       "ttsEnabled": true, "ttsMaxLength": 300, "tipTemplate": "{username} just dropped {amount}!!" }
+ *   ]
+ * }
+ * A tier applies to amounts at or above its minAmount; the highest matching
+ * tier wins and may override the templates. ttsMaxLength caps the TTS message
+ * of a paid tip in that tier (null: only the moderation length limit applies).
+ */
+
+const PLACEHOLDERS = ['username', 'amount', 'message', 'voice', 'creator'];
+const MAX_TIERS = 10;
+const MAX_TEMPLATE_LENGTH = 200;
+const MAX_TTS_LENGTH = 1000;
+
+const DEFAULT_CONFIG = {
+  tipTemplate: '{username} tipped {amount}!',
+  ttsTemplate: '{username} says: {message}',
+  tiers: [{ minAmount: 0, sound: null, animation: 'fade', minDurationMs: 5000, ttsEnabled: true }],
+};
+
+/**
+ * Error for configuration documents that fail validation.
+ */
+class OverlayConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OverlayConfigError';
+    this.statusCode = 400;
+  }
+}
+
+/*********************************************
+ * Validation
+ ********************************************/
+const validateTemplate = (template, field) => {
+  if (template === undefined || template === null) return;
+  if (typeof template !== 'string' || template.length > MAX_TEMPLATE_LENGTH) {
+    throw new OverlayConfigError(`${field} must be a string of at most ${MAX_TEMPLATE_LENGTH} characters.`);
+  }
+  const unknown = (template.match(/{(\w+)}/g) || [])
+    .map((placeholder) => placeholder.slice(1, -1))
+    .filter((name) => !PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    throw new OverlayConfigError(`${field} uses unknown placeholders: ${unknown.join(', ')}. Allowed: ${PLACEHOLDERS.join(', ')}.`);
+  }
+};
+
+const optionalString = (value, field) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.length > 500) {
+    throw new OverlayConfigError(`${field} must be a string of at most 500 characters.`);
+  }
+  return value;
+};
+
+/**
+ * Validates a configuration document and returns its normalized form.
+ * @param {Object} input
+ * @returns {Object}
+ */
+const normalizeConfig = (input) => {
+  if (!input || typeof input !== 'object') {
+    throw new OverlayConfigError('Overlay configuration must be an object.');
+  }
+
+  const tipTemplate = input.tipTemplate ?? DEFAULT_CONFIG.tipTemplate;
+  const ttsTemplate = input.ttsTemplate ?? DEFAULT_CONFIG.ttsTemplate;
+  validateTemplate(tipTemplate, 'tipTemplate');
+  validateTemplate(ttsTemplate, 'ttsTemplate');
+
+  const tiers = input.tiers ?? DEFAULT_CONFIG.tiers;
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+    throw new OverlayConfigError(`tiers must be an array of 1 to ${MAX_TIERS} entries.`);
+  }
+
+  const normalizedTiers = tiers
+    .map((tier, index) => {
+      const minAmount = Number(tier.minAmount);
+      const minDurationMs = tier.minDurationMs === undefined ? 5000 : Number(tier.minDurationMs);
+      if (!Number.isFinite(minAmount) || minAmount < 0) {
+        throw new OverlayConfigError(`tiers[${index}].minAmount must be a non-negative number.`);
+      }
+      if (!Number.isInteger(minDurationMs) || minDurationMs < 0 || minDurationMs > 60000) {
+        throw new OverlayConfigError(`tiers[${index}].minDurationMs must be an integer between 0 and 60000.`);
+      }
+      validateTemplate(tier.tipTemplate, `tiers[${index}].tipTemplate`);
+      validateTemplate(tier.ttsTemplate, `tiers[${index}].ttsTemplate`);
+      const ttsMaxLength = tier.ttsMaxLength === undefined || tier.ttsMaxLength === null ? null : Number(tier.ttsMaxLength);
+      if (ttsMaxLength !== null && (!Number.isInteger(ttsMaxLength) || ttsMaxLength < 1 || ttsMaxLength > MAX_TTS_LENGTH)) {
+        throw new OverlayConfigError(`tiers[${index}].ttsMaxLength must be an integer between 1 and ${MAX_TTS_LENGTH}.`);
+      }
+
+      return {
+        minAmount,
+        sound: optionalString(tier.sound, `tiers[${index}].sound`),
+        animation: optionalString(tier.animation, `tiers[${index}].animation`),
+        minDurationMs,
+        ttsEnabled: tier.ttsEnabled !== false,
+        ttsMaxLength,
+        tipTemplate: tier.tipTemplate || null,
+        ttsTemplate: tier.ttsTemplate || null,
+      };
+    })
+    .sort((a, b) => a.minAmount - b.minAmount);
+
+  if (new Set(normalizedTiers.map((tier) => tier.minAmount)).size !== normalizedTiers.length) {
+    throw new OverlayConfigError('Each tier must have a distinct minAmount.');
+  }
+
+  return { tipTemplate, ttsTemplate, tiers: normalizedTiers };
+};
+
+/*********************************************
+ * Persistence
+ ********************************************/
+const getConfig = async (creatorId) => {
+  const [rows] = await db.query('SELECT config FROM overlay_configs WHERE creator_id = ?', [creatorId]);
+  if (rows.length === 0) return DEFAULT_CONFIG;
+  const stored = typeof rows[0].config === 'string' ? JSON.parse(rows[0].config) : rows[0].config;
+  return normalizeConfig(stored);
+};
+
+const saveConfig = async (creatorId, input) => {
+  const config = normalizeConfig(input);
+  await db.query(
+    `INSERT INTO overlay_configs (creator_id, config) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE config = VALUES(config), updated_at = NOW()`,
+    [creatorId, JSON.stringify(config)]
+  );
+  return config;
+};
+
+/*********************************************
+ * Rendering
+ ********************************************/
+/**
+ * Picks the highest tier whose minAmount is at or below `amount`.
+ * TTS-only alerts (no amount) use the lowest tier.
+ */
+const resolveTier = (config, amount = 0) =>
+  config.tiers.reduce((selected, tier) => (Number(amount) >= tier.minAmount ? tier : selected), config.tiers[0]);
+
+const renderTemplate = (template, values) =>
+  template.replace(/{(\w+)}/g, (match, name) => (values[name] !== undefined && values[name] !== null ? String(values[name]) : ''));
+
+/**
+ * Builds the presentation block attached to tip and TTS events for the overlay.
+ * @param {number} creatorId
+ * @param {'tip'|'tts'} kind
+ * @param {Object} values - Placeholder values (username, amount, message, voice, creator).
+ * @returns {Promise<{ text: string, sound, animation, minDurationMs, ttsEnabled }>}
+ */
+const buildAlert = async (creatorId, kind, values) => {
+  const config = await getConfig(creatorId);
+  const tier = resolveTier(config, values.amount);
+  const template =
+    kind === 'tts' ? tier.ttsTemplate || config.ttsTemplate : tier.tipTemplate || config.tipTemplate;
+
+  return {
+    text: renderTemplate(template, {
+      ...values,
+      amount: values.amount !== undefined && values.amount !== null ? `$${Number(values.amount).toFixed(2)}` : null,
+    }),
+    sound: tier.sound,
+    animation: tier.animation,
+    minDurationMs: tier.minDurationMs,
+    ttsEnabled: tier.ttsEnabled,
+  };
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  DEFAULT_CONFIG,
+  OverlayConfigError,
+  normalizeConfig,
+  getConfig,
+  saveConfig,
+  resolveTier,
+  renderTemplate,
+  buildAlert,
+};
@@ -0,0 +1,28 @@
+// services/paymentProviders/errors.js
+
+/**
+ * Error raised by a payment provider call (creating an intent, refunding...).
+ */
+class PaymentProviderError extends Error {
+  constructor(message, { provider, statusCode, cause } = {}) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.provider = provider;
+    this.statusCode = statusCode;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Raised when an incoming webhook's signature is missing, invalid or stale.
+ * The webhook route answers these with 400 and does nothing else.
+ */
+class WebhookSignatureError extends Error {
+  constructor(message, { provider } = {}) {
+    super(message);
+    this.name = 'WebhookSignatureError';
+    this.provider = provider;
+  }
+}
+
+module.exports = { PaymentProviderError, WebhookSignatureError };
@@ -0,0 +1,34 @@
+// services/paymentProviders/index.js
+
+const mockPaymentProvider = require('./mockPaymentProvider');
+const { PaymentProviderError, WebhookSignatureError } = require('./errors');
+
+/*
+ * Payment providers expose:
+ *   name
+ *   assertConfigured()                                       - throws PaymentProviderError when the provider
+ *                                                              must not be used with the current environment
+ *   createPaymentIntent({ amountCents, currency, metadata }) - resolves { providerIntentId, clientSecret, status }
+ *   refundPayment({ providerIntentId, amountCents, reason, idempotencyKey })
+ *                                                            - resolves { refundId, status }; calls repeated
+ *                                                              with the same idempotencyKey refund once
+ *   parseWebhook(rawBody, headers)                           - verifies the signature and returns
+ *                                                              { id, type, providerIntentId, amountCents, data }
+ * Webhook event types are normalized to:
+ *   payment_intent.succeeded, payment_intent.payment_failed,
+ *   charge.refunded (refund issued outside our API), charge.dispute.created (chargeback)
+ */
+const providers = {
+  [mockPaymentProvider.name]: mockPaymentProvider,
+};
+
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || mockPaymentProvider.name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new PaymentProviderError(`Unknown payment provider: ${name}`, { provider: name });
+  }
+  provider.assertConfigured();
+  return provider;
+};
+
+module.exports = { getPaymentProvider, PaymentProviderError, WebhookSignatureError };
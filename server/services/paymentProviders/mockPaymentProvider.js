@@ -0,0 +1,125 @@
+// services/paymentProviders/mockPaymentProvider.js
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../logger');
+const { PaymentProviderError, WebhookSignatureError } = require('./errors');
+
+/*
+ * Local stand-in for Stripe/PayPal. Intents are never charged; instead a
+ * webhook is delivered (see scripts/replayWebhook.js and ./fixtures/mock) and
+ * verified exactly like a real provider's: the `x-mock-signature` header is
+ * "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>".
+ */
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const getWebhookSecret = () => {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new PaymentProviderError('MOCK_PAYMENT_WEBHOOK_SECRET is not set.', { provider: 'mock' });
+  }
+  return secret;
+};
+
+/**
+ * Refuses configurations the mock must not run under: without a webhook secret
+ * anyone could forge payments, and in production it would hand out free tips
+ * unless ALLOW_MOCK_PAYMENTS=true says that is intended (e.g. a staging box).
+ * @throws {PaymentProviderError}
+ */
+const assertConfigured = () => {
+  if (process.env.NODE_ENV === 'production' && process.env.ALLOW_MOCK_PAYMENTS !== 'true') {
+    throw new PaymentProviderError('The mock payment provider is disabled in production (set ALLOW_MOCK_PAYMENTS=true to allow it).', {
+      provider: 'mock',
+    });
+  }
+  getWebhookSecret();
+};
+
+/*********************************************
+ * Payment Intents
+ ********************************************/
+const createPaymentIntent = async ({ amountCents, currency, metadata = {} }) => {
+  const providerIntentId = `mock_pi_${uuidv4().replace(/-/g, '')}`;
+  logger.info(`[Mock Payments] Created intent ${providerIntentId} for ${amountCents} ${currency} cents`, { metadata });
+  return {
+    providerIntentId,
+    clientSecret: `${providerIntentId}_secret_${crypto.randomBytes(12).toString('hex')}`,
+    status: 'requires_payment',
+  };
+};
+
+/*********************************************
+ * Refunds
+ ********************************************/
+const refundPayment = async ({ providerIntentId, amountCents, reason, idempotencyKey }) => {
+  // The same key always yields the same refund, like a real provider replaying it
+  const refundId = `mock_re_${idempotencyKey || uuidv4().replace(/-/g, '')}`;
+  logger.info(`[Mock Payments] Refunded ${amountCents} cents of ${providerIntentId} (${refundId}): ${reason || 'no reason'}`);
+  return { refundId, status: 'succeeded' };
+};
+
+/*********************************************
+ * Webhooks
+ ********************************************/
+/**
+ * Produces a signature header value for a raw payload.
+ * Used by the replay script and tests to forge valid deliveries.
+ * @param {string|Buffer} rawBody
+ * @param {number} [timestamp] - Unix seconds, defaults to now.
+ * @returns {string}
+ */
+const signPayload = (rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac('sha256', getWebhookSecret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Verifies a webhook delivery and normalizes it into a provider-neutral event.
+ * @param {Buffer} rawBody
+ * @param {Object} headers - Lower-cased request headers.
+ * @returns {{ id: string, type: string, providerIntentId: string, amountCents: number|null, data: Object }}
+ */
+const parseWebhook = (rawBody, headers) => {
+  const header = headers[SIGNATURE_HEADER];
+  if (!header || !rawBody) {
+    throw new WebhookSignatureError('Missing webhook signature.', { provider: 'mock' });
+  }
+
+  const parts = Object.fromEntries(header.split(',').map((part) => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new WebhookSignatureError('Webhook timestamp is outside the tolerance window.', { provider: 'mock' });
+  }
+
+  const expected = Buffer.from(signPayload(rawBody, timestamp).split('v1=')[1], 'hex');
+  const provided = Buffer.from(parts.v1 || '', 'hex');
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new WebhookSignatureError('Webhook signature does not match.', { provider: 'mock' });
+  }
+
+  const payload = JSON.parse(rawBody.toString('utf8'));
+  const object = payload.data?.object || {};
+  return {
+    id: payload.id,
+    type: payload.type,
+    providerIntentId: object.payment_intent || object.id,
+    amountCents: Number.isInteger(object.amount) ? object.amount : null,
+    data: object,
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  signatureHeader: SIGNATURE_HEADER,
+  assertConfigured,
+  createPaymentIntent,
+  refundPayment,
+  parseWebhook,
+  signPayload,
+};
@@ -0,0 +1,397 @@
+// services/paymentService.js
+
+const db = require('../db');
+const logger = require('../logger');
+const { withTransaction } = require('../db/transaction');
+const ledgerService = require('./ledgerService');
+const tipService = require('./tipService');
+const { createTTSRequest } = require('./ttsRequestService');
+const { reverseTip, findTipIdForIntent } = require('./tipReversalService');
+const overlayConfigService = require('./overlayConfigService');
+const moderationService = require('./moderationService');
+const voiceCatalog = require('./voiceCatalogService');
+const ttsPricing = require('./ttsPricingService');
+const { getPaymentProvider } = require('./paymentProviders');
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+
+const formatIntent = (row) => ({
+  id: row.id,
+  provider: row.provider,
+  providerIntentId: row.provider_intent_id,
+  creatorId: row.creator_id,
+  tipperId: row.tipper_id,
+  amount: ledgerService.fromCents(Number(row.amount_cents)),
+  currency: row.currency,
+  status: row.status,
+  tipId: row.tip_id,
+  ttsRequestId: row.tts_request_id,
+  failureReason: row.failure_reason,
+  createdAt: row.created_at,
+});
+
+/*********************************************
+ * Create Tip Intent
+ ********************************************/
+/**
+ * Runs a tipper-supplied message through moderation before any money moves,
+ * so a message that would be rejected never gets paid for.
+ * @returns {Promise<string|null>} The moderated text.
+ */
+const moderateIntentMessage = async (message, creatorId, label) => {
+  if (!message) return null;
+  const moderation = await moderationService.moderateMessage(message, { creatorId });
+  if (moderation.outcome === moderationService.OUTCOMES.REJECT) {
+    throw new tipService.TipValidationError(`${label} was rejected by moderation (${moderation.reasons.join(', ')}).`, 422);
+  }
+  return moderation.text;
+};
+
+const resolveIntentVoice = async (voice, creatorId) => {
+  try {
+    return await voiceCatalog.resolveCreatorVoice(creatorId, voice);
+  } catch (error) {
+    if (error instanceof voiceCatalog.VoiceError) {
+      throw new tipService.TipValidationError(error.message, error.statusCode);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Checks the tip covers the creator's TTS price and that its tier allows the
+ * message (see ttsPricingService).
+ * @returns {Promise<Object>} The quote (cents).
+ */
+const priceIntentTTS = async (params) => {
+  try {
+    return await ttsPricing.assertTipCoversTTS(params);
+  } catch (error) {
+    if (error instanceof ttsPricing.TTSPricingError) {
+      throw new tipService.TipValidationError(error.message, error.statusCode);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Creates a payment intent for a tip, optionally bundled with a TTS message.
+ * Both messages are moderated up front and the tip must cover the creator's
+ * TTS price; nothing is recorded as a tip until the provider confirms the
+ * payment via webhook (see handleWebhook).
+ * @param {Object} intent
+ * @param {number} intent.tipperId
+ * @param {number} intent.creatorId
+ * @param {number|string} intent.amount
+ * @param {string} [intent.message]
+ * @param {{ message: string, voice: string }} [intent.tts]
+ * @returns {Promise<{ paymentIntentId: number, clientSecret: string, status: string, provider: string }>}
+ */
+const createTipIntent = async ({ tipperId, creatorId, amount, message = null, tts = null }) => {
+  const amountCents = tipService.parseTipAmount(amount);
+
+  const [creators] = await db.query('SELECT id FROM creators WHERE id = ?', [creatorId]);
+  if (creators.length === 0) {
+    throw new tipService.TipValidationError('Creator not found.', 404);
+  }
+
+  const tipMessage = await moderateIntentMessage(message, creatorId, 'Tip message');
+  const ttsMessage = await moderateIntentMessage(tts?.message, creatorId, 'TTS message');
+  const ttsVoice = ttsMessage ? await resolveIntentVoice(tts.voice, creatorId) : null;
+  const ttsQuote = ttsMessage
+    ? await priceIntentTTS({ creatorId, userId: tipperId, text: ttsMessage, voice: ttsVoice.key, amountCents })
+    : null;
+
+  const provider = getPaymentProvider();
+  const { providerIntentId, clientSecret, status } = await provider.createPaymentIntent({
+    amountCents,
+    currency: PAYMENT_CURRENCY,
+    metadata: { tipperId, creatorId },
+  });
+
+  const [result] = await db.query(
+    `INSERT INTO payment_intents
+       (provider, provider_intent_id, tipper_id, creator_id, amount_cents, currency, message,
+        tts_message, tts_voice, tts_price_cents, tts_credit_cents, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      provider.name,
+      providerIntentId,
+      tipperId,
+      creatorId,
+      amountCents,
+      PAYMENT_CURRENCY,
+      tipMessage,
+      ttsMessage,
+      ttsVoice?.key || null,
+      ttsQuote?.priceCents || 0,
+      ttsQuote?.creditAppliedCents || 0,
+      status,
+    ]
+  );
+
+  logger.info(`Payment intent ${result.insertId} (${providerIntentId}) created for tip from user ${tipperId} to creator ${creatorId}`);
+  return { paymentIntentId: result.insertId, clientSecret, status, provider: provider.name };
+};
+
+/*********************************************
+ * Confirm / Fail Intents
+ ********************************************/
+/**
+ * Turns the TTS message bundled with a confirmed intent into a TTS request
+ * linked to its tip. Paid TTS that will never play (the tier no longer allows
+ * TTS, or moderation rules changed since the intent) is remedied right away.
+ */
+const playIntentTTS = async (intent, tip) => {
+  const priceCents = Number(intent.tts_price_cents);
+
+  // Claimed when the tip was recorded because the TTS credit was gone (see spendIntentCredit)
+  const [tips] = await db.query('SELECT tts_remedy FROM tips WHERE id = ?', [tip.tipId]);
+  if (tips[0]?.tts_remedy) {
+    logger.info(`TTS for tip ${tip.tipId} was not fully paid; remedying instead of playing it.`);
+    await ttsPricing.remedyClaimedTTS(tip.tipId);
+    return;
+  }
+
+  // The creator's overlay tier for this amount decides whether bundled TTS is played
+  const tier = overlayConfigService.resolveTier(await overlayConfigService.getConfig(intent.creator_id), tip.amount);
+  if (!tier.ttsEnabled) {
+    logger.info(`TTS disabled for the tier of tip ${tip.tipId}; skipping bundled message.`);
+    await ttsPricing.remedyPaidTTS({ tipId: tip.tipId, priceCents, reason: 'TTS is not enabled for this tip amount.' });
+    return;
+  }
+
+  // An earlier attempt may have created the request but not linked it
+  const [existing] = await db.query('SELECT id, status FROM tts_requests WHERE tip_id = ?', [tip.tipId]);
+  let request = existing.length > 0 ? { ttsRequestId: existing[0].id, status: existing[0].status } : null;
+  if (!request) {
+    try {
+      request = await createTTSRequest({
+        userId: intent.tipper_id,
+        creatorId: intent.creator_id,
+        message: intent.tts_message,
+        voice: intent.tts_voice || 'default',
+        tipId: tip.tipId,
+        priceCents,
+      });
+    } catch (error) {
+      // tts_requests.tip_id is unique: a concurrent delivery requested it first and links it
+      if (error.code === 'ER_DUP_ENTRY') {
+        logger.info(`TTS for tip ${tip.tipId} was requested by a concurrent delivery.`);
+        return;
+      }
+      throw error;
+    }
+  }
+  const { ttsRequestId, status } = request;
+  await db.query('UPDATE payment_intents SET tts_request_id = ? WHERE id = ?', [ttsRequestId, intent.id]);
+
+  if (status === 'rejected') {
+    await ttsPricing.remedyPaidTTS({ tipId: tip.tipId, priceCents, reason: 'TTS message was rejected by moderation.' });
+  }
+};
+
+/**
+ * Spends the TTS credit a confirmed intent was quoted with, in the same
+ * transaction as its tip. If the balance was spent elsewhere since, the tip
+ * did not pay for the whole message: it is not played, and the part the
+ * tipper did pay is remedied instead.
+ */
+const spendIntentCredit = async (connection, intent, tip) => {
+  const creditCents = Number(intent.tts_credit_cents);
+  if (!intent.tts_message || creditCents <= 0) return;
+  if (await ttsPricing.consumeCredit(intent.tipper_id, intent.creator_id, creditCents, connection)) return;
+
+  logger.warn(`TTS credit for payment intent ${intent.id} was spent elsewhere; its TTS will not play.`);
+  await connection.query('UPDATE payment_intents SET tts_credit_cents = 0 WHERE id = ?', [intent.id]);
+  await ttsPricing.claimRemedy(connection, {
+    tipId: tip.tipId,
+    priceCents: Number(intent.tts_price_cents) - creditCents,
+    reason: 'TTS credit applied to this message was spent elsewhere.',
+  });
+};
+
+/**
+ * Whether a succeeded intent still has side effects to run: its tip was never
+ * announced, or its bundled TTS was neither requested nor remedied. That is
+ * the case when they failed after the confirmation committed.
+ */
+const hasPendingSideEffects = async (connection, intent) => {
+  if (!intent.announced_at) return true;
+  if (!intent.tts_message || intent.tts_request_id) return false;
+  const [tips] = await connection.query('SELECT tts_remedy FROM tips WHERE id = ?', [intent.tip_id]);
+  return !tips[0]?.tts_remedy;
+};
+
+/**
+ * Announces the tip and plays its TTS, skipping whatever an earlier attempt
+ * already did. Throws so the webhook is answered with 5xx and redelivered.
+ */
+const runIntentSideEffects = async (intent, tip) => {
+  // Claimed before announcing, so concurrent deliveries of the same payment announce it once
+  const [claim] = await db.query('UPDATE payment_intents SET announced_at = NOW() WHERE id = ? AND announced_at IS NULL', [intent.id]);
+  if (claim.affectedRows === 1) {
+    try {
+      await tipService.announceTip(tip);
+    } catch (error) {
+      await db.query('UPDATE payment_intents SET announced_at = NULL WHERE id = ?', [intent.id]);
+      throw error;
+    }
+  }
+
+  if (intent.tts_message && !intent.tts_request_id) {
+    await playIntentTTS(intent, tip);
+  }
+};
+
+/**
+ * Records the tip for a succeeded intent, then triggers alerts and TTS.
+ * Safe to call repeatedly: only the first call for an intent records a tip,
+ * and later calls resume the alerts and TTS if they did not complete. A
+ * payment for a different amount than the intent's is flagged for review
+ * instead of recorded.
+ */
+const confirmIntent = async (provider, event) => {
+  const confirmed = await withTransaction(async (connection) => {
+    const [intents] = await connection.query(
+      'SELECT * FROM payment_intents WHERE provider = ? AND provider_intent_id = ? FOR UPDATE',
+      [provider.name, event.providerIntentId]
+    );
+    if (intents.length === 0) {
+      logger.warn(`Webhook ${event.id} references unknown payment intent ${event.providerIntentId}`);
+      return null;
+    }
+
+    const intent = intents[0];
+    if (intent.status === 'succeeded') {
+      if (!(await hasPendingSideEffects(connection, intent))) {
+        logger.info(`Payment intent ${intent.id} already confirmed. Ignoring ${event.id}.`);
+        return null;
+      }
+      logger.info(`Payment intent ${intent.id} already confirmed; resuming its alerts and TTS for ${event.id}.`);
+      return { intent, tip: await tipService.findTip(connection, intent.tip_id) };
+    }
+    if (intent.status === 'flagged') {
+      logger.info(`Payment intent ${intent.id} is flagged for review. Ignoring ${event.id}.`);
+      return null;
+    }
+    if (event.amountCents !== null && event.amountCents !== Number(intent.amount_cents)) {
+      // Redelivering cannot fix this, so the event is acknowledged and the intent left for a human
+      const reason = `Amount mismatch: expected ${intent.amount_cents}, got ${event.amountCents}`;
+      await connection.query(
+        "UPDATE payment_intents SET status = 'flagged', failure_reason = ?, updated_at = NOW() WHERE id = ?",
+        [reason, intent.id]
+      );
+      logger.error(`❌ Payment intent ${intent.id} flagged by ${event.id}: ${reason}`);
+      return null;
+    }
+
+    const tip = await tipService.insertTip(connection, {
+      creatorId: intent.creator_id,
+      tipperId: intent.tipper_id,
+      amountCents: Number(intent.amount_cents),
+      message: intent.message,
+    });
+    await spendIntentCredit(connection, intent, tip);
+
+    await connection.query(
+      'UPDATE payment_intents SET status = ?, tip_id = ?, updated_at = NOW() WHERE id = ?',
+      ['succeeded', tip.tipId, intent.id]
+    );
+    logger.info(`✅ Payment intent ${intent.id} confirmed; tip ${tip.tipId} recorded`);
+
+    return { intent, tip };
+  });
+
+  if (!confirmed) return;
+  await runIntentSideEffects(confirmed.intent, confirmed.tip);
+};
+
+const failIntent = async (provider, event) => {
+  const reason = event.data?.last_payment_error?.message || 'Payment failed.';
+  const [result] = await db.query(
+    `UPDATE payment_intents SET status = 'failed', failure_reason = ?, updated_at = NOW()
+     WHERE provider = ? AND provider_intent_id = ? AND status NOT IN ('succeeded', 'flagged')`,
+    [reason, provider.name, event.providerIntentId]
+  );
+  logger.info(`Payment intent ${event.providerIntentId} marked failed (${result.affectedRows} rows): ${reason}`);
+};
+
+// Refunds issued from the provider dashboard and chargebacks both reverse the tip
+const reverseIntentTip = (kind) => async (provider, event) => {
+  const tipId = await findTipIdForIntent(provider.name, event.providerIntentId);
+  if (!tipId) {
+    logger.warn(`Webhook ${event.id} (${event.type}) references no recorded tip for ${event.providerIntentId}`);
+    return;
+  }
+  await reverseTip(tipId, {
+    kind,
+    reason: event.data?.reason || null,
+    initiatedBy: `webhook:${provider.name}`,
+  });
+};
+
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': confirmIntent,
+  'payment_intent.payment_failed': failIntent,
+  'charge.refunded': reverseIntentTip('refund'),
+  'charge.dispute.created': reverseIntentTip('chargeback'),
+};
+
+/*********************************************
+ * Handle Webhook
+ ********************************************/
+/**
+ * Verifies and processes a provider webhook. Each provider event id is only
+ * processed once; replays of an already-processed event are acknowledged
+ * without side effects. Throws WebhookSignatureError for forged deliveries.
+ * @param {string} providerName
+ * @param {Buffer} rawBody
+ * @param {Object} headers
+ * @returns {Promise<{ eventId: string, type: string, duplicate: boolean }>}
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getPaymentProvider(providerName);
+  const event = provider.parseWebhook(rawBody, headers);
+
+  await db.query(
+    'INSERT IGNORE INTO payment_webhook_events (provider, event_id, type, payload) VALUES (?, ?, ?, ?)',
+    [provider.name, event.id, event.type, rawBody.toString('utf8')]
+  );
+  const [events] = await db.query(
+    'SELECT processed_at FROM payment_webhook_events WHERE provider = ? AND event_id = ?',
+    [provider.name, event.id]
+  );
+  if (events[0].processed_at) {
+    logger.info(`Webhook event ${event.id} already processed. Skipping.`);
+    return { eventId: event.id, type: event.type, duplicate: true };
+  }
+
+  const handler = EVENT_HANDLERS[event.type];
+  if (handler) {
+    await handler(provider, event);
+  } else {
+    logger.debug(`Ignoring unhandled ${provider.name} webhook event type: ${event.type}`);
+  }
+
+  // Only mark processed once handling succeeded, so failed deliveries are retried by the provider
+  await db.query(
+    'UPDATE payment_webhook_events SET processed_at = NOW() WHERE provider = ? AND event_id = ?',
+    [provider.name, event.id]
+  );
+  return { eventId: event.id, type: event.type, duplicate: false };
+};
+
+/*********************************************
+ * Queries
+ ********************************************/
+const getIntentForTipper = async (intentId, tipperId) => {
+  const [rows] = await db.query('SELECT * FROM payment_intents WHERE id = ? AND tipper_id = ?', [intentId, tipperId]);
+  return rows.length > 0 ? formatIntent(rows[0]) : null;
+};
+
+module.exports = {
+  createTipIntent,
+  handleWebhook,
+  getIntentForTipper,
+};
@@ -0,0 +1,16 @@
+// services/payoutProviders/errors.js
+
+/**
+ * Error raised by a payout provider when money could not be sent.
+ * The message is stored on the payout as its failure reason.
+ */
+class PayoutProviderError extends Error {
+  constructor(message, { provider, cause } = {}) {
+    super(message);
+    this.name = 'PayoutProviderError';
+    this.provider = provider;
+    this.cause = cause;
+  }
+}
+
+module.exports = { PayoutProviderError };
@@ -0,0 +1,26 @@
+// services/payoutProviders/index.js
+
+const localPayoutProvider = require('./localPayoutProvider');
+const { PayoutProviderError } = require('./errors');
+
+/*
+ * Payout providers expose:
+ *   name
+ *   sendPayout({ payoutId, idempotencyKey, creatorId, amountCents, currency, paymentInfo }) - resolves { reference }
+ * and throw PayoutProviderError when the transfer is rejected. A payout may be
+ * sent again after an interrupted run; providers must pass idempotencyKey on
+ * so the transfer is only made once.
+ */
+const providers = {
+  [localPayoutProvider.name]: localPayoutProvider,
+};
+
+const getPayoutProvider = (name = process.env.PAYOUT_PROVIDER || localPayoutProvider.name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payout provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = { getPayoutProvider, PayoutProviderError };
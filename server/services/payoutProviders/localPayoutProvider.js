@@ -0,0 +1,29 @@
+// services/payoutProviders/localPayoutProvider.js
+
+const logger = require('../../logger');
+const { PayoutProviderError } = require('./errors');
+
+/*
+ * Fake payout provider for development and staging. No money moves; every
+ * payout "succeeds" with a generated reference unless the creator has no
+ * payment details or their payment_info sets { "simulateFailure": true }.
+ */
+
+const sendPayout = async ({ payoutId, idempotencyKey, creatorId, amountCents, currency, paymentInfo }) => {
+  if (!paymentInfo) {
+    throw new PayoutProviderError('Creator has no payment details on file.', { provider: 'local' });
+  }
+  if (paymentInfo.simulateFailure) {
+    throw new PayoutProviderError('Simulated payout failure.', { provider: 'local' });
+  }
+
+  // Same key, same transfer: a resent payout gets the reference it was first sent with
+  const reference = `local_po_${idempotencyKey}`;
+  logger.info(`[Local Payouts] Sent payout ${payoutId} of ${amountCents} ${currency} cents to creator ${creatorId} (${reference})`);
+  return { reference };
+};
+
+module.exports = {
+  name: 'local',
+  sendPayout,
+};
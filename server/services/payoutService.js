@@ -0,0 +1,324 @@
+// services/payoutService.js
+
+const db = require('../db');
+const logger = require('../logger');
+const { withTransaction } = require('../db/transaction');
+const ledgerService = require('./ledgerService');
+const { getPayoutProvider, PayoutProviderError } = require('./payoutProviders');
+
+const PAYOUT_MINIMUM_CENTS = ledgerService.toCents(process.env.PAYOUT_MINIMUM_AMOUNT || 50);
+const PAYOUT_CURRENCY = process.env.PAYOUT_CURRENCY || 'USD';
+// Payouts still pending this long after creation were interrupted (crash, provider outage) and are resent
+const STALE_PAYOUT_MINUTES = parseInt(process.env.PAYOUT_STALE_MINUTES, 10) || 30;
+
+const PAYOUT_STATUSES = ['pending', 'sent', 'failed', 'reversed'];
+
+// Allowed status changes; each one posts the matching ledger step
+const STATUS_TRANSITIONS = {
+  pending: ['sent', 'failed'],
+  sent: ['reversed'],
+  failed: [],
+  reversed: [],
+};
+
+/**
+ * Error for payout operations that are not allowed (unknown payout, invalid
+ * status change). Controllers map it to a 4xx response.
+ */
+class PayoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PayoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+const parsePaymentInfo = (paymentInfo) => {
+  if (!paymentInfo) return null;
+  if (typeof paymentInfo === 'object') return paymentInfo;
+  try {
+    return JSON.parse(paymentInfo);
+  } catch (error) {
+    return null;
+  }
+};
+
+const formatPayout = (row) => ({
+  id: row.id,
+  batchId: row.batch_id,
+  creatorId: row.creator_id,
+  amount: ledgerService.fromCents(Number(row.amount_cents)),
+  currency: row.currency,
+  status: row.status,
+  provider: row.provider,
+  providerReference: row.provider_reference,
+  failureReason: row.failure_reason,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/*********************************************
+ * Create Payout Batch
+ ********************************************/
+/**
+ * Aggregates each creator's unpaid net earnings and creates a payout batch
+ * with one pending line item per creator at or above the minimum threshold.
+ * Creators whose user has not verified their email are skipped.
+ * The earnings are moved into transit in the same database transaction, so
+ * concurrent runs can never pay the same balance twice.
+ * @param {Object} [options]
+ * @param {number[]} [options.creatorIds] - Restrict the batch to these creators.
+ * @param {string} [options.triggeredBy] - 'schedule' or 'admin:<userId>'.
+ * @returns {Promise<{ batchId: number|null, payoutIds: number[], unverifiedCreatorIds: number[] }>}
+ */
+const createPayoutBatch = async ({ creatorIds = null, triggeredBy = 'schedule' } = {}) => {
+  const provider = getPayoutProvider();
+
+  return withTransaction(async (connection) => {
+    // Lock the earnings accounts so balances cannot change while the batch is built
+    const [accounts] = await connection.query(
+      `SELECT la.id, la.owner_id AS creatorId, u.email_verified_at IS NOT NULL AS emailVerified
+       FROM ledger_accounts la
+       JOIN creators c ON c.id = la.owner_id
+       JOIN users u ON u.id = c.user_id
+       WHERE la.owner_type = 'creator' AND la.kind = ?
+       ${creatorIds ? 'AND la.owner_id IN (?)' : ''}
+       FOR UPDATE`,
+      creatorIds ? [ledgerService.ACCOUNT_KINDS.CREATOR_EARNINGS, creatorIds] : [ledgerService.ACCOUNT_KINDS.CREATOR_EARNINGS]
+    );
+
+    const eligible = [];
+    const unverifiedCreatorIds = [];
+    for (const { creatorId, emailVerified } of accounts) {
+      // Money only goes to creators who proved they control their account email
+      if (!emailVerified) {
+        unverifiedCreatorIds.push(creatorId);
+        continue;
+      }
+      const balanceCents = await ledgerService.getBalanceCents(
+        'creator',
+        creatorId,
+        ledgerService.ACCOUNT_KINDS.CREATOR_EARNINGS,
+        connection
+      );
+      if (balanceCents >= PAYOUT_MINIMUM_CENTS) {
+        eligible.push({ creatorId, amountCents: balanceCents });
+      }
+    }
+
+    if (unverifiedCreatorIds.length > 0) {
+      logger.info(`Skipping payouts for ${unverifiedCreatorIds.length} creators without a verified email.`);
+    }
+    if (eligible.length === 0) {
+      logger.info('No creators above the payout threshold. Skipping batch.');
+      return { batchId: null, payoutIds: [], unverifiedCreatorIds };
+    }
+
+    const totalCents = eligible.reduce((sum, item) => sum + item.amountCents, 0);
+    const [batchResult] = await connection.query(
+      'INSERT INTO payout_batches (status, total_cents, item_count, currency, triggered_by) VALUES (?, ?, ?, ?, ?)',
+      ['pending', totalCents, eligible.length, PAYOUT_CURRENCY, triggeredBy]
+    );
+    const batchId = batchResult.insertId;
+
+    const payoutIds = [];
+    for (const { creatorId, amountCents } of eligible) {
+      const [payoutResult] = await connection.query(
+        'INSERT INTO payouts (batch_id, creator_id, amount_cents, currency, status, provider) VALUES (?, ?, ?, ?, ?, ?)',
+        [batchId, creatorId, amountCents, PAYOUT_CURRENCY, 'pending', provider.name]
+      );
+      await ledgerService.postPayout(connection, {
+        payoutId: payoutResult.insertId,
+        creatorId,
+        amountCents,
+        stage: 'created',
+      });
+      payoutIds.push(payoutResult.insertId);
+    }
+
+    logger.info(`✅ Payout batch ${batchId} created with ${eligible.length} payouts totalling ${totalCents} cents`);
+    return { batchId, payoutIds, unverifiedCreatorIds };
+  });
+};
+
+/*********************************************
+ * Update Payout Status
+ ********************************************/
+/**
+ * Moves a payout to a new status and posts the matching ledger entries.
+ * @param {number} payoutId
+ * @param {'sent'|'failed'|'reversed'} status
+ * @param {Object} [details]
+ * @param {string} [details.providerReference]
+ * @param {string} [details.failureReason]
+ * @returns {Promise<Object>} The updated payout.
+ */
+const updatePayoutStatus = async (payoutId, status, { providerReference = null, failureReason = null } = {}) => {
+  const payout = await withTransaction(async (connection) => {
+    const [payouts] = await connection.query('SELECT * FROM payouts WHERE id = ? FOR UPDATE', [payoutId]);
+    if (payouts.length === 0) {
+      throw new PayoutError('Payout not found.', 404);
+    }
+
+    const current = payouts[0];
+    if (!STATUS_TRANSITIONS[current.status].includes(status)) {
+      throw new PayoutError(`Cannot change payout status from '${current.status}' to '${status}'.`, 409);
+    }
+
+    await connection.query(
+      `UPDATE payouts
+       SET status = ?, provider_reference = COALESCE(?, provider_reference), failure_reason = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [status, providerReference, failureReason, payoutId]
+    );
+    await ledgerService.postPayout(connection, {
+      payoutId,
+      creatorId: current.creator_id,
+      amountCents: Number(current.amount_cents),
+      stage: status,
+    });
+
+    // A batch is done once none of its items are still pending
+    await connection.query(
+      `UPDATE payout_batches
+       SET status = 'completed', processed_at = NOW()
+       WHERE id = ? AND NOT EXISTS (SELECT 1 FROM payouts WHERE batch_id = ? AND status = 'pending')`,
+      [current.batch_id, current.batch_id]
+    );
+
+    const [updated] = await connection.query('SELECT * FROM payouts WHERE id = ?', [payoutId]);
+    return formatPayout(updated[0]);
+  });
+
+  logger.info(`Payout ${payoutId} moved to status: ${status}`);
+  return payout;
+};
+
+/*********************************************
+ * Send Payouts
+ ********************************************/
+/**
+ * Hands pending payouts to their provider and records the outcomes. One
+ * failing payout does not stop the rest. The payout id is the provider's
+ * idempotency key, so resending a payout that reached the provider before
+ * we could record it does not pay the creator twice.
+ * @param {Object[]} payouts - Rows with creators.payment_info joined in.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+const sendPayouts = async (payouts) => {
+  const summary = { sent: 0, failed: 0 };
+  for (const payout of payouts) {
+    try {
+      const provider = getPayoutProvider(payout.provider);
+      const { reference } = await provider.sendPayout({
+        payoutId: payout.id,
+        idempotencyKey: `payout-${payout.id}`,
+        creatorId: payout.creator_id,
+        amountCents: Number(payout.amount_cents),
+        currency: payout.currency,
+        paymentInfo: parsePaymentInfo(payout.payment_info),
+      });
+      await updatePayoutStatus(payout.id, 'sent', { providerReference: reference });
+      summary.sent += 1;
+    } catch (error) {
+      if (!(error instanceof PayoutProviderError)) {
+        // Leave the payout pending so a later run can retry it (see retryStalePayouts)
+        logger.error(`❌ Unexpected error sending payout ${payout.id}: ${error.message}`);
+        continue;
+      }
+      logger.warn(`Payout ${payout.id} failed: ${error.message}`);
+      await updatePayoutStatus(payout.id, 'failed', { failureReason: error.message });
+      summary.failed += 1;
+    }
+  }
+  return summary;
+};
+
+/**
+ * Sends every pending payout of a batch.
+ * @param {number} batchId
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+const processPayoutBatch = async (batchId) => {
+  const [payouts] = await db.query(
+    `SELECT p.id, p.creator_id, p.amount_cents, p.currency, p.provider, c.payment_info
+     FROM payouts p
+     JOIN creators c ON c.id = p.creator_id
+     WHERE p.batch_id = ? AND p.status = 'pending'`,
+    [batchId]
+  );
+
+  const summary = await sendPayouts(payouts);
+  logger.info(`Payout batch ${batchId} processed: ${summary.sent} sent, ${summary.failed} failed`);
+  return summary;
+};
+
+/**
+ * Resends payouts left pending by an earlier run for longer than
+ * STALE_PAYOUT_MINUTES. Recent ones are skipped, as a concurrent run may
+ * still be sending them.
+ * @param {Object} [options]
+ * @param {number[]} [options.creatorIds] - Only retry payouts of these creators.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+const retryStalePayouts = async ({ creatorIds = null } = {}) => {
+  const [payouts] = await db.query(
+    `SELECT p.id, p.creator_id, p.amount_cents, p.currency, p.provider, c.payment_info
+     FROM payouts p
+     JOIN creators c ON c.id = p.creator_id
+     WHERE p.status = 'pending' AND p.created_at < NOW() - INTERVAL ? MINUTE
+     ${creatorIds ? 'AND p.creator_id IN (?)' : ''}
+     ORDER BY p.id`,
+    creatorIds ? [STALE_PAYOUT_MINUTES, creatorIds] : [STALE_PAYOUT_MINUTES]
+  );
+  if (payouts.length === 0) {
+    return { sent: 0, failed: 0 };
+  }
+
+  logger.info(`Retrying ${payouts.length} stale pending payouts.`);
+  const summary = await sendPayouts(payouts);
+  logger.info(`Stale payouts retried: ${summary.sent} sent, ${summary.failed} failed`);
+  return summary;
+};
+
+/**
+ * Retries stale pending payouts, then creates a batch and immediately sends it.
+ * @param {Object} [options] - See createPayoutBatch.
+ */
+const runPayouts = async (options = {}) => {
+  const retried = await retryStalePayouts({ creatorIds: options.creatorIds });
+  const { batchId, payoutIds, unverifiedCreatorIds } = await createPayoutBatch(options);
+  if (!batchId) {
+    return { batchId, payoutIds, unverifiedCreatorIds, sent: 0, failed: 0, retried };
+  }
+  const summary = await processPayoutBatch(batchId);
+  return { batchId, payoutIds, unverifiedCreatorIds, ...summary, retried };
+};
+
+/*********************************************
+ * Queries
+ ********************************************/
+const listCreatorPayouts = async (creatorId, { limit = 20, offset = 0 } = {}) => {
+  const [rows] = await db.query(
+    'SELECT * FROM payouts WHERE creator_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?',
+    [creatorId, limit, offset]
+  );
+  return rows.map(formatPayout);
+};
+
+const getCreatorPayout = async (creatorId, payoutId) => {
+  const [rows] = await db.query('SELECT * FROM payouts WHERE id = ? AND creator_id = ?', [payoutId, creatorId]);
+  return rows.length > 0 ? formatPayout(rows[0]) : null;
+};
+
+module.exports = {
+  PAYOUT_STATUSES,
+  PayoutError,
+  createPayoutBatch,
+  processPayoutBatch,
+  retryStalePayouts,
+  runPayouts,
+  updatePayoutStatus,
+  listCreatorPayouts,
+  getCreatorPayout,
+};
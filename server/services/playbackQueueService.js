@@ -0,0 +1,411 @@
+// services/playbackQueueService.js
+
+const { getRedis } = require('../queues/redisClient');
+const logger = require('../logger');
+const socket = require('../socket');
+const { createSignedDownloadUrl } = require('./signedUrlService');
+
+/*
+ * Server-side playback queue per creator. Overlay alerts (tips and TTS) are
+ * delivered one at a time, in order, and the overlay acknowledges each one:
+ *
+ *   overlay <- '<event>' { ...payload, playbackId }     (e.g. 'receive-tip', 'tts-request')
+ *   overlay -> 'alert-played' { playbackId }            next item is delivered
+ *   overlay -> 'alert-failed' { playbackId, error }     retried, then dropped
+ *
+ * Nothing is delivered while no overlay is connected, and an unacknowledged
+ * item is re-delivered when the overlay reconnects, so alerts are neither
+ * lost nor played on top of each other. The dashboard can skip, replay,
+ * pause and resume, and receives 'playback-updated' after every change.
+ *
+ * Redis keys (per creator):
+ *   playback:<id>:queue    LIST of queued item ids (next first)
+ *   playback:<id>:items    HASH item id -> item JSON
+ *   playback:<id>:current  item id delivered and awaiting an ack
+ *   playback:<id>:paused   set while paused
+ *   playback:<id>:history  LIST of finished item ids (newest first), for replay
+ *
+ * Items can wait in the queue (or be replayed) long after they were announced,
+ * so TTS audio links are signed afresh on every delivery.
+ */
+
+const ACK_TIMEOUT_MS = parseInt(process.env.PLAYBACK_ACK_TIMEOUT_MS, 10) || 120000;
+const MAX_ATTEMPTS = parseInt(process.env.PLAYBACK_MAX_ATTEMPTS, 10) || 3;
+const HISTORY_SIZE = 50;
+const MAX_QUEUED = 200;
+
+// Reserves the current slot while the next item is popped, so two dispatches never deliver at once
+const LOCK_PLACEHOLDER = '__dispatching__';
+
+// Deletes the current slot only if it still holds the given item
+const RELEASE_CURRENT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const keys = (creatorId) => ({
+  queue: `playback:${creatorId}:queue`,
+  items: `playback:${creatorId}:items`,
+  current: `playback:${creatorId}:current`,
+  paused: `playback:${creatorId}:paused`,
+  history: `playback:${creatorId}:history`,
+});
+
+/**
+ * Error for playback controls that do not apply to the current state.
+ */
+class PlaybackError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'PlaybackError';
+    this.statusCode = statusCode;
+  }
+}
+
+// In-process ack timers, keyed by item id
+const ackTimers = new Map();
+
+/*********************************************
+ * Helpers
+ ********************************************/
+const getItem = async (creatorId, itemId) => {
+  const raw = await getRedis().hget(keys(creatorId).items, itemId);
+  return raw ? JSON.parse(raw) : null;
+};
+
+const saveItem = (creatorId, item) => getRedis().hset(keys(creatorId).items, item.id, JSON.stringify(item));
+
+const notifyDashboard = (creatorId, action, item = null) => {
+  socket.emitToCreator(
+    creatorId,
+    'playback-updated',
+    { creatorId, action, playbackId: item?.id || null, kind: item?.kind || null },
+    { overlay: false }
+  );
+};
+
+const clearAckTimer = (itemId) => {
+  clearTimeout(ackTimers.get(itemId));
+  ackTimers.delete(itemId);
+};
+
+/**
+ * Moves a finished item into the history and trims the oldest entries
+ * (and their item bodies) beyond HISTORY_SIZE.
+ */
+const archiveItem = async (creatorId, item, outcome) => {
+  const k = keys(creatorId);
+  const redis = getRedis();
+  await saveItem(creatorId, { ...item, outcome, finishedAt: new Date().toISOString() });
+  await redis.lpush(k.history, item.id);
+
+  const expired = await redis.lrange(k.history, HISTORY_SIZE, -1);
+  if (expired.length > 0) {
+    await redis.ltrim(k.history, 0, HISTORY_SIZE - 1);
+    await redis.hdel(k.items, ...expired);
+  }
+};
+
+// Signed audio links expire, so TTS items get a new one each time they are sent
+const overlayPayload = (item) => {
+  const payload = { ...item.payload, playbackId: item.id };
+  if (payload.ttsRequestId && payload.audioUrl) {
+    payload.audioUrl = createSignedDownloadUrl(payload.ttsRequestId);
+  }
+  return payload;
+};
+
+const deliver = (creatorId, item) => {
+  socket.emitToOverlay(creatorId, item.event, overlayPayload(item));
+
+  clearAckTimer(item.id);
+  const timer = setTimeout(() => {
+    // With no overlay connected the item simply waits for redelivery on reconnect
+    if (!socket.hasOverlay(creatorId)) return;
+    failItem(creatorId, item.id, 'ack_timeout').catch((error) =>
+      logger.error(`❌ Playback ack timeout handling failed for ${item.id}: ${error.message}`)
+    );
+  }, ACK_TIMEOUT_MS);
+  timer.unref();
+  ackTimers.set(item.id, timer);
+
+  logger.info(`Playback item ${item.id} delivered to overlay of creator ${creatorId} (attempt ${item.attempts})`);
+};
+
+/*********************************************
+ * Dispatch
+ ********************************************/
+/**
+ * Delivers the next queued item if the overlay is connected, playback is not
+ * paused and nothing is awaiting an ack.
+ * @param {number} creatorId
+ */
+const dispatch = async (creatorId) => {
+  const k = keys(creatorId);
+  const redis = getRedis();
+
+  if (!socket.hasOverlay(creatorId) || (await redis.exists(k.paused))) return;
+
+  const reserved = await redis.set(k.current, LOCK_PLACEHOLDER, 'PX', 10000, 'NX');
+  if (!reserved) return;
+
+  try {
+    let item = null;
+    while (!item) {
+      const itemId = await redis.lpop(k.queue);
+      if (!itemId) {
+        await redis.eval(RELEASE_CURRENT, 1, k.current, LOCK_PLACEHOLDER);
+        return;
+      }
+      item = await getItem(creatorId, itemId); // Skipped items may have lost their body
+    }
+
+    item.attempts += 1;
+    item.deliveredAt = new Date().toISOString();
+    await saveItem(creatorId, item);
+    await redis.set(k.current, item.id);
+
+    deliver(creatorId, item);
+    notifyDashboard(creatorId, 'playing', item);
+  } catch (error) {
+    await redis.eval(RELEASE_CURRENT, 1, k.current, LOCK_PLACEHOLDER);
+    throw error;
+  }
+};
+
+/*********************************************
+ * Enqueue
+ ********************************************/
+/**
+ * Adds an overlay alert to the creator's playback queue and dispatches it if
+ * the overlay is idle. Enqueueing the same kind/sourceId twice is a no-op, so
+ * a re-announced tip or TTS request never plays twice.
+ * @param {number} creatorId
+ * @param {Object} alert
+ * @param {'tip'|'tts'} alert.kind
+ * @param {number|string} alert.sourceId - The tip or TTS request id.
+ * @param {string} alert.event - Overlay event name, e.g. 'receive-tip'.
+ * @param {Object} alert.payload
+ * @returns {Promise<string|null>} The playback id, or null if already queued.
+ */
+const enqueue = async (creatorId, { kind, sourceId, event, payload }) => {
+  const k = keys(creatorId);
+  const redis = getRedis();
+  const item = {
+    id: `${kind}-${sourceId}`,
+    kind,
+    sourceId,
+    event,
+    payload,
+    attempts: 0,
+    enqueuedAt: new Date().toISOString(),
+  };
+
+  const added = await redis.hsetnx(k.items, item.id, JSON.stringify(item));
+  if (!added) {
+    logger.info(`Playback item ${item.id} already queued for creator ${creatorId}. Skipping.`);
+    return null;
+  }
+
+  const length = await redis.rpush(k.queue, item.id);
+  if (length > MAX_QUEUED) {
+    logger.warn(`Playback queue of creator ${creatorId} has ${length} items waiting`);
+  }
+
+  notifyDashboard(creatorId, 'queued', item);
+  await dispatch(creatorId);
+  return item.id;
+};
+
+/**
+ * Announces an alert: the dashboard hears about it immediately, the overlay
+ * gets it through the playback queue. If Redis is unavailable the overlay is
+ * sent the alert directly, so an outage degrades ordering, not delivery.
+ * @param {number} creatorId
+ * @param {Object} alert - See enqueue.
+ */
+const announce = async (creatorId, alert) => {
+  socket.emitToCreator(creatorId, alert.event, alert.payload, { overlay: false });
+  try {
+    await enqueue(creatorId, alert);
+  } catch (error) {
+    logger.error(`❌ Playback queue unavailable for creator ${creatorId}; emitting '${alert.event}' directly: ${error.message}`);
+    socket.emitToOverlay(creatorId, alert.event, alert.payload);
+  }
+};
+
+/*********************************************
+ * Overlay Acknowledgements
+ ********************************************/
+/**
+ * Marks the current item as played and moves on to the next one.
+ * Acks for anything but the current item are ignored.
+ */
+const ackPlayed = async (creatorId, itemId) => {
+  const k = keys(creatorId);
+  const released = await getRedis().eval(RELEASE_CURRENT, 1, k.current, String(itemId));
+  if (!released) return false;
+
+  clearAckTimer(itemId);
+  const item = await getItem(creatorId, itemId);
+  if (item) {
+    await archiveItem(creatorId, item, 'played');
+    notifyDashboard(creatorId, 'played', item);
+  }
+  await dispatch(creatorId);
+  return true;
+};
+
+/**
+ * Handles a failed or timed-out delivery of the current item: it is retried
+ * at the head of the queue until MAX_ATTEMPTS, then archived as failed.
+ */
+const failItem = async (creatorId, itemId, reason) => {
+  const k = keys(creatorId);
+  const redis = getRedis();
+  const released = await redis.eval(RELEASE_CURRENT, 1, k.current, String(itemId));
+  if (!released) return false;
+
+  clearAckTimer(itemId);
+  const item = await getItem(creatorId, itemId);
+  if (item && item.attempts < MAX_ATTEMPTS) {
+    logger.warn(`Playback item ${itemId} failed for creator ${creatorId} (${reason}). Retrying.`);
+    await redis.lpush(k.queue, itemId);
+  } else if (item) {
+    logger.error(`❌ Playback item ${itemId} failed ${item.attempts} times for creator ${creatorId} (${reason}). Dropping.`);
+    await archiveItem(creatorId, { ...item, failureReason: reason }, 'failed');
+    notifyDashboard(creatorId, 'failed', item);
+  }
+  await dispatch(creatorId);
+  return true;
+};
+
+/**
+ * Re-sends the unacknowledged item (if any) after an overlay (re)connects,
+ * otherwise resumes normal dispatch.
+ */
+const redeliver = async (creatorId) => {
+  const currentId = await getRedis().get(keys(creatorId).current);
+  const item = currentId && currentId !== LOCK_PLACEHOLDER ? await getItem(creatorId, currentId) : null;
+  if (item) {
+    deliver(creatorId, item);
+    return;
+  }
+  await dispatch(creatorId);
+};
+
+/*********************************************
+ * Dashboard Controls
+ ********************************************/
+/**
+ * Skips the playing item (the overlay is told to stop it) or removes a queued
+ * item. Without an id, the playing item is skipped.
+ */
+const skip = async (creatorId, itemId = null) => {
+  const k = keys(creatorId);
+  const redis = getRedis();
+  const currentId = await redis.get(k.current);
+  const targetId = itemId || (currentId !== LOCK_PLACEHOLDER ? currentId : null);
+  if (!targetId) {
+    throw new PlaybackError('Nothing is playing.');
+  }
+
+  const item = await getItem(creatorId, targetId);
+  if (targetId === currentId) {
+    await redis.eval(RELEASE_CURRENT, 1, k.current, targetId);
+    clearAckTimer(targetId);
+    socket.emitToOverlay(creatorId, 'alert-skip', { playbackId: targetId });
+  } else if (!(await redis.lrem(k.queue, 0, targetId))) {
+    throw new PlaybackError('Playback item is neither playing nor queued.', 404);
+  }
+
+  if (item) {
+    await archiveItem(creatorId, item, 'skipped');
+  }
+  notifyDashboard(creatorId, 'skipped', item || { id: targetId });
+  await dispatch(creatorId);
+  return targetId;
+};
+
+/**
+ * Queues a finished item again, ahead of everything else.
+ */
+const replay = async (creatorId, itemId) => {
+  const k = keys(creatorId);
+  const redis = getRedis();
+  const original = await getItem(creatorId, itemId);
+  if (!original || !original.outcome) {
+    throw new PlaybackError('Only finished playback items can be replayed.', 404);
+  }
+
+  const item = {
+    id: `${original.kind}-${original.sourceId}-replay-${Date.now()}`,
+    kind: original.kind,
+    sourceId: original.sourceId,
+    event: original.event,
+    payload: original.payload,
+    attempts: 0,
+    enqueuedAt: new Date().toISOString(),
+    replayOf: original.id,
+  };
+  await saveItem(creatorId, item);
+  await redis.lpush(k.queue, item.id);
+
+  notifyDashboard(creatorId, 'queued', item);
+  await dispatch(creatorId);
+  return item.id;
+};
+
+/**
+ * Stops delivering new items. The playing item finishes normally.
+ */
+const pause = async (creatorId) => {
+  await getRedis().set(keys(creatorId).paused, '1');
+  notifyDashboard(creatorId, 'paused');
+};
+
+const resume = async (creatorId) => {
+  await getRedis().del(keys(creatorId).paused);
+  notifyDashboard(creatorId, 'resumed');
+  await dispatch(creatorId);
+};
+
+/**
+ * Snapshot of a creator's playback queue for the dashboard.
+ */
+const getState = async (creatorId) => {
+  const k = keys(creatorId);
+  const redis = getRedis();
+  const [paused, currentId, queuedIds, historyIds] = await Promise.all([
+    redis.exists(k.paused),
+    redis.get(k.current),
+    redis.lrange(k.queue, 0, -1),
+    redis.lrange(k.history, 0, 19),
+  ]);
+
+  const load = async (ids) => (await Promise.all(ids.map((id) => getItem(creatorId, id)))).filter(Boolean);
+  return {
+    creatorId,
+    paused: Boolean(paused),
+    overlayConnected: socket.hasOverlay(creatorId),
+    current: currentId && currentId !== LOCK_PLACEHOLDER ? await getItem(creatorId, currentId) : null,
+    queued: await load(queuedIds),
+    history: await load(historyIds),
+  };
+};
+
+module.exports = {
+  PlaybackError,
+  announce,
+  enqueue,
+  dispatch,
+  ackPlayed,
+  failItem,
+  redeliver,
+  skip,
+  replay,
+  pause,
+  resume,
+  getState,
+};
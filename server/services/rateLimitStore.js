@@ -0,0 +1,174 @@
+// services/rateLimitStore.js
+
+const crypto = require('crypto');
+const { getRedis } = require('../queues/redisClient');
+
+/*
+ * Counters behind rate limits, lockouts and cooldowns. Two interchangeable
+ * backends share one interface (all durations in milliseconds):
+ *   hit(key, windowMs, max)  sliding-window log; counts the hit only if under max
+ *                            -> { count, allowed, resetMs }
+ *   increment(key, windowMs) fixed-window counter -> count
+ *   block(key, ms)           marks key as blocked for ms
+ *   acquire(key, ms)         blocks key unless already blocked -> 0 or ms remaining
+ *   ttl(key)                 ms until a block expires (0 if not blocked)
+ *   reset(...keys)
+ *
+ * The Redis store is shared by every API process. The memory store is per
+ * process and meant for tests and single-node development
+ * (RATE_LIMIT_STORE=memory).
+ */
+
+const PREFIX = 'ratelimit:';
+
+/*********************************************
+ * Redis Store
+ ********************************************/
+// Drops entries older than the window, then records this hit if there is room
+const SLIDING_WINDOW = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local max = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < max then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  redis.call('PEXPIRE', KEYS[1], window)
+  count = count + 1
+  allowed = 1
+end
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+local oldestAt = now
+if oldest[2] then oldestAt = tonumber(oldest[2]) end
+return { count, allowed, oldestAt }`;
+
+const createRedisStore = (redis = getRedis()) => ({
+  name: 'redis',
+
+  async hit(key, windowMs, max) {
+    const now = Date.now();
+    const [count, allowed, oldestAt] = await redis.eval(
+      SLIDING_WINDOW,
+      1,
+      PREFIX + key,
+      now,
+      windowMs,
+      max,
+      `${now}-${crypto.randomBytes(4).toString('hex')}`
+    );
+    return { count, allowed: allowed === 1, resetMs: Math.max(oldestAt + windowMs - now, 0) };
+  },
+
+  async increment(key, windowMs) {
+    const count = await redis.incr(PREFIX + key);
+    if (count === 1) {
+      await redis.pexpire(PREFIX + key, windowMs);
+    }
+    return count;
+  },
+
+  async block(key, ms) {
+    await redis.set(PREFIX + key, '1', 'PX', ms);
+  },
+
+  async acquire(key, ms) {
+    const acquired = await redis.set(PREFIX + key, '1', 'PX', ms, 'NX');
+    return acquired ? 0 : this.ttl(key);
+  },
+
+  async ttl(key) {
+    return Math.max(await redis.pttl(PREFIX + key), 0);
+  },
+
+  async reset(...keys) {
+    if (keys.length > 0) {
+      await redis.del(...keys.map((key) => PREFIX + key));
+    }
+  },
+});
+
+/*********************************************
+ * Memory Store
+ ********************************************/
+const createMemoryStore = () => {
+  const logs = new Map(); // key -> timestamps
+  const counters = new Map(); // key -> { count, expiresAt }
+  const blocks = new Map(); // key -> expiresAt
+
+  return {
+    name: 'memory',
+
+    async hit(key, windowMs, max) {
+      const now = Date.now();
+      const log = (logs.get(key) || []).filter((at) => at > now - windowMs);
+      const allowed = log.length < max;
+      if (allowed) log.push(now);
+      logs.set(key, log);
+      return { count: log.length, allowed, resetMs: log.length > 0 ? log[0] + windowMs - now : 0 };
+    },
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counters.set(key, { count: 1, expiresAt: now + windowMs });
+        return 1;
+      }
+      counter.count += 1;
+      return counter.count;
+    },
+
+    async block(key, ms) {
+      blocks.set(key, Date.now() + ms);
+    },
+
+    async acquire(key, ms) {
+      const remaining = await this.ttl(key);
+      if (remaining > 0) return remaining;
+      await this.block(key, ms);
+      return 0;
+    },
+
+    async ttl(key) {
+      return Math.max((blocks.get(key) || 0) - Date.now(), 0);
+    },
+
+    async reset(...keys) {
+      keys.forEach((key) => {
+        logs.delete(key);
+        counters.delete(key);
+        blocks.delete(key);
+      });
+    },
+  };
+};
+
+/*********************************************
+ * Active Store
+ ********************************************/
+let store;
+
+/**
+ * Returns the configured store (RATE_LIMIT_STORE=redis|memory, default redis).
+ */
+const getStore = () => {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'memory' ? createMemoryStore() : createRedisStore();
+  }
+  return store;
+};
+
+/**
+ * Replaces the active store, e.g. with a memory store in tests.
+ */
+const setStore = (nextStore) => {
+  store = nextStore;
+};
+
+module.exports = {
+  createRedisStore,
+  createMemoryStore,
+  getStore,
+  setStore,
+};
@@ -0,0 +1,57 @@
+// services/signedUrlService.js
+
+const crypto = require('crypto');
+
+/*
+ * HMAC-signed, time-limited links to TTS audio. A link is only valid for the
+ * request id it was generated for and until its expiry timestamp, so it can be
+ * handed to an unauthenticated overlay or <audio> element without exposing
+ * storage URLs or trusting caller-supplied user ids.
+ */
+
+const DEFAULT_EXPIRES_IN_SECONDS = parseInt(process.env.AUDIO_URL_EXPIRES_IN, 10) || 3600;
+
+const getSecret = () => {
+  const secret = process.env.AUDIO_URL_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('AUDIO_URL_SIGNING_SECRET is not configured.');
+  }
+  return secret;
+};
+
+const computeSignature = (ttsRequestId, expires) =>
+  crypto.createHmac('sha256', getSecret()).update(`tts-download:${ttsRequestId}:${expires}`).digest('hex');
+
+/**
+ * Builds a signed download link for a TTS request.
+ * @param {number|string} ttsRequestId
+ * @param {Object} [options]
+ * @param {number} [options.expiresIn] - Lifetime in seconds.
+ * @returns {string} Absolute URL when API_URL is set, otherwise a root-relative path.
+ */
+const createSignedDownloadUrl = (ttsRequestId, { expiresIn = DEFAULT_EXPIRES_IN_SECONDS } = {}) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const signature = computeSignature(ttsRequestId, expires);
+  const baseUrl = (process.env.API_URL || '').replace(/\/$/, '');
+  return `${baseUrl}/api/tts/download/${ttsRequestId}?expires=${expires}&signature=${signature}`;
+};
+
+/**
+ * Checks a signature produced by createSignedDownloadUrl.
+ * @param {number|string} ttsRequestId
+ * @param {number|string} expires - Unix timestamp (seconds) from the link.
+ * @param {string} signature - Hex signature from the link.
+ * @returns {boolean}
+ */
+const verifyDownloadSignature = (ttsRequestId, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(ttsRequestId, expiresAt), 'hex');
+  const provided = Buffer.from(String(signature), 'hex');
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+module.exports = { createSignedDownloadUrl, verifyDownloadSignature };
@@ -0,0 +1,42 @@
+// services/storage/index.js
+
+const s3Storage = require('./s3Storage');
+const localStorage = require('./localStorage');
+
+/*
+ * Storage backends share one interface:
+ *   put(key, body, { contentType })   - resolves { key, url }
+ *   getStream(key, range?)            - resolves { stream, contentType, contentLength }
+ *   stat(key)                         - resolves { contentType, contentLength } or null
+ *   delete(key)
+ *   getPublicUrl(key)
+ *   getSignedUrl(key, expiresInSeconds)
+ *   keyFromUrl(url)                   - inverse of getPublicUrl, null for foreign URLs
+ */
+const backends = {
+  [s3Storage.name]: s3Storage,
+  [localStorage.name]: localStorage,
+};
+
+const getStorage = (name = process.env.STORAGE_DRIVER || s3Storage.name) => {
+  const storage = backends[name];
+  if (!storage) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return storage;
+};
+
+/**
+ * Finds the backend that produced a stored URL and the object key within it.
+ * @param {string} url
+ * @returns {{ storage: Object, key: string } | null}
+ */
+const resolveUrl = (url) => {
+  for (const storage of Object.values(backends)) {
+    const key = storage.keyFromUrl(url);
+    if (key) return { storage, key };
+  }
+  return null;
+};
+
+module.exports = { getStorage, resolveUrl };
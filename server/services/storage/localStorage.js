@@ -0,0 +1,99 @@
+// services/storage/localStorage.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../logger');
+
+/*
+ * Local disk storage backend. Objects are written below LOCAL_STORAGE_DIR
+ * (server/public by default). The directory is not served: a key of
+ * "tts_audios/1-abc.mp3" is recorded as "/tts_audios/1-abc.mp3" and only
+ * streamed through the signed TTS download route.
+ */
+
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'public'));
+const LOCAL_STORAGE_PUBLIC_URL = (process.env.LOCAL_STORAGE_PUBLIC_URL || '').replace(/\/$/, '');
+
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+};
+
+// Resolve a key to an absolute path, refusing anything that escapes the storage root
+const resolvePath = (key) => {
+  const filePath = path.resolve(LOCAL_STORAGE_DIR, key);
+  if (!filePath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+/*********************************************
+ * URLs
+ ********************************************/
+const getPublicUrl = (key) => `${LOCAL_STORAGE_PUBLIC_URL}/${key}`;
+
+const keyFromUrl = (url) => {
+  const prefix = `${LOCAL_STORAGE_PUBLIC_URL}/`;
+  if (!url || !url.startsWith(prefix)) return null;
+  // Absolute S3-style URLs also start with "/" when no public URL is configured
+  if (!LOCAL_STORAGE_PUBLIC_URL && url.startsWith('//')) return null;
+  return decodeURIComponent(url.slice(prefix.length).split('?')[0]);
+};
+
+// Local files have no native signing; links are signed at the API layer instead
+const getSignedUrl = async (key) => getPublicUrl(key);
+
+/*********************************************
+ * Object Operations
+ ********************************************/
+const put = async (key, body) => {
+  const filePath = resolvePath(key);
+  logger.info(`Saving object to local storage: ${filePath}`);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, body);
+  return { key, url: getPublicUrl(key) };
+};
+
+const getStream = async (key, range) => {
+  const filePath = resolvePath(key);
+  const { size } = await fs.promises.stat(filePath);
+  const start = range ? range.start : 0;
+  const end = range ? Math.min(range.end, size - 1) : size - 1;
+
+  return {
+    stream: fs.createReadStream(filePath, { start, end }),
+    contentType: contentTypeFor(key),
+    contentLength: end - start + 1,
+  };
+};
+
+const stat = async (key) => {
+  try {
+    const { size } = await fs.promises.stat(resolvePath(key));
+    return { contentType: contentTypeFor(key), contentLength: size };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const remove = async (key) => {
+  logger.info(`Deleting object from local storage: ${key}`);
+  await fs.promises.rm(resolvePath(key), { force: true });
+};
+
+module.exports = {
+  name: 'local',
+  rootDir: LOCAL_STORAGE_DIR,
+  put,
+  getStream,
+  stat,
+  delete: remove,
+  getPublicUrl,
+  getSignedUrl,
+  keyFromUrl,
+};
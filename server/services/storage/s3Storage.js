@@ -0,0 +1,151 @@
+// services/storage/s3Storage.js
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const logger = require('../../logger');
+
+/*
+ * S3 storage backend. Setting S3_ENDPOINT points it at any S3-compatible
+ * service (MinIO, LocalStack, R2...), in which case path-style URLs are used
+ * unless S3_FORCE_PATH_STYLE is explicitly "false".
+ */
+
+const AWS_REGION = process.env.AWS_REGION;
+const AWS_S3_BUCKET_NAME = process.env.AWS_S3_BUCKET_NAME;
+const S3_ENDPOINT = process.env.S3_ENDPOINT;
+const S3_FORCE_PATH_STYLE = S3_ENDPOINT ? process.env.S3_FORCE_PATH_STYLE !== 'false' : false;
+// Optional base URL used when building public links (e.g. a CDN in front of the bucket)
+const S3_PUBLIC_URL = process.env.S3_PUBLIC_URL;
+
+const s3Client = new S3Client({
+  region: AWS_REGION || 'us-east-1',
+  endpoint: S3_ENDPOINT || undefined,
+  forcePathStyle: S3_FORCE_PATH_STYLE,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+/*********************************************
+ * URLs
+ ********************************************/
+const getPublicUrl = (key) => {
+  if (S3_PUBLIC_URL) {
+    return `${S3_PUBLIC_URL.replace(/\/$/, '')}/${encodeKey(key)}`;
+  }
+  if (S3_ENDPOINT) {
+    const endpoint = S3_ENDPOINT.replace(/\/$/, '');
+    if (S3_FORCE_PATH_STYLE) {
+      return `${endpoint}/${AWS_S3_BUCKET_NAME}/${encodeKey(key)}`;
+    }
+    const endpointUrl = new URL(endpoint);
+    return `${endpointUrl.protocol}//${AWS_S3_BUCKET_NAME}.${endpointUrl.host}/${encodeKey(key)}`;
+  }
+  return `https://${AWS_S3_BUCKET_NAME}.s3.${AWS_REGION}.amazonaws.com/${encodeKey(key)}`;
+};
+
+/**
+ * Extracts the object key from a URL produced by getPublicUrl (or by older
+ * code that stored virtual-hosted AWS URLs). Returns null for foreign URLs.
+ * @param {string} url
+ * @returns {string|null}
+ */
+const keyFromUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const path = decodeURIComponent(parsed.pathname.slice(1));
+
+  if (S3_PUBLIC_URL && url.startsWith(S3_PUBLIC_URL)) {
+    const prefix = new URL(S3_PUBLIC_URL).pathname.replace(/^\/|\/$/g, '');
+    return prefix ? path.slice(prefix.length + 1) : path;
+  }
+  // Virtual-hosted style: <bucket>.<host>/<key>
+  if (parsed.host.split('.')[0] === AWS_S3_BUCKET_NAME) {
+    return path;
+  }
+  // Path style: <host>/<bucket>/<key>
+  if (path.startsWith(`${AWS_S3_BUCKET_NAME}/`)) {
+    return path.slice(AWS_S3_BUCKET_NAME.length + 1);
+  }
+  return null;
+};
+
+const getSignedUrlForKey = async (key, expiresIn = 900) =>
+  getSignedUrl(s3Client, new GetObjectCommand({ Bucket: AWS_S3_BUCKET_NAME, Key: key }), { expiresIn });
+
+/*********************************************
+ * Object Operations
+ ********************************************/
+const put = async (key, body, { contentType = 'application/octet-stream' } = {}) => {
+  logger.info(`Saving object to S3: ${key}`);
+  await s3Client.send(
+    new PutObjectCommand({
+      Bucket: AWS_S3_BUCKET_NAME,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    })
+  );
+  return { key, url: getPublicUrl(key) };
+};
+
+/**
+ * Opens a read stream for an object.
+ * @param {string} key
+ * @param {Object} [range] - Optional inclusive byte range { start, end }.
+ * @returns {Promise<{ stream, contentType, contentLength }>}
+ */
+const getStream = async (key, range) => {
+  const response = await s3Client.send(
+    new GetObjectCommand({
+      Bucket: AWS_S3_BUCKET_NAME,
+      Key: key,
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+    })
+  );
+  return {
+    stream: response.Body,
+    contentType: response.ContentType,
+    contentLength: response.ContentLength,
+  };
+};
+
+const stat = async (key) => {
+  try {
+    const response = await s3Client.send(new HeadObjectCommand({ Bucket: AWS_S3_BUCKET_NAME, Key: key }));
+    return { contentType: response.ContentType, contentLength: response.ContentLength };
+  } catch (error) {
+    if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+    throw error;
+  }
+};
+
+const remove = async (key) => {
+  logger.info(`Deleting object from S3: ${key}`);
+  await s3Client.send(new DeleteObjectCommand({ Bucket: AWS_S3_BUCKET_NAME, Key: key }));
+};
+
+module.exports = {
+  name: 's3',
+  put,
+  getStream,
+  stat,
+  delete: remove,
+  getPublicUrl,
+  getSignedUrl: getSignedUrlForKey,
+  keyFromUrl,
+};
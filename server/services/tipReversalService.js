@@ -0,0 +1,186 @@
+// services/tipReversalService.js
+
+const db = require('../db');
+const logger = require('../logger');
+const socket = require('../socket');
+const { withTransaction } = require('../db/transaction');
+const ledgerService = require('./ledgerService');
+const { TipValidationError } = require('./tipService');
+const { getPaymentProvider } = require('./paymentProviders');
+const webhookService = require('./webhookService');
+const goalService = require('./goalService');
+
+const REVERSAL_STATUSES = {
+  refund: 'refunded',
+  chargeback: 'charged_back',
+};
+
+/*********************************************
+ * Reverse Tip
+ ********************************************/
+/**
+ * Reverses a recorded tip: posts compensating ledger entries (clawing the
+ * creator's share back from their unpaid balance), marks the tip, optionally
+ * flags the tipper and notifies the creator's room with `tip-reversed`.
+ *
+ * Reversing an already-reversed tip is a no-op that resolves with
+ * `{ alreadyReversed: true }`, so provider webhooks for refunds we issued
+ * ourselves are harmless. While a provider refund is in flight the tip is
+ * 'refunding' and other reversals are refused with a 409.
+ *
+ * @param {number} tipId
+ * @param {Object} options
+ * @param {'refund'|'chargeback'} options.kind
+ * @param {string} [options.reason]
+ * @param {boolean} [options.flagTipper=false] - Chargebacks always flag the tipper.
+ * @param {boolean} [options.refundWithProvider=false] - Issue the refund with the payment provider first.
+ * @param {string} [options.initiatedBy] - e.g. 'admin:3', 'creator:7' or 'webhook:mock'.
+ * @returns {Promise<Object>}
+ */
+const reverseTip = async (tipId, { kind, reason = null, flagTipper = false, refundWithProvider = false, initiatedBy = null }) => {
+  const status = REVERSAL_STATUSES[kind];
+  if (!status) {
+    throw new TipValidationError(`Unknown reversal kind: ${kind}`);
+  }
+
+  const [tips] = await db.query(
+    `SELECT t.*, pi.provider, pi.provider_intent_id
+     FROM tips t
+     LEFT JOIN payment_intents pi ON pi.tip_id = t.id
+     WHERE t.id = ?`,
+    [tipId]
+  );
+  if (tips.length === 0) {
+    throw new TipValidationError('Tip not found.', 404);
+  }
+  if (tips[0].status === 'refunding') {
+    throw new TipValidationError('A refund for this tip is already in progress.', 409);
+  }
+  if (tips[0].status !== 'completed') {
+    return { tipId: Number(tipId), status: tips[0].status, alreadyReversed: true };
+  }
+
+  // Claim the tip before moving the money back, so concurrent refunds cannot both reach the
+  // provider; if the provider refuses, the claim is released and nothing changes on our side
+  let refundId = null;
+  const claimed = kind === 'refund' && refundWithProvider && Boolean(tips[0].provider_intent_id);
+  if (claimed) {
+    const [claim] = await db.query("UPDATE tips SET status = 'refunding' WHERE id = ? AND status = 'completed'", [tipId]);
+    if (claim.affectedRows === 0) {
+      const [current] = await db.query('SELECT status FROM tips WHERE id = ?', [tipId]);
+      if (['completed', 'refunding'].includes(current[0].status)) {
+        throw new TipValidationError('A refund for this tip is already in progress.', 409);
+      }
+      return { tipId: Number(tipId), status: current[0].status, alreadyReversed: true };
+    }
+
+    try {
+      const provider = getPaymentProvider(tips[0].provider);
+      ({ refundId } = await provider.refundPayment({
+        providerIntentId: tips[0].provider_intent_id,
+        amountCents: ledgerService.toCents(tips[0].amount),
+        reason,
+        idempotencyKey: `refund-${tips[0].id}`,
+      }));
+    } catch (error) {
+      await db.query("UPDATE tips SET status = 'completed' WHERE id = ? AND status = 'refunding'", [tipId]);
+      throw error;
+    }
+  }
+
+  const reversal = await withTransaction(async (connection) => {
+    const [locked] = await connection.query('SELECT * FROM tips WHERE id = ? FOR UPDATE', [tipId]);
+    const tip = locked[0];
+    if (!claimed && tip.status === 'refunding') {
+      throw new TipValidationError('A refund for this tip is already in progress.', 409);
+    }
+    if (tip.status !== (claimed ? 'refunding' : 'completed')) {
+      return null;
+    }
+
+    const grossCents = ledgerService.toCents(tip.amount);
+    const platformFeeCents = ledgerService.toCents(tip.platform_fee);
+
+    await ledgerService.postTipReversal(connection, {
+      tipId: tip.id,
+      tipperId: tip.tipper_id,
+      creatorId: tip.creator_id,
+      grossCents,
+      creatorNetCents: grossCents - platformFeeCents,
+      platformFeeCents,
+      kind,
+    }).catch((error) => {
+    if (claimed) {
+      // The provider already refunded: the tip stays 'refunding' so it is not refunded twice
+      logger.error(`❌ Tip ${tipId} was refunded (${refundId}) but could not be reversed; it needs reconciling: ${error.message}`);
+    }
+    throw error;
+  });
+
+    await connection.query(
+      'UPDATE tips SET status = ?, reversed_at = NOW(), reversal_reason = ?, reversal_reference = ? WHERE id = ?',
+      [status, reason, refundId, tip.id]
+    );
+
+    const shouldFlag = kind === 'chargeback' || flagTipper;
+    if (shouldFlag) {
+      await connection.query(
+        'UPDATE users SET is_flagged = 1, flag_reason = ?, flagged_at = NOW() WHERE id = ?',
+        [`Tip ${tip.id} ${kind}${reason ? `: ${reason}` : ''}`, tip.tipper_id]
+      );
+    }
+
+    const goalChange = await goalService.revertTip(connection, tip.id);
+
+    return {
+      tipId: tip.id,
+      creatorId: tip.creator_id,
+      tipperId: tip.tipper_id,
+      amount: ledgerService.fromCents(grossCents),
+      status,
+      kind,
+      tipperFlagged: shouldFlag,
+      refundId,
+      goalChange,
+    };
+  });
+
+  if (!reversal) {
+    return { tipId: Number(tipId), alreadyReversed: true };
+  }
+
+  logger.info(`✅ Tip ${reversal.tipId} ${reversal.status} by ${initiatedBy || 'unknown'}`, { reason });
+
+  socket.emitToCreator(reversal.creatorId, 'tip-reversed', {
+    tipId: reversal.tipId,
+    tipAmount: reversal.amount,
+    kind,
+    status,
+  });
+  await goalService.announceProgress(reversal.goalChange);
+  await webhookService.publishEvent(reversal.creatorId, 'tip.reversed', {
+    tipId: reversal.tipId,
+    amount: reversal.amount,
+    kind,
+    status,
+    reason: reason || null,
+  });
+
+  return reversal;
+};
+
+/**
+ * Finds the tip recorded for a provider payment intent, if any.
+ * @param {string} providerName
+ * @param {string} providerIntentId
+ * @returns {Promise<number|null>}
+ */
+const findTipIdForIntent = async (providerName, providerIntentId) => {
+  const [rows] = await db.query(
+    'SELECT tip_id FROM payment_intents WHERE provider = ? AND provider_intent_id = ?',
+    [providerName, providerIntentId]
+  );
+  return rows.length > 0 ? rows[0].tip_id : null;
+};
+
+module.exports = { reverseTip, findTipIdForIntent };
@@ -0,0 +1,196 @@
+// services/tipService.js
+
+const db = require('../db');
+const logger = require('../logger');
+const socket = require('../socket');
+const { withTransaction } = require('../db/transaction');
+const ledgerService = require('./ledgerService');
+const overlayConfigService = require('./overlayConfigService');
+const playbackQueue = require('./playbackQueueService');
+const webhookService = require('./webhookService');
+const goalService = require('./goalService');
+
+/**
+ * Error for tip input that can never succeed (unknown creator, bad amount).
+ * Controllers map it to a 4xx response.
+ */
+class TipValidationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TipValidationError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Converts a tip amount to cents, rejecting anything that is not positive.
+ * @param {number|string} amount
+ * @returns {number}
+ */
+const parseTipAmount = (amount) => {
+  const cents = ledgerService.toCents(amount);
+  if (!Number.isFinite(cents) || cents <= 0) {
+    throw new TipValidationError('Tip amount must be a positive number.');
+  }
+  return cents;
+};
+
+/*********************************************
+ * Insert Tip
+ ********************************************/
+/**
+ * Inserts a tip and its ledger postings using a connection that is already
+ * inside a database transaction. Use recordTip unless the tip must commit
+ * together with other writes.
+ * @param {import('mysql2/promise').PoolConnection} connection
+ * @param {Object} tip
+ * @param {number} tip.creatorId
+ * @param {number} tip.tipperId
+ * @param {number} tip.amountCents - Gross amount in cents.
+ * @param {string} [tip.message]
+ * @returns {Promise<{ tipId, creatorId, tipperId, amount, creatorNet, platformFee, message, goalChange }>}
+ */
+const insertTip = async (connection, { creatorId, tipperId, amountCents, message = null }) => {
+  const [creators] = await connection.query('SELECT id, revenue_share FROM creators WHERE id = ?', [creatorId]);
+  if (creators.length === 0) {
+    throw new TipValidationError('Creator not found.', 404);
+  }
+
+  const { creatorNetCents, platformFeeCents } = ledgerService.splitTip(amountCents, creators[0].revenue_share ?? 70.0);
+
+  const [result] = await connection.query(
+    'INSERT INTO tips (creator_id, tipper_id, amount, message, platform_fee) VALUES (?, ?, ?, ?, ?)',
+    [creatorId, tipperId, ledgerService.fromCents(amountCents), message, ledgerService.fromCents(platformFeeCents)]
+  );
+  const tipId = result.insertId;
+
+  await ledgerService.postTip(connection, {
+    tipId,
+    tipperId,
+    creatorId,
+    grossCents: amountCents,
+    creatorNetCents,
+    platformFeeCents,
+  });
+
+  const goalChange = await goalService.applyTip(connection, { tipId, creatorId, amountCents });
+
+  return {
+    tipId,
+    creatorId,
+    tipperId,
+    amount: ledgerService.fromCents(amountCents),
+    creatorNet: ledgerService.fromCents(creatorNetCents),
+    platformFee: ledgerService.fromCents(platformFeeCents),
+    message,
+    goalChange,
+  };
+};
+
+/**
+ * Loads a recorded tip in the shape insertTip returns, for announcing it again.
+ * The goal it counted towards is re-announced as progress only.
+ * @param {Object} connection
+ * @param {number} tipId
+ * @returns {Promise<Object|null>}
+ */
+const findTip = async (connection, tipId) => {
+  const [tips] = await connection.query(
+    'SELECT id, creator_id, tipper_id, amount, message, platform_fee FROM tips WHERE id = ?',
+    [tipId]
+  );
+  if (tips.length === 0) return null;
+
+  const tip = tips[0];
+  const amountCents = ledgerService.toCents(tip.amount);
+  const platformFeeCents = ledgerService.toCents(tip.platform_fee);
+  const [contributions] = await connection.query('SELECT goal_id FROM tip_goal_contributions WHERE tip_id = ?', [tipId]);
+  return {
+    tipId: tip.id,
+    creatorId: tip.creator_id,
+    tipperId: tip.tipper_id,
+    amount: ledgerService.fromCents(amountCents),
+    creatorNet: ledgerService.fromCents(amountCents - platformFeeCents),
+    platformFee: ledgerService.fromCents(platformFeeCents),
+    message: tip.message,
+    goalChange: contributions.length > 0 ? { goalId: contributions[0].goal_id, tipId: tip.id, reachedNow: false } : null,
+  };
+};
+
+/*********************************************
+ * Announce Tip
+ ********************************************/
+/**
+ * Broadcasts a committed tip to the streamer using Socket.IO, with the alert
+ * text and tier presentation from the creator's overlay configuration.
+ * Must only be called after the tip's transaction has committed.
+ * @param {Object} tip - As returned by insertTip.
+ */
+const announceTip = async (tip) => {
+  let alert = null;
+  try {
+    const [users] = await db.query('SELECT username FROM users WHERE id = ?', [tip.tipperId]);
+    alert = await overlayConfigService.buildAlert(tip.creatorId, 'tip', {
+      username: users[0]?.username || 'Someone',
+      amount: tip.amount,
+      message: tip.message,
+    });
+  } catch (error) {
+    // A broken overlay config must never stop the tip from being announced
+    logger.error(`Failed to build overlay alert for tip ${tip.tipId}: ${error.message}`);
+  }
+
+  // Queued so tip and TTS alerts play one after another on the overlay
+  await playbackQueue.announce(tip.creatorId, {
+    kind: 'tip',
+    sourceId: tip.tipId,
+    event: 'receive-tip',
+    payload: {
+      tipId: tip.tipId,
+      tipAmount: tip.amount,
+      message: tip.message,
+      alert,
+    },
+  });
+
+  await goalService.announceProgress(tip.goalChange);
+
+  await webhookService.publishEvent(tip.creatorId, 'tip.received', {
+    tipId: tip.tipId,
+    tipperId: tip.tipperId,
+    amount: tip.amount,
+    message: tip.message || null,
+  });
+};
+
+/*********************************************
+ * Record Tip
+ ********************************************/
+/**
+ * Records a tip and its ledger postings atomically, then notifies the
+ * creator's overlay. The socket broadcast only happens after the commit,
+ * so a failed insert can never show up on stream.
+ * @param {Object} tip
+ * @param {number} tip.creatorId
+ * @param {number} tip.tipperId
+ * @param {number|string} tip.amount - Gross amount in currency units.
+ * @param {string} [tip.message]
+ * @returns {Promise<Object>} See insertTip.
+ */
+const recordTip = async ({ creatorId, tipperId, amount, message = null }) => {
+  const amountCents = parseTipAmount(amount);
+  const tip = await withTransaction((connection) => insertTip(connection, { creatorId, tipperId, amountCents, message }));
+
+  logger.info(`✅ Tip ${tip.tipId} recorded: $${tip.amount} from user ${tipperId} to creator ${creatorId}`);
+  await announceTip(tip);
+  return tip;
+};
+
+module.exports = {
+  TipValidationError,
+  parseTipAmount,
+  insertTip,
+  findTip,
+  announceTip,
+  recordTip,
+};
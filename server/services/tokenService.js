@@ -0,0 +1,208 @@
+// services/tokenService.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const logger = require('../logger');
+
+/*
+ * Sessions and tokens.
+ *
+ * Logging in creates a session (user_sessions). The client receives a
+ * short-lived JWT access token carrying the session id (`sid`) and an opaque
+ * refresh token. Refresh tokens are stored only as SHA-256 hashes, are
+ * single-use and rotate on every refresh. Presenting an already-used refresh
+ * token is treated as theft and revokes the whole session.
+ */
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Error for refresh/logout attempts that must be rejected.
+ * Controllers map it to its statusCode.
+ */
+class TokenError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/*********************************************
+ * Access Tokens
+ ********************************************/
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+/**
+ * Verifies an access token's signature and expiry, and that its session has
+ * not been revoked.
+ * @param {string} token
+ * @returns {Promise<Object|null>} The token claims, or null if the token is not valid.
+ */
+const verifyAccessToken = async (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  } catch (error) {
+    return null;
+  }
+  // Tokens minted before sessions existed cannot be revoked, so they are no longer accepted
+  if (!claims.sid || !(await isSessionActive(claims.sid))) {
+    return null;
+  }
+  return claims;
+};
+
+/*********************************************
+ * Sessions
+ ********************************************/
+const isSessionActive = async (sessionId) => {
+  const [sessions] = await db.query(
+    'SELECT id FROM user_sessions WHERE id = ? AND revoked_at IS NULL',
+    [sessionId]
+  );
+  return sessions.length > 0;
+};
+
+const issueRefreshToken = async (sessionId, userId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await db.query(
+    'INSERT INTO refresh_tokens (token_hash, session_id, user_id, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))',
+    [hashToken(refreshToken), sessionId, userId, REFRESH_TOKEN_TTL_DAYS]
+  );
+  return refreshToken;
+};
+
+/**
+ * Starts a new session for a user who has just proven their identity.
+ * @param {{ id: number, email: string, role: string }} user
+ * @param {{ userAgent?: string, ip?: string }} [client]
+ * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: string, expiresIn: string }>}
+ */
+const createSession = async (user, { userAgent = null, ip = null } = {}) => {
+  const sessionId = crypto.randomUUID();
+  await db.query(
+    'INSERT INTO user_sessions (id, user_id, user_agent, ip_address, last_used_at) VALUES (?, ?, ?, ?, NOW())',
+    [sessionId, user.id, userAgent ? userAgent.slice(0, 255) : null, ip]
+  );
+
+  const refreshToken = await issueRefreshToken(sessionId, user.id);
+  logger.info(`Session ${sessionId} created for user ${user.id}`);
+
+  return {
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken,
+    sessionId,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * @param {string} refreshToken
+ * @param {{ ip?: string }} [client]
+ * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: string, expiresIn: string }>}
+ */
+const rotateRefreshToken = async (refreshToken, { ip = null } = {}) => {
+  const [tokens] = await db.query(
+    `SELECT rt.id, rt.session_id, rt.user_id, rt.used_at, rt.expires_at < NOW() AS expired, s.revoked_at
+     FROM refresh_tokens rt
+     JOIN user_sessions s ON s.id = rt.session_id
+     WHERE rt.token_hash = ?`,
+    [hashToken(refreshToken)]
+  );
+  if (tokens.length === 0) {
+    throw new TokenError('Invalid refresh token.');
+  }
+
+  const stored = tokens[0];
+  if (stored.revoked_at) {
+    throw new TokenError('Session has been revoked.');
+  }
+  if (stored.expired) {
+    throw new TokenError('Refresh token has expired.');
+  }
+
+  // Mark the token used atomically so two concurrent refreshes cannot both succeed
+  const [claim] = await db.query(
+    'UPDATE refresh_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [stored.id]
+  );
+  if (stored.used_at || claim.affectedRows === 0) {
+    logger.warn(`Refresh token reuse detected for session ${stored.session_id}. Revoking session.`);
+    await revokeSession(stored.session_id, stored.user_id);
+    throw new TokenError('Refresh token has already been used.');
+  }
+
+  const [users] = await db.query('SELECT id, email, role FROM users WHERE id = ?', [stored.user_id]);
+  if (users.length === 0) {
+    throw new TokenError('User no longer exists.');
+  }
+
+  await db.query('UPDATE user_sessions SET last_used_at = NOW(), ip_address = COALESCE(?, ip_address) WHERE id = ?', [
+    ip,
+    stored.session_id,
+  ]);
+
+  return {
+    accessToken: signAccessToken(users[0], stored.session_id),
+    refreshToken: await issueRefreshToken(stored.session_id, stored.user_id),
+    sessionId: stored.session_id,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+/**
+ * Revokes one of a user's sessions. Access tokens for it stop working immediately.
+ * @returns {Promise<boolean>} Whether an active session was revoked.
+ */
+const revokeSession = async (sessionId, userId) => {
+  const [result] = await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Revokes every active session of a user.
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+const revokeAllSessions = async (userId) => {
+  const [result] = await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  logger.info(`Revoked ${result.affectedRows} sessions for user ${userId}`);
+  return result.affectedRows;
+};
+
+const listSessions = async (userId) => {
+  const [sessions] = await db.query(
+    `SELECT id, user_agent AS userAgent, ip_address AS ipAddress, created_at AS createdAt, last_used_at AS lastUsedAt
+     FROM user_sessions
+     WHERE user_id = ? AND revoked_at IS NULL
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return sessions;
+};
+
+module.exports = {
+  TokenError,
+  createSession,
+  verifyAccessToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+};
@@ -0,0 +1,235 @@
+// services/ttsAudioCache.js
+
+const crypto = require('crypto');
+const db = require('../db');
+const logger = require('../logger');
+const { resolveVoice } = require('./ttsProviders');
+const { getStorage } = require('./storage');
+
+/*
+ * Content-addressed cache of synthesized audio.
+ *
+ * Entries (tts_audio_cache) are keyed by a SHA-256 of the normalized text, the
+ * provider, the provider's voice id and the synthesis options, and live at
+ * tts_audios/cache/<hash>.<ext> in the storage backend the job used. Identical
+ * messages therefore share one provider call and one stored file.
+ *
+ * ref_count is the number of tts_requests whose audio_url points at an entry
+ * (tts_requests.audio_cache_id). Eviction (see evict) removes:
+ *   - entries nobody references any more,
+ *   - entries unused for TTS_CACHE_MAX_AGE_DAYS,
+ *   - the least recently used entries while the cache exceeds TTS_CACHE_MAX_BYTES.
+ * Requests that still pointed at an evicted entry lose their audio_url; their
+ * audio is no longer downloadable.
+ */
+
+// Bump to invalidate every existing entry, e.g. after a provider changes its default model
+const CACHE_KEY_VERSION = 1;
+const CACHE_PREFIX = 'tts_audios/cache';
+
+const MAX_AGE_DAYS = parseInt(process.env.TTS_CACHE_MAX_AGE_DAYS, 10) || 30;
+const MAX_BYTES = parseInt(process.env.TTS_CACHE_MAX_BYTES, 10) || 5 * 1024 * 1024 * 1024;
+const EVICTION_BATCH_SIZE = 100;
+
+const isEnabled = () => process.env.TTS_CACHE_ENABLED !== 'false';
+
+/*********************************************
+ * Keys
+ ********************************************/
+/**
+ * Whitespace and Unicode form differences do not change the spoken audio.
+ * Case and punctuation do (emphasis, pauses), so they are kept.
+ * @param {string} text
+ */
+const normalizeText = (text) => String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+
+/**
+ * Computes the cache key for a synthesis.
+ * @param {string} text
+ * @param {string} voice - As stored on the request (may carry a provider prefix).
+ * @param {Object} [options] - Synthesis options passed to the provider.
+ * @returns {string} Hex SHA-256.
+ */
+const computeKey = (text, voice, options = {}) => {
+  const { provider, voiceId } = resolveVoice(voice);
+  const material = JSON.stringify({
+    v: CACHE_KEY_VERSION,
+    provider: provider.name,
+    voiceId,
+    options,
+    text: normalizeText(text),
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+};
+
+/*********************************************
+ * Lookup and Store
+ ********************************************/
+/**
+ * Returns the entry for a key in a storage backend and marks it used, or null.
+ * @param {string} hash
+ * @param {string} storageName
+ * @returns {Promise<{ id: number, audioUrl: string } | null>}
+ */
+const lookup = async (hash, storageName) => {
+  // Touching last_used_at first means a concurrent eviction (which requires an
+  // unchanged last_used_at) can no longer delete the entry we are about to use
+  const [result] = await db.query(
+    `UPDATE tts_audio_cache SET hit_count = hit_count + 1, last_used_at = NOW(3)
+     WHERE content_hash = ? AND storage_driver = ?`,
+    [hash, storageName]
+  );
+  if (result.affectedRows === 0) return null;
+
+  const [rows] = await db.query(
+    'SELECT id, audio_url FROM tts_audio_cache WHERE content_hash = ? AND storage_driver = ?',
+    [hash, storageName]
+  );
+  return rows.length > 0 ? { id: rows[0].id, audioUrl: rows[0].audio_url } : null;
+};
+
+/**
+ * Uploads synthesized audio under its hash and records the entry.
+ * Two workers missing on the same key at once both upload the same object;
+ * the second insert just refreshes the existing row.
+ * @param {string} hash
+ * @param {Object} storage - Storage backend (see ./storage).
+ * @param {Object} synthesis - Result of the provider call.
+ * @param {string} voice
+ * @param {(upload: () => Promise<Object>) => Promise<Object>} [wrapUpload] - e.g. a metrics timer.
+ * @returns {Promise<{ id: number, audioUrl: string }>}
+ */
+const store = async (hash, storage, { audio, contentType, extension, provider }, voice, wrapUpload = (upload) => upload()) => {
+  const key = `${CACHE_PREFIX}/${hash}.${extension}`;
+  const { url } = await wrapUpload(() => storage.put(key, audio, { contentType }));
+
+  await db.query(
+    `INSERT INTO tts_audio_cache
+       (content_hash, storage_driver, storage_key, audio_url, content_type, byte_size, provider, voice, last_used_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(3))
+     ON DUPLICATE KEY UPDATE audio_url = VALUES(audio_url), last_used_at = NOW(3)`,
+    [hash, storage.name, key, url, contentType, audio.length, provider, voice]
+  );
+  const [rows] = await db.query(
+    'SELECT id, audio_url FROM tts_audio_cache WHERE content_hash = ? AND storage_driver = ?',
+    [hash, storage.name]
+  );
+  return { id: rows[0].id, audioUrl: rows[0].audio_url };
+};
+
+/*********************************************
+ * Reference Counting
+ ********************************************/
+/**
+ * Points a request at a cache entry and counts the reference. Safe to call
+ * again for the same request (e.g. on a job retry): it is only counted once.
+ * @param {number} ttsRequestId
+ * @param {number} entryId
+ */
+const attach = async (ttsRequestId, entryId) => {
+  const [result] = await db.query(
+    'UPDATE tts_requests SET audio_cache_id = ? WHERE id = ? AND audio_cache_id IS NULL',
+    [entryId, ttsRequestId]
+  );
+  if (result.affectedRows > 0) {
+    await db.query('UPDATE tts_audio_cache SET ref_count = ref_count + 1 WHERE id = ?', [entryId]);
+  }
+};
+
+/**
+ * Drops a request's reference to its cached audio (e.g. when it is rejected).
+ * @param {number} ttsRequestId
+ */
+const release = async (ttsRequestId) => {
+  const [rows] = await db.query('SELECT audio_cache_id FROM tts_requests WHERE id = ?', [ttsRequestId]);
+  const entryId = rows[0]?.audio_cache_id;
+  if (!entryId) return;
+
+  const [result] = await db.query(
+    'UPDATE tts_requests SET audio_cache_id = NULL, audio_url = NULL WHERE id = ? AND audio_cache_id = ?',
+    [ttsRequestId, entryId]
+  );
+  if (result.affectedRows > 0) {
+    await db.query('UPDATE tts_audio_cache SET ref_count = GREATEST(ref_count, 1) - 1 WHERE id = ?', [entryId]);
+  }
+};
+
+/*********************************************
+ * Eviction
+ ********************************************/
+const removeEntry = async (entry) => {
+  // Re-checked against last_used_at so an entry that was just hit survives
+  const [result] = await db.query('DELETE FROM tts_audio_cache WHERE id = ? AND last_used_at = ?', [entry.id, entry.last_used_at]);
+  if (result.affectedRows === 0) return false;
+
+  await db.query('UPDATE tts_requests SET audio_url = NULL, audio_cache_id = NULL WHERE audio_cache_id = ?', [entry.id]);
+  try {
+    await getStorage(entry.storage_driver).delete(entry.storage_key);
+  } catch (error) {
+    logger.error(`❌ Failed to delete evicted TTS audio ${entry.storage_key}: ${error.message}`);
+  }
+  return true;
+};
+
+/**
+ * Evicts unreferenced, expired and (over the size budget) least recently used entries.
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeDays]
+ * @param {number} [options.maxBytes]
+ * @returns {Promise<{ evicted: number, freedBytes: number }>}
+ */
+const evict = async ({ maxAgeDays = MAX_AGE_DAYS, maxBytes = MAX_BYTES } = {}) => {
+  let evicted = 0;
+  let freedBytes = 0;
+  const removeAll = async (entries) => {
+    for (const entry of entries) {
+      if (await removeEntry(entry)) {
+        evicted += 1;
+        freedBytes += entry.byte_size;
+      }
+    }
+  };
+
+  // Unreferenced entries get a day's grace so a request being processed right now can still attach
+  const [stale] = await db.query(
+    `SELECT id, storage_driver, storage_key, byte_size, last_used_at FROM tts_audio_cache
+     WHERE (ref_count = 0 AND last_used_at < NOW() - INTERVAL 1 DAY) OR last_used_at < NOW() - INTERVAL ? DAY
+     LIMIT ?`,
+    [maxAgeDays, EVICTION_BATCH_SIZE]
+  );
+  await removeAll(stale);
+
+  const [[{ totalBytes }]] = await db.query('SELECT COALESCE(SUM(byte_size), 0) AS totalBytes FROM tts_audio_cache');
+  let excess = Number(totalBytes) - maxBytes;
+  while (excess > 0) {
+    const [oldest] = await db.query(
+      `SELECT id, storage_driver, storage_key, byte_size, last_used_at FROM tts_audio_cache
+       ORDER BY last_used_at ASC LIMIT ?`,
+      [EVICTION_BATCH_SIZE]
+    );
+    if (oldest.length === 0) break;
+    const victims = [];
+    for (const entry of oldest) {
+      if (excess <= 0) break;
+      victims.push(entry);
+      excess -= entry.byte_size;
+    }
+    await removeAll(victims);
+  }
+
+  if (evicted > 0) {
+    logger.info(`TTS audio cache evicted ${evicted} entries (${freedBytes} bytes).`);
+  }
+  return { evicted, freedBytes };
+};
+
+module.exports = {
+  isEnabled,
+  normalizeText,
+  computeKey,
+  lookup,
+  store,
+  attach,
+  release,
+  evict,
+};
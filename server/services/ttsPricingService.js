@@ -0,0 +1,423 @@
+// services/ttsPricingService.js
+
+const db = require('../db');
+const logger = require('../logger');
+const socket = require('../socket');
+const { withTransaction } = require('../db/transaction');
+const { toCents, fromCents } = require('./ledgerService');
+const overlayConfigService = require('./overlayConfigService');
+const voiceCatalog = require('./voiceCatalogService');
+
+/*
+ * Paid TTS.
+ *
+ * A creator prices TTS messages with
+ *   creators.tts_min_tip_cents          - smallest tip that may carry a TTS message
+ *   creators.tts_character_price_cents  - price per character (fractions of a cent allowed)
+ *   creator_voices.price_cents          - surcharge for the chosen voice
+ * price = characters * character price + voice surcharge (rounded up to the
+ * cent), and a tip must cover max(minimum tip, price - TTS credit). The
+ * overlay tier the tip lands in decides whether TTS is allowed at all and its
+ * maximum length (ttsEnabled / ttsMaxLength).
+ *
+ * When a paid message cannot be synthesized the tip is remedied according to
+ * creators.tts_failure_remedy:
+ *   refund - the whole tip is refunded through the payment provider (and any
+ *            TTS credit spent on it is restored)
+ *   credit - the TTS price is credited to the tipper for that creator's next TTS
+ * The remedy is first claimed on the tip (tts_remedy_status 'pending'), then
+ * carried out. Remedies that failed or were interrupted are retried by
+ * retryRemedies, which the TTS worker runs periodically.
+ */
+
+const MAX_MIN_TIP_CENTS = 100000;
+const MAX_CHARACTER_PRICE_CENTS = 100;
+const FAILURE_REMEDIES = ['refund', 'credit'];
+const REMEDY_MAX_ATTEMPTS = parseInt(process.env.TTS_REMEDY_MAX_ATTEMPTS, 10) || 5;
+// A pending remedy not finished after this long was interrupted (crash, deploy) and is retried
+const REMEDY_STALE_SECONDS = 10 * 60;
+
+/**
+ * Error for TTS that cannot be sold as requested (tier, length, pricing settings).
+ */
+class TTSPricingError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'TTSPricingError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/*********************************************
+ * Creator Pricing
+ ********************************************/
+const formatPricing = (row) => ({
+  minTip: fromCents(row.tts_min_tip_cents),
+  pricePerCharacter: Number(row.tts_character_price_cents) / 100,
+  failureRemedy: row.tts_failure_remedy,
+});
+
+const getPricingRow = async (creatorId) => {
+  const [rows] = await db.query(
+    'SELECT tts_min_tip_cents, tts_character_price_cents, tts_failure_remedy FROM creators WHERE id = ?',
+    [creatorId]
+  );
+  if (rows.length === 0) {
+    throw new TTSPricingError('Creator not found.', 404);
+  }
+  return rows[0];
+};
+
+const getPricing = async (creatorId) => formatPricing(await getPricingRow(creatorId));
+
+/**
+ * Updates a creator's TTS pricing. Amounts are in currency units.
+ * @param {number} creatorId
+ * @param {{ minTip?: number, pricePerCharacter?: number, failureRemedy?: 'refund'|'credit' }} input
+ */
+const updatePricing = async (creatorId, { minTip, pricePerCharacter, failureRemedy }) => {
+  const current = await getPricingRow(creatorId);
+
+  const minTipCents = minTip === undefined ? current.tts_min_tip_cents : toCents(minTip);
+  if (!Number.isInteger(minTipCents) || minTipCents < 0 || minTipCents > MAX_MIN_TIP_CENTS) {
+    throw new TTSPricingError(`minTip must be between 0 and ${fromCents(MAX_MIN_TIP_CENTS)}.`);
+  }
+  // Stored in cents with three decimals, e.g. 0.005 per character = 0.5 cents
+  const characterPriceCents = pricePerCharacter === undefined
+    ? Number(current.tts_character_price_cents)
+    : Math.round(Number(pricePerCharacter) * 100 * 1000) / 1000;
+  if (!Number.isFinite(characterPriceCents) || characterPriceCents < 0 || characterPriceCents > MAX_CHARACTER_PRICE_CENTS) {
+    throw new TTSPricingError(`pricePerCharacter must be between 0 and ${fromCents(MAX_CHARACTER_PRICE_CENTS)}.`);
+  }
+  const remedy = failureRemedy ?? current.tts_failure_remedy;
+  if (!FAILURE_REMEDIES.includes(remedy)) {
+    throw new TTSPricingError(`failureRemedy must be one of: ${FAILURE_REMEDIES.join(', ')}.`);
+  }
+
+  await db.query(
+    'UPDATE creators SET tts_min_tip_cents = ?, tts_character_price_cents = ?, tts_failure_remedy = ? WHERE id = ?',
+    [minTipCents, characterPriceCents, remedy, creatorId]
+  );
+  logger.info(`TTS pricing updated for creator ${creatorId}`, { minTipCents, characterPriceCents, remedy });
+  return getPricing(creatorId);
+};
+
+/*********************************************
+ * Credits
+ ********************************************/
+const getCreditCents = async (userId, creatorId) => {
+  if (!userId) return 0;
+  const [rows] = await db.query('SELECT balance_cents FROM tts_credits WHERE user_id = ? AND creator_id = ?', [userId, creatorId]);
+  return rows[0]?.balance_cents || 0;
+};
+
+const addCredit = async (userId, creatorId, cents, connection = db) => {
+  await connection.query(
+    `INSERT INTO tts_credits (user_id, creator_id, balance_cents) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE balance_cents = balance_cents + VALUES(balance_cents)`,
+    [userId, creatorId, cents]
+  );
+};
+
+/**
+ * Spends credit that was applied to a quote once the tip is paid. Returns
+ * false if the balance was spent elsewhere in the meantime.
+ * @param {number} userId
+ * @param {number} creatorId
+ * @param {number} cents
+ * @param {Object} [connection] - Runs inside the caller's transaction.
+ */
+const consumeCredit = async (userId, creatorId, cents, connection = db) => {
+  if (cents <= 0) return true;
+  const [result] = await connection.query(
+    'UPDATE tts_credits SET balance_cents = balance_cents - ? WHERE user_id = ? AND creator_id = ? AND balance_cents >= ?',
+    [cents, userId, creatorId, cents]
+  );
+  return result.affectedRows > 0;
+};
+
+/*********************************************
+ * Quotes
+ ********************************************/
+/**
+ * Prices a (moderated) TTS message for a creator.
+ * @param {Object} input
+ * @param {number} input.creatorId
+ * @param {number} [input.userId] - Applies the user's TTS credit with the creator.
+ * @param {string} input.text
+ * @param {string|number} [input.voice]
+ * @param {number} [input.amountCents] - The tip, if known; decides the tier.
+ * @returns {Promise<Object>} Quote; amounts in cents.
+ * @throws {VoiceError|TTSPricingError}
+ */
+const quoteCents = async ({ creatorId, userId = null, text, voice, amountCents = null }) => {
+  const [row, resolvedVoice, creditCents, config] = await Promise.all([
+    getPricingRow(creatorId),
+    voiceCatalog.resolveCreatorVoice(creatorId, voice),
+    getCreditCents(userId, creatorId),
+    overlayConfigService.getConfig(creatorId),
+  ]);
+
+  const characters = Array.from(text).length;
+  const characterCostCents = Math.ceil(characters * Number(row.tts_character_price_cents));
+  const priceCents = characterCostCents + resolvedVoice.priceCents;
+  // Credit only pays for what the tip (at least the minimum tip) does not already cover
+  const coveredByTipCents = Math.max(row.tts_min_tip_cents, amountCents ?? 0);
+  const creditAppliedCents = Math.min(creditCents, Math.max(0, priceCents - coveredByTipCents));
+  const requiredCents = Math.max(row.tts_min_tip_cents, priceCents - creditAppliedCents);
+
+  const tier = overlayConfigService.resolveTier(config, fromCents(amountCents ?? requiredCents));
+
+  return {
+    characters,
+    voice: resolvedVoice,
+    minTipCents: row.tts_min_tip_cents,
+    characterCostCents,
+    voiceSurchargeCents: resolvedVoice.priceCents,
+    priceCents,
+    creditAppliedCents,
+    requiredCents,
+    ttsEnabled: tier.ttsEnabled,
+    maxLength: tier.ttsMaxLength,
+    requiresPayment: requiredCents > 0,
+  };
+};
+
+/**
+ * Quote in the API's currency units.
+ */
+const formatQuote = (quote, amountCents = null) => ({
+  characters: quote.characters,
+  voice: { id: quote.voice.voiceId, key: quote.voice.key, name: quote.voice.name },
+  minTip: fromCents(quote.minTipCents),
+  characterCost: fromCents(quote.characterCostCents),
+  voiceSurcharge: fromCents(quote.voiceSurchargeCents),
+  price: fromCents(quote.priceCents),
+  creditApplied: fromCents(quote.creditAppliedCents),
+  requiredTip: fromCents(quote.requiredCents),
+  ttsEnabled: quote.ttsEnabled,
+  maxLength: quote.maxLength,
+  ...(amountCents !== null ? { amount: fromCents(amountCents), covered: amountCents >= quote.requiredCents } : {}),
+});
+
+/**
+ * Checks that a tip of amountCents may carry the message and covers its price.
+ * @returns {Promise<Object>} The quote (cents).
+ * @throws {TTSPricingError} 422 with the quote as details.
+ */
+const assertTipCoversTTS = async ({ creatorId, userId, text, voice, amountCents }) => {
+  const quote = await quoteCents({ creatorId, userId, text, voice, amountCents });
+  const details = formatQuote(quote, amountCents);
+
+  if (!quote.ttsEnabled) {
+    throw new TTSPricingError('This creator does not accept TTS messages with tips of this amount.', 422, details);
+  }
+  if (quote.maxLength && quote.characters > quote.maxLength) {
+    throw new TTSPricingError(`TTS messages for this tip amount are limited to ${quote.maxLength} characters.`, 422, details);
+  }
+  if (amountCents < quote.requiredCents) {
+    throw new TTSPricingError(`A tip of at least ${fromCents(quote.requiredCents)} is required for this TTS message.`, 422, details);
+  }
+  return quote;
+};
+
+/*********************************************
+ * Failed Paid TTS
+ ********************************************/
+/**
+ * Claims the remedy for a tip's paid TTS. Only the first claim for a tip
+ * succeeds; completeRemedy then carries it out.
+ * @param {Object} connection - db, or the caller's transaction.
+ * @param {Object} input
+ * @param {number} input.tipId
+ * @param {number} input.priceCents - What the tipper paid for the TTS.
+ * @param {string} input.reason
+ * @returns {Promise<boolean>} Whether this call claimed it.
+ */
+const claimRemedy = async (connection, { tipId, priceCents, reason }) => {
+  if (priceCents <= 0) return false;
+  const [claimed] = await connection.query(
+    `UPDATE tips t JOIN creators c ON c.id = t.creator_id
+     SET t.tts_remedy = c.tts_failure_remedy, t.tts_remedy_status = 'pending', t.tts_remedy_cents = ?, t.tts_remedy_reason = ?
+     WHERE t.id = ? AND t.tts_remedy IS NULL`,
+    [priceCents, reason.slice(0, 255), tipId]
+  );
+  return claimed.affectedRows > 0;
+};
+
+/**
+ * Carries out a claimed remedy that is new, failed, or pending for longer
+ * than REMEDY_STALE_SECONDS. Each run takes the tip's next attempt first, so
+ * concurrent callers cannot carry out the same remedy twice.
+ * @param {number} tipId
+ * @returns {Promise<Object|null>} { tipId, creatorId, remedy, status, cents, reason } or null if nothing to do.
+ */
+const completeRemedy = async (tipId) => {
+  const [attempt] = await db.query(
+    `UPDATE tips SET tts_remedy_status = 'pending', tts_remedy_attempts = tts_remedy_attempts + 1, tts_remedy_attempted_at = NOW()
+     WHERE id = ? AND tts_remedy IS NOT NULL AND tts_remedy_attempts < ?
+       AND (tts_remedy_status = 'failed'
+         OR (tts_remedy_status = 'pending'
+           AND (tts_remedy_attempted_at IS NULL OR tts_remedy_attempted_at < NOW() - INTERVAL ? SECOND)))`,
+    [tipId, REMEDY_MAX_ATTEMPTS, REMEDY_STALE_SECONDS]
+  );
+  if (attempt.affectedRows === 0) return null;
+
+  const [tips] = await db.query(
+    'SELECT id, creator_id, tipper_id, tts_remedy, tts_remedy_cents, tts_remedy_reason, tts_remedy_attempts FROM tips WHERE id = ?',
+    [tipId]
+  );
+  const tip = tips[0];
+  const remedy = tip.tts_remedy;
+  const cents = tip.tts_remedy_cents;
+  const reason = tip.tts_remedy_reason;
+
+  let status = 'completed';
+  try {
+    if (remedy === 'credit') {
+      // Committed together with the status, so a retry can never credit twice
+      await withTransaction(async (connection) => {
+        await addCredit(tip.tipper_id, tip.creator_id, cents, connection);
+        await connection.query("UPDATE tips SET tts_remedy_status = 'completed' WHERE id = ?", [tipId]);
+      });
+    } else {
+      // Required lazily: tipReversalService -> tipService would otherwise load before this module finishes
+      const { reverseTip } = require('./tipReversalService');
+      const reversal = await reverseTip(tipId, { kind: 'refund', reason, refundWithProvider: true, initiatedBy: 'system:tts-failure' });
+      // Credit that went towards the price is not part of the refunded payment. A retry after the
+      // reversal went through must not restore it again.
+      const [intents] = await db.query('SELECT tts_credit_cents FROM payment_intents WHERE tip_id = ?', [tipId]);
+      if (intents[0]?.tts_credit_cents > 0 && !reversal.alreadyReversed) {
+        await addCredit(tip.tipper_id, tip.creator_id, intents[0].tts_credit_cents);
+      }
+    }
+  } catch (error) {
+    status = 'failed';
+    const final = tip.tts_remedy_attempts >= REMEDY_MAX_ATTEMPTS ? ' Giving up; it needs to be remedied by hand.' : '';
+    logger.error(`❌ TTS ${remedy} for tip ${tipId} failed (attempt ${tip.tts_remedy_attempts}): ${error.message}.${final}`);
+  }
+
+  await db.query('UPDATE tips SET tts_remedy_status = ? WHERE id = ?', [status, tipId]);
+  logger.info(`Paid TTS for tip ${tipId} remedied by ${remedy} (${status}): ${reason}`);
+  return { tipId: tip.id, creatorId: tip.creator_id, remedy, status, cents, reason };
+};
+
+/**
+ * Tells the creator's dashboard about a remedy. Only the API process has
+ * sockets; the worker leaves this to the API (see announceRequestRemedy).
+ */
+const announceRemedy = (result) => {
+  if (!result) return;
+  socket.emitToCreator(
+    result.creatorId,
+    'tts-remedied',
+    { tipId: result.tipId, remedy: result.remedy, status: result.status, amount: fromCents(result.cents), reason: result.reason },
+    { overlay: false }
+  );
+};
+
+/**
+ * Carries out a remedy claimed earlier (see claimRemedy) and notifies the creator.
+ * @param {number} tipId
+ * @returns {Promise<Object|null>} See completeRemedy.
+ */
+const remedyClaimedTTS = async (tipId) => {
+  const result = await completeRemedy(tipId);
+  announceRemedy(result);
+  return result;
+};
+
+/**
+ * Remedies the tip that paid for a TTS request which will never play
+ * (TTS was no longer allowed when the payment cleared, or moderation
+ * rejected it) and notifies the creator. Only the first call for a tip has
+ * an effect.
+ * @param {Object} input
+ * @param {number} input.tipId
+ * @param {number} input.priceCents - What the TTS was sold for.
+ * @param {string} input.reason
+ * @returns {Promise<Object|null>} See completeRemedy.
+ */
+const remedyPaidTTS = async ({ tipId, priceCents, reason }) => {
+  if (!(await claimRemedy(db, { tipId, priceCents, reason }))) return null;
+  return remedyClaimedTTS(tipId);
+};
+
+/**
+ * Remedies the paying tip of a TTS request after its synthesis failed for
+ * good. Runs in the TTS worker; free TTS requests are ignored.
+ * @param {number} ttsRequestId
+ * @returns {Promise<Object|null>} See completeRemedy.
+ */
+const handleFailedSynthesis = async (ttsRequestId) => {
+  const [rows] = await db.query('SELECT tip_id, price_cents FROM tts_requests WHERE id = ?', [ttsRequestId]);
+  if (!rows[0]?.tip_id) return null;
+  const tipId = rows[0].tip_id;
+  if (!(await claimRemedy(db, { tipId, priceCents: rows[0].price_cents, reason: 'TTS synthesis failed.' }))) return null;
+  return completeRemedy(tipId);
+};
+
+/**
+ * Notifies the creator of the remedy for a failed TTS request, if any.
+ * Called by the API once the worker has given up on the request.
+ * @param {number} ttsRequestId
+ */
+const announceRequestRemedy = async (ttsRequestId) => {
+  const [rows] = await db.query(
+    `SELECT t.id, t.creator_id, t.tts_remedy, t.tts_remedy_status, t.tts_remedy_cents, t.tts_remedy_reason
+     FROM tts_requests r JOIN tips t ON t.id = r.tip_id
+     WHERE r.id = ? AND t.tts_remedy IS NOT NULL`,
+    [ttsRequestId]
+  );
+  if (rows.length === 0) return;
+  announceRemedy({
+    tipId: rows[0].id,
+    creatorId: rows[0].creator_id,
+    remedy: rows[0].tts_remedy,
+    status: rows[0].tts_remedy_status,
+    cents: rows[0].tts_remedy_cents,
+    reason: rows[0].tts_remedy_reason,
+  });
+};
+
+/**
+ * Retries remedies that failed or were interrupted.
+ * @param {number} [limit=100]
+ * @returns {Promise<number>} How many were attempted.
+ */
+const retryRemedies = async (limit = 100) => {
+  const [tips] = await db.query(
+    `SELECT id FROM tips
+     WHERE tts_remedy_status IN ('pending', 'failed') AND tts_remedy_attempts < ?
+     ORDER BY id LIMIT ?`,
+    [REMEDY_MAX_ATTEMPTS, limit]
+  );
+
+  let attempted = 0;
+  for (const { id } of tips) {
+    if (await completeRemedy(id)) attempted += 1;
+  }
+  if (attempted > 0) {
+    logger.info(`Retried ${attempted} paid TTS remedies.`);
+  }
+  return attempted;
+};
+
+module.exports = {
+  FAILURE_REMEDIES,
+  TTSPricingError,
+  getPricing,
+  updatePricing,
+  getCreditCents,
+  consumeCredit,
+  quoteCents,
+  formatQuote,
+  assertTipCoversTTS,
+  claimRemedy,
+  remedyClaimedTTS,
+  remedyPaidTTS,
+  handleFailedSynthesis,
+  announceRequestRemedy,
+  retryRemedies,
+};
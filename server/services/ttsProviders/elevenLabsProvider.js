@@ -0,0 +1,101 @@
+// services/ttsProviders/elevenLabsProvider.js
+
+const axios = require('axios');
+const logger = require('../../logger');
+const { TTSProviderError, isRetryableStatus } = require('./errors');
+
+const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
+const ELEVENLABS_API_URL = process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io/v1/text-to-speech';
+const ELEVENLABS_VOICES_URL = process.env.ELEVENLABS_VOICES_URL || 'https://api.elevenlabs.io/v1/voices';
+const DEFAULT_VOICE_ID = 'pqHfZKP75CvOlQylNhV4';
+
+/*********************************************
+ * Error Normalization
+ ********************************************/
+// Responses are requested as arraybuffers, so error bodies arrive as raw bytes
+const extractErrorMessage = (error) => {
+  let data = error.response?.data;
+  if (data && (Buffer.isBuffer(data) || data instanceof ArrayBuffer)) {
+    try {
+      data = JSON.parse(Buffer.from(data).toString('utf8'));
+    } catch (parseError) {
+      data = null;
+    }
+  }
+  return data?.detail?.message || error.message || 'Failed to generate TTS';
+};
+
+const normalizeError = (error) => {
+  const statusCode = error.response?.status;
+  return new TTSProviderError(extractErrorMessage(error), {
+    provider: 'elevenlabs',
+    retryable: isRetryableStatus(statusCode),
+    statusCode,
+    cause: error,
+  });
+};
+
+/*********************************************
+ * Provider Implementation
+ ********************************************/
+const synthesize = async (text, voice) => {
+  if (!ELEVENLABS_API_KEY) {
+    throw new TTSProviderError('ELEVENLABS_API_KEY is not configured.', { provider: 'elevenlabs' });
+  }
+
+  const voiceId = !voice || voice.toLowerCase() === 'default' ? DEFAULT_VOICE_ID : voice;
+
+  try {
+    logger.info(`Generating ElevenLabs TTS for text: "${text}" with voice: "${voiceId}"`);
+    const response = await axios.post(
+      `${ELEVENLABS_API_URL}/${voiceId}/stream`,
+      { text },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'xi-api-key': ELEVENLABS_API_KEY,
+        },
+        responseType: 'arraybuffer',
+        timeout: 30000, // 30 seconds timeout
+      }
+    );
+    logger.debug(`ElevenLabs TTS generation successful for voice: "${voiceId}"`);
+    return { audio: Buffer.from(response.data), contentType: 'audio/mpeg', extension: 'mp3' };
+  } catch (error) {
+    const providerError = normalizeError(error);
+    logger.error(`❌ ElevenLabs TTS Error (retryable: ${providerError.retryable}): ${providerError.message}`);
+    throw providerError;
+  }
+};
+
+const listVoices = async () => {
+  try {
+    const response = await axios.get(ELEVENLABS_VOICES_URL, {
+      headers: { 'xi-api-key': ELEVENLABS_API_KEY },
+      timeout: 15000,
+    });
+    return (response.data.voices || []).map((voice) => ({
+      id: voice.voice_id,
+      name: voice.name,
+      language: voice.labels?.language || null,
+      previewUrl: voice.preview_url || null,
+    }));
+  } catch (error) {
+    throw normalizeError(error);
+  }
+};
+
+const capabilities = () => ({
+  formats: ['mp3'],
+  streaming: true,
+  maxCharacters: 5000,
+  requiresNetwork: true,
+});
+
+module.exports = {
+  name: 'elevenlabs',
+  defaultVoice: DEFAULT_VOICE_ID,
+  synthesize,
+  listVoices,
+  capabilities,
+};
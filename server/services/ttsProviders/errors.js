@@ -0,0 +1,41 @@
+// services/ttsProviders/errors.js
+
+/**
+ * Error raised by a TTS provider.
+ *
+ * Every provider normalizes its failures into this class so callers (the
+ * worker in particular) can decide whether a job is worth retrying without
+ * knowing anything about the provider's own error format.
+ */
+class TTSProviderError extends Error {
+  /**
+   * @param {string} message - Human readable error message.
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Name of the provider that failed.
+   * @param {boolean} [options.retryable=false] - Whether retrying may succeed.
+   * @param {number} [options.statusCode] - Upstream HTTP status, if any.
+   * @param {Error} [options.cause] - Original error.
+   */
+  constructor(message, { provider, retryable = false, statusCode, cause } = {}) {
+    super(message);
+    this.name = 'TTSProviderError';
+    this.provider = provider;
+    this.retryable = retryable;
+    this.statusCode = statusCode;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Decides whether an upstream HTTP status is worth retrying.
+ * Timeouts, rate limits and server errors are transient; everything else
+ * (bad voice id, invalid key, text rejected) will fail the same way again.
+ * @param {number} [statusCode]
+ * @returns {boolean}
+ */
+const isRetryableStatus = (statusCode) => {
+  if (!statusCode) return true; // Network errors, timeouts
+  return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+};
+
+module.exports = { TTSProviderError, isRetryableStatus };
@@ -0,0 +1,81 @@
+// services/ttsProviders/index.js
+
+const logger = require('../../logger');
+const elevenLabsProvider = require('./elevenLabsProvider');
+const localProvider = require('./localProvider');
+const { TTSProviderError, isRetryableStatus } = require('./errors');
+
+/*
+ * Every provider exposes the same interface:
+ *   name                              - unique provider name
+ *   defaultVoice                      - voice used for "default"
+ *   synthesize(text, voice, options)  - resolves { audio: Buffer, contentType, extension }
+ *   listVoices()                      - resolves [{ id, name, language, previewUrl }]
+ *   capabilities()                    - returns { formats, streaming, maxCharacters, requiresNetwork }
+ * and throws TTSProviderError on failure.
+ */
+const providers = {
+  [elevenLabsProvider.name]: elevenLabsProvider,
+  [localProvider.name]: localProvider,
+};
+
+/*********************************************
+ * Provider Lookup
+ ********************************************/
+const getDefaultProviderName = () => process.env.TTS_PROVIDER || elevenLabsProvider.name;
+
+const getProvider = (name = getDefaultProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new TTSProviderError(`Unknown TTS provider: ${name}`, { provider: name });
+  }
+  return provider;
+};
+
+/**
+ * Resolves which provider should synthesize a voice.
+ * Voices may be qualified with a provider prefix (e.g. "local:tone-low");
+ * unqualified voices go to the environment's default provider.
+ * @param {string} voice
+ * @returns {{ provider: Object, voiceId: string }}
+ */
+const resolveVoice = (voice = 'default') => {
+  const separatorIndex = voice.indexOf(':');
+  if (separatorIndex > 0) {
+    const providerName = voice.slice(0, separatorIndex);
+    if (providers[providerName]) {
+      return { provider: providers[providerName], voiceId: voice.slice(separatorIndex + 1) };
+    }
+  }
+  return { provider: getProvider(), voiceId: voice };
+};
+
+/**
+ * Synthesizes text with whichever provider owns the voice.
+ * @param {string} text
+ * @param {string} voice
+ * @param {Object} [options]
+ * @returns {Promise<{ audio: Buffer, contentType: string, extension: string, provider: string }>}
+ */
+const synthesize = async (text, voice, options = {}) => {
+  const { provider, voiceId } = resolveVoice(voice);
+  logger.debug(`Routing TTS for voice "${voice}" to provider "${provider.name}"`);
+
+  try {
+    const result = await provider.synthesize(text, voiceId, options);
+    return { ...result, provider: provider.name };
+  } catch (error) {
+    if (error instanceof TTSProviderError) throw error;
+    // Anything a provider failed to normalize is treated as transient
+    throw new TTSProviderError(error.message, { provider: provider.name, retryable: true, cause: error });
+  }
+};
+
+module.exports = {
+  providers,
+  getProvider,
+  resolveVoice,
+  synthesize,
+  TTSProviderError,
+  isRetryableStatus,
+};
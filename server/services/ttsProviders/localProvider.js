@@ -0,0 +1,102 @@
+// services/ttsProviders/localProvider.js
+
+const logger = require('../../logger');
+const { TTSProviderError } = require('./errors');
+
+/*
+ * Offline provider that renders text as a deterministic sequence of tones.
+ * It produces a valid WAV file without any network access or API key, so the
+ * worker can run end-to-end in development, CI and staging. The same text and
+ * voice always produce byte-identical audio.
+ */
+
+const SAMPLE_RATE = 8000;
+const CHARACTER_DURATION_MS = 50;
+const MAX_CHARACTERS = 500;
+
+const VOICES = [
+  { id: 'tone-low', name: 'Local Tone (Low)', baseFrequency: 220 },
+  { id: 'tone-mid', name: 'Local Tone (Mid)', baseFrequency: 330 },
+  { id: 'tone-high', name: 'Local Tone (High)', baseFrequency: 440 },
+];
+const DEFAULT_VOICE_ID = 'tone-mid';
+
+/*********************************************
+ * WAV Rendering
+ ********************************************/
+const writeWavHeader = (buffer, dataLength) => {
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataLength, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16); // PCM chunk size
+  buffer.writeUInt16LE(1, 20); // Audio format: PCM
+  buffer.writeUInt16LE(1, 22); // Channels: mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28); // Byte rate
+  buffer.writeUInt16LE(2, 32); // Block align
+  buffer.writeUInt16LE(16, 34); // Bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataLength, 40);
+};
+
+const renderTones = (text, baseFrequency) => {
+  const samplesPerCharacter = Math.floor((SAMPLE_RATE * CHARACTER_DURATION_MS) / 1000);
+  const dataLength = text.length * samplesPerCharacter * 2;
+  const buffer = Buffer.alloc(44 + dataLength);
+  writeWavHeader(buffer, dataLength);
+
+  let offset = 44;
+  for (const character of text) {
+    const code = character.codePointAt(0);
+    // Whitespace becomes silence; everything else maps onto a two-octave range
+    const frequency = /\s/.test(character) ? 0 : baseFrequency * Math.pow(2, (code % 24) / 12);
+
+    for (let i = 0; i < samplesPerCharacter; i++) {
+      // Short linear fade in/out on each tone to avoid clicks
+      const envelope = Math.min(1, i / 40, (samplesPerCharacter - i) / 40);
+      const sample = frequency ? Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE) * envelope * 0.5 : 0;
+      buffer.writeInt16LE(Math.round(sample * 32767), offset);
+      offset += 2;
+    }
+  }
+
+  return buffer;
+};
+
+/*********************************************
+ * Provider Implementation
+ ********************************************/
+const synthesize = async (text, voice) => {
+  const voiceId = !voice || voice.toLowerCase() === 'default' ? DEFAULT_VOICE_ID : voice;
+  const voiceConfig = VOICES.find((v) => v.id === voiceId);
+
+  if (!voiceConfig) {
+    throw new TTSProviderError(`Unknown local voice: ${voiceId}`, { provider: 'local' });
+  }
+  if (!text || text.length > MAX_CHARACTERS) {
+    throw new TTSProviderError(`Text must be between 1 and ${MAX_CHARACTERS} characters.`, { provider: 'local' });
+  }
+
+  logger.info(`Generating local TTS for text: "${text}" with voice: "${voiceId}"`);
+  const audio = renderTones(Array.from(text).slice(0, MAX_CHARACTERS).join(''), voiceConfig.baseFrequency);
+  return { audio, contentType: 'audio/wav', extension: 'wav' };
+};
+
+const listVoices = async () =>
+  VOICES.map(({ id, name }) => ({ id, name, language: null, previewUrl: null }));
+
+const capabilities = () => ({
+  formats: ['wav'],
+  streaming: false,
+  maxCharacters: MAX_CHARACTERS,
+  requiresNetwork: false,
+});
+
+module.exports = {
+  name: 'local',
+  defaultVoice: DEFAULT_VOICE_ID,
+  synthesize,
+  listVoices,
+  capabilities,
+};
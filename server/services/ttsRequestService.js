@@ -0,0 +1,328 @@
+// services/ttsRequestService.js
+
+const db = require('../db');
+const logger = require('../logger');
+const socket = require('../socket');
+const ttsQueue = require('../queues/ttsQueue');
+const moderationService = require('./moderationService');
+const { buildAlert } = require('./overlayConfigService');
+const { createSignedDownloadUrl } = require('./signedUrlService');
+const playbackQueue = require('./playbackQueueService');
+const webhookService = require('./webhookService');
+const audioCache = require('./ttsAudioCache');
+
+/*
+ * Creators can hold TTS for manual approval (creators.require_tts_approval).
+ * The stage is snapshotted onto each request (tts_requests.approval_stage) so
+ * toggling the setting never strands requests that are already in flight:
+ *   before_synthesis: awaiting_approval -> approved -> (synthesis) -> completed
+ *                     (rejected messages are never sent to the TTS provider)
+ *   after_synthesis:  processing -> awaiting_approval -> approved
+ *                     (the creator can preview the audio before it plays)
+ * Only approved (or never-held) audio is emitted to the overlay.
+ */
+const APPROVAL_STAGES = ['before_synthesis', 'after_synthesis'];
+
+/*********************************************
+ * Queue and Announce
+ ********************************************/
+const enqueueSynthesis = async (ttsRequestId, message, voice) => {
+  // The job id is derived from the request, so Bull ignores a second add for the same request
+  await ttsQueue.add(
+    { ttsRequestId, message, voice, useS3: true },
+    { jobId: `tts-${ttsRequestId}`, attempts: 3, backoff: { type: 'exponential', delay: 5000 } }
+  );
+  logger.info(`TTS Request ID ${ttsRequestId} added to the processing queue.`);
+};
+
+/**
+ * Announces finished audio to the creator's dashboard and queues it for the
+ * overlay. The overlay gets a signed, expiring API link rather than the raw
+ * storage URL.
+ * @param {number} ttsRequestId
+ */
+const announceTTSPlayback = async (ttsRequestId) => {
+  const [rows] = await db.query(
+    `SELECT tr.creator_id, tr.message, tr.voice, u.username
+     FROM tts_requests tr
+     JOIN users u ON u.id = tr.user_id
+     WHERE tr.id = ?`,
+    [ttsRequestId]
+  );
+  if (rows.length === 0) {
+    logger.error('❌ No TTS request found with ID:', ttsRequestId);
+    return;
+  }
+
+  const { creator_id: creatorId, message, voice, username } = rows[0];
+  const alert = await buildAlert(creatorId, 'tts', { username, message, voice });
+  const audioUrl = createSignedDownloadUrl(ttsRequestId);
+
+  logger.info(`Queueing tts-request ${ttsRequestId} for playback in room: creator-room-${creatorId}`);
+  await playbackQueue.announce(creatorId, {
+    kind: 'tts',
+    sourceId: ttsRequestId,
+    event: 'tts-request',
+    payload: { ttsRequestId, message, voice, audioUrl, alert },
+  });
+  await webhookService.publishEvent(creatorId, 'tts.completed', { ttsRequestId, username, message, voice, audioUrl });
+};
+
+/**
+ * Tells the dashboard a request is waiting for review. Held audio comes with a
+ * preview link; requests held before synthesis have none yet.
+ */
+const announceAwaitingApproval = (creatorId, { ttsRequestId, message, voice, userId, hasAudio }) => {
+  socket.emitToCreator(
+    creatorId,
+    'tts-awaiting-approval',
+    {
+      ttsRequestId,
+      message,
+      voice,
+      userId,
+      creatorId,
+      status: 'awaiting_approval',
+      previewUrl: hasAudio ? createSignedDownloadUrl(ttsRequestId) : null,
+    },
+    { overlay: false }
+  );
+};
+
+/*********************************************
+ * Create TTS Request
+ ********************************************/
+/**
+ * Moderates and stores a TTS request, notifies the creator's room and enqueues
+ * synthesis (or holds it for approval). Rejected messages are stored with
+ * status 'rejected' (so the creator can review them) but never synthesized.
+ * Callers are responsible for validating the user and creator.
+ * @param {Object} request
+ * @param {number} request.userId
+ * @param {number} request.creatorId
+ * @param {string} request.message
+ * @param {string} request.voice
+ * @param {number} [request.tipId] - The tip that paid for the message, if any.
+ * @param {number} [request.priceCents=0] - What the message was sold for (see ttsPricingService).
+ * @returns {Promise<{ ttsRequestId: number, status: string, moderation: { outcome: string, text: string, reasons: string[] } }>}
+ */
+const createTTSRequest = async ({ userId, creatorId, message, voice, tipId = null, priceCents = 0 }) => {
+  const moderation = await moderationService.moderateMessage(message, { creatorId });
+  const rejected = moderation.outcome === moderationService.OUTCOMES.REJECT;
+  const moderationReason = moderation.reasons.join(',') || null;
+
+  const [creators] = await db.query(
+    'SELECT require_tts_approval, tts_approval_stage FROM creators WHERE id = ?',
+    [creatorId]
+  );
+  const approvalStage = creators[0]?.require_tts_approval ? creators[0].tts_approval_stage || 'before_synthesis' : null;
+
+  // Insert the TTS request into the database with 'pending' status; the
+  // moderated text is what gets synthesized, the original is kept for review
+  const [result] = await db.query(
+    `INSERT INTO tts_requests
+       (user_id, creator_id, message, original_message, status, voice, moderation_outcome, moderation_reason, approval_stage,
+        tip_id, price_cents)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      creatorId,
+      moderation.text,
+      message,
+      rejected ? 'rejected' : 'pending',
+      voice,
+      moderation.outcome,
+      moderationReason,
+      approvalStage,
+      tipId,
+      priceCents,
+    ]
+  );
+
+  const ttsRequestId = result.insertId;
+  logger.info(`TTS Request Created with ID: ${ttsRequestId} (moderation: ${moderation.outcome})`);
+
+  if (rejected) {
+    socket.emitToCreator(
+      creatorId,
+      'tts-request',
+      { ttsRequestId, voice, userId, creatorId, status: 'rejected', moderationReason },
+      { overlay: false }
+    );
+    return { ttsRequestId, status: 'rejected', moderation };
+  }
+
+  message = moderation.text;
+
+  // Held before synthesis: nothing is sent to the TTS provider until approved
+  if (approvalStage === 'before_synthesis') {
+    await db.query('UPDATE tts_requests SET status = "awaiting_approval" WHERE id = ?', [ttsRequestId]);
+    announceAwaitingApproval(creatorId, { ttsRequestId, message, voice, userId, hasAudio: false });
+    logger.info(`TTS Request ID ${ttsRequestId} is awaiting approval before synthesis.`);
+    return { ttsRequestId, status: 'awaiting_approval', moderation };
+  }
+
+  // Update the status to 'processing'
+  await db.query('UPDATE tts_requests SET status = "processing" WHERE id = ?', [ttsRequestId]);
+
+  // Emit a socket event for 'processing' status
+  const eventData = {
+    ttsRequestId,
+    message,
+    voice,
+    userId,
+    creatorId,
+    status: 'processing',
+  };
+  // Nothing is playable yet, so only the dashboard hears about it
+  socket.emitToCreator(creatorId, 'tts-request', eventData, { overlay: false });
+  logger.info(`Socket event emitted to creator-room-${creatorId} for TTS Request ID ${ttsRequestId}:`, eventData);
+
+  // Add the TTS processing job to the queue
+  await enqueueSynthesis(ttsRequestId, message, voice);
+
+  return { ttsRequestId, status: 'processing', moderation };
+};
+
+/*********************************************
+ * Synthesis Completed
+ ********************************************/
+/**
+ * Called once a synthesis job finishes. Requests held after synthesis go to
+ * the dashboard for review; everything else is played on the overlay.
+ * @param {number} ttsRequestId
+ */
+const handleSynthesisCompleted = async (ttsRequestId) => {
+  const [rows] = await db.query(
+    'SELECT creator_id, user_id, message, voice, status FROM tts_requests WHERE id = ?',
+    [ttsRequestId]
+  );
+  if (rows.length === 0) {
+    logger.error('❌ No TTS request found with ID:', ttsRequestId);
+    return;
+  }
+
+  const request = rows[0];
+  if (request.status === 'awaiting_approval') {
+    announceAwaitingApproval(request.creator_id, {
+      ttsRequestId,
+      message: request.message,
+      voice: request.voice,
+      userId: request.user_id,
+      hasAudio: true,
+    });
+    logger.info(`TTS Request ID ${ttsRequestId} synthesized and awaiting approval.`);
+    return;
+  }
+
+  await announceTTSPlayback(ttsRequestId);
+};
+
+/*********************************************
+ * Approve / Reject
+ ********************************************/
+/**
+ * Lists a creator's requests waiting for review, oldest first.
+ * @param {number} creatorId
+ */
+const listAwaitingApproval = async (creatorId) => {
+  const [rows] = await db.query(
+    `SELECT tr.id AS ttsRequestId, tr.user_id AS userId, u.username AS userName, tr.message, tr.original_message AS originalMessage,
+       tr.voice, tr.approval_stage AS approvalStage, tr.moderation_outcome AS moderationOutcome, tr.audio_url IS NOT NULL AS hasAudio,
+       tr.created_at AS createdAt
+     FROM tts_requests tr
+     JOIN users u ON u.id = tr.user_id
+     WHERE tr.creator_id = ? AND tr.status = 'awaiting_approval'
+     ORDER BY tr.created_at ASC`,
+    [creatorId]
+  );
+  return rows.map((row) => ({
+    ...row,
+    hasAudio: Boolean(row.hasAudio),
+    previewUrl: row.hasAudio ? createSignedDownloadUrl(row.ttsRequestId) : null,
+  }));
+};
+
+/**
+ * Approves held requests of a creator. Requests held before synthesis are
+ * queued for synthesis; requests held after synthesis are played immediately.
+ * Ids that are not awaiting approval for this creator are skipped.
+ * @param {number} creatorId
+ * @param {number[]} ttsRequestIds
+ * @param {number} reviewerId
+ * @returns {Promise<{ approved: number[], skipped: number[] }>}
+ */
+const approveTTSRequests = async (creatorId, ttsRequestIds, reviewerId) => {
+  const approved = [];
+  const skipped = [];
+
+  for (const ttsRequestId of ttsRequestIds) {
+    // The status guard makes approval race-free: only one reviewer wins
+    const [result] = await db.query(
+      `UPDATE tts_requests SET status = 'approved', reviewed_by = ?, reviewed_at = NOW()
+       WHERE id = ? AND creator_id = ? AND status = 'awaiting_approval'`,
+      [reviewerId, ttsRequestId, creatorId]
+    );
+    if (result.affectedRows === 0) {
+      skipped.push(ttsRequestId);
+      continue;
+    }
+
+    const [[request]] = await db.query('SELECT message, voice, audio_url FROM tts_requests WHERE id = ?', [ttsRequestId]);
+    socket.emitToCreator(creatorId, 'tts-approved', { ttsRequestId, creatorId, reviewedBy: reviewerId }, { overlay: false });
+
+    if (request.audio_url) {
+      await announceTTSPlayback(ttsRequestId);
+    } else {
+      await enqueueSynthesis(ttsRequestId, request.message, request.voice);
+    }
+    approved.push(ttsRequestId);
+  }
+
+  logger.info(`User ${reviewerId} approved TTS requests [${approved.join(', ')}] for creator ${creatorId}`);
+  return { approved, skipped };
+};
+
+/**
+ * Rejects held requests of a creator. Nothing is played; requests held before
+ * synthesis are never sent to the TTS provider.
+ * @param {number} creatorId
+ * @param {number[]} ttsRequestIds
+ * @param {number} reviewerId
+ * @param {string} [reason]
+ * @returns {Promise<{ rejected: number[], skipped: number[] }>}
+ */
+const rejectTTSRequests = async (creatorId, ttsRequestIds, reviewerId, reason = null) => {
+  const rejected = [];
+  const skipped = [];
+
+  for (const ttsRequestId of ttsRequestIds) {
+    const [result] = await db.query(
+      `UPDATE tts_requests SET status = 'rejected', reviewed_by = ?, reviewed_at = NOW(), review_reason = ?
+       WHERE id = ? AND creator_id = ? AND status = 'awaiting_approval'`,
+      [reviewerId, reason, ttsRequestId, creatorId]
+    );
+    if (result.affectedRows === 0) {
+      skipped.push(ttsRequestId);
+      continue;
+    }
+
+    // Audio held after synthesis is never played; let the cache evict it once unused
+    await audioCache.release(ttsRequestId);
+    socket.emitToCreator(creatorId, 'tts-rejected', { ttsRequestId, creatorId, reviewedBy: reviewerId, reason }, { overlay: false });
+    rejected.push(ttsRequestId);
+  }
+
+  logger.info(`User ${reviewerId} rejected TTS requests [${rejected.join(', ')}] for creator ${creatorId}`);
+  return { rejected, skipped };
+};
+
+module.exports = {
+  APPROVAL_STAGES,
+  createTTSRequest,
+  handleSynthesisCompleted,
+  announceTTSPlayback,
+  listAwaitingApproval,
+  approveTTSRequests,
+  rejectTTSRequests,
+};
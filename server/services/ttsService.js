@@ -1,86 +1,33 @@
 // services/ttsService.js
 
-const axios = require('axios');
 const db = require('../db');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../logger');
-
-// Load environment variables
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-const ELEVENLABS_API_URL = process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io/v1/text-to-speech';
-const AWS_REGION = process.env.AWS_REGION;
-const AWS_S3_BUCKET_NAME = process.env.AWS_S3_BUCKET_NAME;
-
-// Initialize AWS S3 Client
-const s3Client = new S3Client({
-  region: AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
-
-/*********************************************
- * Validate and Map Voice
- ********************************************/
-const validateAndMapVoice = (voice) => {
-  const DEFAULT_VOICE_ID = 'pqHfZKP75CvOlQylNhV4'; // Replace as needed
-  logger.debug(`Mapping voice: ${voice}`);
-  return voice.toLowerCase() === 'default' ? DEFAULT_VOICE_ID : voice;
-};
+const ttsProviders = require('./ttsProviders');
+const { getStorage } = require('./storage');
+const metrics = require('../metrics');
+const audioCache = require('./ttsAudioCache');
 
 /*********************************************
  * Generate TTS Audio
  ********************************************/
-const generateTTS = async (text, voice) => {
-  const validVoice = validateAndMapVoice(voice);
-
-  try {
-    logger.info(`Generating TTS for text: "${text}" with voice: "${validVoice}"`);
-    const response = await axios.post(
-      `${ELEVENLABS_API_URL}/${validVoice}/stream`,
-      { text },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'xi-api-key': ELEVENLABS_API_KEY,
-        },
-        responseType: 'arraybuffer',
-        timeout: 30000, // 30 seconds timeout
-      }
-    );
-    logger.debug(`TTS generation successful for voice: "${validVoice}"`);
-    return response.data;
-  } catch (error) {
-    const errorMessage = error.response?.data?.detail?.message || error.message || 'Failed to generate TTS';
-    logger.error(`❌ TTS Generation Error: ${errorMessage}`);
-    throw new Error(errorMessage);
-  }
-};
+// Provider selection and error normalization live in ./ttsProviders
+const generateTTS = async (text, voice) => metrics.observeSynthesis(voice, text, () => ttsProviders.synthesize(text, voice));
 
 /*********************************************
- * Save TTS Audio to S3
+ * Save TTS Audio
  ********************************************/
-const saveTTSAudioToS3 = async (ttsRequestId, audioData) => {
-  const uniqueFileName = `${ttsRequestId}-${uuidv4()}.mp3`;
+const saveTTSAudio = async (storage, ttsRequestId, audioData, contentType = 'audio/mpeg', extension = 'mp3') => {
+  const key = `tts_audios/${ttsRequestId}-${uuidv4()}.${extension}`;
 
   try {
-    logger.info(`Saving TTS audio to S3: ${uniqueFileName}`);
-    const command = new PutObjectCommand({
-      Bucket: AWS_S3_BUCKET_NAME,
-      Key: `tts_audios/${uniqueFileName}`,
-      Body: audioData,
-      ContentType: 'audio/mpeg',
-    });
-    await s3Client.send(command);
-
-    const audioUrl = `https://${AWS_S3_BUCKET_NAME}.s3.${AWS_REGION}.amazonaws.com/tts_audios/${uniqueFileName}`;
-    logger.info(`✅ Audio saved to S3: ${audioUrl}`);
-    return audioUrl;
+    logger.info(`Saving TTS audio to ${storage.name} storage: ${key}`);
+    const { url } = await metrics.observeUpload(storage.name, () => storage.put(key, audioData, { contentType }));
+    logger.info(`✅ Audio saved to ${storage.name} storage: ${url}`);
+    return url;
   } catch (error) {
-    logger.error(`❌ Error uploading TTS audio to S3: ${error.message}`);
-    throw new Error('Failed to upload TTS audio to S3.');
+    logger.error(`❌ Error saving TTS audio to ${storage.name} storage: ${error.message}`);
+    throw new Error(`Failed to save TTS audio to ${storage.name} storage.`);
   }
 };
 
@@ -104,26 +51,71 @@ const updateTTSRequestInDB = async (ttsRequestId, status, audioUrl = null) => {
 /*********************************************
  * Process TTS Request
  ********************************************/
+/**
+ * Returns cached audio for the message, synthesizing and caching it on a miss.
+ * @returns {Promise<{ audioUrl: string, cacheEntryId: number, cacheHit: boolean }>}
+ */
+const getOrSynthesize = async (storage, message, voice) => {
+  const hash = audioCache.computeKey(message, voice);
+  const cached = await audioCache.lookup(hash, storage.name);
+  metrics.recordAudioCacheLookup(Boolean(cached));
+  if (cached) {
+    logger.info(`TTS audio cache hit (${hash.slice(0, 12)}): ${cached.audioUrl}`);
+    return { audioUrl: cached.audioUrl, cacheEntryId: cached.id, cacheHit: true };
+  }
+
+  const synthesis = await generateTTS(message, voice);
+  const entry = await audioCache.store(hash, storage, synthesis, voice, (upload) => metrics.observeUpload(storage.name, upload));
+  return { audioUrl: entry.audioUrl, cacheEntryId: entry.id, cacheHit: false };
+};
+
+/**
+ * Synthesizes (or reuses cached audio for) a request and records the result.
+ * @returns {Promise<{ audioUrl: string, cacheHit: boolean }>} Also the Bull job result.
+ */
 const processTTSRequest = async (ttsRequestId, message, voice, useS3 = true) => {
   try {
     logger.info(`Processing TTS request ID: ${ttsRequestId}`);
-    const audioData = await generateTTS(message, voice);
-    const audioUrl = useS3
-      ? await saveTTSAudioToS3(ttsRequestId, audioData)
-      : `/tts_audios/${ttsRequestId}-${uuidv4()}.mp3`; // For local storage
+    // Jobs flagged useS3: false always stay on local disk; everything else uses STORAGE_DRIVER
+    const storage = useS3 ? getStorage() : getStorage('local');
+
+    let audioUrl;
+    let cacheHit = false;
+    let cacheEntryId = null;
+    if (audioCache.isEnabled()) {
+      ({ audioUrl, cacheHit, cacheEntryId } = await getOrSynthesize(storage, message, voice));
+    } else {
+      const { audio, contentType, extension } = await generateTTS(message, voice);
+      audioUrl = await saveTTSAudio(storage, ttsRequestId, audio, contentType, extension);
+    }
 
-    logger.debug(`Updating status to 'completed' for TTS Request ID: ${ttsRequestId}`);
-    await updateTTSRequestInDB(ttsRequestId, 'completed', audioUrl);
-    logger.info(`✅ TTS request ID ${ttsRequestId} processed successfully with audio URL: ${audioUrl}`);
-    return audioUrl;
+    // Requests held for review after synthesis wait for the creator instead of completing
+    const [rows] = await db.query('SELECT approval_stage, reviewed_at FROM tts_requests WHERE id = ?', [ttsRequestId]);
+    const held = rows[0]?.approval_stage === 'after_synthesis' && !rows[0].reviewed_at;
+    const finalStatus = held ? 'awaiting_approval' : 'completed';
+
+    logger.debug(`Updating status to '${finalStatus}' for TTS Request ID: ${ttsRequestId}`);
+    await updateTTSRequestInDB(ttsRequestId, finalStatus, audioUrl);
+    if (cacheEntryId) {
+      await audioCache.attach(ttsRequestId, cacheEntryId);
+    }
+    logger.info(`✅ TTS request ID ${ttsRequestId} processed successfully with audio URL: ${audioUrl}${cacheHit ? ' (cached)' : ''}`);
+    return { audioUrl, cacheHit };
   } catch (error) {
+    // The request stays 'processing' while the job has attempts left; see markTTSRequestFailed
     logger.error(`❌ Failed to process TTS request ID: ${ttsRequestId} - ${error.message}`);
-    await updateTTSRequestInDB(ttsRequestId, 'failed');
     throw error;
   }
 };
 
+/**
+ * Marks a request failed once its job has given up on it (last attempt or a
+ * permanent provider failure). Earlier attempts leave it 'processing'.
+ * @param {number} ttsRequestId
+ */
+const markTTSRequestFailed = (ttsRequestId) => updateTTSRequestInDB(ttsRequestId, 'failed');
+
 /*********************************************
  * Export Functions
  ********************************************/
-module.exports = { processTTSRequest, generateTTS };
+module.exports = { processTTSRequest, markTTSRequestFailed, generateTTS };
@@ -0,0 +1,304 @@
+// services/voiceCatalogService.js
+
+const db = require('../db');
+const logger = require('../logger');
+const { withTransaction } = require('../db/transaction');
+const ttsProviders = require('./ttsProviders');
+const { toCents, fromCents } = require('./ledgerService');
+
+/*
+ * Voice catalog.
+ *
+ * `voices` holds every voice the API can synthesize with, per provider. Admins
+ * curate it (enable/disable, rename) and sync it from the providers; voices
+ * found by a sync start disabled, voices a provider no longer lists are disabled.
+ *
+ * `creator_voices` is a creator's selection with a price per voice. A creator
+ * without a selection offers every enabled voice for free. Requests name a
+ * voice by catalog id, "<provider>:<providerVoiceId>", a bare voice id of the
+ * default provider, or "default" (the creator's default voice, else the
+ * default provider's). They are stored as "<provider>:<providerVoiceId>",
+ * which ttsProviders.resolveVoice routes directly.
+ */
+
+const MAX_CREATOR_VOICES = 50;
+const MAX_VOICE_PRICE_CENTS = 100000;
+
+/**
+ * Error for unknown, disabled or disallowed voices and invalid catalog changes.
+ */
+class VoiceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'VoiceError';
+    this.statusCode = statusCode;
+  }
+}
+
+/*********************************************
+ * Helpers
+ ********************************************/
+const voiceKey = (row) => `${row.provider}:${row.provider_voice_id}`;
+
+const formatVoice = (row) => ({
+  id: row.id,
+  key: voiceKey(row),
+  provider: row.provider,
+  providerVoiceId: row.provider_voice_id,
+  name: row.display_name,
+  language: row.language,
+  previewUrl: row.preview_url,
+  ...(row.is_enabled !== undefined ? { isEnabled: Boolean(row.is_enabled) } : {}),
+  ...(row.price_cents !== undefined && row.price_cents !== null ? { price: fromCents(row.price_cents) } : {}),
+  ...(row.is_default !== undefined && row.is_default !== null ? { isDefault: Boolean(row.is_default) } : {}),
+});
+
+const hasSelection = async (creatorId) => {
+  const [[{ total }]] = await db.query('SELECT COUNT(*) AS total FROM creator_voices WHERE creator_id = ?', [creatorId]);
+  return total > 0;
+};
+
+/**
+ * Finds the catalog row a request's voice refers to, enabled or not.
+ * @param {string|number} voice
+ * @returns {Promise<Object|null>}
+ */
+const findCatalogVoice = async (voice) => {
+  const value = String(voice).trim();
+  if (/^\d+$/.test(value)) {
+    const [rows] = await db.query('SELECT * FROM voices WHERE id = ?', [value]);
+    if (rows.length > 0) return rows[0];
+  }
+
+  let providerName;
+  let providerVoiceId;
+  try {
+    const { provider, voiceId } = ttsProviders.resolveVoice(value);
+    providerName = provider.name;
+    providerVoiceId = voiceId;
+  } catch (error) {
+    return null; // No default provider configured
+  }
+  const [rows] = await db.query('SELECT * FROM voices WHERE provider = ? AND provider_voice_id = ?', [providerName, providerVoiceId]);
+  return rows[0] || null;
+};
+
+/*********************************************
+ * Catalog (admin)
+ ********************************************/
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDisabled=false]
+ */
+const listCatalog = async ({ includeDisabled = false } = {}) => {
+  const [rows] = await db.query(
+    `SELECT * FROM voices ${includeDisabled ? '' : 'WHERE is_enabled = 1'} ORDER BY provider, display_name`
+  );
+  return rows.map(formatVoice);
+};
+
+/**
+ * Updates a catalog voice's display name, language, preview URL or enabled flag.
+ */
+const updateCatalogVoice = async (voiceId, { name, language, previewUrl, isEnabled }) => {
+  const [rows] = await db.query('SELECT * FROM voices WHERE id = ?', [voiceId]);
+  if (rows.length === 0) {
+    throw new VoiceError('Voice not found.', 404);
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 255)) {
+    throw new VoiceError('name must be a non-empty string of at most 255 characters.');
+  }
+  if (isEnabled !== undefined && typeof isEnabled !== 'boolean') {
+    throw new VoiceError('isEnabled must be a boolean.');
+  }
+
+  const current = rows[0];
+  await db.query(
+    'UPDATE voices SET display_name = ?, language = ?, preview_url = ?, is_enabled = ?, updated_at = NOW() WHERE id = ?',
+    [
+      name !== undefined ? name.trim() : current.display_name,
+      language !== undefined ? language : current.language,
+      previewUrl !== undefined ? previewUrl : current.preview_url,
+      isEnabled !== undefined ? isEnabled : current.is_enabled,
+      voiceId,
+    ]
+  );
+  const [updated] = await db.query('SELECT * FROM voices WHERE id = ?', [voiceId]);
+  return formatVoice(updated[0]);
+};
+
+/**
+ * Pulls a provider's voice list into the catalog. New voices are added
+ * disabled; voices the provider no longer lists are disabled; names, languages
+ * and previews of known voices are refreshed (admin renames are kept).
+ * @param {string} providerName
+ * @returns {Promise<{ provider: string, added: number, updated: number, disabled: number }>}
+ */
+const syncVoices = async (providerName) => {
+  let provider;
+  try {
+    provider = ttsProviders.getProvider(providerName);
+  } catch (error) {
+    throw new VoiceError(error.message);
+  }
+
+  const providerVoices = await provider.listVoices();
+  const result = await withTransaction(async (connection) => {
+    const [existing] = await connection.query('SELECT id, provider_voice_id FROM voices WHERE provider = ?', [provider.name]);
+    const known = new Map(existing.map((row) => [row.provider_voice_id, row.id]));
+    let added = 0;
+    let updated = 0;
+
+    for (const voice of providerVoices) {
+      if (known.has(voice.id)) {
+        await connection.query(
+          'UPDATE voices SET language = ?, preview_url = ?, synced_at = NOW() WHERE id = ?',
+          [voice.language, voice.previewUrl, known.get(voice.id)]
+        );
+        known.delete(voice.id);
+        updated += 1;
+      } else {
+        await connection.query(
+          `INSERT INTO voices (provider, provider_voice_id, display_name, language, preview_url, is_enabled, synced_at)
+           VALUES (?, ?, ?, ?, ?, 0, NOW())`,
+          [provider.name, voice.id, voice.name || voice.id, voice.language, voice.previewUrl]
+        );
+        added += 1;
+      }
+    }
+
+    // Whatever is left in `known` was not returned by the provider
+    const missingIds = [...known.values()];
+    if (missingIds.length > 0) {
+      await connection.query('UPDATE voices SET is_enabled = 0, updated_at = NOW() WHERE id IN (?)', [missingIds]);
+    }
+    return { provider: provider.name, added, updated, disabled: missingIds.length };
+  });
+
+  logger.info(`✅ Voice catalog synced from ${provider.name}:`, result);
+  return result;
+};
+
+/*********************************************
+ * Creator Voices
+ ********************************************/
+/**
+ * Voices a creator's viewers may use, with prices. Falls back to every
+ * enabled catalog voice (free) when the creator has not chosen any.
+ * @param {number} creatorId
+ * @returns {Promise<{ customized: boolean, voices: Object[] }>}
+ */
+const getCreatorVoices = async (creatorId) => {
+  const [rows] = await db.query(
+    `SELECT v.*, cv.price_cents, cv.is_default
+     FROM creator_voices cv
+     JOIN voices v ON v.id = cv.voice_id
+     WHERE cv.creator_id = ? AND v.is_enabled = 1
+     ORDER BY cv.is_default DESC, v.display_name`,
+    [creatorId]
+  );
+  if (rows.length > 0 || (await hasSelection(creatorId))) {
+    return { customized: true, voices: rows.map(formatVoice) };
+  }
+
+  const [catalog] = await db.query('SELECT * FROM voices WHERE is_enabled = 1 ORDER BY display_name');
+  return { customized: false, voices: catalog.map((row) => formatVoice({ ...row, price_cents: 0, is_default: 0 })) };
+};
+
+/**
+ * Replaces a creator's voice selection. An empty list resets the creator to
+ * offering every enabled voice for free.
+ * @param {number} creatorId
+ * @param {Array<{ voiceId: number, price?: number|string, isDefault?: boolean }>} voices
+ */
+const setCreatorVoices = async (creatorId, voices) => {
+  if (!Array.isArray(voices)) {
+    throw new VoiceError('voices must be an array of { voiceId, price, isDefault }.');
+  }
+  if (voices.length > MAX_CREATOR_VOICES) {
+    throw new VoiceError(`A creator may offer at most ${MAX_CREATOR_VOICES} voices.`);
+  }
+
+  const entries = voices.map((entry) => {
+    const voiceId = parseInt(entry?.voiceId, 10);
+    const priceCents = toCents(entry?.price ?? 0);
+    if (!voiceId) {
+      throw new VoiceError('Each voice needs a voiceId.');
+    }
+    if (!Number.isFinite(priceCents) || priceCents < 0 || priceCents > MAX_VOICE_PRICE_CENTS) {
+      throw new VoiceError(`price must be between 0 and ${fromCents(MAX_VOICE_PRICE_CENTS)}.`);
+    }
+    return { voiceId, priceCents, isDefault: entry.isDefault === true };
+  });
+
+  const ids = [...new Set(entries.map((entry) => entry.voiceId))];
+  if (ids.length !== entries.length) {
+    throw new VoiceError('Each voice may only be listed once.');
+  }
+  if (entries.filter((entry) => entry.isDefault).length > 1) {
+    throw new VoiceError('Only one voice can be the default.');
+  }
+  if (ids.length > 0) {
+    const [enabled] = await db.query('SELECT id FROM voices WHERE id IN (?) AND is_enabled = 1', [ids]);
+    const unknown = ids.filter((id) => !enabled.some((row) => row.id === id));
+    if (unknown.length > 0) {
+      throw new VoiceError(`Unknown or disabled voices: ${unknown.join(', ')}.`, 422);
+    }
+  }
+
+  await withTransaction(async (connection) => {
+    await connection.query('DELETE FROM creator_voices WHERE creator_id = ?', [creatorId]);
+    if (entries.length > 0) {
+      await connection.query(
+        'INSERT INTO creator_voices (creator_id, voice_id, price_cents, is_default) VALUES ?',
+        [entries.map((entry) => [creatorId, entry.voiceId, entry.priceCents, entry.isDefault])]
+      );
+    }
+  });
+
+  logger.info(`Creator ${creatorId} now offers ${entries.length} TTS voices${entries.length ? '' : ' (all enabled voices)'}`);
+  return getCreatorVoices(creatorId);
+};
+
+/*********************************************
+ * Request Validation
+ ********************************************/
+/**
+ * Resolves the voice of a TTS request against the creator's allowed voices.
+ * @param {number} creatorId
+ * @param {string|number} voice
+ * @returns {Promise<{ voiceId: number, key: string, name: string, priceCents: number }>}
+ * @throws {VoiceError} 422 when the voice is unknown, disabled or not offered by the creator.
+ */
+const resolveCreatorVoice = async (creatorId, voice) => {
+  const requested = voice === undefined || voice === null || voice === '' ? 'default' : String(voice);
+  const { customized, voices } = await getCreatorVoices(creatorId);
+
+  let match;
+  if (requested.toLowerCase() === 'default') {
+    match = voices.find((entry) => entry.isDefault);
+    if (!match) {
+      const provider = ttsProviders.getProvider();
+      match = voices.find((entry) => entry.provider === provider.name && entry.providerVoiceId === provider.defaultVoice);
+    }
+    if (!match && customized) match = voices[0];
+  } else {
+    const row = await findCatalogVoice(requested);
+    match = row && voices.find((entry) => entry.id === row.id);
+  }
+
+  if (!match) {
+    throw new VoiceError(`Voice '${requested}' is not available for this creator.`, 422);
+  }
+  return { voiceId: match.id, key: match.key, name: match.name, priceCents: toCents(match.price || 0) };
+};
+
+module.exports = {
+  VoiceError,
+  listCatalog,
+  updateCatalogVoice,
+  syncVoices,
+  getCreatorVoices,
+  setCreatorVoices,
+  resolveCreatorVoice,
+};
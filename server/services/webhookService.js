@@ -0,0 +1,464 @@
+// services/webhookService.js
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const db = require('../db');
+const logger = require('../logger');
+const webhookQueue = require('../queues/webhookQueue');
+
+/*
+ * Outgoing webhooks. Creators subscribe a URL to event types; every event is
+ * recorded as a delivery (webhook_deliveries) and POSTed by the webhook worker
+ * with exponential backoff.
+ *
+ * Each request carries:
+ *   X-Simp-Event:      the event type, e.g. 'tip.received'
+ *   X-Simp-Delivery:   the delivery id (stable across retries)
+ *   X-Simp-Signature:  "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}` with the subscription secret>"
+ * and a JSON body { id, type, createdAt, creatorId, data }.
+ *
+ * A subscription whose deliveries keep failing is disabled after
+ * WEBHOOK_DISABLE_AFTER consecutive failed deliveries; re-enabling it resets the count.
+ */
+
+const EVENT_TYPES = ['tip.received', 'tip.reversed', 'tts.completed', 'tts.failed'];
+// Sent by the "test" endpoint only; subscriptions do not need to list it
+const PING_EVENT = 'ping';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const DISABLE_AFTER = parseInt(process.env.WEBHOOK_DISABLE_AFTER, 10) || 10;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_SUBSCRIPTIONS_PER_CREATOR = 10;
+const MAX_STORED_RESPONSE_LENGTH = 2000;
+
+/**
+ * Error for invalid webhook subscriptions or operations.
+ */
+class WebhookError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.statusCode = statusCode;
+  }
+}
+
+/*********************************************
+ * Helpers
+ ********************************************/
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signs a body the same way receivers should verify it.
+ * @param {string} secret
+ * @param {string} body
+ * @param {number} [timestamp] - Unix seconds.
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges. IPv4 rules also match
+// IPv4-mapped IPv6 addresses (::ffff:7f00:1 is 127.0.0.1).
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], // Unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => privateRanges.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+/**
+ * Rejects URLs that are not http(s) or that point at internal addresses, so
+ * webhooks cannot be used to probe our own network. Checked on save and again
+ * before every delivery (DNS may change in between).
+ * @param {string} url
+ * @returns {Promise<{ address: string, family: number }|null>} The vetted address deliveries must
+ *   connect to, or null when private URLs are allowed.
+ */
+const assertDeliverableUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new WebhookError('url must be a valid URL.');
+  }
+
+  const allowHttp = process.env.NODE_ENV !== 'production';
+  if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+    throw new WebhookError('url must use https.');
+  }
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return null;
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.lookup(hostname, { all: true }).catch(() => []);
+  if (addresses.length === 0) {
+    throw new WebhookError('url host could not be resolved.');
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new WebhookError('url must not point to a private or local address.');
+  }
+  return addresses[0];
+};
+
+/**
+ * HTTP agents that connect to a vetted address whatever the host resolves to
+ * by then, so DNS rebinding cannot redirect a delivery to an internal address.
+ * TLS still verifies the certificate against the URL's host name.
+ */
+const pinnedAgents = (target) => {
+  if (!target) return {};
+  const lookup = (hostname, options, callback) => {
+    if (options.all) return callback(null, [target]);
+    return callback(null, target.address, target.family);
+  };
+  return { httpAgent: new http.Agent({ lookup }), httpsAgent: new https.Agent({ lookup }) };
+};
+
+const validateEventTypes = (eventTypes) => {
+  if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+    throw new WebhookError(`eventTypes must be a non-empty array of: ${EVENT_TYPES.join(', ')}.`);
+  }
+  const unknown = eventTypes.filter((type) => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new WebhookError(`Unknown event types: ${unknown.join(', ')}.`);
+  }
+  return [...new Set(eventTypes)];
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// The secret is only returned when it is created or rotated
+const formatSubscription = (row, { includeSecret = false } = {}) => ({
+  id: row.id,
+  creatorId: row.creator_id,
+  url: row.url,
+  eventTypes: parseJson(row.event_types),
+  isActive: Boolean(row.is_active),
+  failureCount: row.failure_count,
+  disabledAt: row.disabled_at,
+  disabledReason: row.disabled_reason,
+  createdAt: row.created_at,
+  ...(includeSecret ? { secret: row.secret } : {}),
+});
+
+const formatDelivery = (row) => ({
+  id: row.id,
+  subscriptionId: row.subscription_id,
+  eventId: row.event_id,
+  eventType: row.event_type,
+  status: row.status,
+  attempts: row.attempts,
+  responseStatus: row.response_status,
+  responseBody: row.response_body,
+  error: row.error,
+  redeliveryOf: row.redelivery_of,
+  createdAt: row.created_at,
+  lastAttemptAt: row.last_attempt_at,
+  deliveredAt: row.delivered_at,
+});
+
+const getSubscriptionRow = async (creatorId, subscriptionId) => {
+  const [rows] = await db.query('SELECT * FROM webhook_subscriptions WHERE id = ? AND creator_id = ?', [subscriptionId, creatorId]);
+  if (rows.length === 0) {
+    throw new WebhookError('Webhook not found.', 404);
+  }
+  return rows[0];
+};
+
+/*********************************************
+ * Subscriptions
+ ********************************************/
+const listSubscriptions = async (creatorId) => {
+  const [rows] = await db.query('SELECT * FROM webhook_subscriptions WHERE creator_id = ? ORDER BY id', [creatorId]);
+  return rows.map((row) => formatSubscription(row));
+};
+
+const createSubscription = async (creatorId, { url, eventTypes }) => {
+  await assertDeliverableUrl(url);
+  const types = validateEventTypes(eventTypes);
+
+  const [[{ total }]] = await db.query('SELECT COUNT(*) AS total FROM webhook_subscriptions WHERE creator_id = ?', [creatorId]);
+  if (total >= MAX_SUBSCRIPTIONS_PER_CREATOR) {
+    throw new WebhookError(`A creator may have at most ${MAX_SUBSCRIPTIONS_PER_CREATOR} webhooks.`, 409);
+  }
+
+  const [result] = await db.query(
+    'INSERT INTO webhook_subscriptions (creator_id, url, secret, event_types) VALUES (?, ?, ?, ?)',
+    [creatorId, url, generateSecret(), JSON.stringify(types)]
+  );
+  logger.info(`Webhook ${result.insertId} created for creator ${creatorId} (${types.join(', ')})`);
+  return formatSubscription(await getSubscriptionRow(creatorId, result.insertId), { includeSecret: true });
+};
+
+/**
+ * Updates url, eventTypes and/or isActive. Re-activating a disabled
+ * subscription clears its failure count.
+ */
+const updateSubscription = async (creatorId, subscriptionId, { url, eventTypes, isActive }) => {
+  const current = await getSubscriptionRow(creatorId, subscriptionId);
+
+  const nextUrl = url ?? current.url;
+  if (url !== undefined) await assertDeliverableUrl(url);
+  const nextTypes = eventTypes !== undefined ? validateEventTypes(eventTypes) : parseJson(current.event_types);
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    throw new WebhookError('isActive must be a boolean.');
+  }
+  const nextActive = isActive ?? Boolean(current.is_active);
+  const reactivated = nextActive && !current.is_active;
+
+  await db.query(
+    `UPDATE webhook_subscriptions
+     SET url = ?, event_types = ?, is_active = ?,
+         failure_count = IF(?, 0, failure_count),
+         disabled_at = IF(?, NULL, disabled_at), disabled_reason = IF(?, NULL, disabled_reason),
+         updated_at = NOW()
+     WHERE id = ?`,
+    [nextUrl, JSON.stringify(nextTypes), nextActive, reactivated, reactivated, reactivated, subscriptionId]
+  );
+  return formatSubscription(await getSubscriptionRow(creatorId, subscriptionId));
+};
+
+const deleteSubscription = async (creatorId, subscriptionId) => {
+  await getSubscriptionRow(creatorId, subscriptionId);
+  await db.query('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [subscriptionId]);
+  await db.query('DELETE FROM webhook_subscriptions WHERE id = ?', [subscriptionId]);
+};
+
+const rotateSecret = async (creatorId, subscriptionId) => {
+  await getSubscriptionRow(creatorId, subscriptionId);
+  await db.query('UPDATE webhook_subscriptions SET secret = ?, updated_at = NOW() WHERE id = ?', [generateSecret(), subscriptionId]);
+  return formatSubscription(await getSubscriptionRow(creatorId, subscriptionId), { includeSecret: true });
+};
+
+/*********************************************
+ * Deliveries
+ ********************************************/
+const enqueueDelivery = (deliveryId) =>
+  webhookQueue.add(
+    { deliveryId },
+    {
+      jobId: `webhook-${deliveryId}`,
+      attempts: MAX_ATTEMPTS,
+      backoff: { type: 'exponential', delay: 10000 },
+      removeOnComplete: 1000,
+      removeOnFail: 1000,
+    }
+  );
+
+const createDelivery = async (subscriptionId, event, redeliveryOf = null) => {
+  const [result] = await db.query(
+    `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, status, redelivery_of)
+     VALUES (?, ?, ?, ?, 'pending', ?)`,
+    [subscriptionId, event.id, event.type, JSON.stringify(event), redeliveryOf]
+  );
+  await enqueueDelivery(result.insertId);
+  return result.insertId;
+};
+
+/**
+ * Publishes an event to every active subscription of the creator that
+ * listens for it. Never throws: a webhook problem must not break the tip or
+ * TTS flow that raised the event.
+ * @param {number} creatorId
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {Object} data
+ */
+const publishEvent = async (creatorId, type, data) => {
+  try {
+    const [subscriptions] = await db.query(
+      'SELECT id, event_types FROM webhook_subscriptions WHERE creator_id = ? AND is_active = 1',
+      [creatorId]
+    );
+    const targets = subscriptions.filter((subscription) => parseJson(subscription.event_types).includes(type));
+    if (targets.length === 0) return;
+
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), creatorId: Number(creatorId), data };
+    for (const subscription of targets) {
+      await createDelivery(subscription.id, event);
+    }
+    logger.info(`Webhook event ${type} queued for ${targets.length} subscription(s) of creator ${creatorId}`);
+  } catch (error) {
+    logger.error(`❌ Failed to publish webhook event ${type} for creator ${creatorId}: ${error.message}`);
+  }
+};
+
+/**
+ * Sends a 'ping' event to one subscription, regardless of its event types.
+ */
+const sendTestEvent = async (creatorId, subscriptionId) => {
+  await getSubscriptionRow(creatorId, subscriptionId);
+  const event = {
+    id: crypto.randomUUID(),
+    type: PING_EVENT,
+    createdAt: new Date().toISOString(),
+    creatorId: Number(creatorId),
+    data: { message: 'Webhook test from the tip system.' },
+  };
+  return createDelivery(subscriptionId, event);
+};
+
+/**
+ * Queues a fresh delivery of an earlier delivery's payload (same event id,
+ * so receivers can de-duplicate).
+ */
+const redeliver = async (creatorId, deliveryId) => {
+  const [rows] = await db.query(
+    `SELECT d.* FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE d.id = ? AND s.creator_id = ?`,
+    [deliveryId, creatorId]
+  );
+  if (rows.length === 0) {
+    throw new WebhookError('Delivery not found.', 404);
+  }
+  return createDelivery(rows[0].subscription_id, parseJson(rows[0].payload), rows[0].id);
+};
+
+const listDeliveries = async (creatorId, subscriptionId, { page = 1, limit = 50 } = {}) => {
+  await getSubscriptionRow(creatorId, subscriptionId);
+  const offset = (page - 1) * limit;
+  const [[{ total }]] = await db.query('SELECT COUNT(*) AS total FROM webhook_deliveries WHERE subscription_id = ?', [subscriptionId]);
+  const [rows] = await db.query(
+    'SELECT * FROM webhook_deliveries WHERE subscription_id = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+    [subscriptionId, limit, offset]
+  );
+  return { page, limit, total, totalPages: Math.ceil(total / limit), deliveries: rows.map(formatDelivery) };
+};
+
+/*********************************************
+ * Deliver (webhook worker)
+ ********************************************/
+const recordFinalFailure = async (delivery) => {
+  await db.query('UPDATE webhook_deliveries SET status = "failed" WHERE id = ?', [delivery.id]);
+  await db.query('UPDATE webhook_subscriptions SET failure_count = failure_count + 1 WHERE id = ?', [delivery.subscription_id]);
+
+  const [result] = await db.query(
+    `UPDATE webhook_subscriptions
+     SET is_active = 0, disabled_at = NOW(), disabled_reason = ?
+     WHERE id = ? AND is_active = 1 AND failure_count >= ?`,
+    [`Disabled after ${DISABLE_AFTER} consecutive failed deliveries.`, delivery.subscription_id, DISABLE_AFTER]
+  );
+  if (result.affectedRows > 0) {
+    logger.warn(`Webhook ${delivery.subscription_id} disabled after ${DISABLE_AFTER} consecutive failed deliveries.`);
+  }
+};
+
+/**
+ * Performs one delivery attempt. Throws on failure so Bull retries with
+ * backoff; after the last attempt the delivery is marked failed and counts
+ * towards disabling the subscription.
+ * @param {number} deliveryId
+ * @param {number} attempt - 1-based attempt number.
+ */
+const deliver = async (deliveryId, attempt) => {
+  const [rows] = await db.query(
+    `SELECT d.*, s.url, s.secret, s.is_active
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE d.id = ?`,
+    [deliveryId]
+  );
+  if (rows.length === 0) {
+    logger.warn(`Webhook delivery ${deliveryId} no longer exists. Skipping.`);
+    return;
+  }
+
+  const delivery = rows[0];
+  if (!delivery.is_active) {
+    await db.query('UPDATE webhook_deliveries SET status = "failed", error = ? WHERE id = ?', ['Subscription is disabled.', deliveryId]);
+    return;
+  }
+
+  const body = typeof delivery.payload === 'string' ? delivery.payload : JSON.stringify(delivery.payload);
+  let responseStatus = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  try {
+    const target = await assertDeliverableUrl(delivery.url);
+    const response = await axios.post(delivery.url, body, {
+      ...pinnedAgents(target),
+      proxy: false, // The pinned agents must make the connection themselves
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SimpWebhooks/1.0',
+        'X-Simp-Event': delivery.event_type,
+        'X-Simp-Delivery': String(delivery.id),
+        'X-Simp-Signature': signPayload(delivery.secret, body),
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      transformRequest: [(data) => data], // Send the exact bytes that were signed
+    });
+    responseStatus = response.status;
+    responseBody = (typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '')).slice(0, MAX_STORED_RESPONSE_LENGTH);
+    if (response.status < 200 || response.status >= 300) {
+      errorMessage = `Receiver responded with HTTP ${response.status}.`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  const succeeded = !errorMessage;
+  await db.query(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = ?, response_status = ?, response_body = ?, error = ?, last_attempt_at = NOW(),
+         delivered_at = IF(?, NOW(), delivered_at)
+     WHERE id = ?`,
+    [succeeded ? 'succeeded' : 'pending', attempt, responseStatus, responseBody, errorMessage, succeeded, deliveryId]
+  );
+
+  if (succeeded) {
+    await db.query('UPDATE webhook_subscriptions SET failure_count = 0 WHERE id = ?', [delivery.subscription_id]);
+    logger.info(`✅ Webhook delivery ${deliveryId} (${delivery.event_type}) succeeded with HTTP ${responseStatus}`);
+    return;
+  }
+
+  // Invalid URLs will not fix themselves; give up right away
+  const permanent = errorMessage && /^url /.test(errorMessage);
+  if (attempt >= MAX_ATTEMPTS || permanent) {
+    await recordFinalFailure(delivery);
+    logger.error(`❌ Webhook delivery ${deliveryId} failed permanently: ${errorMessage}`);
+    return;
+  }
+  throw new Error(`Webhook delivery ${deliveryId} failed (attempt ${attempt}/${MAX_ATTEMPTS}): ${errorMessage}`);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  WebhookError,
+  signPayload,
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  rotateSecret,
+  publishEvent,
+  sendTestEvent,
+  redeliver,
+  listDeliveries,
+  deliver,
+};
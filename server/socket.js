@@ -2,54 +2,244 @@
 
 const { Server } = require('socket.io');
 const logger = require('./logger'); // Ensure you have a logger
+const db = require('./db');
+const { verifyAccessToken } = require('./services/tokenService');
+const { canActOnCreator } = require('./middlewares/authorize');
+
+/*
+ * Socket.IO is split into two namespaces:
+ *   /dashboard - creator dashboards and staff tools. Authenticated with a JWT
+ *                access token; sockets must ask to join a creator's room and
+ *                are only allowed in rooms of creators they may act on.
+ *   /overlay   - the public OBS browser source. Authenticated with the
+ *                creator's overlay key and joined to that creator's room only.
+ * Clients never emit tips or alerts; every event originates on the server
+ * through emitToCreator.
+ */
 
 let io;
+let dashboard;
+let overlay;
+
+const creatorRoom = (creatorId) => `creator-room-${creatorId}`;
+
+/*********************************************
+ * Handshake Authentication
+ ********************************************/
+const authenticateDashboard = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token || socket.handshake.headers.authorization?.split(' ')[1];
+    const user = token ? await verifyAccessToken(token) : null;
+    if (!user) {
+      return next(new Error('Unauthorized'));
+    }
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    logger.error(`Dashboard socket authentication failed: ${error.message}`);
+    next(new Error('Unauthorized'));
+  }
+};
+
+const authenticateOverlay = async (socket, next) => {
+  try {
+    const overlayKey = socket.handshake.auth?.overlayKey || socket.handshake.query?.overlayKey;
+    if (!overlayKey) {
+      return next(new Error('Unauthorized'));
+    }
+    const [creators] = await db.query('SELECT id FROM creators WHERE overlay_key = ?', [overlayKey]);
+    if (creators.length === 0) {
+      return next(new Error('Unauthorized'));
+    }
+    socket.data.creatorId = creators[0].id;
+    next();
+  } catch (error) {
+    logger.error(`Overlay socket authentication failed: ${error.message}`);
+    next(new Error('Unauthorized'));
+  }
+};
+
+/*********************************************
+ * Namespace Handlers
+ ********************************************/
+const registerDashboardHandlers = (socket) => {
+  const { user } = socket.data;
+  logger.info(`✅ Dashboard connected: ${socket.id} (user ${user.userId})`);
+
+  // Join a creator's room after checking the user may act on that creator
+  socket.on('join-creator-room', async (creatorId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const [creators] = await db.query('SELECT id, user_id FROM creators WHERE id = ?', [creatorId]);
+      if (!canActOnCreator(user, creators[0], ['admin', 'moderator'])) {
+        logger.warn(`User ${user.userId} denied joining ${creatorRoom(creatorId)}`);
+        return reply({ ok: false, error: 'Forbidden' });
+      }
+      socket.join(creatorRoom(creators[0].id));
+      logger.info(`Dashboard ${socket.id} joined room: ${creatorRoom(creators[0].id)}`);
+      reply({ ok: true });
+    } catch (error) {
+      logger.error(`Error joining creator room: ${error.message}`);
+      reply({ ok: false, error: 'Failed to join room' });
+    }
+  });
+
+  socket.on('leave-creator-room', (creatorId) => {
+    socket.leave(creatorRoom(creatorId));
+  });
+
+  socket.on('disconnect', () => {
+    logger.info(`❌ Dashboard disconnected: ${socket.id}`);
+  });
+};
+
+const registerOverlayHandlers = (socket) => {
+  const { creatorId } = socket.data;
+  // Required here rather than at the top: the playback queue emits through this module
+  const playbackQueue = require('./services/playbackQueueService');
+
+  socket.join(creatorRoom(creatorId));
+  logger.info(`✅ Overlay connected: ${socket.id} (creator ${creatorId})`);
+
+  // Re-send whatever was playing when the overlay dropped, then continue the queue
+  playbackQueue.redeliver(creatorId).catch((error) =>
+    logger.error(`Error re-delivering playback for creator ${creatorId}: ${error.message}`)
+  );
+
+  socket.on('alert-played', ({ playbackId } = {}) => {
+    playbackQueue.ackPlayed(creatorId, playbackId).catch((error) =>
+      logger.error(`Error acknowledging playback ${playbackId}: ${error.message}`)
+    );
+  });
+
+  socket.on('alert-failed', ({ playbackId, error: reason } = {}) => {
+    playbackQueue.failItem(creatorId, playbackId, reason || 'overlay_error').catch((error) =>
+      logger.error(`Error failing playback ${playbackId}: ${error.message}`)
+    );
+  });
+
+  socket.on('disconnect', () => {
+    logger.info(`❌ Overlay disconnected: ${socket.id} (creator ${creatorId})`);
+  });
+};
 
 /**
  * Initializes Socket.IO with the given HTTP server.
  * @param {http.Server} server - The HTTP server instance.
  * @returns {SocketIO.Server} - The initialized Socket.IO server.
  */
+const init = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: '*', // Adjust as needed for security in production
+      methods: ['GET', 'POST'],
+    },
+  });
+
+  dashboard = io.of('/dashboard');
+  dashboard.use(authenticateDashboard);
+  dashboard.on('connection', registerDashboardHandlers);
+
+  overlay = io.of('/overlay');
+  overlay.use(authenticateOverlay);
+  overlay.on('connection', registerOverlayHandlers);
+
+  return io;
+};
+
+/**
+ * Retrieves the initialized Socket.IO server instance.
+ * @returns {SocketIO.Server} - The Socket.IO server instance.
+ */
+const getIO = () => {
+  if (!io) {
+    throw new Error('Socket.io not initialized!');
+  }
+  return io;
+};
+
+/**
+ * Emits a server-originated event to a creator's room.
+ * The dashboard always receives it; the overlay only when `overlay` is true.
+ * Emitting before init (e.g. from the worker process) is logged and skipped.
+ * @param {number|string} creatorId
+ * @param {string} event
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {boolean} [options.overlay=true]
+ */
+const emitToCreator = (creatorId, event, payload, { overlay: toOverlay = true } = {}) => {
+  if (!io) {
+    logger.error(`Socket.IO not initialized. Skipping '${event}' for creator ${creatorId}.`);
+    return;
+  }
+  dashboard.to(creatorRoom(creatorId)).emit(event, payload);
+  if (toOverlay) {
+    overlay.to(creatorRoom(creatorId)).emit(event, payload);
+  }
+  logger.debug(`Emitted '${event}' to ${creatorRoom(creatorId)}${toOverlay ? ' (dashboard + overlay)' : ' (dashboard)'}`);
+};
+
+/**
+ * Emits to a creator's overlay only. Used by the playback queue, which
+ * delivers alerts one at a time; everything else goes through emitToCreator.
+ * @param {number|string} creatorId
+ * @param {string} event
+ * @param {Object} payload
+ */
+const emitToOverlay = (creatorId, event, payload) => {
+  if (!io) {
+    logger.error(`Socket.IO not initialized. Skipping overlay '${event}' for creator ${creatorId}.`);
+    return;
+  }
+  overlay.to(creatorRoom(creatorId)).emit(event, payload);
+};
+
+/**
+ * Whether at least one overlay of the creator is connected to this server.
+ * @param {number|string} creatorId
+ * @returns {boolean}
+ */
+const hasOverlay = (creatorId) => Boolean(overlay?.adapter.rooms.get(creatorRoom(creatorId))?.size);
+
+/**
+ * Disconnects every client ahead of shutdown; they reconnect to another instance.
+ */
+const disconnectAll = () => {
+  if (!io) return;
+  dashboard.disconnectSockets(true);
+  overlay.disconnectSockets(true);
+  io.engine.close();
+};
+
+/**
+ * Connected clients per namespace, for metrics.
+ * @returns {Object<string, number>}
+ */
+const getConnectionCounts = () => ({
+  '/dashboard': dashboard?.sockets.size || 0,
+  '/overlay': overlay?.sockets.size || 0,
+});
+
+/**
+ * Disconnects every overlay socket of a creator, e.g. after the overlay key
+ * was rotated, so the old key stops receiving events immediately.
+ * @param {number|string} creatorId
+ */
+const disconnectOverlays = (creatorId) => {
+  if (overlay) {
+    overlay.in(creatorRoom(creatorId)).disconnectSockets(true);
+  }
+};
+
 module.exports = {
-  init: (server) => {
-    io = new Server(server, {
-      cors: {
-        origin: '*', // Adjust as needed for security in production
-        methods: ['GET', 'POST'],
-      },
-    });
-
-    io.on('connection', (socket) => {
-      logger.info(`✅ User connected: ${socket.id}`);
-
-      // Define your socket event handlers here
-      socket.on('join-streamer-room', (roomId) => {
-        socket.join(roomId);
-        logger.info(`User ${socket.id} joined room: ${roomId}`);
-      });
-
-      socket.on('send-tip', (data) => {
-        const { streamerId, tipAmount, message } = data;
-        io.to(streamerId).emit('receive-tip', { tipAmount, message });
-        logger.info(`Tip sent to streamer ${streamerId}: $${tipAmount}`);
-      });
-
-      socket.on('disconnect', () => {
-        logger.info(`❌ User disconnected: ${socket.id}`);
-      });
-    });
-
-    return io;
-  },
-
-  /**
-   * Retrieves the initialized Socket.IO server instance.
-   * @returns {SocketIO.Server} - The Socket.IO server instance.
-   */
-  getIO: () => {
-    if (!io) {
-      throw new Error('Socket.io not initialized!');
-    }
-    return io;
-  },
+  init,
+  getIO,
+  emitToCreator,
+  emitToOverlay,
+  hasOverlay,
+  disconnectOverlays,
+  disconnectAll,
+  getConnectionCounts,
+  creatorRoom,
 };
@@ -0,0 +1,52 @@
+// test/authorize.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, runMiddleware } = require('./helpers/fakes');
+
+const { db } = installFakes();
+
+const { requireRole, requirePermission, requireCreatorOwnership, canActOnCreator } = require('../middlewares/authorize');
+
+const OWNER = { userId: 7, role: 'creator' };
+
+beforeEach(() => {
+  db.reset();
+  db.on(/SELECT \* FROM creators WHERE id = \?/, ([creatorId]) => (String(creatorId) === '5' ? [{ id: 5, user_id: OWNER.userId }] : []));
+});
+
+test('allows only the roles of a policy', async () => {
+  assert.equal((await runMiddleware(requirePermission('tips:chargeback'), { user: { userId: 1, role: 'admin' } })).passed, true);
+
+  const { passed, res } = await runMiddleware(requirePermission('tips:chargeback'), { user: { userId: 2, role: 'moderator' } });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+
+  assert.equal((await runMiddleware(requireRole('admin'), {})).res.statusCode, 403, 'requests without a user');
+  assert.throws(() => requirePermission('tips:steal'), /Unknown authorization policy/);
+});
+
+test('lets owners and privileged roles act on a creator', async () => {
+  const guard = requireCreatorOwnership();
+
+  const owner = await runMiddleware(guard, { user: OWNER, params: { id: '5' } });
+  assert.equal(owner.passed, true);
+
+  const other = await runMiddleware(guard, { user: { userId: 8, role: 'creator' }, params: { id: '5' } });
+  assert.equal(other.res.statusCode, 403);
+
+  const moderator = { user: { userId: 2, role: 'moderator' }, params: { id: '5' } };
+  assert.equal((await runMiddleware(guard, moderator)).res.statusCode, 403);
+  assert.equal((await runMiddleware(requireCreatorOwnership({ privilegedRoles: ['admin', 'moderator'] }), moderator)).passed, true);
+
+  assert.equal((await runMiddleware(guard, { user: OWNER, params: { id: '6' } })).res.statusCode, 404);
+  assert.equal((await runMiddleware(guard, { user: OWNER, params: {} })).res.statusCode, 400);
+  assert.equal((await runMiddleware(requireCreatorOwnership({ getCreatorId: (req) => req.body.creatorId }), { user: OWNER, params: {}, body: { creatorId: 5 } })).passed, true);
+});
+
+test('attaches the creator it checked', async () => {
+  const req = { user: OWNER, params: { id: '5' } };
+  await runMiddleware(requireCreatorOwnership(), req);
+  assert.deepEqual(req.targetCreator, { id: 5, user_id: OWNER.userId });
+  assert.equal(canActOnCreator(null, req.targetCreator), false);
+});
@@ -0,0 +1,112 @@
+// test/emailTokenService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, stubModule } = require('./helpers/fakes');
+
+const { db } = installFakes();
+
+const mails = [];
+stubModule('services/mailer/index.js', { sendTemplate: async (to, template, data) => mails.push({ to, template, data }) });
+const revokedSessions = [];
+stubModule('services/tokenService.js', {
+  revokeAllSessions: async (userId) => {
+    revokedSessions.push(userId);
+    return 2;
+  },
+});
+
+const emailTokenService = require('../services/emailTokenService');
+
+let users;
+let tokens;
+
+const tokenFromLastMail = () => new URL(mails[mails.length - 1].data.url).searchParams.get('token');
+
+beforeEach(() => {
+  users = new Map([[9, { id: 9, username: 'fan', email: 'fan@example.com', email_verified_at: null, password: 'old' }]]);
+  tokens = [];
+  mails.splice(0);
+  revokedSessions.splice(0);
+
+  db.reset();
+  db.on(/DELETE FROM user_email_tokens WHERE user_id = \? AND purpose = \? AND used_at IS NULL/, ([userId, purpose]) => {
+    tokens = tokens.filter((token) => token.user_id !== userId || token.purpose !== purpose || token.used_at);
+    return { affectedRows: 1 };
+  })
+    .on(/INSERT INTO user_email_tokens/, ([userId, purpose, tokenHash, email, ttlMinutes]) => {
+      tokens.push({ id: tokens.length + 1, user_id: userId, purpose, token_hash: tokenHash, email, used_at: null, expires_at: Date.now() + ttlMinutes * 60000 });
+      return { affectedRows: 1 };
+    })
+    .on(/FROM user_email_tokens t\s+JOIN users u/, ([tokenHash, purpose]) =>
+      tokens
+        .filter((token) => token.token_hash === tokenHash && token.purpose === purpose)
+        .map((token) => ({ ...token, expired: token.expires_at < Date.now(), current_email: users.get(token.user_id).email }))
+    )
+    .on(/UPDATE user_email_tokens SET used_at = NOW\(\) WHERE id = \? AND used_at IS NULL/, ([id]) => {
+      const token = tokens.find((candidate) => candidate.id === id && !candidate.used_at);
+      if (!token) return { affectedRows: 0 };
+      token.used_at = new Date();
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE users SET email_verified_at/, ([userId]) => {
+      users.get(userId).email_verified_at ??= new Date();
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE users SET password = \?/, ([password, userId]) => {
+      Object.assign(users.get(userId), { password });
+      users.get(userId).email_verified_at ??= new Date();
+      return { affectedRows: 1 };
+    })
+    .on(/SELECT id, username, email FROM users WHERE email = \?/, ([email]) => [...users.values()].filter((user) => user.email === email));
+});
+
+/*********************************************
+ * Email Verification
+ ********************************************/
+test('verifies the address with the emailed token once', async () => {
+  await emailTokenService.sendVerificationEmail(users.get(9));
+  assert.equal(mails[0].template, 'verify-email');
+  const token = tokenFromLastMail();
+  assert.ok(!tokens.some((stored) => stored.token_hash === token), 'only the hash is stored');
+
+  assert.deepEqual(await emailTokenService.verifyEmail(token), { userId: 9, email: 'fan@example.com' });
+  assert.ok(users.get(9).email_verified_at);
+  await assert.rejects(emailTokenService.verifyEmail(token), { name: 'EmailTokenError', statusCode: 400 });
+  await assert.rejects(emailTokenService.sendVerificationEmail(users.get(9)), { statusCode: 409 });
+});
+
+test('refuses replaced, expired and outdated tokens', async () => {
+  await emailTokenService.sendVerificationEmail(users.get(9));
+  const replaced = tokenFromLastMail();
+  await emailTokenService.sendVerificationEmail(users.get(9));
+  await assert.rejects(emailTokenService.verifyEmail(replaced), /Invalid or already used/);
+
+  tokens[0].expires_at = Date.now() - 1000;
+  await assert.rejects(emailTokenService.verifyEmail(tokenFromLastMail()), { statusCode: 410 });
+
+  await emailTokenService.sendVerificationEmail(users.get(9));
+  users.get(9).email = 'new@example.com';
+  await assert.rejects(emailTokenService.verifyEmail(tokenFromLastMail()), /Invalid or already used/);
+  await assert.rejects(emailTokenService.verifyEmail(''), /Token is required/);
+});
+
+/*********************************************
+ * Password Reset
+ ********************************************/
+test('resets the password with a reset token and signs the user out', async () => {
+  await emailTokenService.requestPasswordReset('nobody@example.com');
+  assert.equal(mails.length, 0, 'unknown addresses get no mail');
+
+  await emailTokenService.requestPasswordReset('fan@example.com');
+  const token = tokenFromLastMail();
+  await assert.rejects(emailTokenService.resetPassword(token, 'short'), /at least 8 characters/);
+  await assert.rejects(emailTokenService.verifyEmail(token), /Invalid or already used/, 'tokens only work for their purpose');
+
+  assert.deepEqual(await emailTokenService.resetPassword(token, 'a-new-password'), { userId: 9, sessionsRevoked: 2 });
+  assert.notEqual(users.get(9).password, 'old');
+  assert.notEqual(users.get(9).password, 'a-new-password', 'stored hashed');
+  assert.ok(users.get(9).email_verified_at);
+  assert.deepEqual(revokedSessions, [9]);
+  await assert.rejects(emailTokenService.resetPassword(token, 'another-password'), /Invalid or already used/);
+});
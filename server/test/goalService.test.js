@@ -0,0 +1,143 @@
+// test/goalService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes } = require('./helpers/fakes');
+
+const { db, socket } = installFakes();
+
+const goalService = require('../services/goalService');
+
+const CREATOR_ID = 5;
+
+let goals;
+let contributions;
+
+const addGoal = (goal) => {
+  goals.set(goal.id, {
+    creator_id: CREATOR_ID,
+    title: 'New mic',
+    description: null,
+    target_cents: 1000,
+    current_cents: 0,
+    status: 'active',
+    deadline_at: null,
+    reached_at: null,
+    ...goal,
+  });
+};
+
+beforeEach(() => {
+  goals = new Map();
+  contributions = new Map(); // tipId -> { goal_id, amount_cents }
+  socket.emitted.splice(0);
+
+  db.reset();
+  db.on(/SELECT id, reached_at FROM tip_goals\s+WHERE creator_id = \? AND status = 'active'/, ([creatorId]) =>
+    [...goals.entries()]
+      .filter(([, goal]) => goal.creator_id === creatorId && goal.status === 'active' && (!goal.deadline_at || goal.deadline_at > new Date()))
+      .map(([id, goal]) => ({ id, reached_at: goal.reached_at }))
+  )
+    .on(/INSERT IGNORE INTO tip_goal_contributions/, ([goalId, tipId, amountCents]) => {
+      if (contributions.has(tipId)) return { affectedRows: 0 };
+      contributions.set(tipId, { goal_id: goalId, amount_cents: amountCents });
+      return { affectedRows: 1 };
+    })
+    .on(/SET current_cents = current_cents \+ \?/, ([amountCents, goalId]) => {
+      const goal = goals.get(goalId);
+      goal.current_cents += amountCents;
+      if (!goal.reached_at && goal.current_cents >= goal.target_cents) goal.reached_at = new Date();
+      return { affectedRows: 1 };
+    })
+    .on(/SELECT reached_at FROM tip_goals WHERE id = \?/, ([goalId]) => [{ reached_at: goals.get(goalId).reached_at }])
+    .on(/SELECT goal_id, amount_cents FROM tip_goal_contributions WHERE tip_id = \?/, ([tipId]) =>
+      contributions.has(tipId) ? [contributions.get(tipId)] : []
+    )
+    .on(/DELETE FROM tip_goal_contributions/, ([, tipId]) => {
+      contributions.delete(tipId);
+      return { affectedRows: 1 };
+    })
+    .on(/SET current_cents = GREATEST\(current_cents, \?\) - \?/, ([floor, amountCents, goalId]) => {
+      const goal = goals.get(goalId);
+      goal.current_cents = Math.max(goal.current_cents, floor) - amountCents;
+      return { affectedRows: 1 };
+    })
+    .on(/SELECT \* FROM tip_goals WHERE id = \?( AND creator_id = \?)?$/, ([goalId]) =>
+      goals.has(goalId) ? [{ id: goalId, ...goals.get(goalId) }] : []
+    );
+});
+
+/*********************************************
+ * Progress
+ ********************************************/
+test('counts a tip towards the active goal once and reports when it is reached', async () => {
+  addGoal({ id: 1, current_cents: 600 });
+
+  assert.deepEqual(await goalService.applyTip(db, { tipId: 10, creatorId: CREATOR_ID, amountCents: 300 }), {
+    goalId: 1,
+    tipId: 10,
+    reachedNow: false,
+  });
+  assert.equal(await goalService.applyTip(db, { tipId: 10, creatorId: CREATOR_ID, amountCents: 300 }), null, 'the same tip counts once');
+  assert.equal(goals.get(1).current_cents, 900);
+
+  assert.equal((await goalService.applyTip(db, { tipId: 11, creatorId: CREATOR_ID, amountCents: 200 })).reachedNow, true);
+  assert.equal((await goalService.applyTip(db, { tipId: 12, creatorId: CREATOR_ID, amountCents: 500 })).reachedNow, false);
+  assert.equal(goals.get(1).current_cents, 1600, 'reached goals keep counting');
+});
+
+test('ignores tips when the creator has no active goal in time', async () => {
+  addGoal({ id: 1, status: 'inactive' });
+  addGoal({ id: 2, deadline_at: new Date(Date.now() - 1000) });
+  assert.equal(await goalService.applyTip(db, { tipId: 10, creatorId: CREATOR_ID, amountCents: 300 }), null);
+  assert.equal(contributions.size, 0);
+});
+
+test('takes a reversed tip back out of the goal it counted towards', async () => {
+  addGoal({ id: 1, current_cents: 900 });
+  await goalService.applyTip(db, { tipId: 10, creatorId: CREATOR_ID, amountCents: 300 });
+  assert.ok(goals.get(1).reached_at);
+
+  // Even if the goal was replaced since
+  goals.get(1).status = 'inactive';
+  assert.deepEqual(await goalService.revertTip(db, 10), { goalId: 1, tipId: 10, reachedNow: false });
+  assert.equal(goals.get(1).current_cents, 900);
+  assert.ok(goals.get(1).reached_at, 'a reached goal stays reached');
+
+  assert.equal(await goalService.revertTip(db, 10), null);
+  assert.equal(await goalService.revertTip(db, 99), null, 'tips made without a goal');
+});
+
+test('announces progress and the goal being reached', async () => {
+  addGoal({ id: 1, current_cents: 1200, reached_at: new Date() });
+
+  await goalService.announceProgress({ goalId: 1, tipId: 10, reachedNow: true });
+  assert.deepEqual(socket.emitted.map(({ event }) => event), ['goal-progress', 'goal-reached']);
+  assert.equal(socket.emitted[0].payload.goal.percent, 100);
+  assert.equal(socket.emitted[0].payload.goal.current, 12);
+
+  db.reset();
+  await assert.doesNotReject(goalService.announceProgress({ goalId: 1, tipId: 11, reachedNow: false }), 'never fails the tip');
+  await goalService.announceProgress(null);
+  assert.equal(socket.emitted.length, 2);
+});
+
+/*********************************************
+ * Manage Goals
+ ********************************************/
+test('validates new goals before storing them', async () => {
+  await assert.rejects(goalService.createGoal(CREATOR_ID, { title: ' ', targetAmount: 10 }), /title must be/);
+  await assert.rejects(goalService.createGoal(CREATOR_ID, { title: 'Mic', targetAmount: 0 }), /targetAmount must be/);
+  await assert.rejects(goalService.createGoal(CREATOR_ID, { title: 'Mic', targetAmount: 10, deadline: 'soon' }), /ISO 8601/);
+  await assert.rejects(goalService.createGoal(CREATOR_ID, { title: 'Mic', targetAmount: 10, deadline: '2000-01-01' }), /in the future/);
+  assert.equal(db.queries.length, 0);
+});
+
+test('refuses to activate archived or expired goals', async () => {
+  addGoal({ id: 1, status: 'archived' });
+  addGoal({ id: 2, status: 'inactive', deadline_at: new Date(Date.now() - 1000) });
+
+  await assert.rejects(goalService.activateGoal(CREATOR_ID, 1), { name: 'GoalError', statusCode: 409 });
+  await assert.rejects(goalService.activateGoal(CREATOR_ID, 2), /deadline has passed/);
+  await assert.rejects(goalService.activateGoal(CREATOR_ID, 3), { statusCode: 404 });
+});
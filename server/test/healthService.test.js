@@ -0,0 +1,82 @@
+// test/healthService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, stubModule, createFakeResponse } = require('./helpers/fakes');
+
+process.env.HEALTH_CHECK_TIMEOUT_MS = '50';
+
+const { db } = installFakes();
+
+let redisPing;
+stubModule('queues/ttsQueue.js', { isReady: async () => {}, client: { ping: () => redisPing() } });
+
+let storageStat;
+stubModule('services/storage/index.js', { getStorage: () => ({ stat: (key) => storageStat(key) }) });
+
+let shuttingDown;
+stubModule('lifecycle.js', { isShuttingDown: () => shuttingDown });
+
+const { getReadiness } = require('../services/healthService');
+const { getReadinessStatus } = require('../controllers/healthController');
+
+beforeEach(() => {
+  db.reset();
+  db.on(/SELECT 1/, () => [{ 1: 1 }]);
+  redisPing = async () => 'PONG';
+  storageStat = async () => null;
+  shuttingDown = false;
+});
+
+const statuses = (checks) => Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, check.status]));
+
+test('is ready when every dependency answers', async () => {
+  const readiness = await getReadiness();
+
+  assert.equal(readiness.ready, true);
+  assert.deepEqual(statuses(readiness.checks), { database: 'ok', redis: 'ok', storage: 'ok' });
+  assert.equal(typeof readiness.checks.database.latencyMs, 'number');
+});
+
+test('reports each failing dependency with its error', async () => {
+  db.reset();
+  db.on(/SELECT 1/, () => {
+    throw new Error('connect ECONNREFUSED');
+  });
+  storageStat = async () => {
+    throw new Error('AccessDenied');
+  };
+
+  const readiness = await getReadiness();
+
+  assert.equal(readiness.ready, false);
+  assert.deepEqual(statuses(readiness.checks), { database: 'error', redis: 'ok', storage: 'error' });
+  assert.equal(readiness.checks.database.error, 'connect ECONNREFUSED');
+  assert.equal(readiness.checks.storage.error, 'AccessDenied');
+});
+
+test('gives up on a hung dependency after the check timeout', async () => {
+  redisPing = () => new Promise(() => {});
+
+  const readiness = await getReadiness();
+
+  assert.equal(readiness.checks.redis.status, 'error');
+  assert.equal(readiness.checks.redis.error, 'Timed out after 50ms');
+});
+
+test('answers 503 while shutting down so traffic drains', async () => {
+  shuttingDown = true;
+  const res = createFakeResponse();
+
+  await getReadinessStatus({}, res);
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.status, 'unavailable');
+  assert.equal(res.body.shuttingDown, true);
+  assert.equal(res.body.checks.database.status, 'ok');
+
+  shuttingDown = false;
+  const ready = createFakeResponse();
+  await getReadinessStatus({}, ready);
+  assert.equal(ready.statusCode, 200);
+});
@@ -0,0 +1,193 @@
+// test/helpers/fakes.js
+
+const path = require('path');
+const { EventEmitter } = require('events');
+
+/*
+ * Stand-ins for the modules that talk to MySQL, Redis and Socket.IO, so
+ * services can be tested without them. Each test file runs in its own process
+ * (node --test), so stubs installed here only affect that file. Install them
+ * before requiring the module under test.
+ */
+
+const SERVER_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Replaces a server module (path relative to server/) in the require cache.
+ * @returns {Object} The stub exports.
+ */
+const stubModule = (relativePath, exports) => {
+  const filename = require.resolve(path.join(SERVER_ROOT, relativePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+  return exports;
+};
+
+/**
+ * Scripted MySQL pool. Every query is answered by the first handler whose
+ * pattern matches the SQL; its return value becomes the first element of the
+ * result tuple (rows for SELECTs, { affectedRows, insertId } otherwise).
+ * Unexpected queries throw, so a test notices SQL it did not plan for.
+ */
+const createFakeDb = () => {
+  let handlers = [];
+  const queries = [];
+
+  const query = async (sql, params = []) => {
+    queries.push({ sql, params });
+    const handler = handlers.find(({ pattern }) => pattern.test(sql));
+    if (!handler) {
+      throw new Error(`Unexpected query: ${sql.replace(/\s+/g, ' ').trim()}`);
+    }
+    return [await handler.respond(params, sql)];
+  };
+
+  const connection = {
+    query,
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {},
+  };
+
+  return {
+    query,
+    getConnection: async () => connection,
+    end: async () => {},
+    queries,
+    /**
+     * @param {RegExp} pattern
+     * @param {(params: Array, sql: string) => *} respond
+     */
+    on(pattern, respond) {
+      handlers.push({ pattern, respond });
+      return this;
+    },
+    reset() {
+      handlers = [];
+      queries.length = 0;
+    },
+    /** Queries whose SQL matches pattern. */
+    find(pattern) {
+      return queries.filter(({ sql }) => pattern.test(sql));
+    },
+  };
+};
+
+/**
+ * In-memory ioredis client covering the string, hash and list commands the
+ * services use. eval only understands the compare-and-delete script
+ * (delete KEYS[1] if it holds ARGV[1]).
+ */
+const createFakeRedis = () => {
+  const store = new Map();
+  const hash = (key) => store.get(key) || store.set(key, new Map()).get(key);
+  const list = (key) => store.get(key) || store.set(key, []).get(key);
+  const range = (items, start, stop) => items.slice(start, stop < 0 ? items.length + stop + 1 : stop + 1);
+
+  return {
+    store,
+    get: async (key) => store.get(key) ?? null,
+    set: async (key, value, ...options) => {
+      if (options.includes('NX') && store.has(key)) return null;
+      store.set(key, String(value));
+      return 'OK';
+    },
+    del: async (...keys) => keys.filter((key) => store.delete(key)).length,
+    exists: async (key) => (store.has(key) ? 1 : 0),
+    eval: async (script, numKeys, key, value) => (store.get(key) === value ? (store.delete(key), 1) : 0),
+    hget: async (key, field) => hash(key).get(field) ?? null,
+    hset: async (key, field, value) => (hash(key).set(field, value), 1),
+    hsetnx: async (key, field, value) => (hash(key).has(field) ? 0 : (hash(key).set(field, value), 1)),
+    hdel: async (key, ...fields) => fields.filter((field) => hash(key).delete(field)).length,
+    lpush: async (key, ...values) => list(key).unshift(...values.reverse()),
+    rpush: async (key, ...values) => list(key).push(...values),
+    lpop: async (key) => list(key).shift() ?? null,
+    lrange: async (key, start, stop) => range(list(key), start, stop),
+    ltrim: async (key, start, stop) => (store.set(key, range(list(key), start, stop)), 'OK'),
+    lrem: async (key, count, value) => {
+      const items = list(key);
+      store.set(key, items.filter((item) => item !== value));
+      return items.length - store.get(key).length;
+    },
+  };
+};
+
+/**
+ * Socket module that records emitted events instead of sending them.
+ */
+const createFakeSocket = () => {
+  const emitted = [];
+  return {
+    emitted,
+    emitToCreator: (creatorId, event, payload, options) => emitted.push({ creatorId, event, payload, options }),
+    emitToOverlay: (creatorId, event, payload) => emitted.push({ creatorId, event, payload, overlayOnly: true }),
+    hasOverlay: () => false,
+    disconnectOverlays: () => {},
+    getConnectionCounts: () => ({}),
+  };
+};
+
+/**
+ * Minimal Express response: records status, headers and the JSON body, and
+ * emits 'finish' when the test calls res.emit('finish').
+ */
+const createFakeResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.set = (name, value) => {
+    Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+/**
+ * Runs a middleware and reports whether it called next() (and with what).
+ * @returns {Promise<{ passed: boolean, error: *, res: Object }>}
+ */
+const runMiddleware = async (middleware, req, res = createFakeResponse()) => {
+  let passed = false;
+  let error;
+  await middleware(req, res, (nextError) => {
+    passed = nextError === undefined;
+    error = nextError;
+  });
+  return { passed, error, res };
+};
+
+/**
+ * Installs a fake db and socket, and silences the logger. The logger's
+ * uncaught exception and rejection handlers are removed: silenced, they would
+ * swallow an error thrown while a test file loads and let the file pass.
+ * @returns {{ db: Object, socket: Object }}
+ */
+const installFakes = () => {
+  const db = createFakeDb();
+  stubModule('db/db.js', db);
+  const socket = stubModule('socket.js', createFakeSocket());
+  const logger = require(path.join(SERVER_ROOT, 'logger'));
+  logger.silent = true;
+  logger.exceptions.unhandle();
+  logger.rejections.unhandle();
+  return { db, socket };
+};
+
+module.exports = {
+  SERVER_ROOT,
+  stubModule,
+  createFakeDb,
+  createFakeRedis,
+  createFakeSocket,
+  createFakeResponse,
+  runMiddleware,
+  installFakes,
+};
@@ -0,0 +1,110 @@
+// test/helpers/testDatabase.js
+
+const crypto = require('crypto');
+const path = require('path');
+const { SERVER_ROOT, stubModule, createFakeSocket } = require('./fakes');
+
+/*
+ * Real MySQL for integration tests, for what the scripted fake cannot show:
+ * row locks, atomic claims and unique keys under concurrent requests. They
+ * only run when TEST_DB_NAME names a dedicated database (connected to with the
+ * usual DB_HOST/DB_PORT/DB_USER/DB_PASSWORD); its schema is brought up to date
+ * with db/migrate.js. Every run creates its own users and creators, so nothing
+ * is deleted. Redis and Socket.IO are still replaced by stand-ins.
+ */
+
+const TEST_DB_NAME = process.env.TEST_DB_NAME;
+
+/** `skip` option for node:test when no test database is configured. */
+const skip = TEST_DB_NAME ? false : 'set TEST_DB_NAME to run against MySQL';
+
+/**
+ * Points db/db.js at the test database, installs the Redis and Socket.IO
+ * stand-ins and migrates the schema. Call before requiring the module under test.
+ * @returns {Promise<{ db: Object, socket: Object, announced: Array, published: Array }>}
+ */
+const connectTestDatabase = async () => {
+  process.env.DB_NAME = TEST_DB_NAME;
+  process.env.MOCK_PAYMENT_WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'test_webhook_secret';
+
+  const logger = require(path.join(SERVER_ROOT, 'logger'));
+  logger.silent = true;
+  logger.exceptions.unhandle();
+  logger.rejections.unhandle();
+
+  const socket = stubModule('socket.js', createFakeSocket());
+  const announced = [];
+  stubModule('services/playbackQueueService.js', { announce: async (creatorId, item) => announced.push({ creatorId, ...item }) });
+  const published = [];
+  stubModule('services/webhookService.js', {
+    publishEvent: async (creatorId, event, payload) => published.push({ creatorId, event, payload }),
+  });
+  // Its Bull queue would connect to Redis; TTS is not part of these tests
+  stubModule('services/ttsRequestService.js', {
+    createTTSRequest: async () => {
+      throw new Error('TTS is not available in integration tests.');
+    },
+  });
+
+  const db = require(path.join(SERVER_ROOT, 'db', 'db.js'));
+  const { migrateUp } = require(path.join(SERVER_ROOT, 'db', 'migrate.js'));
+  const log = console.log;
+  console.log = () => {}; // Migration progress
+  try {
+    await migrateUp();
+  } finally {
+    console.log = log;
+  }
+  return { db, socket, announced, published };
+};
+
+/**
+ * Creates a tipper and a creator (with its own user) unique to this run.
+ * @returns {Promise<{ tipperId: number, creatorId: number, creatorUserId: number }>}
+ */
+const createTipperAndCreator = async (db) => {
+  const suffix = crypto.randomBytes(6).toString('hex');
+  const [tipper] = await db.query("INSERT INTO users (username, email, password, role) VALUES (?, ?, 'x', 'tipper')", [
+    `tipper_${suffix}`,
+    `tipper_${suffix}@example.com`,
+  ]);
+  const [creatorUser] = await db.query("INSERT INTO users (username, email, password, role) VALUES (?, ?, 'x', 'creator')", [
+    `creator_${suffix}`,
+    `creator_${suffix}@example.com`,
+  ]);
+  const [creator] = await db.query('INSERT INTO creators (user_id, display_name) VALUES (?, ?)', [creatorUser.insertId, `Creator ${suffix}`]);
+  return { tipperId: tipper.insertId, creatorId: creator.insertId, creatorUserId: creatorUser.insertId };
+};
+
+/**
+ * Builds a signed mock provider delivery of payment_intent.succeeded.
+ * @returns {{ rawBody: Buffer, headers: Object }}
+ */
+const succeededDelivery = (providerIntentId, amountCents) => {
+  const mockPaymentProvider = require(path.join(SERVER_ROOT, 'services', 'paymentProviders', 'mockPaymentProvider'));
+  const rawBody = Buffer.from(
+    JSON.stringify({
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      type: 'payment_intent.succeeded',
+      data: { object: { id: providerIntentId, amount: amountCents } },
+    })
+  );
+  return { rawBody, headers: { 'x-mock-signature': mockPaymentProvider.signPayload(rawBody) } };
+};
+
+/**
+ * Records a paid tip the way production does: a payment intent confirmed by a webhook.
+ * @returns {Promise<{ tipId: number, paymentIntentId: number }>}
+ */
+const recordPaidTip = async (db, { creatorId, tipperId, amount = 12.5 }) => {
+  const paymentService = require(path.join(SERVER_ROOT, 'services', 'paymentService'));
+  const { paymentIntentId } = await paymentService.createTipIntent({ creatorId, tipperId, amount, message: 'thanks' });
+  const [[intent]] = await db.query('SELECT provider_intent_id FROM payment_intents WHERE id = ?', [paymentIntentId]);
+  const { rawBody, headers } = succeededDelivery(intent.provider_intent_id, Math.round(amount * 100));
+  await paymentService.handleWebhook('mock', rawBody, headers);
+
+  const [[confirmed]] = await db.query('SELECT tip_id FROM payment_intents WHERE id = ?', [paymentIntentId]);
+  return { tipId: confirmed.tip_id, paymentIntentId };
+};
+
+module.exports = { skip, connectTestDatabase, createTipperAndCreator, succeededDelivery, recordPaidTip };
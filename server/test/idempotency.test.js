@@ -0,0 +1,119 @@
+// test/idempotency.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, runMiddleware } = require('./helpers/fakes');
+
+const { db } = installFakes();
+
+const { idempotency } = require('../middlewares/idempotency');
+
+let keys;
+
+const createReq = ({ key = 'key-1', userId = 9, body = { creatorId: 5, amount: 5 } } = {}) => ({
+  method: 'POST',
+  baseUrl: '/api/tips',
+  path: '/intents',
+  body,
+  user: { userId },
+  get: (name) => (name === 'Idempotency-Key' ? key : undefined),
+});
+
+/**
+ * Runs the middleware, then the "handler": responds with statusCode/body and finishes.
+ */
+const handle = async (req, statusCode, body) => {
+  const result = await runMiddleware(idempotency, req);
+  if (result.passed) {
+    result.res.status(statusCode).json(body);
+    result.res.emit('finish');
+    await new Promise(setImmediate);
+  }
+  return result;
+};
+
+beforeEach(() => {
+  keys = new Map();
+  db.reset();
+  db.on(/DELETE FROM idempotency_keys WHERE expires_at < NOW\(\)/, () => ({ affectedRows: 0 }))
+    .on(/AND \(expires_at < NOW\(\) OR \(status = 'processing'/, ([userId, key]) => {
+      const row = keys.get(`${userId}:${key}`);
+      if (!row || row.expires_at >= Date.now()) return { affectedRows: 0 };
+      keys.delete(`${userId}:${key}`);
+      return { affectedRows: 1 };
+    })
+    .on(/INSERT IGNORE INTO idempotency_keys/, ([userId, key, requestHash]) => {
+      if (keys.has(`${userId}:${key}`)) return { affectedRows: 0 };
+      keys.set(`${userId}:${key}`, { request_hash: requestHash, status: 'processing', expires_at: Date.now() + 60 * 60 * 1000 });
+      return { affectedRows: 1 };
+    })
+    .on(/SELECT \* FROM idempotency_keys/, ([userId, key]) => (keys.has(`${userId}:${key}`) ? [keys.get(`${userId}:${key}`)] : []))
+    .on(/UPDATE idempotency_keys SET status = 'completed'/, ([status, body, userId, key]) => {
+      Object.assign(keys.get(`${userId}:${key}`), { status: 'completed', response_status: status, response_body: body });
+      return { affectedRows: 1 };
+    })
+    .on(/DELETE FROM idempotency_keys WHERE user_id = \? AND idempotency_key = \?$/, ([userId, key]) => {
+      keys.delete(`${userId}:${key}`);
+      return { affectedRows: 1 };
+    });
+});
+
+test('passes requests without a key straight through', async () => {
+  const { passed } = await runMiddleware(idempotency, createReq({ key: null }));
+  assert.equal(passed, true);
+  assert.equal(db.queries.length, 0);
+});
+
+test('replays the stored response for a retried request', async () => {
+  const first = await handle(createReq(), 201, { paymentIntentId: 1 });
+  assert.equal(first.passed, true);
+
+  // Same body with its keys in another order
+  const replay = await handle(createReq({ body: { amount: 5, creatorId: 5 } }), 201, { paymentIntentId: 2 });
+  assert.equal(replay.passed, false, 'the handler does not run again');
+  assert.equal(replay.res.statusCode, 201);
+  assert.deepEqual(replay.res.body, { paymentIntentId: 1 });
+  assert.equal(replay.res.headers['Idempotent-Replayed'], 'true');
+});
+
+test('scopes keys to the user', async () => {
+  await handle(createReq(), 201, { paymentIntentId: 1 });
+  assert.equal((await handle(createReq({ userId: 10 }), 201, { paymentIntentId: 2 })).passed, true);
+});
+
+test('refuses a key reused for a different request or still in progress', async () => {
+  assert.equal((await runMiddleware(idempotency, createReq())).passed, true);
+
+  const concurrent = await runMiddleware(idempotency, createReq());
+  assert.equal(concurrent.res.statusCode, 409);
+  assert.equal(concurrent.res.headers['Retry-After'], '1');
+
+  const different = await runMiddleware(idempotency, createReq({ body: { creatorId: 5, amount: 50 } }));
+  assert.equal(different.res.statusCode, 422);
+});
+
+test('releases the key after server errors and rate limits so the request can be retried', async () => {
+  await handle(createReq(), 503, { error: 'Payment provider unavailable.' });
+  assert.equal(keys.size, 0);
+  await handle(createReq(), 429, { error: 'Too many requests.' });
+  assert.equal(keys.size, 0);
+
+  await handle(createReq(), 422, { error: 'Tip message was rejected by moderation.' });
+  const replay = await handle(createReq(), 201, {});
+  assert.equal(replay.res.statusCode, 422, 'client errors are replayed like successes');
+});
+
+test('treats an expired key as never seen', async () => {
+  await handle(createReq(), 201, { paymentIntentId: 1 });
+  keys.get('9:key-1').expires_at = Date.now() - 1000;
+
+  const retried = await handle(createReq(), 201, { paymentIntentId: 2 });
+  assert.equal(retried.passed, true, 'the request runs again instead of replaying an expired response');
+  assert.equal(keys.get('9:key-1').response_body, JSON.stringify({ paymentIntentId: 2 }));
+});
+
+test('rejects overlong keys', async () => {
+  const { passed, res } = await runMiddleware(idempotency, createReq({ key: 'k'.repeat(256) }));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,128 @@
+// test/ledgerService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes } = require('./helpers/fakes');
+
+const { db } = installFakes();
+
+const ledger = require('../services/ledgerService');
+
+// Accounts get a stable id per (owner_type, owner_id, kind)
+let accounts;
+let entries;
+
+beforeEach(() => {
+  db.reset();
+  accounts = new Map();
+  entries = [];
+  db.on(/INSERT IGNORE INTO ledger_accounts/, ([ownerType, ownerId, kind]) => {
+    const key = `${ownerType}:${ownerId}:${kind}`;
+    if (!accounts.has(key)) accounts.set(key, accounts.size + 1);
+    return { affectedRows: 1 };
+  });
+  db.on(/SELECT id FROM ledger_accounts/, ([ownerType, ownerId, kind]) => [{ id: accounts.get(`${ownerType}:${ownerId}:${kind}`) }]);
+  db.on(/INSERT INTO ledger_transactions/, () => ({ insertId: 900 }));
+  db.on(/INSERT INTO ledger_entries/, ([rows]) => {
+    entries.push(...rows);
+    return { affectedRows: rows.length };
+  });
+});
+
+const accountId = (ownerType, ownerId, kind) => accounts.get(`${ownerType}:${ownerId}:${kind}`);
+
+test('splits tips so the parts add up to the gross and rounding favours the creator', () => {
+  assert.deepEqual(ledger.splitTip(1000, 80), { creatorNetCents: 800, platformFeeCents: 200 });
+  assert.deepEqual(ledger.splitTip(333, 85), { creatorNetCents: 283, platformFeeCents: 50 });
+  assert.deepEqual(ledger.splitTip(1, 50), { creatorNetCents: 1, platformFeeCents: 0 });
+  assert.deepEqual(ledger.splitTip(500, 150), { creatorNetCents: 500, platformFeeCents: 0 }, 'shares are clamped to 100%');
+  assert.deepEqual(ledger.splitTip(500, -5), { creatorNetCents: 0, platformFeeCents: 500 });
+
+  for (let gross = 1; gross <= 500; gross += 7) {
+    const { creatorNetCents, platformFeeCents } = ledger.splitTip(gross, 72.5);
+    assert.equal(creatorNetCents + platformFeeCents, gross);
+  }
+});
+
+test('converts between amounts and cents without float drift', () => {
+  assert.equal(ledger.toCents('19.99'), 1999);
+  assert.equal(ledger.toCents(0.29), 29);
+  assert.equal(ledger.fromCents(1999), 19.99);
+});
+
+test('refuses unbalanced or invalid transactions before writing anything', async () => {
+  const post = (entriesToPost) => ledger.postTransaction(db, { type: 'test', entries: entriesToPost });
+
+  await assert.rejects(
+    post([
+      { accountId: 1, direction: 'debit', amountCents: 100 },
+      { accountId: 2, direction: 'credit', amountCents: 99 },
+    ]),
+    /Unbalanced ledger transaction \(test\): debits 100 != credits 99/
+  );
+  await assert.rejects(post([]), /Unbalanced/, 'empty transactions are refused');
+  await assert.rejects(post([{ accountId: 1, direction: 'debit', amountCents: 1.5 }]), /Invalid ledger entry/);
+  await assert.rejects(post([{ accountId: 1, direction: 'debit', amountCents: -100 }]), /Invalid ledger entry/);
+  await assert.rejects(post([{ accountId: 1, direction: 'sideways', amountCents: 100 }]), /Invalid ledger entry/);
+  assert.equal(db.queries.length, 0);
+});
+
+test('posts a tip as a balanced transaction and skips zero legs', async () => {
+  const transactionId = await ledger.postTip(db, {
+    tipId: 5,
+    tipperId: 3,
+    creatorId: 8,
+    grossCents: 1000,
+    creatorNetCents: 1000,
+    platformFeeCents: 0,
+  });
+
+  assert.equal(transactionId, 900);
+  assert.deepEqual(db.find(/INSERT INTO ledger_transactions/)[0].params.slice(0, 3), ['tip', 'tip', 5]);
+  assert.deepEqual(entries, [
+    [900, accountId('user', 3, 'tipper_spend'), 'debit', 1000],
+    [900, accountId('creator', 8, 'creator_earnings'), 'credit', 1000],
+  ]);
+});
+
+test('reverses a tip with the mirror image of its entries', async () => {
+  await ledger.postTipReversal(db, {
+    tipId: 5,
+    tipperId: 3,
+    creatorId: 8,
+    grossCents: 1000,
+    creatorNetCents: 800,
+    platformFeeCents: 200,
+    kind: 'chargeback',
+  });
+
+  assert.equal(db.find(/INSERT INTO ledger_transactions/)[0].params[0], 'tip_chargeback');
+  assert.deepEqual(entries, [
+    [900, accountId('user', 3, 'tipper_spend'), 'credit', 1000],
+    [900, accountId('creator', 8, 'creator_earnings'), 'debit', 800],
+    [900, accountId('platform', 0, 'platform_revenue'), 'debit', 200],
+  ]);
+});
+
+test('moves payouts between earnings, transit and disbursed accounts', async () => {
+  await ledger.postPayout(db, { payoutId: 2, creatorId: 8, amountCents: 5000, stage: 'created' });
+  await ledger.postPayout(db, { payoutId: 2, creatorId: 8, amountCents: 5000, stage: 'sent' });
+
+  const earnings = accountId('creator', 8, 'creator_earnings');
+  const transit = accountId('creator', 8, 'payout_in_transit');
+  const disbursed = accountId('platform', 0, 'payouts_disbursed');
+  assert.deepEqual(entries, [
+    [900, earnings, 'debit', 5000],
+    [900, transit, 'credit', 5000],
+    [900, transit, 'debit', 5000],
+    [900, disbursed, 'credit', 5000],
+  ]);
+  await assert.rejects(ledger.postPayout(db, { payoutId: 2, creatorId: 8, amountCents: 5000, stage: 'lost' }), /Unknown payout ledger stage/);
+});
+
+test('signs balances by the account normal side', async () => {
+  db.on(/FROM ledger_accounts la/, () => [{ debits: '300', credits: '1000' }]);
+
+  assert.equal(await ledger.getBalanceCents('creator', 8, 'creator_earnings'), 700);
+  assert.equal(await ledger.getBalanceCents('user', 3, 'tipper_spend'), -700);
+});
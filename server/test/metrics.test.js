@@ -0,0 +1,103 @@
+// test/metrics.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const client = require('prom-client');
+const { installFakes, createFakeResponse } = require('./helpers/fakes');
+
+installFakes();
+
+const metrics = require('../metrics');
+
+metrics.setProcessName('api');
+
+// Value of the sample of `name` carrying all of `labels`, whatever their order
+const sampleValue = (output, name, labels) => {
+  const line = output.split('\n').find((candidate) => {
+    const match = candidate.match(/^(\w+){(.*)} (.+)$/);
+    return match && match[1] === name && Object.entries(labels).every(([label, value]) => match[2].includes(`${label}="${value}"`));
+  });
+  return line ? Number(line.split(' ').pop()) : undefined;
+};
+
+const scrape = async (headers = {}) => {
+  const res = createFakeResponse();
+  res.send = (body) => {
+    res.body = body;
+    return res;
+  };
+  await metrics.metricsHandler({ headers }, res);
+  return res;
+};
+
+test('labels HTTP metrics with the route pattern instead of ids', async () => {
+  const req = { method: 'GET', baseUrl: '/api/creators/42/goals', params: { id: '42', goalId: '7' }, route: { path: '/:goalId' } };
+  const res = createFakeResponse();
+  let nextCalled = false;
+  metrics.httpMetrics(req, res, () => (nextCalled = true));
+  res.statusCode = 200;
+  res.emit('finish');
+
+  const unmatched = createFakeResponse();
+  metrics.httpMetrics({ method: 'GET', baseUrl: '', params: {} }, unmatched, () => {});
+  unmatched.statusCode = 404;
+  unmatched.emit('finish');
+
+  assert.equal(nextCalled, true);
+  const output = await metrics.register.getSingleMetricAsString('http_requests_total');
+  assert.equal(sampleValue(output, 'http_requests_total', { route: '/api/creators/:id/goals/:goalId', status: 200, process: 'api' }), 1);
+  assert.equal(sampleValue(output, 'http_requests_total', { route: 'unmatched', status: 404 }), 1);
+});
+
+test('records TTS synthesis outcomes and characters', async () => {
+  await metrics.observeSynthesis('en-US', 'hello', async () => ({ provider: 'local' }));
+  await assert.rejects(
+    metrics.observeSynthesis('en-US', 'hello', async () => {
+      throw Object.assign(new Error('quota'), { provider: 'elevenlabs' });
+    }),
+    /quota/
+  );
+  metrics.recordAudioCacheLookup(true);
+
+  const characters = await metrics.register.getSingleMetricAsString('tts_synthesis_characters_total');
+  assert.equal(sampleValue(characters, 'tts_synthesis_characters_total', { provider: 'local', voice: 'en-US' }), 5);
+  const durations = await metrics.register.getSingleMetricAsString('tts_synthesis_duration_seconds');
+  assert.equal(sampleValue(durations, 'tts_synthesis_duration_seconds_count', { provider: 'elevenlabs', outcome: 'error' }), 1);
+  assert.equal(sampleValue(durations, 'tts_synthesis_duration_seconds_count', { provider: 'local', outcome: 'success' }), 1);
+  const lookups = await metrics.register.getSingleMetricAsString('tts_audio_cache_lookups_total');
+  assert.equal(sampleValue(lookups, 'tts_audio_cache_lookups_total', { result: 'hit' }), 1);
+});
+
+test('requires the scrape token when one is configured', async () => {
+  const { METRICS_TOKEN } = process.env;
+  try {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    assert.equal((await scrape()).statusCode, 401);
+    assert.equal((await scrape({ authorization: 'Bearer wrong' })).statusCode, 401);
+    assert.equal((await scrape({ authorization: 'Bearer scrape-secret' })).statusCode, 200);
+  } finally {
+    if (METRICS_TOKEN === undefined) delete process.env.METRICS_TOKEN;
+    else process.env.METRICS_TOKEN = METRICS_TOKEN;
+  }
+});
+
+test('merges the metrics of forked workers into the API scrape', async () => {
+  const workerRegistry = new client.Registry();
+  workerRegistry.setDefaultLabels({ process: 'tts-worker' });
+  new client.Counter({ name: 'tts_jobs_processed_total', help: 'Jobs.', registers: [workerRegistry] }).inc(3);
+  const workerMetrics = await workerRegistry.getMetricsAsJSON();
+
+  const worker = new EventEmitter();
+  worker.send = (message) =>
+    setImmediate(() => worker.emit('message', { type: 'metrics:response', requestId: message.requestId, metrics: workerMetrics }));
+  metrics.attachWorker('tts', worker);
+
+  const res = await scrape();
+  assert.equal(sampleValue(res.body, 'tts_jobs_processed_total', { process: 'tts-worker' }), 3);
+  assert.match(res.body, /http_requests_total/);
+  assert.equal(worker.listenerCount('message'), 0, 'the reply listener is removed');
+
+  worker.emit('exit');
+  assert.doesNotMatch((await scrape()).body, /tts_jobs_processed_total/);
+});
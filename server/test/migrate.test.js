@@ -0,0 +1,85 @@
+// test/migrate.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { installFakes } = require('./helpers/fakes');
+
+const { db } = installFakes();
+console.log = () => {}; // Progress output of the CLI
+
+const { migrateUp, migrateDown, migrationStatus } = require('../db/migrate');
+
+const MIGRATION_NAMES = fs
+  .readdirSync(path.join(__dirname, '..', 'db', 'migrations'))
+  .filter((file) => file.endsWith('.js'))
+  .sort()
+  .map((file) => path.basename(file, '.js'));
+
+let applied;
+let lockAvailable;
+
+beforeEach(() => {
+  applied = new Map();
+  lockAvailable = true;
+
+  db.reset();
+  db.on(/SELECT GET_LOCK/, () => [{ acquired: lockAvailable ? 1 : 0 }])
+    .on(/SELECT RELEASE_LOCK/, () => [{}])
+    .on(/CREATE TABLE IF NOT EXISTS schema_migrations/, () => ({ affectedRows: 0 }))
+    .on(/SELECT name, applied_at FROM schema_migrations/, () =>
+      [...applied.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([name, appliedAt]) => ({ name, applied_at: appliedAt }))
+    )
+    .on(/INSERT INTO schema_migrations/, ([name]) => {
+      applied.set(name, new Date());
+      return { affectedRows: 1 };
+    })
+    .on(/DELETE FROM schema_migrations/, ([name]) => {
+      applied.delete(name);
+      return { affectedRows: 1 };
+    })
+    // The migrations' own DDL
+    .on(/./, () => ({ affectedRows: 0 }));
+});
+
+test('applies pending migrations in order and only once', async () => {
+  assert.deepEqual(await migrateUp(), MIGRATION_NAMES);
+  assert.deepEqual(await migrateUp(), []);
+  assert.ok(MIGRATION_NAMES.every((name) => /^\d{3}_[\w-]+$/.test(name)));
+});
+
+test('reverts the most recent migrations', async () => {
+  await migrateUp();
+  assert.deepEqual(await migrateDown(2), MIGRATION_NAMES.slice(-2).reverse());
+  assert.equal(applied.size, MIGRATION_NAMES.length - 2);
+
+  const status = await migrationStatus();
+  assert.deepEqual(status.filter(({ appliedAt }) => !appliedAt).map(({ name }) => name), MIGRATION_NAMES.slice(-2));
+});
+
+test('reports applied migrations whose file is missing and refuses to revert them', async () => {
+  applied.set('999_removed', new Date());
+  assert.equal((await migrationStatus()).find(({ name }) => name === '999_removed').missing, true);
+  await assert.rejects(migrateDown(1), /999_removed is missing/);
+});
+
+test('refuses to run while another migration holds the lock', async () => {
+  lockAvailable = false;
+  await assert.rejects(migrateUp(), /Another migration is running/);
+  assert.equal(applied.size, 0);
+});
+
+test('seeding runs only from the command line and never against production', async () => {
+  const { run } = require('../db/seed');
+  assert.equal(db.queries.length, 0, 'requiring the seed script does not seed');
+
+  const { NODE_ENV } = process.env;
+  process.env.NODE_ENV = 'production';
+  try {
+    await assert.rejects(run(), /Refusing to seed a production database/);
+  } finally {
+    if (NODE_ENV === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = NODE_ENV;
+  }
+});
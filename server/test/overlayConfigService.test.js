@@ -0,0 +1,95 @@
+// test/overlayConfigService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes } = require('./helpers/fakes');
+
+const { db } = installFakes();
+
+const overlayConfig = require('../services/overlayConfigService');
+
+let stored;
+
+beforeEach(() => {
+  db.reset();
+  stored = null;
+  db.on(/SELECT config FROM overlay_configs/, () => (stored ? [{ config: stored }] : []));
+  db.on(/INSERT INTO overlay_configs/, ([, config]) => {
+    stored = config;
+    return { affectedRows: 1 };
+  });
+});
+
+const tiers = [
+  { minAmount: 50, sound: 'airhorn.mp3', animation: 'confetti', minDurationMs: 10000, tipTemplate: '{username} just dropped {amount}!!' },
+  { minAmount: 0, sound: 'chime.mp3', ttsMaxLength: 120 },
+];
+
+test('normalizes tiers, sorting them and filling in defaults', () => {
+  const config = overlayConfig.normalizeConfig({ tiers });
+
+  assert.equal(config.tipTemplate, overlayConfig.DEFAULT_CONFIG.tipTemplate);
+  assert.deepEqual(
+    config.tiers.map((tier) => tier.minAmount),
+    [0, 50]
+  );
+  assert.deepEqual(config.tiers[0], {
+    minAmount: 0,
+    sound: 'chime.mp3',
+    animation: null,
+    minDurationMs: 5000,
+    ttsEnabled: true,
+    ttsMaxLength: 120,
+    tipTemplate: null,
+    ttsTemplate: null,
+  });
+});
+
+test('rejects invalid configuration documents with a 400', () => {
+  const invalid = [
+    [null, /must be an object/],
+    [{ tipTemplate: '{username} sent {bitcoin}' }, /unknown placeholders: bitcoin/],
+    [{ ttsTemplate: 'x'.repeat(201) }, /at most 200 characters/],
+    [{ tiers: [] }, /1 to 10 entries/],
+    [{ tiers: Array.from({ length: 11 }, (_, index) => ({ minAmount: index })) }, /1 to 10 entries/],
+    [{ tiers: [{ minAmount: -1 }] }, /tiers\[0\]\.minAmount/],
+    [{ tiers: [{ minAmount: 0, minDurationMs: 60001 }] }, /tiers\[0\]\.minDurationMs/],
+    [{ tiers: [{ minAmount: 0, ttsMaxLength: 0 }] }, /tiers\[0\]\.ttsMaxLength/],
+    [{ tiers: [{ minAmount: 0, sound: 42 }] }, /tiers\[0\]\.sound/],
+    [{ tiers: [{ minAmount: 0 }, { minAmount: '0' }] }, /distinct minAmount/],
+  ];
+
+  for (const [input, message] of invalid) {
+    assert.throws(() => overlayConfig.normalizeConfig(input), { name: 'OverlayConfigError', statusCode: 400, message });
+  }
+});
+
+test('saves the normalized document and reads it back', async () => {
+  assert.equal(await overlayConfig.getConfig(5), overlayConfig.DEFAULT_CONFIG, 'creators without a config get the default');
+
+  const saved = await overlayConfig.saveConfig(5, { tiers });
+  assert.deepEqual(await overlayConfig.getConfig(5), saved);
+  await assert.rejects(overlayConfig.saveConfig(5, { tiers: [] }), { name: 'OverlayConfigError' });
+  assert.equal(db.find(/INSERT INTO overlay_configs/).length, 1);
+});
+
+test('renders alerts from the highest matching tier', async () => {
+  await overlayConfig.saveConfig(5, { tiers });
+
+  const big = await overlayConfig.buildAlert(5, 'tip', { username: 'ann', amount: 75 });
+  assert.deepEqual(big, {
+    text: 'ann just dropped $75.00!!',
+    sound: 'airhorn.mp3',
+    animation: 'confetti',
+    minDurationMs: 10000,
+    ttsEnabled: true,
+  });
+
+  const small = await overlayConfig.buildAlert(5, 'tip', { username: 'bo', amount: 49.99 });
+  assert.equal(small.text, 'bo tipped $49.99!');
+  assert.equal(small.sound, 'chime.mp3');
+
+  const tts = await overlayConfig.buildAlert(5, 'tts', { username: 'cy', message: 'hello' });
+  assert.equal(tts.text, 'cy says: hello');
+  assert.equal(overlayConfig.renderTemplate('{username}: {message}', { username: 'dee' }), 'dee: ');
+});
@@ -0,0 +1,43 @@
+// test/paymentService.integration.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, connectTestDatabase, createTipperAndCreator, succeededDelivery } = require('./helpers/testDatabase');
+
+let db;
+let announced;
+let paymentService;
+
+before(async () => {
+  if (skip) return;
+  ({ db, announced } = await connectTestDatabase());
+  paymentService = require('../services/paymentService');
+});
+
+after(async () => {
+  if (!skip) await db.end();
+});
+
+test('records and announces a payment once when its webhook is delivered concurrently', { skip }, async () => {
+  const { creatorId, tipperId } = await createTipperAndCreator(db);
+  const { paymentIntentId } = await paymentService.createTipIntent({ creatorId, tipperId, amount: 5, message: 'hi' });
+  const [[intent]] = await db.query('SELECT provider_intent_id FROM payment_intents WHERE id = ?', [paymentIntentId]);
+
+  // The same event twice, plus the provider's own retry under a new event id
+  const delivery = succeededDelivery(intent.provider_intent_id, 500);
+  const retry = succeededDelivery(intent.provider_intent_id, 500);
+  await Promise.all(
+    [delivery, delivery, retry].map(({ rawBody, headers }) => paymentService.handleWebhook('mock', rawBody, headers))
+  );
+
+  const [tips] = await db.query('SELECT id FROM tips WHERE creator_id = ?', [creatorId]);
+  assert.equal(tips.length, 1, 'one tip is recorded');
+  const [[confirmed]] = await db.query('SELECT status, tip_id, announced_at FROM payment_intents WHERE id = ?', [paymentIntentId]);
+  assert.equal(confirmed.status, 'succeeded');
+  assert.equal(confirmed.tip_id, tips[0].id);
+  assert.ok(confirmed.announced_at);
+
+  assert.equal(announced.filter(({ kind, sourceId }) => kind === 'tip' && sourceId === tips[0].id).length, 1, 'the tip is announced once');
+  const [postings] = await db.query("SELECT id FROM ledger_transactions WHERE type = 'tip' AND reference_type = 'tip' AND reference_id = ?", [tips[0].id]);
+  assert.equal(postings.length, 1, 'the tip is posted to the ledger once');
+});
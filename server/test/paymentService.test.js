@@ -0,0 +1,241 @@
+// test/paymentService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, stubModule } = require('./helpers/fakes');
+
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+
+const { db } = installFakes();
+
+class TipValidationError extends Error {}
+const calls = { insertTip: [], announceTip: [], createTTSRequest: [], claimRemedy: [], remedyClaimedTTS: [] };
+let failAnnouncement = false;
+let failTTSRequest = null;
+let creditAvailable = true;
+
+stubModule('services/tipService.js', {
+  TipValidationError,
+  parseTipAmount: (amount) => Math.round(Number(amount) * 100),
+  insertTip: async (connection, tip) => {
+    calls.insertTip.push(tip);
+    return { tipId: 77, creatorId: tip.creatorId, tipperId: tip.tipperId, amount: tip.amountCents / 100, message: tip.message };
+  },
+  findTip: async (connection, tipId) => ({ tipId, creatorId: 5, tipperId: 9, amount: 5, message: null }),
+  announceTip: async (tip) => {
+    calls.announceTip.push(tip);
+    if (failAnnouncement) throw new Error('Redis is down');
+  },
+});
+stubModule('services/ttsRequestService.js', {
+  createTTSRequest: async (request) => {
+    calls.createTTSRequest.push(request);
+    if (failTTSRequest) throw failTTSRequest;
+    return { ttsRequestId: 300, status: 'processing' };
+  },
+});
+stubModule('services/tipReversalService.js', { reverseTip: async () => ({}), findTipIdForIntent: async () => null });
+stubModule('services/overlayConfigService.js', {
+  getConfig: async () => ({}),
+  resolveTier: () => ({ ttsEnabled: true }),
+});
+stubModule('services/moderationService.js', { OUTCOMES: { REJECT: 'reject' }, moderateMessage: async (text) => ({ outcome: 'allow', text }) });
+stubModule('services/voiceCatalogService.js', { VoiceError: class extends Error {}, resolveCreatorVoice: async () => ({ key: 'en-US' }) });
+stubModule('services/ttsPricingService.js', {
+  TTSPricingError: class extends Error {},
+  consumeCredit: async () => creditAvailable,
+  claimRemedy: async (connection, claim) => {
+    calls.claimRemedy.push(claim);
+    tipRemedy = 'credit';
+    return true;
+  },
+  remedyClaimedTTS: async (tipId) => calls.remedyClaimedTTS.push(tipId),
+  remedyPaidTTS: async () => null,
+});
+
+const paymentService = require('../services/paymentService');
+const mockPaymentProvider = require('../services/paymentProviders/mockPaymentProvider');
+const { WebhookSignatureError } = require('../services/paymentProviders');
+
+let intent;
+let processedEvents;
+let tipRemedy;
+
+const succeededEvent = (id, amount = 500) =>
+  Buffer.from(JSON.stringify({ id, type: 'payment_intent.succeeded', data: { object: { id: 'mock_pi_1', amount } } }));
+
+const deliver = (rawBody) => paymentService.handleWebhook('mock', rawBody, { 'x-mock-signature': mockPaymentProvider.signPayload(rawBody) });
+
+beforeEach(() => {
+  Object.values(calls).forEach((list) => list.splice(0));
+  failAnnouncement = false;
+  failTTSRequest = null;
+  creditAvailable = true;
+  tipRemedy = null;
+  processedEvents = new Map();
+  intent = {
+    id: 1,
+    provider: 'mock',
+    provider_intent_id: 'mock_pi_1',
+    tipper_id: 9,
+    creator_id: 5,
+    amount_cents: 500,
+    message: 'hi',
+    tts_message: null,
+    tts_voice: null,
+    tts_price_cents: 0,
+    tts_credit_cents: 0,
+    status: 'requires_payment',
+    tip_id: null,
+    tts_request_id: null,
+    announced_at: null,
+  };
+
+  db.reset();
+  db.on(/INSERT IGNORE INTO payment_webhook_events/, ([, eventId]) => {
+    if (!processedEvents.has(eventId)) processedEvents.set(eventId, null);
+    return { affectedRows: 1 };
+  })
+    .on(/SELECT processed_at FROM payment_webhook_events/, ([, eventId]) => [{ processed_at: processedEvents.get(eventId) }])
+    .on(/UPDATE payment_webhook_events SET processed_at/, ([, eventId]) => {
+      processedEvents.set(eventId, new Date());
+      return { affectedRows: 1 };
+    })
+    .on(/SELECT \* FROM payment_intents .* FOR UPDATE/s, () => [{ ...intent }])
+    .on(/UPDATE payment_intents SET status = \?, tip_id = \?/, ([status, tipId]) => {
+      Object.assign(intent, { status, tip_id: tipId });
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE payment_intents SET status = 'flagged'/, ([reason]) => {
+      Object.assign(intent, { status: 'flagged', failure_reason: reason });
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE payment_intents SET announced_at = NOW\(\) WHERE id = \? AND announced_at IS NULL/, () => {
+      if (intent.announced_at) return { affectedRows: 0 };
+      intent.announced_at = new Date();
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE payment_intents SET announced_at = NULL/, () => {
+      intent.announced_at = null;
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE payment_intents SET tts_request_id/, ([ttsRequestId]) => {
+      intent.tts_request_id = ttsRequestId;
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE payment_intents SET tts_credit_cents = 0/, () => {
+      intent.tts_credit_cents = 0;
+      return { affectedRows: 1 };
+    })
+    .on(/SELECT tts_remedy FROM tips/, () => [{ tts_remedy: tipRemedy }])
+    .on(/SELECT id, status FROM tts_requests WHERE tip_id/, () => []);
+});
+
+test('rejects deliveries with a forged signature', async () => {
+  const rawBody = succeededEvent('evt_forged');
+  await assert.rejects(
+    paymentService.handleWebhook('mock', rawBody, { 'x-mock-signature': `t=${Math.floor(Date.now() / 1000)},v1=${'0'.repeat(64)}` }),
+    WebhookSignatureError
+  );
+  assert.equal(db.queries.length, 0);
+});
+
+test('records the tip once and acknowledges replays of the same event', async () => {
+  const rawBody = succeededEvent('evt_1');
+  assert.deepEqual(await deliver(rawBody), { eventId: 'evt_1', type: 'payment_intent.succeeded', duplicate: false });
+  assert.equal(intent.status, 'succeeded');
+  assert.equal(intent.tip_id, 77);
+  assert.equal(calls.insertTip.length, 1);
+  assert.equal(calls.announceTip.length, 1);
+  assert.ok(intent.announced_at);
+
+  assert.equal((await deliver(rawBody)).duplicate, true);
+  assert.equal(calls.insertTip.length, 1);
+  assert.equal(calls.announceTip.length, 1);
+});
+
+test('resumes the announcement when a redelivery follows a failed one', async () => {
+  const rawBody = succeededEvent('evt_2');
+  failAnnouncement = true;
+  await assert.rejects(deliver(rawBody), /Redis is down/);
+  assert.equal(intent.status, 'succeeded');
+  assert.equal(intent.announced_at, null);
+  assert.equal(processedEvents.get('evt_2'), null, 'the provider must redeliver the event');
+
+  failAnnouncement = false;
+  await deliver(rawBody);
+  assert.equal(calls.insertTip.length, 1, 'the tip is not recorded twice');
+  assert.equal(calls.announceTip.length, 2);
+  assert.equal(calls.announceTip[1].tipId, 77);
+  assert.ok(intent.announced_at);
+  assert.ok(processedEvents.get('evt_2'));
+});
+
+test('resumes bundled TTS that was never requested', async () => {
+  Object.assign(intent, { tts_message: 'hello', tts_voice: 'en-US', tts_price_cents: 100, status: 'succeeded', tip_id: 77, announced_at: new Date() });
+  await deliver(succeededEvent('evt_3'));
+  assert.equal(calls.insertTip.length, 0);
+  assert.equal(calls.announceTip.length, 0);
+  assert.equal(calls.createTTSRequest.length, 1);
+  assert.equal(calls.createTTSRequest[0].priceCents, 100);
+  assert.equal(intent.tts_request_id, 300);
+});
+
+test('announces a payment once when its deliveries race', async () => {
+  Object.assign(intent, { status: 'succeeded', tip_id: 77 });
+  await Promise.all([deliver(succeededEvent('evt_6')), deliver(succeededEvent('evt_7'))]);
+  assert.equal(calls.announceTip.length, 1);
+  assert.ok(intent.announced_at);
+});
+
+test('leaves bundled TTS to the delivery that requested it first', async () => {
+  Object.assign(intent, { tts_message: 'hello', tts_price_cents: 100, status: 'succeeded', tip_id: 77, announced_at: new Date() });
+  failTTSRequest = Object.assign(new Error("Duplicate entry '77' for key 'uq_tts_requests_tip'"), { code: 'ER_DUP_ENTRY' });
+
+  await deliver(succeededEvent('evt_8'));
+  assert.equal(intent.tts_request_id, null, 'the other delivery links its own request');
+  assert.ok(processedEvents.get('evt_8'));
+});
+
+test('flags an intent paid with a different amount and acknowledges the event', async () => {
+  const result = await deliver(succeededEvent('evt_4', 499));
+  assert.equal(result.duplicate, false);
+  assert.equal(intent.status, 'flagged');
+  assert.match(intent.failure_reason, /expected 500, got 499/);
+  assert.equal(calls.insertTip.length, 0);
+  assert.ok(processedEvents.get('evt_4'));
+});
+
+test('remedies bundled TTS instead of playing it when its credit was spent elsewhere', async () => {
+  Object.assign(intent, { tts_message: 'hello', tts_voice: 'en-US', tts_price_cents: 150, tts_credit_cents: 50 });
+  creditAvailable = false;
+
+  await deliver(succeededEvent('evt_5'));
+  assert.equal(intent.status, 'succeeded');
+  assert.equal(intent.tts_credit_cents, 0);
+  assert.deepEqual(calls.claimRemedy, [{ tipId: 77, priceCents: 100, reason: 'TTS credit applied to this message was spent elsewhere.' }]);
+  assert.deepEqual(calls.remedyClaimedTTS, [77]);
+  assert.equal(calls.createTTSRequest.length, 0);
+});
+
+test('refuses the mock provider without a webhook secret or in production', () => {
+  const { NODE_ENV, ALLOW_MOCK_PAYMENTS, MOCK_PAYMENT_WEBHOOK_SECRET } = process.env;
+  try {
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    assert.throws(() => mockPaymentProvider.assertConfigured(), /MOCK_PAYMENT_WEBHOOK_SECRET is not set/);
+
+    process.env.MOCK_PAYMENT_WEBHOOK_SECRET = MOCK_PAYMENT_WEBHOOK_SECRET;
+    process.env.NODE_ENV = 'production';
+    delete process.env.ALLOW_MOCK_PAYMENTS;
+    assert.throws(() => mockPaymentProvider.assertConfigured(), /disabled in production/);
+
+    process.env.ALLOW_MOCK_PAYMENTS = 'true';
+    assert.doesNotThrow(() => mockPaymentProvider.assertConfigured());
+  } finally {
+    Object.assign(process.env, { MOCK_PAYMENT_WEBHOOK_SECRET });
+    if (NODE_ENV === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = NODE_ENV;
+    if (ALLOW_MOCK_PAYMENTS === undefined) delete process.env.ALLOW_MOCK_PAYMENTS;
+    else process.env.ALLOW_MOCK_PAYMENTS = ALLOW_MOCK_PAYMENTS;
+  }
+});
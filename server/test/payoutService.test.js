@@ -0,0 +1,137 @@
+// test/payoutService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes } = require('./helpers/fakes');
+
+const { db } = installFakes();
+
+const ledgerService = require('../services/ledgerService');
+const localPayoutProvider = require('../services/payoutProviders/localPayoutProvider');
+const payoutService = require('../services/payoutService');
+
+const sendLocalPayout = localPayoutProvider.sendPayout;
+
+let payouts;
+let accounts;
+let balances;
+let ledgerPostings;
+let sentPayouts;
+
+const addPayout = (payout) => {
+  payouts.set(payout.id, { batch_id: 1, currency: 'USD', status: 'pending', provider: 'local', stale: false, ...payout });
+};
+
+const pendingRows = (filter) =>
+  [...payouts.values()]
+    .filter((payout) => payout.status === 'pending' && filter(payout))
+    .map(({ id, creator_id, amount_cents, currency, provider, payment_info }) => ({
+      id,
+      creator_id,
+      amount_cents,
+      currency,
+      provider,
+      payment_info,
+    }));
+
+beforeEach(() => {
+  payouts = new Map();
+  accounts = [];
+  balances = {};
+  ledgerPostings = [];
+  sentPayouts = [];
+
+  ledgerService.getBalanceCents = async (ownerType, ownerId) => balances[ownerId] || 0;
+  ledgerService.postPayout = async (connection, posting) => ledgerPostings.push(posting);
+  localPayoutProvider.sendPayout = async (request) => {
+    sentPayouts.push(request);
+    return sendLocalPayout(request);
+  };
+
+  db.reset();
+  db.on(/p\.status = 'pending' AND p\.created_at < NOW\(\)/, () => pendingRows((payout) => payout.stale))
+    .on(/WHERE p\.batch_id = \? AND p\.status = 'pending'/, ([batchId]) => pendingRows((payout) => payout.batch_id === batchId))
+    .on(/FROM ledger_accounts la/, () => accounts)
+    .on(/INSERT INTO payout_batches/, () => ({ insertId: 10 }))
+    .on(/INSERT INTO payouts/, ([batchId, creatorId, amountCents]) => {
+      const id = 100 + payouts.size;
+      addPayout({ id, batch_id: batchId, creator_id: creatorId, amount_cents: amountCents, payment_info: '{"iban":"X"}' });
+      return { insertId: id };
+    })
+    .on(/SELECT \* FROM payouts WHERE id = \?/, ([id]) => (payouts.has(id) ? [{ ...payouts.get(id) }] : []))
+    .on(/UPDATE payouts\s+SET status = \?/, ([status, providerReference, failureReason, id]) => {
+      const payout = payouts.get(id);
+      Object.assign(payout, { status, failure_reason: failureReason });
+      if (providerReference) payout.provider_reference = providerReference;
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE payout_batches/, () => ({ affectedRows: 1 }));
+});
+
+test('pays verified creators above the minimum and skips unverified ones', async () => {
+  accounts = [
+    { id: 1, creatorId: 1, emailVerified: 1 },
+    { id: 2, creatorId: 2, emailVerified: 0 },
+    { id: 3, creatorId: 3, emailVerified: 1 },
+  ];
+  balances = { 1: 7500, 2: 9000, 3: 100 };
+
+  const result = await payoutService.runPayouts();
+  assert.deepEqual(result.unverifiedCreatorIds, [2]);
+  assert.deepEqual(result.payoutIds, [100]);
+  assert.equal(result.sent, 1);
+  assert.equal(payouts.get(100).creator_id, 1);
+  assert.equal(payouts.get(100).amount_cents, 7500);
+  assert.equal(payouts.get(100).status, 'sent');
+  assert.deepEqual(
+    ledgerPostings.map(({ payoutId, stage }) => [payoutId, stage]),
+    [
+      [100, 'created'],
+      [100, 'sent'],
+    ]
+  );
+});
+
+test('resends stale pending payouts with the payout id as idempotency key', async () => {
+  addPayout({ id: 4, creator_id: 1, amount_cents: 2500, payment_info: '{"iban":"X"}', stale: true });
+  addPayout({ id: 5, creator_id: 2, amount_cents: 2500, payment_info: '{"iban":"Y"}' });
+
+  const result = await payoutService.runPayouts();
+  assert.deepEqual(result.retried, { sent: 1, failed: 0 });
+  assert.equal(result.batchId, null);
+  assert.deepEqual(
+    sentPayouts.map(({ payoutId, idempotencyKey }) => [payoutId, idempotencyKey]),
+    [[4, 'payout-4']]
+  );
+  assert.equal(payouts.get(4).status, 'sent');
+  assert.equal(payouts.get(4).provider_reference, 'local_po_payout-4');
+  assert.equal(payouts.get(5).status, 'pending', 'recent pending payouts may still be in flight');
+});
+
+test('marks a payout failed when the provider rejects it', async () => {
+  addPayout({ id: 6, creator_id: 1, amount_cents: 2500, payment_info: null });
+
+  assert.deepEqual(await payoutService.processPayoutBatch(1), { sent: 0, failed: 1 });
+  assert.equal(payouts.get(6).status, 'failed');
+  assert.equal(payouts.get(6).failure_reason, 'Creator has no payment details on file.');
+  assert.deepEqual(ledgerPostings.map(({ stage }) => stage), ['failed']);
+});
+
+test('leaves a payout pending when sending it fails unexpectedly', async () => {
+  addPayout({ id: 7, creator_id: 1, amount_cents: 2500, payment_info: '{"iban":"X"}' });
+  localPayoutProvider.sendPayout = async () => {
+    throw new Error('socket hang up');
+  };
+
+  assert.deepEqual(await payoutService.processPayoutBatch(1), { sent: 0, failed: 0 });
+  assert.equal(payouts.get(7).status, 'pending');
+  assert.equal(ledgerPostings.length, 0);
+});
+
+test('refuses status changes the payout lifecycle does not allow', async () => {
+  addPayout({ id: 8, creator_id: 1, amount_cents: 2500, status: 'failed' });
+
+  await assert.rejects(payoutService.updatePayoutStatus(8, 'sent'), { name: 'PayoutError', statusCode: 409 });
+  await assert.rejects(payoutService.updatePayoutStatus(999, 'sent'), { name: 'PayoutError', statusCode: 404 });
+  assert.equal(ledgerPostings.length, 0);
+});
@@ -0,0 +1,63 @@
+// test/payoutsController.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, stubModule, createFakeResponse } = require('./helpers/fakes');
+
+installFakes();
+
+const calls = { list: [], update: [] };
+stubModule('services/payoutService.js', {
+  PAYOUT_STATUSES: ['pending', 'sent', 'failed', 'reversed'],
+  PayoutError: class PayoutError extends Error {},
+  listCreatorPayouts: async (creatorId, options) => {
+    calls.list.push(options);
+    return [];
+  },
+  getCreatorPayout: async () => ({ id: 8 }),
+  updatePayoutStatus: async (payoutId, status) => {
+    calls.update.push({ payoutId, status });
+    return { id: payoutId, status };
+  },
+});
+
+const payoutsController = require('../controllers/payoutsController');
+
+beforeEach(() => {
+  calls.list.splice(0);
+  calls.update.splice(0);
+});
+
+const list = async (query) => {
+  const res = createFakeResponse();
+  await payoutsController.listPayouts({ params: { id: '5' }, query }, res);
+  return res;
+};
+
+test('pages payout lists and refuses pages it cannot serve', async () => {
+  assert.deepEqual((await list({})).body, { page: 1, limit: 20, payouts: [] });
+  assert.equal((await list({ page: '3', limit: '10' })).statusCode, 200);
+  assert.deepEqual(calls.list, [
+    { limit: 20, offset: 0 },
+    { limit: 10, offset: 20 },
+  ]);
+
+  for (const query of [{ page: '0' }, { page: '-2' }, { page: 'abc' }, { limit: '0' }, { limit: '101' }, { limit: '2.5' }]) {
+    assert.equal((await list(query)).statusCode, 400, JSON.stringify(query));
+  }
+  assert.equal(calls.list.length, 2);
+});
+
+test('only lets admins move payouts on from pending', async () => {
+  const update = async (status) => {
+    const res = createFakeResponse();
+    await payoutsController.updatePayoutStatus({ params: { id: '5', payoutId: 8 }, body: { status } }, res);
+    return res;
+  };
+
+  assert.equal((await update('sent')).statusCode, 200);
+  const refused = await update('pending');
+  assert.equal(refused.statusCode, 400);
+  assert.match(refused.body.error, /sent, failed, reversed/);
+  assert.deepEqual(calls.update, [{ payoutId: 8, status: 'sent' }]);
+});
@@ -0,0 +1,134 @@
+// test/playbackQueueService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, stubModule, createFakeRedis } = require('./helpers/fakes');
+
+process.env.AUDIO_URL_SIGNING_SECRET = 'test-signing-secret';
+
+const { socket } = installFakes();
+
+let redis;
+stubModule('queues/redisClient.js', { getRedis: () => redis });
+
+const playback = require('../services/playbackQueueService');
+
+const CREATOR_ID = 5;
+let overlayConnected;
+
+beforeEach(() => {
+  redis = createFakeRedis();
+  socket.emitted.length = 0;
+  overlayConnected = true;
+  socket.hasOverlay = () => overlayConnected;
+});
+
+const tipAlert = (tipId) => ({ kind: 'tip', sourceId: tipId, event: 'receive-tip', payload: { tipId } });
+const overlayEvents = () => socket.emitted.filter((event) => event.overlayOnly);
+const delivered = () =>
+  overlayEvents()
+    .filter((event) => event.event !== 'alert-skip')
+    .map((event) => event.payload.playbackId);
+
+test('delivers one alert at a time and moves on when the overlay acks', async () => {
+  assert.equal(await playback.enqueue(CREATOR_ID, tipAlert(1)), 'tip-1');
+  await playback.enqueue(CREATOR_ID, tipAlert(2));
+  assert.deepEqual(delivered(), ['tip-1'], 'the second alert waits for the first');
+
+  assert.equal(await playback.ackPlayed(CREATOR_ID, 'tip-2'), false, 'acks for items not playing are ignored');
+  assert.equal(await playback.ackPlayed(CREATOR_ID, 'tip-1'), true);
+  assert.deepEqual(delivered(), ['tip-1', 'tip-2']);
+
+  await playback.ackPlayed(CREATOR_ID, 'tip-2');
+  const state = await playback.getState(CREATOR_ID);
+  assert.equal(state.current, null);
+  assert.deepEqual(
+    state.history.map((item) => [item.id, item.outcome]),
+    [
+      ['tip-2', 'played'],
+      ['tip-1', 'played'],
+    ]
+  );
+});
+
+test('never queues the same alert twice', async () => {
+  await playback.enqueue(CREATOR_ID, tipAlert(1));
+  assert.equal(await playback.enqueue(CREATOR_ID, tipAlert(1)), null);
+  assert.deepEqual(delivered(), ['tip-1']);
+});
+
+test('holds alerts while no overlay is connected and sends them on reconnect', async () => {
+  overlayConnected = false;
+  await playback.enqueue(CREATOR_ID, tipAlert(1));
+  assert.deepEqual(delivered(), []);
+
+  overlayConnected = true;
+  await playback.redeliver(CREATOR_ID);
+  assert.deepEqual(delivered(), ['tip-1']);
+
+  // An overlay that drops mid-alert gets the unacknowledged alert again
+  await playback.redeliver(CREATOR_ID);
+  assert.deepEqual(delivered(), ['tip-1', 'tip-1']);
+});
+
+test('retries failed deliveries, then drops them', async () => {
+  await playback.enqueue(CREATOR_ID, tipAlert(1));
+  await playback.enqueue(CREATOR_ID, tipAlert(2));
+
+  await playback.failItem(CREATOR_ID, 'tip-1', 'overlay_error');
+  await playback.failItem(CREATOR_ID, 'tip-1', 'overlay_error');
+  await playback.failItem(CREATOR_ID, 'tip-1', 'overlay_error');
+
+  assert.deepEqual(delivered(), ['tip-1', 'tip-1', 'tip-1', 'tip-2']);
+  const [dropped] = (await playback.getState(CREATOR_ID)).history;
+  assert.equal(dropped.outcome, 'failed');
+  assert.equal(dropped.failureReason, 'overlay_error');
+});
+
+test('skips, replays, pauses and resumes from the dashboard', async () => {
+  await playback.enqueue(CREATOR_ID, tipAlert(1));
+  await playback.enqueue(CREATOR_ID, tipAlert(2));
+  await playback.enqueue(CREATOR_ID, tipAlert(3));
+
+  assert.equal(await playback.skip(CREATOR_ID, 'tip-2'), 'tip-2', 'queued items can be removed');
+  assert.equal(await playback.skip(CREATOR_ID), 'tip-1', 'without an id the playing item is skipped');
+  assert.ok(overlayEvents().some((event) => event.event === 'alert-skip' && event.payload.playbackId === 'tip-1'));
+  assert.deepEqual(delivered(), ['tip-1', 'tip-3']);
+  await assert.rejects(playback.skip(CREATOR_ID, 'tip-9'), { name: 'PlaybackError', statusCode: 404 });
+
+  await playback.pause(CREATOR_ID);
+  await playback.ackPlayed(CREATOR_ID, 'tip-3');
+  const replayId = await playback.replay(CREATOR_ID, 'tip-1');
+  assert.match(replayId, /^tip-1-replay-\d+$/);
+  assert.equal((await playback.getState(CREATOR_ID)).current, null, 'nothing is delivered while paused');
+
+  await playback.resume(CREATOR_ID);
+  assert.equal((await playback.getState(CREATOR_ID)).current.replayOf, 'tip-1');
+  await assert.rejects(playback.replay(CREATOR_ID, 'tip-2-unknown'), { statusCode: 404 });
+});
+
+test('signs TTS audio links afresh on every delivery', async () => {
+  await playback.enqueue(CREATOR_ID, {
+    kind: 'tts',
+    sourceId: 7,
+    event: 'tts-request',
+    payload: { ttsRequestId: 7, audioUrl: '/api/tts/download/7?expires=1&signature=stale' },
+  });
+
+  const [sent] = overlayEvents();
+  assert.match(sent.payload.audioUrl, /^\/api\/tts\/download\/7\?expires=\d+&signature=[0-9a-f]{64}$/);
+});
+
+test('falls back to emitting directly when Redis is unavailable', async () => {
+  redis = { hsetnx: async () => Promise.reject(new Error('Connection is closed.')) };
+
+  await playback.announce(CREATOR_ID, tipAlert(1));
+
+  assert.deepEqual(
+    socket.emitted.map(({ event, overlayOnly, options }) => [event, Boolean(overlayOnly), options?.overlay]),
+    [
+      ['receive-tip', false, false],
+      ['receive-tip', true, undefined],
+    ]
+  );
+});
@@ -0,0 +1,111 @@
+// test/rateLimit.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, runMiddleware } = require('./helpers/fakes');
+
+const { db } = installFakes();
+
+const { createMemoryStore, setStore } = require('../services/rateLimitStore');
+const { rateLimit, ttsCooldown, tipTTSCooldown, recordLoginFailure, loginLockout } = require('../middlewares/rateLimit');
+
+let store;
+
+beforeEach(() => {
+  store = createMemoryStore();
+  setStore(store);
+  db.reset();
+  db.on(/SELECT tts_cooldown_seconds FROM creators/, ([creatorId]) => [{ tts_cooldown_seconds: creatorId === 5 ? 30 : 0 }]);
+});
+
+/*********************************************
+ * Memory Store
+ ********************************************/
+test('counts hits in a sliding window and refuses them past the maximum', async () => {
+  assert.deepEqual(await store.hit('k', 1000, 2), { count: 1, allowed: true, resetMs: 1000 });
+  assert.equal((await store.hit('k', 1000, 2)).allowed, true);
+  const refused = await store.hit('k', 1000, 2);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.count, 2);
+  assert.ok((await store.hit('k', 1000, 2)).resetMs <= 1000);
+  await store.reset('k');
+  assert.equal((await store.hit('k', 1000, 2)).allowed, true);
+});
+
+test('blocks, acquires and expires keys', async () => {
+  assert.equal(await store.acquire('cooldown', 50), 0);
+  assert.ok((await store.acquire('cooldown', 50)) > 0);
+  assert.ok((await store.ttl('cooldown')) > 0);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(await store.ttl('cooldown'), 0);
+  assert.equal(await store.acquire('cooldown', 50), 0);
+
+  assert.equal(await store.increment('failures', 1000), 1);
+  assert.equal(await store.increment('failures', 1000), 2);
+});
+
+/*********************************************
+ * Middlewares
+ ********************************************/
+test('rate limits by every key source of a policy and answers 429 with Retry-After', async () => {
+  const limiter = rateLimit('register');
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    assert.equal((await runMiddleware(limiter, { ip: '10.0.0.1', params: {}, body: {} })).passed, true);
+  }
+
+  const { passed, res } = await runMiddleware(limiter, { ip: '10.0.0.1', params: {}, body: {}, method: 'POST', originalUrl: '/api/auth/register' });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['RateLimit-Remaining'], '0');
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+
+  assert.equal((await runMiddleware(limiter, { ip: '10.0.0.2', params: {}, body: {} })).passed, true, 'other IPs are unaffected');
+});
+
+test('locks an email out after repeated login failures', async () => {
+  const req = { ip: '10.0.0.1', params: {}, body: { email: 'Fan@Example.com' } };
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    await recordLoginFailure('fan@example.com', req.ip);
+  }
+  const { passed, res } = await runMiddleware(loginLockout, req);
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+});
+
+test('enforces the TTS cooldown and gives it back when the request is not accepted', async () => {
+  const req = { user: { userId: 9 }, body: { creatorId: 5 } };
+
+  const rejected = await runMiddleware(ttsCooldown, req);
+  assert.equal(rejected.passed, true);
+  rejected.res.statusCode = 422;
+  rejected.res.emit('finish');
+  await new Promise(setImmediate);
+
+  const accepted = await runMiddleware(ttsCooldown, req);
+  assert.equal(accepted.passed, true, 'a rejected message does not cost the cooldown');
+  accepted.res.statusCode = 201;
+  accepted.res.emit('finish');
+  await new Promise(setImmediate);
+
+  const limited = await runMiddleware(ttsCooldown, req);
+  assert.equal(limited.passed, false);
+  assert.equal(limited.res.statusCode, 429);
+  assert.match(limited.res.body.error, /one TTS message every 30 seconds/);
+
+  assert.equal((await runMiddleware(ttsCooldown, { user: { userId: 9 }, body: { creatorId: 6 } })).passed, true, 'creators without a cooldown');
+});
+
+test('holds tips carrying a TTS message to the same cooldown', async () => {
+  const accepted = await runMiddleware(ttsCooldown, { user: { userId: 9 }, body: { creatorId: 5 } });
+  accepted.res.statusCode = 201;
+  accepted.res.emit('finish');
+  await new Promise(setImmediate);
+
+  const limited = await runMiddleware(tipTTSCooldown, { user: { userId: 9 }, body: { streamerId: 5, tipAmount: 5, ttsMessage: 'hi' } });
+  assert.equal(limited.passed, false);
+  assert.equal(limited.res.statusCode, 429);
+
+  const plainTip = await runMiddleware(tipTTSCooldown, { user: { userId: 9 }, body: { streamerId: 5, tipAmount: 5, message: 'hi' } });
+  assert.equal(plainTip.passed, true, 'tips without TTS are not affected');
+});
@@ -0,0 +1,44 @@
+// test/signedUrlService.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUDIO_URL_SIGNING_SECRET = 'test-signing-secret';
+
+const { createSignedDownloadUrl, verifyDownloadSignature } = require('../services/signedUrlService');
+
+const parse = (link) => {
+  const url = new URL(link, 'http://localhost');
+  return { path: url.pathname, expires: url.searchParams.get('expires'), signature: url.searchParams.get('signature') };
+};
+
+test('signs download links that verify for their request only', () => {
+  const { path, expires, signature } = parse(createSignedDownloadUrl(42));
+  assert.equal(path, '/api/tts/download/42');
+  assert.equal(verifyDownloadSignature(42, expires, signature), true);
+  assert.equal(verifyDownloadSignature('42', expires, signature), true);
+  assert.equal(verifyDownloadSignature(43, expires, signature), false);
+});
+
+test('rejects expired, extended and tampered links', () => {
+  const expired = parse(createSignedDownloadUrl(7, { expiresIn: -10 }));
+  assert.equal(verifyDownloadSignature(7, expired.expires, expired.signature), false);
+
+  const { expires, signature } = parse(createSignedDownloadUrl(7));
+  assert.equal(verifyDownloadSignature(7, Number(expires) + 3600, signature), false, 'the expiry is part of the signature');
+  assert.equal(verifyDownloadSignature(7, expires, signature.replace(/^./, (c) => (c === 'a' ? 'b' : 'a'))), false);
+  assert.equal(verifyDownloadSignature(7, expires, signature.slice(2)), false);
+  assert.equal(verifyDownloadSignature(7, expires, undefined), false);
+  assert.equal(verifyDownloadSignature(7, 'soon', signature), false);
+});
+
+test('prefixes links with API_URL when it is set', () => {
+  const { API_URL } = process.env;
+  try {
+    process.env.API_URL = 'https://api.example.com/';
+    assert.match(createSignedDownloadUrl(5), /^https:\/\/api\.example\.com\/api\/tts\/download\/5\?expires=\d+&signature=[0-9a-f]{64}$/);
+  } finally {
+    if (API_URL === undefined) delete process.env.API_URL;
+    else process.env.API_URL = API_URL;
+  }
+});
@@ -0,0 +1,115 @@
+// test/socket.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { io: connect } = require('socket.io-client');
+const { SERVER_ROOT, stubModule, createFakeDb } = require('./helpers/fakes');
+
+// socket.js is the module under test here, so only the db is faked
+const db = stubModule('db/db.js', createFakeDb());
+const logger = require('../logger');
+logger.silent = true;
+logger.exceptions.unhandle();
+logger.rejections.unhandle();
+
+const users = {
+  'owner-token': { userId: 10, role: 'creator' },
+  'other-token': { userId: 11, role: 'creator' },
+  'moderator-token': { userId: 12, role: 'moderator' },
+};
+stubModule('services/tokenService.js', { verifyAccessToken: async (token) => users[token] || null });
+
+const redelivered = [];
+stubModule('services/playbackQueueService.js', {
+  redeliver: async (creatorId) => redelivered.push(creatorId),
+  ackPlayed: async () => {},
+  failItem: async () => {},
+});
+
+const socket = require(`${SERVER_ROOT}/socket`);
+
+db.on(/SELECT id FROM creators WHERE overlay_key = \?/, ([overlayKey]) => (overlayKey === 'overlay-key' ? [{ id: 5 }] : []));
+db.on(/SELECT id, user_id FROM creators WHERE id = \?/, ([creatorId]) => (Number(creatorId) === 5 ? [{ id: 5, user_id: 10 }] : []));
+
+let server;
+let baseUrl;
+const clients = [];
+
+before(async () => {
+  server = http.createServer();
+  socket.init(server);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  clients.forEach((client) => client.close());
+  socket.disconnectAll();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+/**
+ * Connects to a namespace and resolves once the handshake succeeds or fails.
+ * @returns {Promise<{ client: Object, error?: Error }>}
+ */
+const open = (namespace, auth) =>
+  new Promise((resolve) => {
+    const client = connect(`${baseUrl}${namespace}`, { auth, transports: ['websocket'], reconnection: false });
+    clients.push(client);
+    client.once('connect', () => resolve({ client }));
+    client.once('connect_error', (error) => resolve({ client, error }));
+  });
+
+const joinRoom = (client, creatorId) => new Promise((resolve) => client.emit('join-creator-room', creatorId, resolve));
+
+const nextEvent = (client, event) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No '${event}' received`)), 1000);
+    client.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+
+test('refuses dashboard and overlay handshakes without valid credentials', async () => {
+  assert.equal((await open('/dashboard', {})).error?.message, 'Unauthorized');
+  assert.equal((await open('/dashboard', { token: 'expired-token' })).error?.message, 'Unauthorized');
+  assert.equal((await open('/overlay', {})).error?.message, 'Unauthorized');
+  assert.equal((await open('/overlay', { overlayKey: 'wrong-key' })).error?.message, 'Unauthorized');
+});
+
+test('lets dashboards join only the rooms of creators they may act on', async () => {
+  const { client: owner } = await open('/dashboard', { token: 'owner-token' });
+  const { client: other } = await open('/dashboard', { token: 'other-token' });
+  const { client: moderator } = await open('/dashboard', { token: 'moderator-token' });
+
+  assert.deepEqual(await joinRoom(owner, 5), { ok: true });
+  assert.deepEqual(await joinRoom(other, 5), { ok: false, error: 'Forbidden' });
+  assert.deepEqual(await joinRoom(moderator, 5), { ok: true });
+  assert.deepEqual(await joinRoom(owner, 404), { ok: false, error: 'Forbidden' });
+
+  const received = nextEvent(owner, 'new-tip');
+  let leaked = false;
+  other.on('new-tip', () => (leaked = true));
+  socket.emitToCreator(5, 'new-tip', { amount: 5 });
+
+  assert.deepEqual(await received, { amount: 5 });
+  assert.equal(leaked, false);
+});
+
+test('joins overlays to their creator room and keeps dashboard-only events from them', async () => {
+  const { client: overlay, error } = await open('/overlay', { overlayKey: 'overlay-key' });
+  assert.equal(error, undefined);
+  assert.deepEqual(redelivered, [5]);
+
+  let dashboardOnly = false;
+  overlay.on('tip-refunded', () => (dashboardOnly = true));
+  socket.emitToCreator(5, 'tip-refunded', {}, { overlay: false });
+
+  const received = nextEvent(overlay, 'new-tip');
+  socket.emitToCreator(5, 'new-tip', { amount: 7 });
+  assert.deepEqual(await received, { amount: 7 });
+  assert.equal(dashboardOnly, false);
+  assert.equal(socket.hasOverlay(5), true);
+});
@@ -0,0 +1,71 @@
+// test/storage.test.js
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installFakes } = require('./helpers/fakes');
+
+installFakes();
+
+// Both backends read their configuration when they load
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.AWS_S3_BUCKET_NAME = 'tips-audio';
+process.env.AWS_REGION = 'eu-west-1';
+
+const { getStorage, resolveUrl } = require('../services/storage');
+const localStorage = require('../services/storage/localStorage');
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+test('stores, stats, streams and deletes local objects', async () => {
+  const { key, url } = await localStorage.put('tts_audios/1-abc.mp3', Buffer.from('0123456789'));
+  assert.equal(key, 'tts_audios/1-abc.mp3');
+  assert.equal(url, '/tts_audios/1-abc.mp3');
+  assert.deepEqual(await localStorage.stat(key), { contentType: 'audio/mpeg', contentLength: 10 });
+
+  const whole = await localStorage.getStream(key);
+  assert.equal(whole.contentLength, 10);
+  assert.equal(await readAll(whole.stream), '0123456789');
+
+  const ranged = await localStorage.getStream(key, { start: 2, end: 100 });
+  assert.equal(ranged.contentLength, 8, 'the range end is clamped to the object size');
+  assert.equal(await readAll(ranged.stream), '23456789');
+
+  await localStorage.delete(key);
+  assert.equal(await localStorage.stat(key), null);
+  await localStorage.delete(key);
+});
+
+test('refuses keys that escape the storage directory', async () => {
+  await assert.rejects(localStorage.put('../outside.mp3', Buffer.from('x')), /Invalid storage key/);
+  await assert.rejects(localStorage.stat('tts_audios/../../outside.mp3'), /Invalid storage key/);
+  assert.equal(fs.existsSync(path.join(storageDir, '..', 'outside.mp3')), false);
+});
+
+test('maps stored URLs back to their backend and key', () => {
+  const local = resolveUrl('/tts_audios/1%20a.mp3?v=2');
+  assert.equal(local.storage.name, 'local');
+  assert.equal(local.key, 'tts_audios/1 a.mp3');
+
+  const s3 = resolveUrl('https://tips-audio.s3.eu-west-1.amazonaws.com/tts_audios/2-b.mp3');
+  assert.equal(s3.storage.name, 's3');
+  assert.equal(s3.key, 'tts_audios/2-b.mp3');
+
+  assert.equal(localStorage.keyFromUrl('//cdn.example.com/tts_audios/3.mp3'), null);
+  assert.equal(resolveUrl('https://example.com/tts_audios/3.mp3'), null);
+});
+
+test('selects the configured storage driver', () => {
+  assert.equal(getStorage('local'), localStorage);
+  assert.equal(getStorage('s3').name, 's3');
+  assert.throws(() => getStorage('ftp'), /Unknown storage driver: ftp/);
+});
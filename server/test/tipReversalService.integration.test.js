@@ -0,0 +1,51 @@
+// test/tipReversalService.integration.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, connectTestDatabase, createTipperAndCreator, recordPaidTip } = require('./helpers/testDatabase');
+
+let db;
+let reverseTip;
+let refunds;
+
+before(async () => {
+  if (skip) return;
+  ({ db } = await connectTestDatabase());
+
+  const mockPaymentProvider = require('../services/paymentProviders/mockPaymentProvider');
+  const refundPayment = mockPaymentProvider.refundPayment;
+  refunds = [];
+  mockPaymentProvider.refundPayment = async (refund) => {
+    refunds.push(refund);
+    // Slow enough for the racing refund to arrive while this one is in flight
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return refundPayment(refund);
+  };
+  ({ reverseTip } = require('../services/tipReversalService'));
+});
+
+after(async () => {
+  if (!skip) await db.end();
+});
+
+test('refunds a tip with the provider once when refunds race', { skip }, async () => {
+  const { tipId } = await recordPaidTip(db, await createTipperAndCreator(db));
+
+  const results = await Promise.allSettled(
+    [1, 2, 3].map(() => reverseTip(tipId, { kind: 'refund', refundWithProvider: true, initiatedBy: 'test' }))
+  );
+
+  const reversed = results.filter(({ status, value }) => status === 'fulfilled' && !value.alreadyReversed);
+  assert.equal(reversed.length, 1);
+  for (const { status, value, reason } of results) {
+    if (status === 'rejected') assert.equal(reason.statusCode, 409);
+    else if (value !== reversed[0].value) assert.equal(value.alreadyReversed, true);
+  }
+
+  assert.equal(refunds.filter((refund) => refund.idempotencyKey === `refund-${tipId}`).length, 1, 'the provider is asked for the refund once');
+  const [[tip]] = await db.query('SELECT status, reversal_reference FROM tips WHERE id = ?', [tipId]);
+  assert.equal(tip.status, 'refunded');
+  assert.equal(tip.reversal_reference, `mock_re_refund-${tipId}`);
+  const [reversals] = await db.query("SELECT id FROM ledger_transactions WHERE type = 'tip_refund' AND reference_type = 'tip' AND reference_id = ?", [tipId]);
+  assert.equal(reversals.length, 1, 'the ledger reversal is posted once');
+});
@@ -0,0 +1,148 @@
+// test/tipReversalService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, stubModule } = require('./helpers/fakes');
+
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+
+const { db, socket } = installFakes();
+
+class TipValidationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+stubModule('services/tipService.js', { TipValidationError });
+
+const published = [];
+stubModule('services/webhookService.js', {
+  publishEvent: async (creatorId, event, payload) => published.push({ creatorId, event, payload }),
+});
+stubModule('services/goalService.js', { revertTip: async () => null, announceProgress: async () => {} });
+
+const ledgerService = require('../services/ledgerService');
+const mockPaymentProvider = require('../services/paymentProviders/mockPaymentProvider');
+const { reverseTip } = require('../services/tipReversalService');
+
+const refundPayment = mockPaymentProvider.refundPayment;
+
+let tip;
+let refunds;
+let ledgerReversals;
+let flaggedUsers;
+
+beforeEach(() => {
+  tip = {
+    id: 1,
+    creator_id: 5,
+    tipper_id: 9,
+    amount: '12.50',
+    platform_fee: '1.25',
+    status: 'completed',
+    provider: 'mock',
+    provider_intent_id: 'mock_pi_1',
+  };
+  refunds = [];
+  ledgerReversals = [];
+  flaggedUsers = [];
+  published.splice(0);
+  socket.emitted.splice(0);
+
+  mockPaymentProvider.refundPayment = async (refund) => {
+    refunds.push(refund);
+    return refundPayment(refund);
+  };
+  ledgerService.postTipReversal = async (connection, reversal) => ledgerReversals.push(reversal);
+
+  db.reset();
+  db.on(/FROM tips t\s+LEFT JOIN payment_intents/, () => (tip ? [{ ...tip }] : []))
+    .on(/SELECT \* FROM tips WHERE id = \? FOR UPDATE/, () => [{ ...tip }])
+    .on(/SELECT status FROM tips WHERE id = \?/, () => [{ status: tip.status }])
+    .on(/UPDATE tips SET status = '(\w+)' WHERE id = \? AND status = '(\w+)'/, (params, sql) => {
+      const [, next, current] = sql.match(/status = '(\w+)' WHERE id = \? AND status = '(\w+)'/);
+      if (tip.status !== current) return { affectedRows: 0 };
+      tip.status = next;
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE tips SET status = \?/, ([status, reason, reference]) => {
+      Object.assign(tip, { status, reversal_reason: reason, reversal_reference: reference });
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE users SET is_flagged = 1/, ([reason, userId]) => {
+      flaggedUsers.push({ userId, reason });
+      return { affectedRows: 1 };
+    });
+});
+
+test('refunds through the provider before reversing the tip', async () => {
+  const reversal = await reverseTip(1, { kind: 'refund', reason: 'requested', refundWithProvider: true, initiatedBy: 'creator:5' });
+
+  assert.deepEqual(refunds, [{ providerIntentId: 'mock_pi_1', amountCents: 1250, reason: 'requested', idempotencyKey: 'refund-1' }]);
+  assert.equal(reversal.refundId, 'mock_re_refund-1');
+  assert.equal(reversal.status, 'refunded');
+  assert.equal(tip.status, 'refunded');
+  assert.equal(tip.reversal_reference, reversal.refundId);
+  assert.deepEqual(ledgerReversals, [
+    { tipId: 1, tipperId: 9, creatorId: 5, grossCents: 1250, creatorNetCents: 1125, platformFeeCents: 125, kind: 'refund' },
+  ]);
+  assert.deepEqual(flaggedUsers, []);
+  assert.deepEqual(socket.emitted.map(({ event }) => event), ['tip-reversed']);
+  assert.deepEqual(published.map(({ event }) => event), ['tip.reversed']);
+});
+
+test('treats reversing an already reversed tip as a no-op', async () => {
+  tip.status = 'refunded';
+  assert.deepEqual(await reverseTip(1, { kind: 'refund', refundWithProvider: true }), { tipId: 1, status: 'refunded', alreadyReversed: true });
+  assert.equal(refunds.length, 0);
+  assert.equal(ledgerReversals.length, 0);
+  assert.equal(published.length, 0);
+});
+
+test('refunds a tip once when refunds race', async () => {
+  const results = await Promise.allSettled([
+    reverseTip(1, { kind: 'refund', refundWithProvider: true }),
+    reverseTip(1, { kind: 'refund', refundWithProvider: true }),
+  ]);
+
+  assert.equal(results[0].status, 'fulfilled');
+  assert.equal(results[1].status, 'rejected');
+  assert.equal(results[1].reason.statusCode, 409);
+  assert.equal(refunds.length, 1);
+  assert.equal(ledgerReversals.length, 1);
+  assert.equal(tip.status, 'refunded');
+  assert.deepEqual(await reverseTip(1, { kind: 'refund', refundWithProvider: true }), { tipId: 1, status: 'refunded', alreadyReversed: true });
+});
+
+test('refuses other reversals while a refund is in flight', async () => {
+  tip.status = 'refunding';
+  await assert.rejects(reverseTip(1, { kind: 'chargeback' }), { statusCode: 409 });
+  assert.equal(ledgerReversals.length, 0);
+});
+
+test('leaves the tip untouched when the provider refuses the refund', async () => {
+  mockPaymentProvider.refundPayment = async () => {
+    throw new Error('charge already refunded');
+  };
+
+  await assert.rejects(reverseTip(1, { kind: 'refund', refundWithProvider: true }), /charge already refunded/);
+  assert.equal(tip.status, 'completed');
+  assert.equal(ledgerReversals.length, 0);
+  assert.equal(socket.emitted.length, 0);
+});
+
+test('flags the tipper on chargebacks without refunding', async () => {
+  const reversal = await reverseTip(1, { kind: 'chargeback', reason: 'fraudulent', refundWithProvider: true });
+
+  assert.equal(reversal.status, 'charged_back');
+  assert.equal(reversal.tipperFlagged, true);
+  assert.equal(refunds.length, 0);
+  assert.deepEqual(flaggedUsers, [{ userId: 9, reason: 'Tip 1 chargeback: fraudulent' }]);
+});
+
+test('rejects unknown tips and reversal kinds', async () => {
+  await assert.rejects(reverseTip(1, { kind: 'gift' }), /Unknown reversal kind/);
+  tip = null;
+  await assert.rejects(reverseTip(1, { kind: 'refund' }), { statusCode: 404 });
+});
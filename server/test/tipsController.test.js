@@ -0,0 +1,57 @@
+// test/tipsController.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, stubModule, createFakeResponse } = require('./helpers/fakes');
+
+installFakes();
+
+let createTipIntent;
+stubModule('services/paymentService.js', { createTipIntent: (intent) => createTipIntent(intent) });
+stubModule('services/tipReversalService.js', { reverseTip: async () => ({}) });
+
+const { PaymentProviderError } = require('../services/paymentProviders');
+const tipsController = require('../controllers/tipsController');
+
+beforeEach(() => {
+  createTipIntent = async () => ({ paymentIntentId: 1 });
+});
+
+const sendTip = async (body = { streamerId: 5, tipAmount: 5, ttsMessage: 'hello' }) => {
+  const res = createFakeResponse();
+  await tipsController.sendTip({ body, user: { userId: 9 } }, res);
+  return res;
+};
+
+/*********************************************
+ * Send Tip
+ ********************************************/
+test('creates a payment intent for the tip', async () => {
+  let created;
+  createTipIntent = async (intent) => {
+    created = intent;
+    return { paymentIntentId: 1 };
+  };
+
+  const res = await sendTip();
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.paymentIntentId, 1);
+  assert.deepEqual(created.tts, { message: 'hello', voice: 'default' });
+  assert.equal((await sendTip({ streamerId: 5 })).statusCode, 400);
+});
+
+test('answers provider failures with 502 or 503 instead of a server error', async () => {
+  createTipIntent = async () => {
+    throw new PaymentProviderError('card_declined', { provider: 'mock', statusCode: 402 });
+  };
+  const refused = await sendTip();
+  assert.equal(refused.statusCode, 502);
+  assert.match(refused.body.error, /card_declined/);
+
+  createTipIntent = async () => {
+    throw new PaymentProviderError('MOCK_PAYMENT_WEBHOOK_SECRET is not set.', { provider: 'mock' });
+  };
+  const unavailable = await sendTip();
+  assert.equal(unavailable.statusCode, 503);
+  assert.doesNotMatch(unavailable.body.error, /SECRET/, 'configuration details stay in the logs');
+});
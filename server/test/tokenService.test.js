@@ -0,0 +1,122 @@
+// test/tokenService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { installFakes } = require('./helpers/fakes');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const { db } = installFakes();
+
+const tokenService = require('../services/tokenService');
+
+const user = { id: 3, email: 'viewer@example.com', role: 'tipper' };
+
+// In-memory user_sessions and refresh_tokens tables
+let sessions;
+let refreshTokens;
+
+beforeEach(() => {
+  db.reset();
+  sessions = new Map();
+  refreshTokens = new Map();
+
+  db.on(/INSERT INTO user_sessions/, ([id, userId]) => {
+    sessions.set(id, { userId, revokedAt: null });
+    return { affectedRows: 1 };
+  });
+  db.on(/SELECT id FROM user_sessions WHERE id = \? AND revoked_at IS NULL/, ([id]) =>
+    sessions.get(id)?.revokedAt === null ? [{ id }] : []
+  );
+  db.on(/UPDATE user_sessions SET last_used_at/, () => ({ affectedRows: 1 }));
+  db.on(/UPDATE user_sessions SET revoked_at = NOW\(\) WHERE id = \?/, ([id, userId]) => {
+    const session = sessions.get(id);
+    if (!session || session.userId !== userId || session.revokedAt) return { affectedRows: 0 };
+    session.revokedAt = new Date();
+    return { affectedRows: 1 };
+  });
+  db.on(/UPDATE user_sessions SET revoked_at = NOW\(\) WHERE user_id = \?/, ([userId]) => {
+    const active = [...sessions.values()].filter((session) => session.userId === userId && !session.revokedAt);
+    active.forEach((session) => (session.revokedAt = new Date()));
+    return { affectedRows: active.length };
+  });
+
+  db.on(/INSERT INTO refresh_tokens/, ([tokenHash, sessionId, userId]) => {
+    refreshTokens.set(tokenHash, { id: refreshTokens.size + 1, session_id: sessionId, user_id: userId, used_at: null, expired: 0 });
+    return { affectedRows: 1 };
+  });
+  db.on(/FROM refresh_tokens rt/, ([tokenHash]) => {
+    const token = refreshTokens.get(tokenHash);
+    return token ? [{ ...token, revoked_at: sessions.get(token.session_id).revokedAt }] : [];
+  });
+  db.on(/UPDATE refresh_tokens SET used_at/, ([id]) => {
+    const token = [...refreshTokens.values()].find((candidate) => candidate.id === id);
+    if (token.used_at) return { affectedRows: 0 };
+    token.used_at = new Date();
+    return { affectedRows: 1 };
+  });
+  db.on(/SELECT id, email, role FROM users/, () => [user]);
+});
+
+test('issues an access token bound to a new session', async () => {
+  const session = await tokenService.createSession(user, { userAgent: 'x'.repeat(300), ip: '203.0.113.9' });
+
+  const claims = await tokenService.verifyAccessToken(session.accessToken);
+  assert.equal(claims.userId, 3);
+  assert.equal(claims.sid, session.sessionId);
+  assert.equal(db.find(/INSERT INTO user_sessions/)[0].params[2].length, 255, 'the user agent is truncated');
+  assert.equal(refreshTokens.has(session.refreshToken), false, 'only the refresh token hash is stored');
+});
+
+test('rejects forged tokens and tokens without a session', async () => {
+  const forged = jwt.sign({ userId: 3, sid: 'abc' }, 'another-secret');
+  const sessionless = jwt.sign({ userId: 3 }, process.env.ACCESS_TOKEN_SECRET);
+
+  assert.equal(await tokenService.verifyAccessToken(forged), null);
+  assert.equal(await tokenService.verifyAccessToken(sessionless), null);
+  assert.equal(await tokenService.verifyAccessToken('not-a-jwt'), null);
+});
+
+test('rotates refresh tokens and keeps the session', async () => {
+  const session = await tokenService.createSession(user);
+  const rotated = await tokenService.rotateRefreshToken(session.refreshToken, { ip: '198.51.100.4' });
+
+  assert.equal(rotated.sessionId, session.sessionId);
+  assert.notEqual(rotated.refreshToken, session.refreshToken);
+  assert.ok(await tokenService.verifyAccessToken(rotated.accessToken));
+  await assert.rejects(tokenService.rotateRefreshToken('unknown'), { name: 'TokenError', statusCode: 401 });
+});
+
+test('revokes the whole session when a used refresh token comes back', async () => {
+  const session = await tokenService.createSession(user);
+  const rotated = await tokenService.rotateRefreshToken(session.refreshToken);
+
+  await assert.rejects(tokenService.rotateRefreshToken(session.refreshToken), /already been used/);
+  assert.equal(await tokenService.verifyAccessToken(rotated.accessToken), null);
+  await assert.rejects(tokenService.rotateRefreshToken(rotated.refreshToken), /Session has been revoked/);
+});
+
+test('lets only one of two concurrent refreshes succeed', async () => {
+  const session = await tokenService.createSession(user);
+  const results = await Promise.allSettled([
+    tokenService.rotateRefreshToken(session.refreshToken),
+    tokenService.rotateRefreshToken(session.refreshToken),
+  ]);
+
+  assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+});
+
+test('revokes one session or all of them', async () => {
+  const first = await tokenService.createSession(user);
+  const second = await tokenService.createSession(user);
+  const third = await tokenService.createSession(user);
+
+  assert.equal(await tokenService.revokeSession(first.sessionId, 99), false, 'other users cannot revoke the session');
+  assert.equal(await tokenService.revokeSession(first.sessionId, user.id), true);
+  assert.equal(await tokenService.verifyAccessToken(first.accessToken), null);
+  assert.ok(await tokenService.verifyAccessToken(second.accessToken));
+
+  assert.equal(await tokenService.revokeAllSessions(user.id), 2);
+  assert.equal(await tokenService.verifyAccessToken(third.accessToken), null);
+});
@@ -0,0 +1,112 @@
+// test/ttsAudioCache.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, stubModule } = require('./helpers/fakes');
+
+const { db } = installFakes();
+
+const deleted = [];
+stubModule('services/storage/index.js', {
+  getStorage: (name) => ({ name, delete: async (key) => deleted.push(`${name}:${key}`) }),
+});
+
+const audioCache = require('../services/ttsAudioCache');
+
+beforeEach(() => {
+  db.reset();
+  deleted.length = 0;
+});
+
+test('keys audio by normalized text, voice and options', () => {
+  const key = audioCache.computeKey('Hello   there\n', 'local:default');
+
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(audioCache.computeKey(' Hello there', 'local:default'), key, 'whitespace does not change the audio');
+  assert.equal(audioCache.computeKey('Cafe\u0301', 'local:default'), audioCache.computeKey('Caf\u00e9', 'local:default'), 'Unicode forms match');
+  assert.notEqual(audioCache.computeKey('hello there', 'local:default'), key, 'case changes the audio');
+  assert.notEqual(audioCache.computeKey('Hello there', 'local:tone-low'), key);
+  assert.notEqual(audioCache.computeKey('Hello there', 'local:default', { speed: 1.2 }), key);
+});
+
+test('marks hits used and reports misses', async () => {
+  db.on(/UPDATE tts_audio_cache SET hit_count/, ([hash]) => ({ affectedRows: hash === 'known' ? 1 : 0 }));
+  db.on(/SELECT id, audio_url FROM tts_audio_cache/, () => [{ id: 4, audio_url: '/tts_audios/cache/known.wav' }]);
+
+  assert.deepEqual(await audioCache.lookup('known', 'local'), { id: 4, audioUrl: '/tts_audios/cache/known.wav' });
+  assert.equal(await audioCache.lookup('unknown', 'local'), null);
+  assert.equal(db.find(/SELECT id, audio_url/).length, 1, 'misses do not read the entry');
+});
+
+test('stores audio under its hash', async () => {
+  const puts = [];
+  const storage = { name: 'local', put: async (key, body, options) => (puts.push({ key, options }), { key, url: `/${key}` }) };
+  db.on(/INSERT INTO tts_audio_cache/, () => ({ affectedRows: 1 }));
+  db.on(/SELECT id, audio_url FROM tts_audio_cache/, () => [{ id: 9, audio_url: '/tts_audios/cache/abc.mp3' }]);
+
+  const entry = await audioCache.store('abc', storage, { audio: Buffer.alloc(12), contentType: 'audio/mpeg', extension: 'mp3', provider: 'elevenlabs' }, 'en-US');
+
+  assert.deepEqual(entry, { id: 9, audioUrl: '/tts_audios/cache/abc.mp3' });
+  assert.deepEqual(puts, [{ key: 'tts_audios/cache/abc.mp3', options: { contentType: 'audio/mpeg' } }]);
+  assert.deepEqual(db.find(/INSERT INTO tts_audio_cache/)[0].params.slice(0, 6), ['abc', 'local', 'tts_audios/cache/abc.mp3', '/tts_audios/cache/abc.mp3', 'audio/mpeg', 12]);
+});
+
+test('counts each request reference once and releases it', async () => {
+  const request = { audio_cache_id: null };
+  let refCount = 0;
+  db.on(/UPDATE tts_requests SET audio_cache_id = \? WHERE id = \? AND audio_cache_id IS NULL/, ([entryId]) => {
+    if (request.audio_cache_id) return { affectedRows: 0 };
+    request.audio_cache_id = entryId;
+    return { affectedRows: 1 };
+  });
+  db.on(/SELECT audio_cache_id FROM tts_requests/, () => [request]);
+  db.on(/UPDATE tts_requests SET audio_cache_id = NULL, audio_url = NULL/, () => {
+    request.audio_cache_id = null;
+    return { affectedRows: 1 };
+  });
+  db.on(/SET ref_count = ref_count \+ 1/, () => (refCount++, { affectedRows: 1 }));
+  db.on(/SET ref_count = GREATEST/, () => (refCount--, { affectedRows: 1 }));
+
+  await audioCache.attach(1, 4);
+  await audioCache.attach(1, 4); // A job retry
+  assert.equal(refCount, 1);
+
+  await audioCache.release(1);
+  await audioCache.release(1);
+  assert.equal(refCount, 0);
+});
+
+test('evicts stale entries, then the least recently used ones over budget', async () => {
+  // An in-memory tts_audio_cache, oldest first
+  let entries = [
+    { id: 1, storage_driver: 'local', storage_key: 'a', byte_size: 100, last_used_at: 't1', stale: true },
+    { id: 2, storage_driver: 's3', storage_key: 'b', byte_size: 300, last_used_at: 't2' },
+    { id: 3, storage_driver: 's3', storage_key: 'c', byte_size: 300, last_used_at: 't3' },
+    { id: 4, storage_driver: 's3', storage_key: 'd', byte_size: 300, last_used_at: 't4' },
+  ];
+  db.on(/WHERE \(ref_count = 0/, () => entries.filter((entry) => entry.stale));
+  db.on(/SUM\(byte_size\)/, () => [{ totalBytes: String(entries.reduce((sum, entry) => sum + entry.byte_size, 0)) }]);
+  db.on(/ORDER BY last_used_at ASC/, () => entries);
+  db.on(/DELETE FROM tts_audio_cache/, ([id, lastUsedAt]) => {
+    const before = entries.length;
+    entries = entries.filter((entry) => !(entry.id === id && entry.last_used_at === lastUsedAt));
+    return { affectedRows: before - entries.length };
+  });
+  db.on(/UPDATE tts_requests SET audio_url = NULL, audio_cache_id = NULL WHERE audio_cache_id/, () => ({ affectedRows: 1 }));
+
+  const result = await audioCache.evict({ maxAgeDays: 30, maxBytes: 400 });
+
+  assert.deepEqual(result, { evicted: 3, freedBytes: 700 });
+  assert.deepEqual(entries.map((entry) => entry.id), [4]);
+  assert.deepEqual(deleted, ['local:a', 's3:b', 's3:c']);
+});
+
+test('keeps entries that were used while eviction ran', async () => {
+  db.on(/WHERE \(ref_count = 0/, () => [{ id: 1, storage_driver: 'local', storage_key: 'a', byte_size: 100, last_used_at: 't1' }]);
+  db.on(/DELETE FROM tts_audio_cache/, () => ({ affectedRows: 0 }));
+  db.on(/SUM\(byte_size\)/, () => [{ totalBytes: 0 }]);
+
+  assert.deepEqual(await audioCache.evict(), { evicted: 0, freedBytes: 0 });
+  assert.deepEqual(deleted, []);
+  assert.equal(db.find(/UPDATE tts_requests/).length, 0);
+});
@@ -0,0 +1,136 @@
+// test/ttsController.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, stubModule, createFakeResponse } = require('./helpers/fakes');
+
+process.env.AUDIO_URL_SIGNING_SECRET = 'test_signing_secret';
+
+const { db } = installFakes();
+
+const createdRequests = [];
+stubModule('services/ttsRequestService.js', {
+  createTTSRequest: async (request) => {
+    createdRequests.push(request);
+    return { ttsRequestId: 30, status: 'processing', moderation: { outcome: 'allow', text: request.message, reasons: [] } };
+  },
+  listAwaitingApproval: async () => [],
+  approveTTSRequests: async () => ({ approved: [] }),
+  rejectTTSRequests: async () => ({ rejected: [] }),
+});
+stubModule('services/storage/index.js', { resolveUrl: () => null, getStorage: () => null });
+stubModule('services/playbackQueueService.js', { announce: async () => {} });
+stubModule('services/voiceCatalogService.js', {
+  VoiceError: class extends Error {},
+  resolveCreatorVoice: async () => ({ voiceId: 1, key: 'local:en-US', name: 'Default', priceCents: 0 }),
+});
+
+const overlayConfigService = require('../services/overlayConfigService');
+const ttsController = require('../controllers/ttsController');
+
+const TIPPER_ID = 9;
+const CREATOR_ID = 5;
+
+let creator;
+let creditCents;
+
+beforeEach(() => {
+  createdRequests.splice(0);
+  creator = { tts_min_tip_cents: 0, tts_character_price_cents: 1, tts_failure_remedy: 'credit' };
+  creditCents = 0;
+  overlayConfigService.getConfig = async () => ({ tiers: [{ minAmount: 0, ttsEnabled: true }] });
+
+  db.reset();
+  db.on(/SELECT id FROM creators WHERE id = \?/, () => [{ id: CREATOR_ID }])
+    .on(/SELECT tts_min_tip_cents, tts_character_price_cents, tts_failure_remedy FROM creators/, () => [{ ...creator }])
+    .on(/SELECT balance_cents FROM tts_credits/, () => (creditCents > 0 ? [{ balance_cents: creditCents }] : []));
+});
+
+const submit = async (message) => {
+  const res = createFakeResponse();
+  await ttsController.submitTTSRequest({ body: { message, voice: 'en-US', creatorId: CREATOR_ID }, user: { userId: TIPPER_ID } }, res);
+  return res;
+};
+
+/*********************************************
+ * Submit TTS Request
+ ********************************************/
+test('accepts free TTS without a tip', async () => {
+  creator.tts_character_price_cents = 0;
+  const res = await submit('hello there');
+  assert.equal(res.statusCode, 201);
+  assert.equal(createdRequests.length, 1);
+});
+
+test('requires a tip for priced TTS even when the viewer has credit covering it', async () => {
+  creditCents = 1000;
+  const res = await submit('hello there');
+  assert.equal(res.statusCode, 402);
+  assert.equal(res.body.quote.creditApplied, 0);
+  assert.equal(res.body.quote.price, 0.11);
+  assert.equal(createdRequests.length, 0, 'credit is only spent with a tip, so it cannot pay for this');
+});
+
+/*********************************************
+ * Audio Links
+ ********************************************/
+test('lists and reports TTS audio as signed download links only', async () => {
+  db.on(/SELECT COUNT\(\*\) AS total FROM tts_requests WHERE user_id = \?/, () => [{ total: 2 }])
+    .on(/FROM tts_requests tr\s+JOIN creators c ON tr.creator_id = c.id\s+WHERE tr.user_id = \?/, () => [
+      { ttsRequestId: 30, status: 'completed', audioUrl: 'https://bucket.s3.amazonaws.com/tts_audios/30.mp3' },
+      { ttsRequestId: 31, status: 'failed', audioUrl: null },
+    ])
+    .on(/SELECT tr.status, tr.audio_url AS audioUrl/, () => [
+      { status: 'completed', audioUrl: 'https://bucket.s3.amazonaws.com/tts_audios/30.mp3', user_id: TIPPER_ID, creator_user_id: 1 },
+    ]);
+
+  const list = createFakeResponse();
+  await ttsController.getTTSRequests({ query: {}, user: { userId: TIPPER_ID } }, list);
+  assert.equal(list.statusCode, 200);
+  assert.match(list.body.ttsRequests[0].downloadUrl, /^\/api\/tts\/download\/30\?expires=\d+&signature=[0-9a-f]+$/);
+  assert.equal(list.body.ttsRequests[1].downloadUrl, null);
+  assert.ok(list.body.ttsRequests.every((ttsRequest) => !('audioUrl' in ttsRequest)));
+
+  const status = createFakeResponse();
+  await ttsController.getTTSRequestStatus({ params: { ttsRequestId: '30' }, user: { userId: TIPPER_ID, role: 'user' } }, status);
+  assert.equal(status.statusCode, 200);
+  assert.equal('audioUrl' in status.body, false);
+  assert.match(status.body.downloadUrl, /^\/api\/tts\/download\/30\?/);
+});
+
+test('keeps audio awaiting approval from its requester but lets the creator preview it', async () => {
+  const heldRequest = { ttsRequestId: 32, status: 'awaiting_approval', audioUrl: 's3://bucket/tts_audios/32.mp3' };
+  db.on(/SELECT tr.audio_url, tr.status, tr.user_id/, () => [
+    { audio_url: heldRequest.audioUrl, status: heldRequest.status, user_id: TIPPER_ID, creator_user_id: 1 },
+  ])
+    .on(/SELECT tr.status, tr.audio_url AS audioUrl/, () => [
+      { status: heldRequest.status, audioUrl: heldRequest.audioUrl, user_id: TIPPER_ID, creator_user_id: 1 },
+    ])
+    .on(/SELECT COUNT\(\*\) AS total FROM tts_requests/, () => [{ total: 1 }])
+    .on(/FROM tts_requests tr\s+JOIN (creators|users)/, () => [{ ...heldRequest }]);
+
+  const download = createFakeResponse();
+  await ttsController.downloadTTSAudio({ params: { id: '32' }, query: {}, headers: {}, user: { userId: TIPPER_ID, role: 'user' } }, download);
+  assert.equal(download.statusCode, 403);
+
+  const requesterStatus = createFakeResponse();
+  await ttsController.getTTSRequestStatus({ params: { ttsRequestId: '32' }, user: { userId: TIPPER_ID, role: 'user' } }, requesterStatus);
+  assert.equal(requesterStatus.body.status, 'awaiting_approval');
+  assert.equal(requesterStatus.body.downloadUrl, null);
+
+  const requesterList = createFakeResponse();
+  await ttsController.getTTSRequests({ query: {}, user: { userId: TIPPER_ID } }, requesterList);
+  assert.equal(requesterList.body.ttsRequests[0].downloadUrl, null);
+
+  const creatorStatus = createFakeResponse();
+  await ttsController.getTTSRequestStatus({ params: { ttsRequestId: '32' }, user: { userId: 1, role: 'user' } }, creatorStatus);
+  assert.match(creatorStatus.body.downloadUrl, /^\/api\/tts\/download\/32\?/);
+
+  const creatorList = createFakeResponse();
+  await ttsController.getTTSRequestsByCreator({ query: {}, targetCreator: { id: CREATOR_ID }, user: { userId: 1, role: 'user' } }, creatorList);
+  assert.match(creatorList.body.ttsRequests[0].downloadUrl, /^\/api\/tts\/download\/32\?/);
+
+  const adminStatus = createFakeResponse();
+  await ttsController.getTTSRequestStatus({ params: { ttsRequestId: '32' }, user: { userId: 2, role: 'admin' } }, adminStatus);
+  assert.ok(adminStatus.body.downloadUrl);
+});
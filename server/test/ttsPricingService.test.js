@@ -0,0 +1,225 @@
+// test/ttsPricingService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes, stubModule } = require('./helpers/fakes');
+
+const { db, socket } = installFakes();
+
+const voices = {
+  default: { voiceId: 1, key: 'en-US', name: 'Default', priceCents: 0 },
+  premium: { voiceId: 2, key: 'en-GB', name: 'Premium', priceCents: 20 },
+};
+stubModule('services/voiceCatalogService.js', {
+  VoiceError: class extends Error {},
+  resolveCreatorVoice: async (creatorId, voice) => voices[voice || 'default'],
+});
+
+const reversals = [];
+let reverseTipImpl;
+stubModule('services/tipReversalService.js', {
+  reverseTip: async (tipId, options) => {
+    reversals.push({ tipId, ...options });
+    return reverseTipImpl(tipId);
+  },
+});
+
+const overlayConfigService = require('../services/overlayConfigService');
+const ttsPricing = require('../services/ttsPricingService');
+
+const MAX_ATTEMPTS = 5;
+const TIPPER_ID = 9;
+const CREATOR_ID = 5;
+
+let creator;
+let overlayConfig;
+let credits;
+let tips;
+let intentCreditCents;
+
+const creditKey = (userId, creatorId) => `${userId}:${creatorId}`;
+
+beforeEach(() => {
+  creator = { tts_min_tip_cents: 100, tts_character_price_cents: 2, tts_failure_remedy: 'credit' };
+  overlayConfig = { tiers: [{ minAmount: 0, ttsEnabled: true }] };
+  credits = new Map();
+  tips = new Map([[1, { id: 1, creator_id: CREATOR_ID, tipper_id: TIPPER_ID, tts_remedy: null, tts_remedy_attempts: 0 }]]);
+  intentCreditCents = 0;
+  reversals.splice(0);
+  reverseTipImpl = async () => ({ alreadyReversed: false });
+  socket.emitted.splice(0);
+  overlayConfigService.getConfig = async () => overlayConfig;
+
+  db.reset();
+  db.on(/SELECT tts_min_tip_cents, tts_character_price_cents, tts_failure_remedy FROM creators/, () => [{ ...creator }])
+    .on(/SELECT balance_cents FROM tts_credits/, ([userId, creatorId]) => {
+      const key = creditKey(userId, creatorId);
+      return credits.has(key) ? [{ balance_cents: credits.get(key) }] : [];
+    })
+    .on(/INSERT INTO tts_credits/, ([userId, creatorId, cents]) => {
+      const key = creditKey(userId, creatorId);
+      credits.set(key, (credits.get(key) || 0) + cents);
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE tts_credits SET balance_cents = balance_cents - \?/, ([cents, userId, creatorId]) => {
+      const key = creditKey(userId, creatorId);
+      if ((credits.get(key) || 0) < cents) return { affectedRows: 0 };
+      credits.set(key, credits.get(key) - cents);
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE tips t JOIN creators c/, ([cents, reason, tipId]) => {
+      const tip = tips.get(tipId);
+      if (!tip || tip.tts_remedy) return { affectedRows: 0 };
+      Object.assign(tip, { tts_remedy: creator.tts_failure_remedy, tts_remedy_status: 'pending', tts_remedy_cents: cents, tts_remedy_reason: reason });
+      return { affectedRows: 1 };
+    })
+    .on(/UPDATE tips SET tts_remedy_status = 'pending', tts_remedy_attempts = tts_remedy_attempts \+ 1/, ([tipId, maxAttempts, staleSeconds]) => {
+      const tip = tips.get(tipId);
+      const stale = !tip?.attemptedAt || Date.now() - tip.attemptedAt > staleSeconds * 1000;
+      const due = tip?.tts_remedy_status === 'failed' || (tip?.tts_remedy_status === 'pending' && stale);
+      if (!tip?.tts_remedy || tip.tts_remedy_attempts >= maxAttempts || !due) return { affectedRows: 0 };
+      Object.assign(tip, { tts_remedy_status: 'pending', tts_remedy_attempts: tip.tts_remedy_attempts + 1, attemptedAt: Date.now() });
+      return { affectedRows: 1 };
+    })
+    .on(/SELECT id, creator_id, tipper_id, tts_remedy, .* FROM tips WHERE id = \?/, ([tipId]) => [{ ...tips.get(tipId) }])
+    .on(/UPDATE tips SET tts_remedy_status = '?(\?|completed)'? WHERE id = \?/, (params) => {
+      const [status, tipId] = params.length === 2 ? params : ['completed', params[0]];
+      tips.get(tipId).tts_remedy_status = status;
+      return { affectedRows: 1 };
+    })
+    .on(/SELECT tts_credit_cents FROM payment_intents WHERE tip_id/, () => [{ tts_credit_cents: intentCreditCents }])
+    .on(/SELECT id FROM tips\s+WHERE tts_remedy_status IN/, ([maxAttempts]) =>
+      [...tips.values()]
+        .filter((tip) => ['pending', 'failed'].includes(tip.tts_remedy_status) && tip.tts_remedy_attempts < maxAttempts)
+        .map(({ id }) => ({ id }))
+    )
+    .on(/SELECT tip_id, price_cents FROM tts_requests/, ([ttsRequestId]) => (ttsRequestId === 40 ? [{ tip_id: 1, price_cents: 150 }] : [{ tip_id: null }]));
+});
+
+/*********************************************
+ * Quotes
+ ********************************************/
+test('prices characters, voice surcharge and minimum tip in cents', async () => {
+  creator.tts_character_price_cents = 0.5;
+  const quote = await ttsPricing.quoteCents({ creatorId: CREATOR_ID, text: '👋 hello', voice: 'premium' });
+  assert.equal(quote.characters, 7);
+  assert.equal(quote.characterCostCents, 4, 'fractions of a cent are rounded up');
+  assert.equal(quote.priceCents, 24);
+  assert.equal(quote.requiredCents, 100, 'the minimum tip applies to cheap messages');
+  assert.equal(quote.creditAppliedCents, 0);
+});
+
+test('applies credit only to what the tip does not already cover', async () => {
+  credits.set(creditKey(TIPPER_ID, CREATOR_ID), 50);
+  const text = 'a'.repeat(100);
+
+  const withoutAmount = await ttsPricing.quoteCents({ creatorId: CREATOR_ID, userId: TIPPER_ID, text, voice: 'premium' });
+  assert.equal(withoutAmount.priceCents, 220);
+  assert.equal(withoutAmount.creditAppliedCents, 50);
+  assert.equal(withoutAmount.requiredCents, 170);
+
+  const withAmount = await ttsPricing.quoteCents({ creatorId: CREATOR_ID, userId: TIPPER_ID, text, voice: 'premium', amountCents: 200 });
+  assert.equal(withAmount.creditAppliedCents, 20);
+  assert.equal(withAmount.requiredCents, 200);
+});
+
+test('rejects tips that do not cover the message or whose tier disallows it', async () => {
+  const request = { creatorId: CREATOR_ID, userId: TIPPER_ID, text: 'a'.repeat(100), voice: 'default' };
+
+  await assert.rejects(ttsPricing.assertTipCoversTTS({ ...request, amountCents: 199 }), (error) => {
+    assert.ok(error instanceof ttsPricing.TTSPricingError);
+    assert.equal(error.statusCode, 422);
+    assert.equal(error.details.requiredTip, 2);
+    assert.equal(error.details.covered, false);
+    return true;
+  });
+  assert.equal((await ttsPricing.assertTipCoversTTS({ ...request, amountCents: 200 })).priceCents, 200);
+
+  overlayConfig = { tiers: [{ minAmount: 0, ttsEnabled: false }, { minAmount: 5, ttsEnabled: true, ttsMaxLength: 50 }] };
+  await assert.rejects(ttsPricing.assertTipCoversTTS({ ...request, amountCents: 400 }), /does not accept TTS messages/);
+  await assert.rejects(ttsPricing.assertTipCoversTTS({ ...request, amountCents: 500 }), /limited to 50 characters/);
+});
+
+/*********************************************
+ * Credits
+ ********************************************/
+test('spends credit only while the balance covers it', async () => {
+  credits.set(creditKey(TIPPER_ID, CREATOR_ID), 50);
+  assert.equal(await ttsPricing.consumeCredit(TIPPER_ID, CREATOR_ID, 30), true);
+  assert.equal(await ttsPricing.consumeCredit(TIPPER_ID, CREATOR_ID, 30), false);
+  assert.equal(credits.get(creditKey(TIPPER_ID, CREATOR_ID)), 20);
+
+  db.reset();
+  assert.equal(await ttsPricing.consumeCredit(TIPPER_ID, CREATOR_ID, 0), true, 'nothing to spend needs no query');
+});
+
+/*********************************************
+ * Remedies
+ ********************************************/
+test('credits paid TTS that will never play once and tells the creator', async () => {
+  const result = await ttsPricing.remedyPaidTTS({ tipId: 1, priceCents: 150, reason: 'TTS message was rejected by moderation.' });
+  assert.deepEqual(result, { tipId: 1, creatorId: CREATOR_ID, remedy: 'credit', status: 'completed', cents: 150, reason: 'TTS message was rejected by moderation.' });
+  assert.equal(credits.get(creditKey(TIPPER_ID, CREATOR_ID)), 150);
+  assert.deepEqual(socket.emitted.map(({ event, payload }) => [event, payload.amount]), [['tts-remedied', 1.5]]);
+
+  assert.equal(await ttsPricing.remedyPaidTTS({ tipId: 1, priceCents: 150, reason: 'again' }), null);
+  assert.equal(await ttsPricing.retryRemedies(), 0);
+  assert.equal(credits.get(creditKey(TIPPER_ID, CREATOR_ID)), 150);
+});
+
+test('ignores remedies for free TTS', async () => {
+  assert.equal(await ttsPricing.remedyPaidTTS({ tipId: 1, priceCents: 0, reason: 'free' }), null);
+  assert.equal(await ttsPricing.handleFailedSynthesis(41), null);
+  assert.equal(tips.get(1).tts_remedy, null);
+});
+
+test('retries a failed refund and restores the credit spent on the TTS once', async () => {
+  creator.tts_failure_remedy = 'refund';
+  intentCreditCents = 30;
+  reverseTipImpl = async () => {
+    throw new Error('provider unavailable');
+  };
+
+  const failed = await ttsPricing.handleFailedSynthesis(40);
+  assert.equal(failed.status, 'failed');
+  assert.equal(tips.get(1).tts_remedy_status, 'failed');
+  assert.equal(socket.emitted.length, 0, 'the worker leaves announcing to the API');
+
+  reverseTipImpl = async () => ({ alreadyReversed: false });
+  assert.equal(await ttsPricing.retryRemedies(), 1);
+  assert.equal(tips.get(1).tts_remedy_status, 'completed');
+  assert.deepEqual(reversals.map(({ kind, refundWithProvider }) => [kind, refundWithProvider]), [
+    ['refund', true],
+    ['refund', true],
+  ]);
+  assert.equal(credits.get(creditKey(TIPPER_ID, CREATOR_ID)), 30);
+});
+
+test('does not restore credit again when the tip was already reversed', async () => {
+  creator.tts_failure_remedy = 'refund';
+  intentCreditCents = 30;
+  reverseTipImpl = async () => ({ alreadyReversed: true });
+
+  assert.equal((await ttsPricing.handleFailedSynthesis(40)).status, 'completed');
+  assert.equal(credits.has(creditKey(TIPPER_ID, CREATOR_ID)), false);
+});
+
+test('leaves in-flight remedies alone and gives up after the maximum attempts', async () => {
+  creator.tts_failure_remedy = 'refund';
+  await ttsPricing.claimRemedy(db, { tipId: 1, priceCents: 150, reason: 'TTS synthesis failed.' });
+  tips.get(1).attemptedAt = Date.now();
+  assert.equal(await ttsPricing.retryRemedies(), 0, 'a recent pending attempt may still be running');
+
+  reverseTipImpl = async () => {
+    throw new Error('provider unavailable');
+  };
+  tips.get(1).tts_remedy_status = 'failed';
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt += 1) {
+    assert.equal(await ttsPricing.retryRemedies(), 1);
+  }
+  assert.equal(tips.get(1).tts_remedy_attempts, MAX_ATTEMPTS - 1);
+  assert.equal(await ttsPricing.retryRemedies(), 1);
+  assert.equal(tips.get(1).tts_remedy_attempts, MAX_ATTEMPTS);
+  assert.equal(await ttsPricing.retryRemedies(), 0);
+  assert.equal(tips.get(1).tts_remedy_status, 'failed');
+});
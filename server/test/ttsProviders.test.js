@@ -0,0 +1,59 @@
+// test/ttsProviders.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes } = require('./helpers/fakes');
+
+installFakes();
+
+const ttsProviders = require('../services/ttsProviders');
+const localProvider = require('../services/ttsProviders/localProvider');
+
+test('routes provider-qualified voices to their provider and the rest to the default', () => {
+  const { TTS_PROVIDER } = process.env;
+  try {
+    process.env.TTS_PROVIDER = 'elevenlabs';
+    assert.deepEqual(ttsProviders.resolveVoice('local:tone-low'), { provider: localProvider, voiceId: 'tone-low' });
+    assert.equal(ttsProviders.resolveVoice('en-US').provider.name, 'elevenlabs');
+    assert.equal(ttsProviders.resolveVoice('unknown:voice').voiceId, 'unknown:voice', 'unknown prefixes are part of the voice id');
+
+    process.env.TTS_PROVIDER = 'nope';
+    assert.throws(() => ttsProviders.resolveVoice('default'), { name: 'TTSProviderError' });
+  } finally {
+    if (TTS_PROVIDER === undefined) delete process.env.TTS_PROVIDER;
+    else process.env.TTS_PROVIDER = TTS_PROVIDER;
+  }
+});
+
+test('renders the same WAV audio for the same text and voice offline', async () => {
+  const first = await ttsProviders.synthesize('hi there', 'local:default');
+  const second = await ttsProviders.synthesize('hi there', 'local:tone-mid');
+
+  assert.equal(first.provider, 'local');
+  assert.equal(first.contentType, 'audio/wav');
+  assert.equal(first.audio.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(first.audio.readUInt32LE(40), first.audio.length - 44, 'data chunk length');
+  assert.ok(first.audio.equals(second.audio));
+  assert.ok(!first.audio.equals((await ttsProviders.synthesize('hi there', 'local:tone-low')).audio));
+});
+
+test('reports permanent and transient failures', async () => {
+  await assert.rejects(ttsProviders.synthesize('hi', 'local:tone-none'), { name: 'TTSProviderError', retryable: false });
+  await assert.rejects(ttsProviders.synthesize('x'.repeat(501), 'local:tone-low'), { retryable: false });
+
+  const synthesize = localProvider.synthesize;
+  localProvider.synthesize = async () => {
+    throw new Error('socket hang up');
+  };
+  try {
+    await assert.rejects(ttsProviders.synthesize('hi', 'local:tone-low'), { name: 'TTSProviderError', retryable: true, provider: 'local' });
+  } finally {
+    localProvider.synthesize = synthesize;
+  }
+
+  assert.equal(ttsProviders.isRetryableStatus(undefined), true);
+  assert.equal(ttsProviders.isRetryableStatus(429), true);
+  assert.equal(ttsProviders.isRetryableStatus(503), true);
+  assert.equal(ttsProviders.isRetryableStatus(401), false);
+  assert.equal(ttsProviders.isRetryableStatus(422), false);
+});
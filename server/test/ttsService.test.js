@@ -0,0 +1,35 @@
+// test/ttsService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes } = require('./helpers/fakes');
+
+const { db } = installFakes();
+
+const ttsProviders = require('../services/ttsProviders');
+const audioCache = require('../services/ttsAudioCache');
+const { processTTSRequest, markTTSRequestFailed } = require('../services/ttsService');
+
+let statuses;
+
+beforeEach(() => {
+  statuses = new Map();
+  audioCache.isEnabled = () => false;
+  ttsProviders.synthesize = async () => {
+    throw new Error('provider timed out');
+  };
+
+  db.reset();
+  db.on(/UPDATE tts_requests SET status = \?, processed_at = NOW\(\), audio_url = \?/, ([status, , ttsRequestId]) => {
+    statuses.set(ttsRequestId, status);
+    return { affectedRows: 1 };
+  });
+});
+
+test('leaves a request processing when an attempt fails so the job can retry it', async () => {
+  await assert.rejects(processTTSRequest(30, 'hello', 'local:en-US', false), /provider timed out/);
+  assert.equal(statuses.has(30), false);
+
+  await markTTSRequestFailed(30);
+  assert.equal(statuses.get(30), 'failed');
+});
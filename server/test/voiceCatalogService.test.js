@@ -0,0 +1,124 @@
+// test/voiceCatalogService.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakes } = require('./helpers/fakes');
+
+process.env.TTS_PROVIDER = 'local';
+
+const { db } = installFakes();
+
+const voiceCatalog = require('../services/voiceCatalogService');
+
+const CREATOR_ID = 5;
+
+// In-memory voices and creator_voices tables
+let voices;
+let selection;
+
+const voice = (id, providerVoiceId, displayName, isEnabled = 1, provider = 'local') => ({
+  id,
+  provider,
+  provider_voice_id: providerVoiceId,
+  display_name: displayName,
+  language: null,
+  preview_url: null,
+  is_enabled: isEnabled,
+});
+
+beforeEach(() => {
+  db.reset();
+  voices = [
+    voice(1, 'tone-low', 'Low'),
+    voice(2, 'tone-mid', 'Mid'),
+    voice(3, 'tone-retired', 'Retired'),
+    voice(4, 'rachel', 'Rachel', 0, 'elevenlabs'),
+  ];
+  selection = [];
+
+  db.on(/FROM creator_voices cv/, () =>
+    selection
+      .map((entry) => ({ ...voices.find((row) => row.id === entry.voice_id), price_cents: entry.price_cents, is_default: entry.is_default }))
+      .filter((row) => row.is_enabled)
+  );
+  db.on(/SELECT COUNT\(\*\) AS total FROM creator_voices/, () => [{ total: selection.length }]);
+  db.on(/DELETE FROM creator_voices/, () => ((selection = []), { affectedRows: 1 }));
+  db.on(/INSERT INTO creator_voices/, ([rows]) => {
+    selection = rows.map(([, voiceId, priceCents, isDefault]) => ({ voice_id: voiceId, price_cents: priceCents, is_default: isDefault ? 1 : 0 }));
+    return { affectedRows: rows.length };
+  });
+  db.on(/SELECT \* FROM voices WHERE is_enabled = 1/, () => voices.filter((row) => row.is_enabled));
+  db.on(/SELECT \* FROM voices WHERE id = \?/, ([id]) => voices.filter((row) => row.id === Number(id)));
+  db.on(/SELECT \* FROM voices WHERE provider = \? AND provider_voice_id = \?/, ([provider, providerVoiceId]) =>
+    voices.filter((row) => row.provider === provider && row.provider_voice_id === providerVoiceId)
+  );
+  db.on(/SELECT id FROM voices WHERE id IN \(\?\) AND is_enabled = 1/, ([ids]) =>
+    voices.filter((row) => ids.includes(row.id) && row.is_enabled).map(({ id }) => ({ id }))
+  );
+});
+
+test('offers every enabled voice for free until the creator chooses', async () => {
+  const { customized, voices: offered } = await voiceCatalog.getCreatorVoices(CREATOR_ID);
+
+  assert.equal(customized, false);
+  assert.deepEqual(
+    offered.map((entry) => [entry.key, entry.price]),
+    [
+      ['local:tone-low', 0],
+      ['local:tone-mid', 0],
+      ['local:tone-retired', 0],
+    ]
+  );
+
+  const resolved = await voiceCatalog.resolveCreatorVoice(CREATOR_ID, 'default');
+  assert.equal(resolved.key, 'local:tone-mid', "the default provider's default voice");
+});
+
+test('resolves voices by id, provider key or bare voice id, with their price', async () => {
+  await voiceCatalog.setCreatorVoices(CREATOR_ID, [
+    { voiceId: 1, price: '0.50', isDefault: true },
+    { voiceId: 2, price: 0 },
+  ]);
+
+  assert.deepEqual(await voiceCatalog.resolveCreatorVoice(CREATOR_ID, undefined), { voiceId: 1, key: 'local:tone-low', name: 'Low', priceCents: 50 });
+  assert.equal((await voiceCatalog.resolveCreatorVoice(CREATOR_ID, 2)).key, 'local:tone-mid');
+  assert.equal((await voiceCatalog.resolveCreatorVoice(CREATOR_ID, 'local:tone-mid')).voiceId, 2);
+  assert.equal((await voiceCatalog.resolveCreatorVoice(CREATOR_ID, 'tone-low')).priceCents, 50);
+
+  await assert.rejects(voiceCatalog.resolveCreatorVoice(CREATOR_ID, 'tone-retired'), {
+    name: 'VoiceError',
+    statusCode: 422,
+    message: "Voice 'tone-retired' is not available for this creator.",
+  });
+  await assert.rejects(voiceCatalog.resolveCreatorVoice(CREATOR_ID, 'elevenlabs:rachel'), { statusCode: 422 });
+});
+
+test('validates a creator voice selection', async () => {
+  const invalid = [
+    ['not-an-array', /must be an array/, 400],
+    [[{ price: 1 }], /needs a voiceId/, 400],
+    [[{ voiceId: 1, price: -1 }], /price must be between 0 and 1000/, 400],
+    [[{ voiceId: 1 }, { voiceId: 1 }], /only be listed once/, 400],
+    [[{ voiceId: 1, isDefault: true }, { voiceId: 2, isDefault: true }], /Only one voice can be the default/, 400],
+    [[{ voiceId: 4 }, { voiceId: 99 }], /Unknown or disabled voices: 4, 99/, 422],
+  ];
+
+  for (const [input, message, statusCode] of invalid) {
+    await assert.rejects(voiceCatalog.setCreatorVoices(CREATOR_ID, input), { name: 'VoiceError', message, statusCode });
+  }
+  assert.equal(db.find(/DELETE FROM creator_voices/).length, 0, 'nothing is saved');
+});
+
+test('syncs a provider catalog: new voices disabled, missing voices disabled', async () => {
+  db.on(/SELECT id, provider_voice_id FROM voices WHERE provider = \?/, () => voices.filter((row) => row.provider === 'local'));
+  db.on(/UPDATE voices SET language/, () => ({ affectedRows: 1 }));
+  db.on(/INSERT INTO voices/, () => ({ insertId: 5 }));
+  db.on(/UPDATE voices SET is_enabled = 0/, () => ({ affectedRows: 1 }));
+
+  const result = await voiceCatalog.syncVoices('local');
+
+  assert.deepEqual(result, { provider: 'local', added: 1, updated: 2, disabled: 1 });
+  assert.deepEqual(db.find(/INSERT INTO voices/)[0].params.slice(0, 3), ['local', 'tone-high', 'Local Tone (High)']);
+  assert.deepEqual(db.find(/UPDATE voices SET is_enabled = 0/)[0].params, [[3]]);
+  await assert.rejects(voiceCatalog.syncVoices('nope'), { name: 'VoiceError', message: /Unknown TTS provider/ });
+});
@@ -0,0 +1,169 @@
+// test/webhookService.test.js
+
+const { test, beforeEach, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { installFakes, stubModule } = require('./helpers/fakes');
+
+const { db } = installFakes();
+
+const jobs = [];
+stubModule('queues/webhookQueue.js', { add: async (data, options) => jobs.push({ data, options }) });
+
+const webhookService = require('../services/webhookService');
+
+const CREATOR_ID = 5;
+
+// Local receiver for delivery tests
+let receiver;
+let receiverUrl;
+let received;
+let receiverStatus;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(receiverStatus, { 'Content-Type': 'text/plain' }).end('thanks');
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => new Promise((resolve) => receiver.close(resolve)));
+
+const withEnv = async (values, work) => {
+  const previous = Object.fromEntries(Object.keys(values).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, values);
+  try {
+    return await work();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+};
+
+beforeEach(() => {
+  db.reset();
+  jobs.length = 0;
+  received = [];
+  receiverStatus = 200;
+});
+
+test('refuses webhook URLs that are not public http(s) addresses', async () => {
+  const refused = [
+    ['not a url', /valid URL/],
+    ['ftp://example.com/hook', /must use https/],
+    ['http://127.0.0.1/hook', /private or local/],
+    ['https://10.1.2.3/hook', /private or local/],
+    ['https://169.254.169.254/latest/meta-data', /private or local/],
+    ['https://[::1]/hook', /private or local/],
+    ['https://[::ffff:7f00:1]/hook', /private or local/],
+    ['https://[fd00::1]/hook', /private or local/],
+    ['https://localhost/hook', /private or local/],
+  ];
+
+  for (const [url, message] of refused) {
+    await assert.rejects(webhookService.createSubscription(CREATOR_ID, { url, eventTypes: ['tip.received'] }), {
+      name: 'WebhookError',
+      statusCode: 400,
+      message,
+    });
+  }
+  await withEnv({ NODE_ENV: 'production' }, () =>
+    assert.rejects(webhookService.createSubscription(CREATOR_ID, { url: 'http://93.184.216.34/hook', eventTypes: ['tip.received'] }), /must use https/)
+  );
+  assert.equal(db.queries.length, 0);
+});
+
+test('validates event types and the per-creator limit', async () => {
+  const url = 'https://93.184.216.34/hook';
+  await assert.rejects(webhookService.createSubscription(CREATOR_ID, { url, eventTypes: [] }), /non-empty array/);
+  await assert.rejects(webhookService.createSubscription(CREATOR_ID, { url, eventTypes: ['tip.stolen'] }), /Unknown event types: tip.stolen/);
+
+  db.on(/SELECT COUNT\(\*\) AS total FROM webhook_subscriptions/, () => [{ total: 10 }]);
+  await assert.rejects(webhookService.createSubscription(CREATOR_ID, { url, eventTypes: ['tip.received'] }), { statusCode: 409 });
+});
+
+test('publishes events only to active subscriptions listening for them', async () => {
+  db.on(/SELECT id, event_types FROM webhook_subscriptions/, () => [
+    { id: 1, event_types: '["tip.received"]' },
+    { id: 2, event_types: ['tts.completed'] },
+  ]);
+  let nextId = 40;
+  db.on(/INSERT INTO webhook_deliveries/, () => ({ insertId: ++nextId }));
+
+  await webhookService.publishEvent(CREATOR_ID, 'tip.received', { tipId: 3 });
+
+  const [insert] = db.find(/INSERT INTO webhook_deliveries/);
+  assert.equal(insert.params[0], 1);
+  assert.deepEqual(JSON.parse(insert.params[3]).data, { tipId: 3 });
+  assert.deepEqual(
+    jobs.map((job) => [job.data.deliveryId, job.options.jobId]),
+    [[41, 'webhook-41']]
+  );
+
+  db.reset();
+  await webhookService.publishEvent(CREATOR_ID, 'tip.received', {}); // A db outage is logged, not thrown
+});
+
+const scriptDelivery = (delivery) => {
+  db.on(/SELECT d\.\*, s\.url, s\.secret, s\.is_active/, () => [
+    {
+      id: 41,
+      subscription_id: 1,
+      event_type: 'tip.received',
+      payload: '{"id":"evt","type":"tip.received"}',
+      secret: 'whsec_test',
+      is_active: 1,
+      ...delivery,
+    },
+  ]);
+  db.on(/UPDATE webhook_/, () => ({ affectedRows: 1 }));
+};
+
+test('signs deliveries so receivers can verify the exact body', async () => {
+  scriptDelivery({ url: receiverUrl });
+
+  await withEnv({ WEBHOOK_ALLOW_PRIVATE_URLS: 'true' }, () => webhookService.deliver(41, 1));
+
+  const [{ headers, body }] = received;
+  assert.equal(body, '{"id":"evt","type":"tip.received"}');
+  assert.equal(headers['x-simp-event'], 'tip.received');
+  assert.equal(headers['x-simp-delivery'], '41');
+
+  const [, timestamp, signature] = headers['x-simp-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${body}`).digest('hex');
+  assert.equal(signature, expected);
+  assert.equal(webhookService.signPayload('whsec_test', body, Number(timestamp)), headers['x-simp-signature']);
+
+  const [update] = db.find(/UPDATE webhook_deliveries/);
+  assert.deepEqual(update.params.slice(0, 4), ['succeeded', 1, 200, 'thanks']);
+  assert.equal(db.find(/SET failure_count = 0/).length, 1);
+});
+
+test('retries failed deliveries through Bull', async () => {
+  scriptDelivery({ url: receiverUrl });
+  receiverStatus = 503;
+
+  await withEnv({ WEBHOOK_ALLOW_PRIVATE_URLS: 'true' }, () =>
+    assert.rejects(webhookService.deliver(41, 1), /failed \(attempt 1\/8\): Receiver responded with HTTP 503/)
+  );
+  assert.equal(db.find(/UPDATE webhook_deliveries/)[0].params[0], 'pending');
+});
+
+test('gives up at once on deliveries to internal addresses', async () => {
+  scriptDelivery({ url: receiverUrl });
+
+  await webhookService.deliver(41, 1);
+
+  assert.equal(received.length, 0, 'nothing is sent to a private address');
+  assert.equal(db.find(/UPDATE webhook_deliveries SET status = "failed"/).length, 1);
+  assert.equal(db.find(/failure_count = failure_count \+ 1/).length, 1);
+});
@@ -0,0 +1,58 @@
+// workers/payoutWorker.js
+
+const payoutQueue = require('../queues/payoutQueue');
+const { runPayouts } = require('../services/payoutService');
+const logger = require('../logger');
+const db = require('../db');
+const metrics = require('../metrics');
+const lifecycle = require('../lifecycle');
+const { closeRedis } = require('../queues/redisClient');
+
+// Weekly on Monday at 09:00 server time unless overridden
+const PAYOUT_CRON = process.env.PAYOUT_CRON || '0 9 * * 1';
+
+/*********************************************
+ *  METRICS
+ ********************************************/
+// Forwarded to the API's /metrics when forked, or served on WORKER_METRICS_PORT
+metrics.exposeWorkerMetrics('payout-worker');
+metrics.trackDbPool(db);
+
+/*********************************************
+ *  DEFINE JOB PROCESSING LOGIC
+ ********************************************/
+payoutQueue.process('run-payouts', async (job) => {
+  logger.info(`Starting scheduled payout run [Job ID: ${job.id}]`);
+  const result = await runPayouts({ triggeredBy: 'schedule' });
+  logger.info(`✅ Payout run complete [Job ID: ${job.id}]`, result);
+  return result;
+});
+
+/*********************************************
+ *  SCHEDULE RECURRING PAYOUT RUN
+ ********************************************/
+// Bull de-duplicates repeatable jobs by name + cron, so restarting the worker does not add duplicates
+payoutQueue
+  .add('run-payouts', {}, { repeat: { cron: PAYOUT_CRON }, removeOnComplete: 50, removeOnFail: 50 })
+  .then(() => logger.info(`Payout run scheduled with cron: ${PAYOUT_CRON}`))
+  .catch((error) => logger.error(`❌ Failed to schedule payout run: ${error.message}`));
+
+/*********************************************
+ *  ADD EVENT LISTENERS FOR JOB EVENTS
+ ********************************************/
+payoutQueue.on('failed', (job, error) => {
+  logger.error(`❌ Payout job failed. ID: ${job.id}, Error: ${error.message}`);
+});
+
+payoutQueue.on('error', (error) => {
+  logger.error(`❌ Payout queue error: ${error.message}`);
+});
+
+/*********************************************
+ *  GRACEFUL SHUTDOWN
+ ********************************************/
+// Lets a payout batch that is already running finish before the process exits
+lifecycle.onShutdown('payoutQueue', () => payoutQueue.close());
+lifecycle.onShutdown('redis', closeRedis);
+lifecycle.onShutdown('mysql pool', () => db.end());
+lifecycle.handleSignals();
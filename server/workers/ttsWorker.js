@@ -1,8 +1,22 @@
 // workers/ttsWorker.js
 
 const ttsQueue = require('../queues/ttsQueue'); // Import the existing Bull queue
-const { processTTSRequest } = require('../services/ttsService');
+const { processTTSRequest, markTTSRequestFailed } = require('../services/ttsService');
+const { TTSProviderError } = require('../services/ttsProviders');
+const audioCache = require('../services/ttsAudioCache');
+const ttsPricing = require('../services/ttsPricingService');
 const logger = require('../logger');
+const db = require('../db');
+const metrics = require('../metrics');
+const lifecycle = require('../lifecycle');
+const { closeRedis } = require('../queues/redisClient');
+
+/*********************************************
+ *  METRICS
+ ********************************************/
+// Forwarded to the API's /metrics when forked, or served on WORKER_METRICS_PORT
+metrics.exposeWorkerMetrics('tts-worker');
+metrics.trackDbPool(db);
 
 /*********************************************
  *  DEFINE JOB PROCESSING LOGIC
@@ -14,14 +28,35 @@ ttsQueue.process(async (job) => {
 
   try {
     logger.info(`Starting TTS processing for Request ID: ${ttsRequestId}`);
-    const audioUrl = await processTTSRequest(ttsRequestId, message, voice, useS3);
-    logger.info(`✅ TTS Request ${ttsRequestId} processed successfully.`);
-    logger.debug(`Audio URL generated for TTS Request ID ${ttsRequestId}: ${audioUrl}`);
+    const result = await processTTSRequest(ttsRequestId, message, voice, useS3);
+    logger.info(`✅ TTS Request ${ttsRequestId} processed successfully${result.cacheHit ? ' from the audio cache' : ''}.`);
+    logger.debug(`Audio URL generated for TTS Request ID ${ttsRequestId}: ${result.audioUrl}`);
 
-    // Bull job result: Return audioUrl as the result of the job
-    return audioUrl;
+    // Bull job result: { audioUrl, cacheHit }
+    return result;
   } catch (error) {
     logger.error(`❌ Error processing TTS Request ${ttsRequestId}: ${error.message}`);
+
+    // Permanent provider failures (bad voice, rejected text, invalid key) will never succeed on retry
+    const permanent = error instanceof TTSProviderError && !error.retryable;
+    if (permanent) {
+      logger.warn(`TTS Request ${ttsRequestId} failed permanently. Discarding remaining attempts.`);
+      job.discard();
+    }
+
+    // Only once the job gives up is the request marked failed and the tip that paid for the message
+    // remedied (before the job is marked failed); if the remedy throws, the sweep below retries it.
+    if (permanent || job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+      await markTTSRequestFailed(ttsRequestId).catch((markError) =>
+        logger.error(`❌ Failed to mark TTS Request ${ttsRequestId} as failed: ${markError.message}`)
+      );
+      try {
+        await ttsPricing.handleFailedSynthesis(ttsRequestId);
+      } catch (remedyError) {
+        logger.error(`❌ Failed to remedy paid TTS Request ${ttsRequestId}: ${remedyError.message}`);
+      }
+    }
+
     throw error; // This will trigger Bull's retry mechanism based on job options
   }
 });
@@ -40,8 +75,8 @@ ttsQueue.on('active', (job) => {
 });
 
 ttsQueue.on('completed', (job, result) => {
-  logger.debug(`✅ Job completed. ID: ${job.id}, Result: ${result}`);
-  logger.info(`✅ Job completed. ID: ${job.id}, Result: ${result}`);
+  logger.debug(`✅ Job completed. ID: ${job.id}, Result:`, result);
+  logger.info(`✅ Job completed. ID: ${job.id}, Result: ${JSON.stringify(result)}`);
 });
 
 ttsQueue.on('failed', (job, error) => {
@@ -68,3 +103,35 @@ ttsQueue.on('error', (error) => {
   logger.debug(`❌ Queue error: ${error.message}`);
   logger.error(`❌ Queue error: ${error.message}`);
 });
+
+/*********************************************
+ *  AUDIO CACHE EVICTION
+ ********************************************/
+// Evictions re-check each entry before deleting it, so several workers may run this at once
+const CACHE_EVICT_INTERVAL_MS = parseInt(process.env.TTS_CACHE_EVICT_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+const evictionTimer = setInterval(() => {
+  audioCache.evict().catch((error) => logger.error(`❌ TTS audio cache eviction failed: ${error.message}`));
+}, CACHE_EVICT_INTERVAL_MS);
+
+/*********************************************
+ *  PAID TTS REMEDY RETRIES
+ ********************************************/
+// Each retry claims its tip first, so several workers may run this at once
+const REMEDY_RETRY_INTERVAL_MS = parseInt(process.env.TTS_REMEDY_RETRY_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+const remedyTimer = setInterval(() => {
+  ttsPricing.retryRemedies().catch((error) => logger.error(`❌ Paid TTS remedy retries failed: ${error.message}`));
+}, REMEDY_RETRY_INTERVAL_MS);
+
+/*********************************************
+ *  GRACEFUL SHUTDOWN
+ ********************************************/
+// Bull's close() waits for the active job to finish. A job still running when
+// SHUTDOWN_TIMEOUT_MS expires loses its lock and is picked up again as stalled.
+lifecycle.onShutdown('cache eviction', () => clearInterval(evictionTimer));
+lifecycle.onShutdown('remedy retries', () => clearInterval(remedyTimer));
+lifecycle.onShutdown('ttsQueue', () => ttsQueue.close());
+lifecycle.onShutdown('redis', closeRedis);
+lifecycle.onShutdown('mysql pool', () => db.end());
+lifecycle.handleSignals();
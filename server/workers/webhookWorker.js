@@ -0,0 +1,46 @@
+// workers/webhookWorker.js
+
+const webhookQueue = require('../queues/webhookQueue');
+const { deliver } = require('../services/webhookService');
+const logger = require('../logger');
+const db = require('../db');
+const metrics = require('../metrics');
+const lifecycle = require('../lifecycle');
+const { closeRedis } = require('../queues/redisClient');
+
+const CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 5;
+
+/*********************************************
+ *  METRICS
+ ********************************************/
+// Forwarded to the API's /metrics when forked, or served on WORKER_METRICS_PORT
+metrics.exposeWorkerMetrics('webhook-worker');
+metrics.trackDbPool(db);
+
+/*********************************************
+ *  DEFINE JOB PROCESSING LOGIC
+ ********************************************/
+// Retries and backoff are set per job by webhookService; throwing here schedules the next attempt
+webhookQueue.process(CONCURRENCY, async (job) => {
+  await deliver(job.data.deliveryId, job.attemptsMade + 1);
+});
+
+/*********************************************
+ *  ADD EVENT LISTENERS FOR JOB EVENTS
+ ********************************************/
+webhookQueue.on('failed', (job, error) => {
+  logger.warn(`Webhook job ${job.id} attempt ${job.attemptsMade} failed: ${error.message}`);
+});
+
+webhookQueue.on('error', (error) => {
+  logger.error(`❌ Webhook queue error: ${error.message}`);
+});
+
+/*********************************************
+ *  GRACEFUL SHUTDOWN
+ ********************************************/
+// Deliveries in flight finish first; the queue keeps the rest for the next worker
+lifecycle.onShutdown('webhookQueue', () => webhookQueue.close());
+lifecycle.onShutdown('redis', closeRedis);
+lifecycle.onShutdown('mysql pool', () => db.end());
+lifecycle.handleSignals();